@@ -64,18 +64,29 @@ function formatSize(bytes) {
 function getKindLabel(kind) {
   if (kind === 'youtube') return 'YouTube';
   if (kind === 'playlist') return 'Playlist';
+  if (kind === 'feed') return 'Feed';
   if (kind === 'file') return 'File';
   if (kind === 'url') return 'Web';
+  if (kind === 'synthesis') return 'Synthesis';
+  if (kind === 'book') return 'Book';
+  if (kind === 'chapter') return 'Chapter';
   return kind || 'Unknown';
 }
 
 function getKindIcon(kind) {
   if (kind === 'youtube' || kind === 'playlist') return 'video';
   if (kind === 'url') return 'link';
+  if (kind === 'feed') return 'rss';
   if (kind === 'file') return 'file';
+  if (kind === 'synthesis') return 'git-merge';
+  if (kind === 'book') return 'book';
+  if (kind === 'chapter') return 'book-open';
   return 'file';
 }
 
+/** Kinds shown under a filter besides the filter's own kind: groups and their children. */
+const FILTER_KINDS = { youtube: ['playlist'], url: ['feed'], book: ['chapter'] };
+
 const Sidebar = memo(function Sidebar({ collapsed, setCollapsed, view, setView }) {
   const prefersDark = typeof window !== 'undefined' && window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
   const isDark = (localStorage.getItem('dv.theme') || 'system') === 'dark' || ((localStorage.getItem('dv.theme') || 'system') === 'system' && prefersDark);
@@ -110,6 +121,8 @@ const Sidebar = memo(function Sidebar({ collapsed, setCollapsed, view, setView }
       {/* Nav */}
       <nav className="flex-1 p-2 space-y-0.5">
         <NavItem icon="database" label="Vault" active={view === 'vault'} onClick={() => setView('vault')} />
+        <NavItem icon="tags" label="Tags" active={view === 'tags'} onClick={() => setView('tags')} />
+        <NavItem icon="rss" label="Feeds" active={view === 'feeds'} onClick={() => setView('feeds')} />
       </nav>
       {/* Settings button at bottom */}
       <div className="p-2 border-t border-slate-200 dark:border-white/5">
@@ -141,13 +154,20 @@ const ContentHeader = memo(function ContentHeader({ openCmd, theme, setTheme })
   );
 });
 
-function CommandPalette({ open, onClose, query, setQuery, onDistill, onAttachFiles, onOpenSettings, onExport, onImport, onRetryFailed, onDownloadAll, onStopAll, items }) {
+function CommandPalette({ open, onClose, query, setQuery, onDistill, onAttachFiles, onOpenSettings, onExport, onImport, onRetryFailed, onDownloadAll, onStopAll, items, selectedItems, profiles, onRerunProfile, onOpenPassage }) {
   const inputRef = useRef(null);
-  useEffect(() => { if (open) setTimeout(() => inputRef.current?.focus(), 50); }, [open]);
+  const [pickingProfile, setPickingProfile] = useState(false);
+  // Semantic mode: Enter embeds the query and lists the closest passages in the vault
+  const [semantic, setSemantic] = useState(false);
+  const [passages, setPassages] = useState(null);
+  const [searching, setSearching] = useState(false);
+  useEffect(() => { if (open) { setPickingProfile(false); setTimeout(() => inputRef.current?.focus(), 50); } }, [open]);
+  useEffect(() => { setPassages(null); }, [query, semantic]);
   if (!open) return null;
 
   const q = query.trim();
   const isUrl = /^https?:\/\//i.test(q) || /(youtube\.com|youtu\.be)/i.test(q);
+  const semanticQuery = semantic && q && !isUrl;
 
   const actions = [
     { id: 'attach', icon: 'paperclip', label: 'Attach Files...' , action: onAttachFiles },
@@ -158,13 +178,30 @@ function CommandPalette({ open, onClose, query, setQuery, onDistill, onAttachFil
     { id: 'retry', icon: 'rotate-ccw', label: 'Retry All Failed', action: onRetryFailed },
     { id: 'stop', icon: 'square', label: 'Stop All Active', action: onStopAll },
   ];
+  const rerunnable = (selectedItems || []).filter(i => !DV.queue.isGroup(i));
+  if (rerunnable.length) {
+    actions.unshift({ id: 'profile', icon: 'sliders-horizontal', label: rerunnable.length === 1 ? `Re-run “${rerunnable[0].title}” with Profile…` : `Re-run ${rerunnable.length} Selected with Profile…`, keepOpen: true, action: () => setPickingProfile(true) });
+  }
 
-  const matchedItems = q && !isUrl
-    ? items.filter(i => (i.title?.toLowerCase().includes(q.toLowerCase()) || i.url?.toLowerCase().includes(q.toLowerCase())) && i.kind !== 'playlist').slice(0, 6)
+  const matchedItems = q && !isUrl && !semantic
+    ? items.filter(i => (i.title?.toLowerCase().includes(q.toLowerCase()) || i.url?.toLowerCase().includes(q.toLowerCase())) && !DV.queue.isGroup(i)).slice(0, 6)
     : [];
 
   function handleSubmit() {
     if (isUrl) { onDistill(q); setQuery(''); onClose(); }
+    else if (semanticQuery) runSemantic();
+  }
+
+  async function runSemantic() {
+    if (!DV.embeddings.enabled()) { DV.toast('Choose an embedding provider under Settings → Semantic Search first.', { type: 'error' }); return; }
+    setSearching(true);
+    try {
+      setPassages(await DV.embeddings.search(q));
+    } catch (err) {
+      DV.toast(`Semantic search failed: ${err?.message || err}`, { type: 'error' });
+    } finally {
+      setSearching(false);
+    }
   }
 
   return (
@@ -173,7 +210,10 @@ function CommandPalette({ open, onClose, query, setQuery, onDistill, onAttachFil
       <div className="relative w-full max-w-lg bg-white dark:bg-zinc-900 border border-slate-200 dark:border-white/10 rounded-xl overflow-hidden shadow-2xl">
         <div className="flex items-center gap-3 px-4 border-b border-slate-100 dark:border-white/5">
           <Icon name="search" size={16} className="text-slate-400 shrink-0" />
-          <input ref={inputRef} value={query} onChange={e => setQuery(e.target.value)} onKeyDown={e => { if (e.key === 'Enter' && isUrl) handleSubmit(); if (e.key === 'Escape') onClose(); }} placeholder="Paste a URL to distill, or search..." className="flex-1 h-12 bg-transparent outline-none text-sm text-slate-900 dark:text-white" />
+          <input ref={inputRef} value={query} onChange={e => setQuery(e.target.value)} onKeyDown={e => { if (e.key === 'Enter') handleSubmit(); if (e.key === 'Tab') { e.preventDefault(); setSemantic(!semantic); } if (e.key === 'Escape') onClose(); }} placeholder={semantic ? 'Ask about your vault, then press Enter...' : 'Paste a URL to distill, or search...'} className="flex-1 h-12 bg-transparent outline-none text-sm text-slate-900 dark:text-white" />
+          <button onClick={() => { setSemantic(!semantic); inputRef.current?.focus(); }} title="Search passages by meaning (Tab)" className={classNames('flex items-center gap-1 px-2 py-1 rounded-md text-[11px] font-medium shrink-0 transition-colors', semantic ? 'bg-slate-900 text-white dark:bg-white dark:text-zinc-900' : 'text-slate-400 hover:text-slate-700 dark:hover:text-white hover:bg-slate-100 dark:hover:bg-white/5')}>
+            <Icon name="sparkles" size={12} />Semantic
+          </button>
           <kbd className="text-[11px] text-slate-400 border border-slate-200 dark:border-white/10 rounded px-1.5 py-0.5 shrink-0">esc</kbd>
         </div>
         <div className="max-h-72 overflow-y-auto py-1 no-scrollbar">
@@ -195,19 +235,64 @@ function CommandPalette({ open, onClose, query, setQuery, onDistill, onAttachFil
               ))}
             </React.Fragment>
           )}
-          {!q && (
+          {semanticQuery && !passages && (
+            <button onClick={runSemantic} disabled={searching} className="w-full px-4 py-2.5 flex items-center gap-3 hover:bg-slate-50 dark:hover:bg-white/5 text-left transition-colors disabled:opacity-60">
+              <Icon name={searching ? 'loader' : 'sparkles'} size={16} className={classNames('text-violet-500', searching && 'animate-spin')} />
+              <span className="text-sm"><span className="font-medium">{searching ? 'Searching' : 'Search by meaning'}</span> <span className="text-slate-400 truncate">{q}</span></span>
+              {!searching && <kbd className="ml-auto text-[11px] text-slate-400 border border-slate-200 dark:border-white/10 rounded px-1.5 py-0.5">↵</kbd>}
+            </button>
+          )}
+          {semanticQuery && passages?.length > 0 && (
+            <React.Fragment>
+              <div className="px-4 pt-2 pb-1 text-[11px] font-medium text-slate-400 uppercase tracking-wider">Passages</div>
+              {passages.map(hit => {
+                const item = items.find(i => i.id === hit.itemId);
+                if (!item) return null;
+                return (
+                  <button key={`${hit.itemId}:${hit.index}`} onClick={() => { onOpenPassage(hit.itemId, hit.text); onClose(); }} className="w-full px-4 py-2.5 flex items-start gap-3 hover:bg-slate-50 dark:hover:bg-white/5 text-left transition-colors">
+                    <Icon name={getKindIcon(item.kind)} size={15} className="text-slate-400 shrink-0 mt-0.5" />
+                    <span className="flex-1 min-w-0">
+                      <span className="block text-sm font-medium truncate text-slate-700 dark:text-slate-200">{item.title}</span>
+                      <span className="block text-[12px] text-slate-500 dark:text-slate-400 line-clamp-2">{hit.text.replace(/\s+/g, ' ')}</span>
+                    </span>
+                    <span className="text-[11px] text-slate-400 tabular-nums shrink-0 mt-0.5">{Math.round(hit.score * 100)}%</span>
+                  </button>
+                );
+              })}
+            </React.Fragment>
+          )}
+          {semanticQuery && passages?.length === 0 && (
+            <div className="px-4 py-6 text-center text-sm text-slate-400">No indexed passages yet. Index the vault under Settings → Semantic Search.</div>
+          )}
+          {!q && pickingProfile && (
+            <React.Fragment>
+              <div className="px-4 pt-2 pb-1 text-[11px] font-medium text-slate-400 uppercase tracking-wider">Choose Profile</div>
+              <button onClick={() => { onRerunProfile(null); onClose(); }} className="w-full px-4 py-2.5 flex items-center gap-3 hover:bg-slate-50 dark:hover:bg-white/5 text-left transition-colors">
+                <Icon name="wand-2" size={15} className="text-slate-400" />
+                <span className="text-sm text-slate-700 dark:text-slate-200">Automatic</span>
+                <span className="ml-auto text-[12px] text-slate-400">by rules</span>
+              </button>
+              {(profiles || []).map(p => (
+                <button key={p.id} onClick={() => { onRerunProfile(p.id); onClose(); }} className="w-full px-4 py-2.5 flex items-center gap-3 hover:bg-slate-50 dark:hover:bg-white/5 text-left transition-colors">
+                  <Icon name="sliders-horizontal" size={15} className="text-slate-400" />
+                  <span className="text-sm text-slate-700 dark:text-slate-200">{p.name}</span>
+                </button>
+              ))}
+            </React.Fragment>
+          )}
+          {!q && !pickingProfile && (
             <React.Fragment>
               <div className="px-4 pt-2 pb-1 text-[11px] font-medium text-slate-400 uppercase tracking-wider">Actions</div>
               {actions.map(a => (
-                <button key={a.id} onClick={() => { a.action(); onClose(); }} className="w-full px-4 py-2.5 flex items-center gap-3 hover:bg-slate-50 dark:hover:bg-white/5 text-left transition-colors">
+                <button key={a.id} onClick={() => { a.action(); if (!a.keepOpen) onClose(); }} className="w-full px-4 py-2.5 flex items-center gap-3 hover:bg-slate-50 dark:hover:bg-white/5 text-left transition-colors">
                   <Icon name={a.icon} size={15} className="text-slate-400" />
-                  <span className="text-sm text-slate-700 dark:text-slate-200">{a.label}</span>
+                  <span className="text-sm text-slate-700 dark:text-slate-200 truncate">{a.label}</span>
                   {a.hint && <kbd className="ml-auto text-[11px] text-slate-400 border border-slate-200 dark:border-white/10 rounded px-1.5 py-0.5">{a.hint}</kbd>}
                 </button>
               ))}
             </React.Fragment>
           )}
-          {q && !isUrl && matchedItems.length === 0 && (
+          {q && !isUrl && !semantic && matchedItems.length === 0 && (
             <div className="px-4 py-6 text-center text-sm text-slate-400">No results for &ldquo;{q}&rdquo;</div>
           )}
         </div>
@@ -216,7 +301,7 @@ function CommandPalette({ open, onClose, query, setQuery, onDistill, onAttachFil
   );
 }
 
-const FilterBar = memo(function FilterBar({ filter, setFilter, tagFilter, setTagFilter, allTags, search, setSearch }) {
+const FilterBar = memo(function FilterBar({ filter, setFilter, tagFilter, setTagFilter, allTags, tagConfig, search, setSearch }) {
   const [tagsOpen, setTagsOpen] = useState(false);
   const tagsRef = useRef(null);
   useEffect(() => {
@@ -230,6 +315,8 @@ const FilterBar = memo(function FilterBar({ filter, setFilter, tagFilter, setTag
     { k: 'url', label: 'Web' },
     { k: 'youtube', label: 'YouTube' },
     { k: 'file', label: 'Files' },
+    { k: 'book', label: 'Books' },
+    { k: 'synthesis', label: 'Syntheses' },
   ];
 
   return (
@@ -246,7 +333,9 @@ const FilterBar = memo(function FilterBar({ filter, setFilter, tagFilter, setTag
           <div className="absolute left-0 mt-1 p-1 rounded-lg border border-slate-200 dark:border-white/10 bg-white dark:bg-zinc-900 shadow-lg z-20 flex flex-col min-w-[140px] max-h-56 overflow-y-auto no-scrollbar">
             <button onClick={() => { setTagFilter(''); setTagsOpen(false); }} className={classNames('w-full px-3 py-2 text-left rounded-md text-[13px]', !tagFilter ? 'bg-slate-100 dark:bg-white/10 font-medium' : 'hover:bg-slate-50 dark:hover:bg-white/5 text-slate-600 dark:text-slate-300')}>All Tags</button>
             {allTags.map(tag => (
-              <button key={tag} onClick={() => { setTagFilter(tag); setTagsOpen(false); }} className={classNames('w-full px-3 py-2 text-left rounded-md text-[13px] truncate', tagFilter === tag ? 'bg-slate-100 dark:bg-white/10 font-medium' : 'hover:bg-slate-50 dark:hover:bg-white/5 text-slate-600 dark:text-slate-300')}>#{tag}</button>
+              <button key={tag} onClick={() => { setTagFilter(tag); setTagsOpen(false); }} className={classNames('w-full px-3 py-2 text-left rounded-md text-[13px] truncate flex items-center gap-2', tagFilter === tag ? 'bg-slate-100 dark:bg-white/10 font-medium' : 'hover:bg-slate-50 dark:hover:bg-white/5 text-slate-600 dark:text-slate-300')} style={{ paddingLeft: 12 + DV.tags.ancestors(tag).length * 12 }}>
+                {DV.tags.colorOf(tag) && <span className="w-2 h-2 rounded-full shrink-0" style={{ backgroundColor: DV.tags.colorOf(tag) }} />}#{tag}
+              </button>
             ))}
           </div>
         )}
@@ -278,7 +367,7 @@ const StatusDot = memo(function StatusDot({ status }) {
   );
 });
 
-function ItemList({ items, allItems, selected, setSelected, expandedIds, setExpandedIds, onViewItem }) {
+function ItemList({ items, allItems, rateWaits, selected, setSelected, expandedIds, setExpandedIds, onViewItem }) {
   const [now, setNow] = useState(Date.now());
   useEffect(() => {
     const active = items.some(it => [STATUS.EXTRACTING, STATUS.DISTILLING].includes(it.status));
@@ -287,12 +376,15 @@ function ItemList({ items, allItems, selected, setSelected, expandedIds, setExpa
     return () => clearInterval(id);
   }, [items]);
 
+  // Books have chapters beneath them like playlists, but run as items of their own
+  const parentIds = useMemo(() => new Set(allItems.map(x => x.parentId).filter(Boolean)), [allItems]);
+
   function onRowClick(e, item) {
     if (e.metaKey || e.ctrlKey) {
       setSelected(prev => prev.includes(item.id) ? prev.filter(x => x !== item.id) : [...prev, item.id]);
       return;
     }
-    if (item.kind === 'playlist') {
+    if (DV.queue.isGroup(item) || parentIds.has(item.id)) {
       const isSelected = selected.includes(item.id);
       const childIds = allItems.filter(x => x.parentId === item.id).map(x => x.id);
       if (isSelected) setSelected(prev => prev.filter(id => id !== item.id && !childIds.includes(id)));
@@ -310,7 +402,8 @@ function ItemList({ items, allItems, selected, setSelected, expandedIds, setExpa
   }
 
   function onDblClick(item) {
-    if (item.status === STATUS.COMPLETED) onViewItem(item);
+    if (item.status === STATUS.COMPLETED || item.status === STATUS.DISTILLING) onViewItem(item);
+    else if (item.status === STATUS.ERROR) DV.bus.emit('ui:openError', item);
   }
 
   if (!items.length) {
@@ -328,24 +421,34 @@ function ItemList({ items, allItems, selected, setSelected, expandedIds, setExpa
       <div className="border border-slate-200 dark:border-white/5 rounded-lg overflow-hidden divide-y divide-slate-100 dark:divide-white/5">
         {items.map(i => (
           <div key={i.id} onClick={e => onRowClick(e, i)} onDoubleClick={() => onDblClick(i)} className={classNames('flex items-center gap-3 sm:gap-4 px-3 sm:px-4 py-3 cursor-pointer transition-colors h-[64px]', selected.includes(i.id) ? 'bg-slate-100 dark:bg-white/5' : 'hover:bg-slate-50 dark:hover:bg-white/[0.02]', i.parentId && 'pl-8 sm:pl-10')}>
-            {i.kind === 'playlist' && (
+            {(DV.queue.isGroup(i) || parentIds.has(i.id)) && (
               <button className="p-0.5 text-slate-400 hover:text-slate-600 dark:hover:text-white shrink-0" onClick={e => { e.stopPropagation(); setExpandedIds(prev => { const n = new Set(prev); if (n.has(i.id)) n.delete(i.id); else n.add(i.id); return n; }); }}>
                 <span className={classNames('transition-transform inline-block', expandedIds.has(i.id) && 'rotate-90')}><Icon name="chevron-right" size={14} /></span>
               </button>
             )}
-            {i.kind !== 'playlist' && <Icon name={getKindIcon(i.kind)} size={16} className="text-slate-400 shrink-0" />}
+            {!DV.queue.isGroup(i) && <Icon name={getKindIcon(i.kind)} size={16} className="text-slate-400 shrink-0" />}
             <div className="flex-1 min-w-0 flex flex-col justify-center">
               <div className="text-sm font-medium text-slate-900 dark:text-white truncate">{i.title || i.url}</div>
               <div className="flex items-center gap-1.5 mt-0.5 min-w-0 overflow-hidden whitespace-nowrap">
-                {i.tags?.length > 0 && i.tags.map(t => <span key={t} className="text-[10px] sm:text-[11px] text-slate-500 dark:text-slate-400 bg-slate-100 dark:bg-white/5 border border-slate-200 dark:border-white/5 px-1.5 py-0.5 rounded shrink-0">#{t}</span>)}
+                {i.tags?.length > 0 && i.tags.map(t => <span key={t} className="text-[10px] sm:text-[11px] text-slate-500 dark:text-slate-400 bg-slate-100 dark:bg-white/5 border border-slate-200 dark:border-white/5 px-1.5 py-0.5 rounded shrink-0 flex items-center gap-1">{DV.tags.colorOf(t) && <span className="w-1.5 h-1.5 rounded-full" style={{ backgroundColor: DV.tags.colorOf(t) }} />}#{t}</span>)}
                 {!i.tags?.length && i.url && <span className="text-[11px] sm:text-[12px] text-slate-400 dark:text-slate-500 truncate block w-full">{i.url}</span>}
               </div>
             </div>
-            {i.kind !== 'playlist' && (
+            {!DV.queue.isGroup(i) && (
               <div className="flex items-center gap-2 sm:gap-3 shrink-0 ml-2">
-                {[STATUS.EXTRACTING, STATUS.DISTILLING].includes(i.status) && i.startedAt && (
+                {rateWaits[i.id] > now ? (
+                  <span className="text-[10px] sm:text-[11px] text-amber-500 tabular-nums hidden sm:block" title="Waiting for capacity in the provider's rate limit">waiting for rate limit, {Math.ceil((rateWaits[i.id] - now) / 1000)}s</span>
+                ) : [STATUS.EXTRACTING, STATUS.DISTILLING].includes(i.status) && i.startedAt && (
                   <span className="text-[10px] sm:text-[11px] text-slate-400 tabular-nums hidden sm:block">{formatDuration(now - i.startedAt)}</span>
                 )}
+                {i.status === STATUS.COMPLETED && i.usage && (
+                  <span className="text-[10px] sm:text-[11px] text-slate-400 tabular-nums hidden sm:block" title={`${DV.pricing.formatTokens(i.usage.inputTokens)} in · ${DV.pricing.formatTokens(i.usage.outputTokens)} out${i.model ? ' · ' + i.model : ''}`}>{DV.pricing.formatCost(i.cost)}</span>
+                )}
+                {i.status === STATUS.ERROR && (
+                  <button onClick={e => { e.stopPropagation(); DV.bus.emit('ui:openError', i); }} title={i.error || ''} className="text-[10px] sm:text-[11px] text-rose-500 dark:text-rose-400 hover:underline hidden sm:block">
+                    {DV.ai.transport.describe(i.errorKind)?.label || 'Details'}
+                  </button>
+                )}
                 <StatusDot status={i.status} />
               </div>
             )}
@@ -356,11 +459,15 @@ function ItemList({ items, allItems, selected, setSelected, expandedIds, setExpa
   );
 }
 
-function SelectionDock({ count, selectedItems, itemsCount, onView, onRetry, onDownload, onDelete, onStop, onSelectAll, onUnselectAll, onTag }) {
+function SelectionDock({ count, selectedItems, itemsCount, onView, onRetry, onDownload, onDelete, onStop, onSelectAll, onUnselectAll, onTag, profiles, onRerunProfile, onSynthesize, onSetLanguage, onFlashcards }) {
+  const [profileMenu, setProfileMenu] = useState(false);
+  const [languageMenu, setLanguageMenu] = useState(false);
+  useEffect(() => { if (!count) { setProfileMenu(false); setLanguageMenu(false); } }, [count]);
   if (!count) return null;
-  const canView = count === 1 && selectedItems[0]?.status === STATUS.COMPLETED;
+  const canView = count === 1 && [STATUS.COMPLETED, STATUS.DISTILLING].includes(selectedItems[0]?.status);
   const canStop = selectedItems.some(i => [STATUS.PENDING, STATUS.EXTRACTING, STATUS.DISTILLING].includes(i.status));
   const canDownload = selectedItems.some(i => i.status === STATUS.COMPLETED);
+  const canSynthesize = selectedItems.filter(i => i.status === STATUS.COMPLETED && !DV.queue.isGroup(i)).length >= 2;
   const allSelected = count === itemsCount;
   const Btn = ({ onClick, icon, label }) => (
     <button onClick={onClick} title={label} className="w-8 h-8 rounded-lg flex items-center justify-center text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-white/10 transition-colors shrink-0"><Icon name={icon} size={16} /></button>
@@ -371,7 +478,33 @@ function SelectionDock({ count, selectedItems, itemsCount, onView, onRetry, onDo
       <span className="h-4 w-px bg-slate-200 dark:bg-white/10 shrink-0" />
       {canView && <Btn onClick={onView} icon="eye" label="View" />}
       {canDownload && <Btn onClick={onDownload} icon="arrow-down-to-line" label="Download" />}
+      {canSynthesize && <Btn onClick={onSynthesize} icon="git-merge" label="Synthesize" />}
+      {canDownload && <Btn onClick={onFlashcards} icon="layers" label="Flashcards" />}
       <Btn onClick={onRetry} icon="rotate-ccw" label="Retry" />
+      <div className="relative">
+        <Btn onClick={() => { setProfileMenu(!profileMenu); setLanguageMenu(false); }} icon="sliders-horizontal" label="Re-run with profile" />
+        {profileMenu && (
+          <div className="absolute bottom-full mb-2 left-1/2 -translate-x-1/2 p-1 rounded-lg border border-slate-200 dark:border-white/10 bg-white dark:bg-zinc-900 shadow-lg flex flex-col min-w-[180px] max-h-64 overflow-y-auto no-scrollbar">
+            <div className="px-3 pt-1.5 pb-1 text-[11px] font-medium text-slate-400 uppercase tracking-wider">Re-run with</div>
+            <button onClick={() => { setProfileMenu(false); onRerunProfile(null); }} className="w-full px-3 py-2 text-left rounded-md text-[13px] hover:bg-slate-50 dark:hover:bg-white/5 text-slate-600 dark:text-slate-300">Automatic</button>
+            {(profiles || []).map(p => (
+              <button key={p.id} onClick={() => { setProfileMenu(false); onRerunProfile(p.id); }} className="w-full px-3 py-2 text-left rounded-md text-[13px] truncate hover:bg-slate-50 dark:hover:bg-white/5 text-slate-600 dark:text-slate-300">{p.name}</button>
+            ))}
+          </div>
+        )}
+      </div>
+      <div className="relative">
+        <Btn onClick={() => { setLanguageMenu(!languageMenu); setProfileMenu(false); }} icon="languages" label="Output language" />
+        {languageMenu && (
+          <div className="absolute bottom-full mb-2 left-1/2 -translate-x-1/2 p-1 rounded-lg border border-slate-200 dark:border-white/10 bg-white dark:bg-zinc-900 shadow-lg flex flex-col min-w-[180px] max-h-64 overflow-y-auto no-scrollbar">
+            <div className="px-3 pt-1.5 pb-1 text-[11px] font-medium text-slate-400 uppercase tracking-wider">Output language</div>
+            <button onClick={() => { setLanguageMenu(false); onSetLanguage(null); }} className="w-full px-3 py-2 text-left rounded-md text-[13px] hover:bg-slate-50 dark:hover:bg-white/5 text-slate-600 dark:text-slate-300">Global setting</button>
+            {DV.language.LANGUAGES.map(l => (
+              <button key={l.code} onClick={() => { setLanguageMenu(false); onSetLanguage(l.code); }} className="w-full px-3 py-2 text-left rounded-md text-[13px] truncate hover:bg-slate-50 dark:hover:bg-white/5 text-slate-600 dark:text-slate-300">{l.name}</button>
+            ))}
+          </div>
+        )}
+      </div>
       {canStop && <Btn onClick={onStop} icon="square" label="Stop" />}
       <Btn onClick={onTag} icon="tag" label="Tag" />
       <Btn onClick={onDelete} icon="trash-2" label="Delete" />
@@ -437,6 +570,14 @@ function TagEditorModal({ open, onClose, selectedIds, items, allTags }) {
   );
 }
 
+function Toggle({ checked, onChange }) {
+  return (
+    <button role="switch" aria-checked={checked} onClick={() => onChange(!checked)} className={classNames('relative w-9 h-5 rounded-full transition-colors shrink-0', checked ? 'bg-slate-900 dark:bg-white' : 'bg-slate-200 dark:bg-white/10')}>
+      <span className={classNames('absolute top-0.5 left-0.5 w-4 h-4 rounded-full transition-transform', checked ? 'translate-x-4 bg-white dark:bg-zinc-900' : 'bg-white dark:bg-zinc-400')} />
+    </button>
+  );
+}
+
 function Modal({ open, onClose, title, children, hideHeader }) {
   if (!open) return null;
   return (
@@ -455,12 +596,464 @@ function Modal({ open, onClose, title, children, hideHeader }) {
   );
 }
 
-function SettingsView({ settings, setSettings, onExport, onImport, items }) {
+function ProfilesSection({ config }) {
+  const [draft, setDraft] = useState(config);
+  const [activeId, setActiveId] = useState(config.defaultId);
+  const [dirty, setDirty] = useState(false);
+  useEffect(() => { if (!dirty) setDraft(config); }, [config]);
+
+  const active = draft.profiles.find(p => p.id === activeId) || draft.profiles[0];
+  const update = (next) => { setDraft(next); setDirty(true); };
+  const patchActive = (patch) => update({ ...draft, profiles: draft.profiles.map(p => p.id === active.id ? { ...p, ...patch } : p) });
+  const builtin = active?.builtin && DV.profiles.BUILTIN_PROFILES.find(p => p.id === active.id);
+
+  function addProfile() {
+    const p = DV.profiles.createProfile(active);
+    update({ ...draft, profiles: [...draft.profiles, p] });
+    setActiveId(p.id);
+  }
+
+  function removeActive() {
+    if (draft.profiles.length <= 1) { DV.toast('At least one profile is required', { type: 'error' }); return; }
+    const profiles = draft.profiles.filter(p => p.id !== active.id);
+    update({ ...draft, profiles, rules: draft.rules.filter(r => r.profileId !== active.id), defaultId: draft.defaultId === active.id ? profiles[0].id : draft.defaultId });
+    setActiveId(profiles[0].id);
+  }
+
+  const addRule = () => update({ ...draft, rules: [...draft.rules, { type: 'kind', value: 'youtube', profileId: active.id }] });
+  const patchRule = (idx, patch) => update({ ...draft, rules: draft.rules.map((r, i) => i === idx ? { ...r, ...patch } : r) });
+  const removeRule = (idx) => update({ ...draft, rules: draft.rules.filter((_, i) => i !== idx) });
+
+  async function saveProfiles() {
+    try { await DV.profiles.save(draft); setDirty(false); DV.toast('Profiles saved', { type: 'success' }); }
+    catch (e) { DV.toast(e.message || 'Failed to save profiles', { type: 'error' }); }
+  }
+
+  const fieldCls = 'w-full px-3 border border-slate-200 dark:border-white/10 bg-white dark:bg-zinc-950 rounded-lg outline-none text-sm focus:ring-1 focus:ring-slate-300 dark:focus:ring-white/20 transition-shadow';
+  const smallBtn = 'h-8 px-3 rounded-lg border border-slate-200 dark:border-white/10 text-[13px] font-medium text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-white/5 transition-colors flex items-center gap-1.5';
+
+  return (
+    <section className="mb-8">
+      <div className="text-[11px] uppercase font-semibold text-slate-400 dark:text-slate-500 tracking-wider mb-3">Distillation Profiles</div>
+      <div className="border border-slate-200 dark:border-white/5 rounded-xl overflow-hidden divide-y divide-slate-100 dark:divide-white/5 bg-white dark:bg-zinc-900">
+        <div className="p-4">
+          <div className="flex flex-wrap gap-1.5">
+            {draft.profiles.map(p => (
+              <button key={p.id} onClick={() => setActiveId(p.id)} className={classNames('px-3 py-1.5 rounded-lg text-[13px] font-medium border transition-colors', active?.id === p.id ? 'border-slate-900 dark:border-white bg-slate-900 dark:bg-white text-white dark:text-zinc-900' : 'border-slate-200 dark:border-white/10 text-slate-600 dark:text-slate-400 hover:border-slate-300 dark:hover:border-white/20')}>
+                {p.name}{draft.defaultId === p.id && <span className="ml-1.5 opacity-60">· default</span>}
+              </button>
+            ))}
+            <button onClick={addProfile} className="px-2.5 py-1.5 rounded-lg text-[13px] text-slate-500 hover:text-slate-900 dark:hover:text-white hover:bg-slate-100 dark:hover:bg-white/5 flex items-center gap-1"><Icon name="plus" size={14} />New</button>
+          </div>
+        </div>
+        {active && (
+          <div className="p-4 space-y-3">
+            <div className="flex gap-2">
+              <input value={active.name} onChange={e => patchActive({ name: e.target.value })} className={classNames(fieldCls, 'h-9 flex-1')} placeholder="Profile name" />
+              {draft.defaultId !== active.id && <button onClick={() => update({ ...draft, defaultId: active.id })} className={smallBtn}>Make default</button>}
+              <button onClick={removeActive} title="Delete profile" className={classNames(smallBtn, 'text-rose-600 dark:text-rose-400')}><Icon name="trash-2" size={14} /></button>
+            </div>
+            <div>
+              <div className="text-[12px] font-medium text-slate-500 dark:text-slate-400 mb-1">Analysis prompt</div>
+              <textarea value={active.analysisPrompt} onChange={e => patchActive({ analysisPrompt: e.target.value })} rows={6} className={classNames(fieldCls, 'py-2 font-mono text-[12px]')} />
+            </div>
+            <div>
+              <div className="text-[12px] font-medium text-slate-500 dark:text-slate-400 mb-1">Format prompt</div>
+              <textarea value={active.formatPrompt} onChange={e => patchActive({ formatPrompt: e.target.value })} rows={6} className={classNames(fieldCls, 'py-2 font-mono text-[12px]')} />
+            </div>
+            <div className="flex items-center justify-between text-[11px] text-slate-400">
+              <span>Variables: <code>{'{title}'}</code> <code>{'{url}'}</code> <code>{'{kind}'}</code> <code>{'{tags}'}</code> <code>{'{date}'}</code> · a TAGS line is always requested</span>
+              {builtin && <button onClick={() => patchActive({ analysisPrompt: builtin.analysisPrompt, formatPrompt: builtin.formatPrompt })} className="hover:text-slate-700 dark:hover:text-white">Restore original</button>}
+            </div>
+          </div>
+        )}
+        <div className="p-4">
+          <div className="flex items-center justify-between mb-2">
+            <div>
+              <div className="text-[13px] font-medium text-slate-700 dark:text-slate-300">Default Rules</div>
+              <div className="text-[12px] text-slate-400 dark:text-slate-500 mt-0.5">First matching rule picks the profile; otherwise the default is used</div>
+            </div>
+            <button onClick={addRule} className={smallBtn}><Icon name="plus" size={14} />Rule</button>
+          </div>
+          <div className="space-y-2">
+            {draft.rules.map((r, idx) => (
+              <div key={idx} className="flex items-center gap-2">
+                <select value={r.type} onChange={e => patchRule(idx, { type: e.target.value, value: e.target.value === 'kind' ? 'youtube' : '' })} className={classNames(fieldCls, 'h-9 w-24')}>
+                  <option value="kind">Kind</option>
+                  <option value="tag">Tag</option>
+                </select>
+                {r.type === 'kind' ? (
+                  <select value={r.value} onChange={e => patchRule(idx, { value: e.target.value })} className={classNames(fieldCls, 'h-9 flex-1')}>
+                    {['url', 'youtube', 'file'].map(k => <option key={k} value={k}>{getKindLabel(k)}</option>)}
+                  </select>
+                ) : (
+                  <input value={r.value} onChange={e => patchRule(idx, { value: e.target.value.trim().toLowerCase() })} placeholder="tag" className={classNames(fieldCls, 'h-9 flex-1')} />
+                )}
+                <Icon name="arrow-right" size={14} className="text-slate-400 shrink-0" />
+                <select value={r.profileId} onChange={e => patchRule(idx, { profileId: e.target.value })} className={classNames(fieldCls, 'h-9 flex-1')}>
+                  {draft.profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                </select>
+                <button onClick={() => removeRule(idx)} className="w-8 h-8 rounded-md flex items-center justify-center text-slate-400 hover:text-slate-700 dark:hover:text-white shrink-0"><Icon name="x" size={14} /></button>
+              </div>
+            ))}
+          </div>
+        </div>
+        {dirty && (
+          <div className="p-4 flex justify-end gap-2">
+            <button onClick={() => { setDraft(config); setDirty(false); }} className={smallBtn}>Discard</button>
+            <button onClick={saveProfiles} className="h-8 px-4 rounded-lg bg-slate-900 dark:bg-white text-white dark:text-zinc-900 text-[13px] font-medium">Save Profiles</button>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
+
+function UsageSection({ items }) {
+  const [prices, setPrices] = useState(() => DV.pricing.getPrices());
+  const [draft, setDraft] = useState(null);
+  const [newModel, setNewModel] = useState('');
+  useEffect(() => DV.bus.on('pricing:update', setPrices), []);
+
+  const stats = useMemo(() => {
+    const total = { cost: 0, inputTokens: 0, outputTokens: 0, runs: 0 };
+    const byProvider = {}, byMonth = {};
+    for (const it of items || []) {
+      if (!it.usage) continue;
+      const cost = Number(it.cost || 0);
+      total.cost += cost; total.inputTokens += it.usage.inputTokens || 0; total.outputTokens += it.usage.outputTokens || 0; total.runs++;
+      const p = it.provider || 'unknown';
+      const m = dayjs(it.completedAt || it.updatedAt).format('YYYY-MM');
+      for (const [bucket, key] of [[byProvider, p], [byMonth, m]]) {
+        bucket[key] = bucket[key] || { cost: 0, tokens: 0, runs: 0 };
+        bucket[key].cost += cost; bucket[key].tokens += (it.usage.inputTokens || 0) + (it.usage.outputTokens || 0); bucket[key].runs++;
+      }
+    }
+    return {
+      total,
+      providers: Object.entries(byProvider).sort((a, b) => b[1].cost - a[1].cost),
+      months: Object.entries(byMonth).sort((a, b) => b[0].localeCompare(a[0]))
+    };
+  }, [items]);
+
+  const table = draft || prices;
+  const editPrice = (model, field, value) => setDraft({ ...table, [model]: { ...table[model], [field]: value } });
+  async function savePrices() {
+    await DV.pricing.save(draft);
+    setDraft(null);
+    DV.toast('Prices saved. New runs use the updated table.', { type: 'success' });
+  }
+
+  const Breakdown = ({ title, rows, label }) => (
+    <div className="p-4">
+      <div className="text-[12px] font-medium text-slate-500 dark:text-slate-400 mb-2">{title}</div>
+      {rows.length === 0 ? <div className="text-[12px] text-slate-400">No usage recorded yet</div> : (
+        <div className="space-y-1">
+          {rows.map(([k, v]) => (
+            <div key={k} className="flex items-center justify-between text-[13px]">
+              <span className="text-slate-600 dark:text-slate-300">{label(k)}</span>
+              <span className="text-slate-400 tabular-nums">{v.runs} runs · {DV.pricing.formatTokens(v.tokens)} tokens · <span className="text-slate-700 dark:text-slate-200">{DV.pricing.formatCost(v.cost)}</span></span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
+  const numCls = 'w-20 h-8 px-2 border border-slate-200 dark:border-white/10 bg-white dark:bg-zinc-950 rounded-md outline-none text-[13px] tabular-nums text-right';
+
+  return (
+    <section className="mb-8">
+      <div className="text-[11px] uppercase font-semibold text-slate-400 dark:text-slate-500 tracking-wider mb-3">Usage & Costs</div>
+      <div className="border border-slate-200 dark:border-white/5 rounded-xl overflow-hidden divide-y divide-slate-100 dark:divide-white/5 bg-white dark:bg-zinc-900">
+        <div className="p-4 grid grid-cols-3 gap-4">
+          <div><div className="text-[12px] text-slate-400">Estimated spend</div><div className="text-lg font-semibold text-slate-900 dark:text-white tabular-nums">{DV.pricing.formatCost(stats.total.cost)}</div></div>
+          <div><div className="text-[12px] text-slate-400">Input tokens</div><div className="text-lg font-semibold text-slate-900 dark:text-white tabular-nums">{DV.pricing.formatTokens(stats.total.inputTokens)}</div></div>
+          <div><div className="text-[12px] text-slate-400">Output tokens</div><div className="text-lg font-semibold text-slate-900 dark:text-white tabular-nums">{DV.pricing.formatTokens(stats.total.outputTokens)}</div></div>
+        </div>
+        <Breakdown title="By provider" rows={stats.providers} label={k => k.charAt(0).toUpperCase() + k.slice(1)} />
+        <Breakdown title="By month" rows={stats.months} label={k => dayjs(k + '-01').format('MMMM YYYY')} />
+        <div className="p-4">
+          <div className="flex items-center justify-between mb-2">
+            <div>
+              <div className="text-[13px] font-medium text-slate-700 dark:text-slate-300">Price Table</div>
+              <div className="text-[12px] text-slate-400 dark:text-slate-500 mt-0.5">USD per 1M tokens · defaults are estimates, edit to match your plan</div>
+            </div>
+            {draft && <button onClick={savePrices} className="h-8 px-4 rounded-lg bg-slate-900 dark:bg-white text-white dark:text-zinc-900 text-[13px] font-medium">Save Prices</button>}
+          </div>
+          <div className="space-y-1.5">
+            <div className="flex items-center gap-2 text-[11px] uppercase tracking-wider text-slate-400"><span className="flex-1">Model</span><span className="w-20 text-right">Input</span><span className="w-20 text-right">Output</span><span className="w-6" /></div>
+            {Object.keys(table).sort().map(model => (
+              <div key={model} className="flex items-center gap-2">
+                <span className="flex-1 text-[13px] font-mono text-slate-600 dark:text-slate-300 truncate">{model}</span>
+                <input type="number" min="0" step="0.01" value={table[model].input} onChange={e => editPrice(model, 'input', e.target.value)} className={numCls} />
+                <input type="number" min="0" step="0.01" value={table[model].output} onChange={e => editPrice(model, 'output', e.target.value)} className={numCls} />
+                <button onClick={() => { const next = { ...table }; delete next[model]; setDraft(next); }} className="w-6 h-6 flex items-center justify-center text-slate-400 hover:text-slate-700 dark:hover:text-white"><Icon name="x" size={12} /></button>
+              </div>
+            ))}
+            <div className="flex items-center gap-2 pt-1">
+              <input value={newModel} onChange={e => setNewModel(e.target.value)} onKeyDown={e => { if (e.key === 'Enter' && newModel.trim()) { setDraft({ ...table, [newModel.trim()]: { input: 0, output: 0 } }); setNewModel(''); } }} placeholder="Add model id…" className="flex-1 h-8 px-2 border border-slate-200 dark:border-white/10 bg-white dark:bg-zinc-950 rounded-md outline-none text-[13px] font-mono" />
+            </div>
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+/** Tag taxonomy: counts, rename/merge/delete across the vault, colours, parents and synonyms. */
+function TagsView({ items, tagConfig, onFilterTag }) {
+  const [query, setQuery] = useState('');
+  const [checked, setChecked] = useState([]);
+  const [mergeTarget, setMergeTarget] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [editValue, setEditValue] = useState('');
+  const [paletteFor, setPaletteFor] = useState(null);
+  const [alias, setAlias] = useState('');
+  const [aliasTarget, setAliasTarget] = useState('');
+
+  const counts = useMemo(() => {
+    const m = new Map();
+    items.forEach(i => (i.tags || []).forEach(t => m.set(t, (m.get(t) || 0) + 1)));
+    Object.keys(tagConfig.meta).forEach(t => { if (!m.has(t)) m.set(t, 0); });
+    return m;
+  }, [items, tagConfig]);
+
+  // Parents first, children indented beneath them
+  const rows = useMemo(() => {
+    const names = Array.from(counts.keys()).sort();
+    const parentOf = (t) => { const p = tagConfig.meta[t]?.parent; return p && counts.has(p) && !DV.tags.ancestors(p).includes(t) ? p : null; };
+    const out = [];
+    const visit = (t, depth) => { out.push({ tag: t, depth }); names.filter(c => parentOf(c) === t).forEach(c => visit(c, depth + 1)); };
+    names.filter(t => !parentOf(t)).forEach(t => visit(t, 0));
+    return out;
+  }, [counts, tagConfig]);
+
+  const q = query.trim().toLowerCase();
+  const visible = q ? rows.filter(r => r.tag.includes(q)) : rows;
+  const allNames = rows.map(r => r.tag);
+  const fieldCls = 'h-8 px-2.5 border border-slate-200 dark:border-white/10 bg-white dark:bg-zinc-950 rounded-md outline-none text-[13px] focus:ring-1 focus:ring-slate-300 dark:focus:ring-white/20';
+
+  const run = async (fn, done) => {
+    try { const n = await fn(); if (done) DV.toast(typeof done === 'function' ? done(n) : done); }
+    catch (e) { DV.toast(e.message, { type: 'error' }); }
+  };
+  const submitRename = (from) => {
+    const to = DV.tags.normalize(editValue);
+    setEditing(null);
+    if (!to || to === from) return;
+    run(() => DV.tags.rename(from, to), n => `Renamed #${from} to #${to} on ${n} item${n === 1 ? '' : 's'}`);
+  };
+  const submitMerge = () => {
+    const target = mergeTarget || checked[0];
+    run(() => DV.tags.merge(checked, target), n => `Merged ${checked.length - 1} tag${checked.length > 2 ? 's' : ''} into #${target} on ${n} item${n === 1 ? '' : 's'}`);
+    setChecked([]); setMergeTarget('');
+  };
+
+  return (
+    <div className="max-w-2xl mx-auto px-5 py-8 pb-24">
+      <div className="mb-8">
+        <h1 className="text-2xl font-semibold text-slate-900 dark:text-white tracking-tight">Tags</h1>
+        <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">Rename, merge and organize tags across the whole vault.</p>
+      </div>
+
+      <section className="mb-8">
+        <div className="flex items-center justify-between gap-2 mb-3">
+          <div className="text-[11px] uppercase font-semibold text-slate-400 dark:text-slate-500 tracking-wider">{rows.length} tags</div>
+          <input value={query} onChange={e => setQuery(e.target.value)} placeholder="Filter tags…" className={classNames(fieldCls, 'w-48')} />
+        </div>
+        {checked.length > 1 && (
+          <div className="mb-3 p-3 rounded-xl border border-slate-200 dark:border-white/10 bg-slate-50 dark:bg-white/[0.02] flex flex-wrap items-center gap-2 text-[13px]">
+            <span className="text-slate-600 dark:text-slate-300">Merge {checked.length} tags into</span>
+            <select value={mergeTarget || checked[0]} onChange={e => setMergeTarget(e.target.value)} className={fieldCls}>
+              {checked.map(t => <option key={t} value={t}>#{t}</option>)}
+            </select>
+            <button onClick={submitMerge} className="h-8 px-3 rounded-lg bg-slate-900 dark:bg-white text-white dark:text-zinc-900 font-medium">Merge</button>
+            <button onClick={() => setChecked([])} className="h-8 px-3 rounded-lg text-slate-500 hover:text-slate-700 dark:hover:text-slate-300">Cancel</button>
+          </div>
+        )}
+        <div className="border border-slate-200 dark:border-white/5 rounded-xl divide-y divide-slate-100 dark:divide-white/5 bg-white dark:bg-zinc-900">
+          {visible.length === 0 && <div className="p-6 text-center text-[13px] text-slate-400">No tags yet.</div>}
+          {visible.map(({ tag, depth }) => {
+            const color = DV.tags.colorOf(tag);
+            const parent = tagConfig.meta[tag]?.parent || '';
+            return (
+              <div key={tag} className="px-3 py-2 flex items-center gap-2" style={{ paddingLeft: 12 + (q ? 0 : depth * 20) }}>
+                <input type="checkbox" checked={checked.includes(tag)} onChange={e => setChecked(c => (e.target.checked ? [...c, tag] : c.filter(x => x !== tag)))} className="accent-slate-900 dark:accent-white shrink-0" />
+                <div className="relative shrink-0">
+                  <button onClick={() => setPaletteFor(paletteFor === tag ? null : tag)} title="Colour" className="w-4 h-4 rounded-full border border-slate-300 dark:border-white/20" style={{ backgroundColor: color || 'transparent' }} />
+                  {paletteFor === tag && (
+                    <div className="absolute left-0 top-full mt-1 z-20 p-2 rounded-lg border border-slate-200 dark:border-white/10 bg-white dark:bg-zinc-900 shadow-lg grid grid-cols-6 gap-1.5 w-max">
+                      <button onClick={() => { setPaletteFor(null); run(() => DV.tags.setMeta(tag, { color: null })); }} title="No colour" className="w-5 h-5 rounded-full border border-slate-300 dark:border-white/20 flex items-center justify-center text-slate-400"><Icon name="x" size={10} /></button>
+                      {DV.tags.COLORS.map(c => <button key={c.id} onClick={() => { setPaletteFor(null); run(() => DV.tags.setMeta(tag, { color: c.id })); }} title={c.id} className="w-5 h-5 rounded-full" style={{ backgroundColor: c.hex }} />)}
+                    </div>
+                  )}
+                </div>
+                {editing === tag ? (
+                  <input autoFocus value={editValue} onChange={e => setEditValue(e.target.value)} onBlur={() => submitRename(tag)} onKeyDown={e => { if (e.key === 'Enter') submitRename(tag); if (e.key === 'Escape') setEditing(null); }} className={classNames(fieldCls, 'flex-1 min-w-0')} />
+                ) : (
+                  <button onClick={() => onFilterTag(tag)} title="Show items with this tag" className="flex-1 min-w-0 text-left text-[13px] font-medium text-slate-700 dark:text-slate-200 truncate hover:underline">#{tag}</button>
+                )}
+                <span className="text-[12px] tabular-nums text-slate-400 w-8 text-right shrink-0">{counts.get(tag)}</span>
+                <select value={parent} onChange={e => run(() => DV.tags.setMeta(tag, { parent: e.target.value || null }))} title="Parent tag" className={classNames(fieldCls, 'w-32 shrink-0 hidden sm:block')}>
+                  <option value="">No parent</option>
+                  {allNames.filter(t => t !== tag && !DV.tags.ancestors(t).includes(tag)).map(t => <option key={t} value={t}>#{t}</option>)}
+                </select>
+                <button onClick={() => { setEditing(tag); setEditValue(tag); }} title="Rename" className="w-7 h-7 flex items-center justify-center text-slate-400 hover:text-slate-700 dark:hover:text-white shrink-0"><Icon name="pencil" size={13} /></button>
+                <button onClick={() => { if (confirm(`Delete #${tag} from ${counts.get(tag)} item${counts.get(tag) === 1 ? '' : 's'}?`)) run(() => DV.tags.remove(tag), n => `Removed #${tag} from ${n} item${n === 1 ? '' : 's'}`); }} title="Delete" className="w-7 h-7 flex items-center justify-center text-slate-400 hover:text-red-500 shrink-0"><Icon name="trash-2" size={13} /></button>
+              </div>
+            );
+          })}
+        </div>
+      </section>
+
+      <section className="mb-8">
+        <div className="text-[11px] uppercase font-semibold text-slate-400 dark:text-slate-500 tracking-wider mb-1">Synonyms</div>
+        <p className="text-[12px] text-slate-400 dark:text-slate-500 mb-3">New AI tags matching a synonym are saved as its tag instead. Renamed and merged tags are added automatically.</p>
+        <div className="border border-slate-200 dark:border-white/5 rounded-xl divide-y divide-slate-100 dark:divide-white/5 bg-white dark:bg-zinc-900">
+          {Object.entries(tagConfig.synonyms).sort().map(([a, t]) => (
+            <div key={a} className="px-3 py-2 flex items-center gap-2 text-[13px]">
+              <span className="text-slate-500 dark:text-slate-400">#{a}</span>
+              <Icon name="arrow-right" size={12} className="text-slate-300" />
+              <span className="flex-1 font-medium text-slate-700 dark:text-slate-200">#{t}</span>
+              <button onClick={() => run(() => DV.tags.removeSynonym(a))} title="Remove synonym" className="w-7 h-7 flex items-center justify-center text-slate-400 hover:text-red-500"><Icon name="x" size={13} /></button>
+            </div>
+          ))}
+          <div className="p-3 flex flex-wrap items-center gap-2">
+            <input value={alias} onChange={e => setAlias(e.target.value)} placeholder="Synonym, e.g. ml" className={classNames(fieldCls, 'flex-1 min-w-[120px]')} />
+            <Icon name="arrow-right" size={12} className="text-slate-300" />
+            <input value={aliasTarget} onChange={e => setAliasTarget(e.target.value)} list="dv-tag-names" placeholder="Tag, e.g. machine-learning" className={classNames(fieldCls, 'flex-1 min-w-[120px]')} />
+            <datalist id="dv-tag-names">{allNames.map(t => <option key={t} value={t} />)}</datalist>
+            <button onClick={() => run(() => DV.tags.setSynonym(alias, aliasTarget).then(() => { setAlias(''); setAliasTarget(''); }))} disabled={!alias.trim() || !aliasTarget.trim()} className="h-8 px-3 rounded-lg bg-slate-900 dark:bg-white text-white dark:text-zinc-900 text-[13px] font-medium disabled:opacity-50">Add</button>
+          </div>
+        </div>
+      </section>
+    </div>
+  );
+}
+
+function FeedsView({ items, feedConfig }) {
+  const [url, setUrl] = useState('');
+  const [tags, setTags] = useState('');
+  const [filter, setFilter] = useState('');
+  const [intervalMin, setIntervalMin] = useState(DV.feeds.DEFAULT_INTERVAL);
+  const [backfill, setBackfill] = useState(false);
+  const [busy, setBusy] = useState(null);
+
+  const fieldCls = 'h-8 px-2.5 border border-slate-200 dark:border-white/10 bg-white dark:bg-zinc-950 rounded-md outline-none text-[13px] focus:ring-1 focus:ring-slate-300 dark:focus:ring-white/20';
+  const splitTags = (v) => String(v || '').split(',').map(t => DV.tags.normalize(t)).filter(Boolean);
+  const intervalLabel = (m) => (m < 60 ? `Every ${m} min` : m === 60 ? 'Hourly' : m === 1440 ? 'Daily' : `Every ${m / 60} h`);
+
+  const run = async (key, fn, done) => {
+    setBusy(key);
+    try { const n = await fn(); if (done) DV.toast(typeof done === 'function' ? done(n) : done); }
+    catch (e) { DV.toast(e.message, { type: 'error' }); }
+    finally { setBusy(null); }
+  };
+  const submit = () => run('subscribe', async () => {
+    const feed = await DV.feeds.subscribe(url, { tags: splitTags(tags), filter, intervalMin, backfill });
+    setUrl(''); setTags(''); setFilter(''); setBackfill(false);
+    return feed;
+  }, f => `Subscribed to ${f.title}`);
+  const added = (n) => (n ? `Queued ${n} new post${n === 1 ? '' : 's'}` : 'No new posts');
+
+  return (
+    <div className="max-w-2xl mx-auto px-5 py-8 pb-24">
+      <div className="mb-8">
+        <h1 className="text-2xl font-semibold text-slate-900 dark:text-white tracking-tight">Feeds</h1>
+        <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">Follow RSS, Atom and JSON feeds. New posts are queued for distillation while DistyVault is open.</p>
+      </div>
+
+      <section className="mb-8">
+        <div className="text-[11px] uppercase font-semibold text-slate-400 dark:text-slate-500 tracking-wider mb-3">Subscribe</div>
+        <div className="border border-slate-200 dark:border-white/5 rounded-xl p-4 bg-white dark:bg-zinc-900 space-y-3">
+          <input value={url} onChange={e => setUrl(e.target.value)} onKeyDown={e => { if (e.key === 'Enter' && url.trim()) submit(); }} placeholder="Feed URL, or a blog that links to one" className={classNames(fieldCls, 'w-full h-9')} />
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <input value={tags} onChange={e => setTags(e.target.value)} placeholder="Tags, e.g. newsletter, ai" className={fieldCls} />
+            <input value={filter} onChange={e => setFilter(e.target.value)} placeholder="Only titles matching, e.g. rust|wasm" className={fieldCls} />
+          </div>
+          <div className="flex flex-wrap items-center gap-3">
+            <select value={intervalMin} onChange={e => setIntervalMin(Number(e.target.value))} className={fieldCls}>
+              {DV.feeds.INTERVALS.map(m => <option key={m} value={m}>{intervalLabel(m)}</option>)}
+            </select>
+            <label className="flex items-center gap-2 text-[13px] text-slate-600 dark:text-slate-300">
+              <input type="checkbox" checked={backfill} onChange={e => setBackfill(e.target.checked)} className="accent-slate-900 dark:accent-white" />
+              Also queue posts already in the feed
+            </label>
+            <button onClick={submit} disabled={!url.trim() || busy === 'subscribe'} className="ml-auto h-8 px-3 rounded-lg bg-slate-900 dark:bg-white text-white dark:text-zinc-900 text-[13px] font-medium disabled:opacity-50">{busy === 'subscribe' ? 'Subscribing…' : 'Subscribe'}</button>
+          </div>
+        </div>
+      </section>
+
+      <section className="mb-8">
+        <div className="text-[11px] uppercase font-semibold text-slate-400 dark:text-slate-500 tracking-wider mb-3">{feedConfig.feeds.length} feed{feedConfig.feeds.length === 1 ? '' : 's'}</div>
+        <div className="border border-slate-200 dark:border-white/5 rounded-xl divide-y divide-slate-100 dark:divide-white/5 bg-white dark:bg-zinc-900">
+          {feedConfig.feeds.length === 0 && <div className="p-6 text-center text-[13px] text-slate-400">No feeds yet.</div>}
+          {feedConfig.feeds.map(f => {
+            const count = f.parentId ? items.filter(i => i.parentId === f.parentId).length : 0;
+            return (
+              <div key={f.id} className="p-3 space-y-2">
+                <div className="flex items-center gap-2">
+                  <Icon name="rss" size={14} className="text-slate-400 shrink-0" />
+                  <div className="flex-1 min-w-0">
+                    <div className="text-[13px] font-medium text-slate-700 dark:text-slate-200 truncate">{f.title}</div>
+                    <div className="text-[11px] text-slate-400 truncate">{f.url}</div>
+                  </div>
+                  <span className="text-[12px] tabular-nums text-slate-400 shrink-0" title="Posts queued from this feed">{count}</span>
+                  <button onClick={() => run(f.id, () => DV.feeds.check(f.id), added)} disabled={busy === f.id} title="Check now" className="w-7 h-7 flex items-center justify-center text-slate-400 hover:text-slate-700 dark:hover:text-white shrink-0 disabled:opacity-50"><Icon name="refresh-cw" size={13} /></button>
+                  <button onClick={() => { if (confirm(`Unsubscribe from ${f.title}? Posts already queued stay in the vault.`)) run(f.id, () => DV.feeds.unsubscribe(f.id)); }} title="Unsubscribe" className="w-7 h-7 flex items-center justify-center text-slate-400 hover:text-red-500 shrink-0"><Icon name="trash-2" size={13} /></button>
+                </div>
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 pl-6">
+                  <input key={`t${f.tags.join(',')}`} defaultValue={f.tags.join(', ')} onBlur={e => { const next = splitTags(e.target.value); if (next.join(',') !== f.tags.join(',')) run(null, () => DV.feeds.update(f.id, { tags: next })); }} placeholder="Tags" title="Tags added to new posts" className={fieldCls} />
+                  <input key={`f${f.filter}`} defaultValue={f.filter} onBlur={e => { if (e.target.value.trim() !== f.filter) run(null, () => DV.feeds.update(f.id, { filter: e.target.value })); }} placeholder="Only titles matching" title="Regular expression or text; leave empty to queue every post" className={fieldCls} />
+                  <select value={f.intervalMin} onChange={e => run(null, () => DV.feeds.update(f.id, { intervalMin: Number(e.target.value) }))} className={fieldCls}>
+                    {DV.feeds.INTERVALS.map(m => <option key={m} value={m}>{intervalLabel(m)}</option>)}
+                  </select>
+                </div>
+                <div className={classNames('pl-6 text-[11px]', f.error ? 'text-rose-500 dark:text-rose-400' : 'text-slate-400')}>
+                  {f.error ? `Last check failed: ${f.error}` : `Checked ${dayjs(f.lastChecked).format('DD/MM/YYYY HH:mm')}`}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </section>
+    </div>
+  );
+}
+
+function SettingsView({ settings, setSettings, onExport, onImport, items, profileConfig, modelCatalog }) {
   const [local, setLocal] = useState(settings);
   useEffect(() => { setLocal(settings); }, [settings]);
   const [testing, setTesting] = useState(false);
   const [dirty, setDirty] = useState(false);
   const [confirmDelete, setConfirmDelete] = useState(false);
+  const [recordings, setRecordings] = useState(0);
+
+  useEffect(() => {
+    const refresh = () => DV.aiProviders.mock.count().then(setRecordings).catch(() => {});
+    refresh();
+    return DV.bus.on('mock:recordings', refresh);
+  }, []);
+
+  const [semanticStats, setSemanticStats] = useState(null);
+  const [indexing, setIndexing] = useState(null);
+  useEffect(() => {
+    const refresh = () => DV.embeddings.stats().then(setSemanticStats).catch(() => {});
+    refresh();
+    const offUpdate = DV.bus.on('embeddings:update', refresh);
+    const offProgress = DV.bus.on('embeddings:progress', setIndexing);
+    return () => { offUpdate(); offProgress(); };
+  }, [settings]);
+
+  async function indexVault() {
+    setIndexing({ done: 0, total: 0 });
+    try {
+      const { indexed, failed } = await DV.embeddings.indexAll();
+      DV.toast(`Indexed ${indexed} item${indexed === 1 ? '' : 's'}${failed ? ` · ${failed} failed` : ''}`, { type: failed ? 'error' : 'success' });
+    } catch (e) { DV.toast(e.message || 'Indexing failed', { type: 'error' }); }
+    finally { setIndexing(null); DV.embeddings.stats().then(setSemanticStats).catch(() => {}); }
+  }
 
   const updateLocal = (u) => { setLocal(u); setDirty(true); };
 
@@ -478,26 +1071,64 @@ function SettingsView({ settings, setSettings, onExport, onImport, items }) {
   };
 
   const providers = [
-    { id: 'openai', name: 'OpenAI', models: [{ v: 'gpt-5.4', l: 'GPT-5.4' }, { v: 'gpt-5.4-mini', l: 'GPT-5.4 Mini' }, { v: 'gpt-5.4-nano', l: 'GPT-5.4 Nano' }] },
-    { id: 'anthropic', name: 'Anthropic', models: [{ v: 'claude-opus-4.7', l: 'Claude Opus 4.7' }, { v: 'claude-sonnet-4.6', l: 'Claude Sonnet 4.6' }] },
-    { id: 'gemini', name: 'Google', models: [{ v: 'gemini-3.1-pro', l: 'Gemini 3.1 Pro' }, { v: 'gemini-3.5-flash', l: 'Gemini 3.5 Flash' }, { v: 'gemini-3.1-flash-lite', l: 'Gemini 3.1 Flash-Lite' }] },
-    { id: 'deepseek', name: 'DeepSeek', models: [{ v: 'deepseek-v4-flash', l: 'DeepSeek V4 Flash' }, { v: 'deepseek-v4-pro', l: 'DeepSeek V4 Pro' }] },
-    { id: 'grok', name: 'xAI', models: [{ v: 'grok-4.3-beta', l: 'Grok 4.3 Beta' }, { v: 'grok-4.20', l: 'Grok 4.20' }, { v: 'grok-4.20-reasoning', l: 'Grok 4.20 Reasoning' }] }
+    { id: 'openai', name: 'OpenAI' },
+    { id: 'anthropic', name: 'Anthropic' },
+    { id: 'gemini', name: 'Google' },
+    { id: 'deepseek', name: 'DeepSeek' },
+    { id: 'grok', name: 'xAI' },
+    { id: 'custom', name: 'Custom', custom: true },
+    { id: 'mock', name: 'Mock', mock: true }
   ];
+  const modelsFor = (mode) => DV.ai.models.list(mode, modelCatalog);
+  const modelOption = (m) => <option key={m.id} value={m.id}>{m.label}{m.contextWindow ? ` · ${DV.pricing.formatTokens(m.contextWindow)} context` : ''}</option>;
+  const serverModels = modelsFor('custom');
 
   async function testKey() {
-    try { setTesting(true); await DV.ai.test(local.ai); DV.toast('Connection verified', { type: 'success' }); }
+    try {
+      setTesting(true);
+      const out = await DV.ai.test(local.ai);
+      if (Array.isArray(out?.models)) {
+        DV.toast(`Connection verified · ${out.models.length} model${out.models.length === 1 ? '' : 's'} available`, { type: 'success' });
+      } else DV.toast('Connection verified', { type: 'success' });
+    }
     catch (e) { DV.toast(e.message || 'Connection failed', { type: 'error' }); }
     finally { setTesting(false); }
   }
 
-  function save() { setSettings(local); setDirty(false); DV.toast('Settings saved'); }
+  const fallbacks = local.ai.fallbacks || [];
+  // Rate-limit budgets are kept per provider key: one row for each distinct key in the chain
+  const limitEntries = new Map([local.ai, ...fallbacks].filter(e => e?.mode).map(e => [DV.ai.limiter.keyFor(e), e]));
+
+  function save() {
+    // Budgets of keys that are no longer configured (a changed API key or URL) would linger unseen
+    const rateLimits = Object.fromEntries(Object.entries(local.rateLimits || {}).filter(([key]) => limitEntries.has(key)));
+    setSettings({ ...local, rateLimits });
+    setDirty(false);
+    DV.toast('Settings saved');
+  }
+
+  const setFallbacks = (next) => updateLocal({ ...local, ai: { ...local.ai, fallbacks: next } });
+  const editFallback = (idx, patch) => setFallbacks(fallbacks.map((f, i) => (i === idx ? { ...f, ...patch } : f)));
+  const moveFallback = (idx, dir) => {
+    const j = idx + dir;
+    if (j < 0 || j >= fallbacks.length) return;
+    const next = [...fallbacks];
+    [next[idx], next[j]] = [next[j], next[idx]];
+    setFallbacks(next);
+  };
 
   const inputCls = 'w-full h-10 px-3 border border-slate-200 dark:border-white/10 bg-white dark:bg-zinc-950 rounded-lg outline-none text-sm focus:ring-1 focus:ring-slate-300 dark:focus:ring-white/20 transition-shadow';
   const selectedProvider = providers.find(p => p.id === local.ai.mode);
+  const mock = { ...DV.aiProviders.mock.DEFAULTS, ...(local.ai.mock || {}) };
+  const setMock = (patch, aiPatch = {}) => updateLocal({ ...local, ai: { ...local.ai, ...aiPatch, mock: { ...mock, ...patch } } });
+  const providerModels = selectedProvider ? modelsFor(selectedProvider.id) : [];
+  const embeddings = local.embeddings || {};
+  const setEmbeddings = (patch) => updateLocal({ ...local, embeddings: { ...embeddings, ...patch } });
+  const canVerify = selectedProvider?.custom ? !!(local.ai.baseUrl || '').trim() : selectedProvider?.mock && mock.mode !== 'record' ? true : !!local.ai.apiKey;
 
   const completedCount = items?.filter(i => i.status === STATUS.COMPLETED).length || 0;
   const totalCount = items?.length || 0;
+  const totalCost = items?.reduce((sum, i) => sum + Number(i.cost || 0), 0) || 0;
 
   return (
     <div className="max-w-2xl mx-auto px-5 py-8 pb-24">
@@ -517,26 +1148,162 @@ function SettingsView({ settings, setSettings, onExport, onImport, items }) {
                 <Icon name="x-circle" size={16} /><span>None</span>
               </button>
               {providers.map(p => (
-                <button key={p.id} onClick={() => updateLocal({ ...local, ai: { ...local.ai, mode: p.id, model: '' } })} className={classNames('flex items-center gap-2 px-3 py-2.5 rounded-lg border text-[13px] font-medium transition-all', local.ai.mode === p.id ? 'border-slate-900 dark:border-white bg-slate-900 dark:bg-white text-white dark:text-zinc-900' : 'border-slate-200 dark:border-white/10 text-slate-600 dark:text-slate-400 hover:border-slate-300 dark:hover:border-white/20')}>
-                  <ProviderLogo id={p.id} size={16} /><span>{p.name}</span>
+                <button key={p.id} onClick={() => { updateLocal({ ...local, ai: { ...local.ai, mode: p.id, model: '' } }); }} className={classNames('flex items-center gap-2 px-3 py-2.5 rounded-lg border text-[13px] font-medium transition-all', local.ai.mode === p.id ? 'border-slate-900 dark:border-white bg-slate-900 dark:bg-white text-white dark:text-zinc-900' : 'border-slate-200 dark:border-white/10 text-slate-600 dark:text-slate-400 hover:border-slate-300 dark:hover:border-white/20')}>
+                  {p.custom ? <Icon name="server" size={16} /> : p.mock ? <Icon name="flask-conical" size={16} /> : <ProviderLogo id={p.id} size={16} />}<span>{p.name}</span>
                 </button>
               ))}
             </div>
           </div>
-          {selectedProvider && (
+          {selectedProvider?.custom && (
+            <div className="p-4 space-y-3">
+              <div>
+                <div className="text-[13px] font-medium text-slate-700 dark:text-slate-300 mb-2">Base URL</div>
+                <input value={local.ai.baseUrl || ''} onChange={e => updateLocal({ ...local, ai: { ...local.ai, baseUrl: e.target.value } })} className={classNames(inputCls, 'font-mono')} placeholder="http://localhost:11434/v1" />
+                <div className="text-[12px] text-slate-400 dark:text-slate-500 mt-1">Any server speaking the OpenAI chat completions protocol: Ollama, LM Studio, vLLM, llama.cpp…</div>
+              </div>
+              <div>
+                <div className="text-[13px] font-medium text-slate-700 dark:text-slate-300 mb-2">Model</div>
+                <div className="flex gap-2">
+                  <input value={local.ai.model || ''} onChange={e => updateLocal({ ...local, ai: { ...local.ai, model: e.target.value } })} className={classNames(inputCls, 'flex-1 font-mono')} placeholder="e.g. llama3.1:8b" />
+                  {serverModels.length > 0 && (
+                    <select value={serverModels.some(m => m.id === local.ai.model) ? local.ai.model : ''} onChange={e => updateLocal({ ...local, ai: { ...local.ai, model: e.target.value } })} className={classNames(inputCls, 'w-48')}>
+                      <option value="" disabled>Server models ({serverModels.length})</option>
+                      {serverModels.map(modelOption)}
+                    </select>
+                  )}
+                </div>
+                {serverModels.length === 0 && <div className="text-[12px] text-slate-400 dark:text-slate-500 mt-1">Press Verify to list the models served at this URL.</div>}
+              </div>
+              <div>
+                <div className="text-[13px] font-medium text-slate-700 dark:text-slate-300 mb-2">Extra Headers</div>
+                <textarea value={local.ai.headers || ''} onChange={e => updateLocal({ ...local, ai: { ...local.ai, headers: e.target.value } })} rows={2} className="w-full px-3 py-2 border border-slate-200 dark:border-white/10 bg-white dark:bg-zinc-950 rounded-lg outline-none text-[13px] font-mono focus:ring-1 focus:ring-slate-300 dark:focus:ring-white/20" placeholder="X-Api-Version: 2024-01-01" />
+                <div className="text-[12px] text-slate-400 dark:text-slate-500 mt-1">Optional, one "Name: value" pair per line.</div>
+              </div>
+            </div>
+          )}
+          {selectedProvider?.mock && (
+            <div className="p-4 space-y-3">
+              <div>
+                <div className="text-[13px] font-medium text-slate-700 dark:text-slate-300 mb-2">Mode</div>
+                <div className="grid grid-cols-2 gap-2">
+                  {[{ v: 'replay', l: 'Replay', d: 'Answer offline from recordings or synthetic Markdown' }, { v: 'record', l: 'Record', d: 'Call a real provider and keep its responses' }].map(o => (
+                    <button key={o.v} onClick={() => setMock({ mode: o.v })} className={classNames('text-left px-3 py-2 rounded-lg border transition-all', mock.mode === o.v ? 'border-slate-900 dark:border-white bg-slate-50 dark:bg-white/5' : 'border-slate-200 dark:border-white/10 hover:border-slate-300 dark:hover:border-white/20')}>
+                      <div className="text-[13px] font-medium text-slate-800 dark:text-slate-200">{o.l}</div>
+                      <div className="text-[12px] text-slate-400 dark:text-slate-500">{o.d}</div>
+                    </button>
+                  ))}
+                </div>
+              </div>
+              {mock.mode === 'record' ? (
+                <div className="flex gap-2">
+                  <select value={mock.target} onChange={e => { setMock({ target: e.target.value }, { model: '' }); }} className={classNames(inputCls, 'w-40')}>
+                    <option value="" disabled>Record from</option>
+                    {providers.filter(p => !p.custom && !p.mock).map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                  </select>
+                  <select value={local.ai.model} onChange={e => updateLocal({ ...local, ai: { ...local.ai, model: e.target.value } })} disabled={!mock.target} className={classNames(inputCls, 'flex-1')}>
+                    <option value="" disabled>Model</option>
+                    {(mock.target ? modelsFor(mock.target) : []).map(modelOption)}
+                  </select>
+                </div>
+              ) : (
+                <>
+                  <div className="grid grid-cols-3 gap-2">
+                    <label className="block">
+                      <div className="text-[12px] text-slate-500 dark:text-slate-400 mb-1">Latency (ms)</div>
+                      <input type="number" min="0" step="100" value={mock.latencyMs} onChange={e => setMock({ latencyMs: Math.max(0, parseInt(e.target.value) || 0) })} className={inputCls} />
+                    </label>
+                    <label className="block">
+                      <div className="text-[12px] text-slate-500 dark:text-slate-400 mb-1">Inject failure</div>
+                      <select value={mock.failure} onChange={e => setMock({ failure: e.target.value })} className={inputCls}>
+                        <option value="">None</option>
+                        <option value="rate-limit">429 Rate limit</option>
+                        <option value="quota">402 Quota</option>
+                        <option value="server">503 Server error</option>
+                        <option value="timeout">Timeout</option>
+                      </select>
+                    </label>
+                    <label className="block">
+                      <div className="text-[12px] text-slate-500 dark:text-slate-400 mb-1">Failing attempts</div>
+                      <select value={mock.failAttempts} onChange={e => setMock({ failAttempts: parseInt(e.target.value) })} disabled={!mock.failure} className={inputCls}>
+                        <option value={1}>First attempt</option>
+                        <option value={2}>First 2 attempts</option>
+                        <option value={3}>First 3 attempts</option>
+                        <option value={0}>Every attempt</option>
+                      </select>
+                    </label>
+                  </div>
+                  <div>
+                    <div className="text-[12px] text-slate-500 dark:text-slate-400 mb-1">Synthetic reply for unrecorded prompts</div>
+                    <textarea value={mock.template} onChange={e => setMock({ template: e.target.value })} rows={4} className="w-full px-3 py-2 border border-slate-200 dark:border-white/10 bg-white dark:bg-zinc-950 rounded-lg outline-none text-[12px] font-mono focus:ring-1 focus:ring-slate-300 dark:focus:ring-white/20" placeholder={DV.aiProviders.mock.DEFAULT_TEMPLATE} />
+                    <div className="text-[12px] text-slate-400 dark:text-slate-500 mt-1">Variables: <code>{'{title}'}</code> <code>{'{hash}'}</code> <code>{'{points}'}</code> <code>{'{excerpt}'}</code> · leave empty for the default</div>
+                  </div>
+                </>
+              )}
+              <div className="flex items-center justify-between text-[12px] text-slate-500 dark:text-slate-400">
+                <span>{recordings} recorded response{recordings === 1 ? '' : 's'}</span>
+                <button onClick={() => { if (confirm('Delete all recorded responses?')) DV.aiProviders.mock.clear(); }} disabled={!recordings} className="text-red-500 hover:text-red-600 disabled:opacity-40">Clear recordings</button>
+              </div>
+            </div>
+          )}
+          {selectedProvider && !selectedProvider.custom && !selectedProvider.mock && (
             <div className="p-4">
               <div className="text-[13px] font-medium text-slate-700 dark:text-slate-300 mb-2">Model</div>
               <select value={local.ai.model} onChange={e => updateLocal({ ...local, ai: { ...local.ai, model: e.target.value } })} className={inputCls}>
                 <option value="" disabled>Select a model</option>
-                {selectedProvider.models.map(m => <option key={m.v} value={m.v}>{m.l}</option>)}
+                <optgroup label="Recommended">{providerModels.filter(m => m.builtin).map(modelOption)}</optgroup>
+                {providerModels.some(m => !m.builtin) && <optgroup label="Available with your key">{providerModels.filter(m => !m.builtin).map(modelOption)}</optgroup>}
               </select>
+              <div className="text-[12px] text-slate-400 dark:text-slate-500 mt-1">
+                {modelCatalog?.[selectedProvider.id]?.fetchedAt
+                  ? `Model list fetched ${dayjs(modelCatalog[selectedProvider.id].fetchedAt).format('DD/MM/YYYY HH:mm')}. Press Verify to refresh it.`
+                  : 'Press Verify to load every model your key can use.'}
+              </div>
             </div>
           )}
           <div className="p-4">
             <div className="text-[13px] font-medium text-slate-700 dark:text-slate-300 mb-2">API Key</div>
             <div className="flex gap-2">
-              <input type="password" value={local.ai.apiKey} onChange={e => updateLocal({ ...local, ai: { ...local.ai, apiKey: e.target.value } })} className={classNames(inputCls, 'flex-1 font-mono')} placeholder={selectedProvider ? `${selectedProvider.name} API key` : 'Select a provider first'} disabled={!local.ai.mode} />
-              <button onClick={testKey} disabled={testing || !local.ai.apiKey} className={classNames('h-10 px-4 rounded-lg border text-[13px] font-medium transition-all', testing ? 'opacity-50 border-slate-200 dark:border-white/10' : local.ai.apiKey ? 'border-emerald-200 dark:border-emerald-800 text-emerald-700 dark:text-emerald-400 hover:bg-emerald-50 dark:hover:bg-emerald-900/20' : 'border-slate-200 dark:border-white/10 text-slate-400 cursor-not-allowed')}>{testing ? <Icon name="loader" size={14} className="animate-spin" /> : 'Verify'}</button>
+              <input type="password" value={local.ai.apiKey} onChange={e => updateLocal({ ...local, ai: { ...local.ai, apiKey: e.target.value } })} className={classNames(inputCls, 'flex-1 font-mono')} placeholder={selectedProvider?.custom ? 'API key (optional)' : selectedProvider?.mock ? (mock.mode === 'record' ? `${providers.find(p => p.id === mock.target)?.name || 'Target'} API key` : 'Not needed for replay') : selectedProvider ? `${selectedProvider.name} API key` : 'Select a provider first'} disabled={!local.ai.mode || (selectedProvider?.mock && mock.mode !== 'record')} />
+              <button onClick={testKey} disabled={testing || !canVerify} className={classNames('h-10 px-4 rounded-lg border text-[13px] font-medium transition-all', testing ? 'opacity-50 border-slate-200 dark:border-white/10' : canVerify ? 'border-emerald-200 dark:border-emerald-800 text-emerald-700 dark:text-emerald-400 hover:bg-emerald-50 dark:hover:bg-emerald-900/20' : 'border-slate-200 dark:border-white/10 text-slate-400 cursor-not-allowed')}>{testing ? <Icon name="loader" size={14} className="animate-spin" /> : 'Verify'}</button>
+            </div>
+          </div>
+          <div className="p-4">
+            <div className="flex items-center justify-between mb-2">
+              <div>
+                <div className="text-[13px] font-medium text-slate-700 dark:text-slate-300">Fallback Providers</div>
+                <div className="text-[12px] text-slate-400 dark:text-slate-500 mt-0.5">Tried in order when the provider above fails on auth, quota, rate limits or outages</div>
+              </div>
+              <button onClick={() => setFallbacks([...fallbacks, { mode: '', model: '', apiKey: '' }])} className="h-8 px-3 rounded-lg border border-slate-200 dark:border-white/10 text-[13px] font-medium text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-white/5 flex items-center gap-1.5"><Icon name="plus" size={13} />Add</button>
+            </div>
+            {fallbacks.length === 0 && <div className="text-[12px] text-slate-400 dark:text-slate-500">No fallbacks configured.</div>}
+            <div className="space-y-2">
+              {fallbacks.map((f, idx) => {
+                const prov = providers.find(p => p.id === f.mode);
+                return (
+                  <div key={idx} className="flex flex-wrap sm:flex-nowrap items-center gap-2">
+                    <span className="w-5 text-[12px] text-slate-400 tabular-nums text-center">{idx + 1}</span>
+                    <select value={f.mode} onChange={e => editFallback(idx, { mode: e.target.value, model: '', baseUrl: '' })} className={classNames(inputCls, 'sm:w-32 h-9')}>
+                      <option value="" disabled>Provider</option>
+                      {providers.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                    </select>
+                    {prov?.custom ? (
+                      <>
+                        <input value={f.baseUrl || ''} onChange={e => editFallback(idx, { baseUrl: e.target.value })} placeholder="Base URL" className={classNames(inputCls, 'sm:w-44 h-9 font-mono')} />
+                        <input value={f.model} onChange={e => editFallback(idx, { model: e.target.value })} placeholder="Model" className={classNames(inputCls, 'sm:w-32 h-9 font-mono')} />
+                      </>
+                    ) : (
+                      <select value={f.model} onChange={e => editFallback(idx, { model: e.target.value })} disabled={!prov} className={classNames(inputCls, 'sm:w-44 h-9')}>
+                        <option value="" disabled>Model</option>
+                        {(prov ? modelsFor(prov.id) : []).map(modelOption)}
+                      </select>
+                    )}
+                    <input type="password" value={f.apiKey} onChange={e => editFallback(idx, { apiKey: e.target.value })} placeholder={prov?.custom ? 'API key (optional)' : 'API key'} className={classNames(inputCls, 'flex-1 h-9 font-mono')} />
+                    <button onClick={() => moveFallback(idx, -1)} disabled={idx === 0} title="Move up" className="w-7 h-7 flex items-center justify-center text-slate-400 hover:text-slate-700 dark:hover:text-white disabled:opacity-30"><Icon name="chevron-up" size={14} /></button>
+                    <button onClick={() => moveFallback(idx, 1)} disabled={idx === fallbacks.length - 1} title="Move down" className="w-7 h-7 flex items-center justify-center text-slate-400 hover:text-slate-700 dark:hover:text-white disabled:opacity-30"><Icon name="chevron-down" size={14} /></button>
+                    <button onClick={() => setFallbacks(fallbacks.filter((_, i) => i !== idx))} title="Remove" className="w-7 h-7 flex items-center justify-center text-slate-400 hover:text-red-500"><Icon name="x" size={14} /></button>
+                  </div>
+                );
+              })}
             </div>
           </div>
         </div>
@@ -555,9 +1322,132 @@ function SettingsView({ settings, setSettings, onExport, onImport, items }) {
           </div>
           <input type="range" min="1" max="10" value={local.concurrency} onChange={e => updateLocal({ ...local, concurrency: parseInt(e.target.value) })} className="w-full accent-slate-900 dark:accent-white" />
           <div className="flex justify-between text-[11px] text-slate-400 mt-1"><span>Sequential</span><span>Parallel</span></div>
+          <div className="mt-5 pt-4 border-t border-slate-100 dark:border-white/5">
+            <div className="text-[13px] font-medium text-slate-700 dark:text-slate-300">Rate Limits</div>
+            <div className="text-[12px] text-slate-400 dark:text-slate-500 mt-0.5 mb-3">Requests and tokens per minute for each provider key, across all jobs. Calls beyond the budget wait in line. Leave empty to use the limits the provider reports, if any.</div>
+            <div className="space-y-2">
+              {Array.from(limitEntries.entries()).map(([key, entry], _, rows) => {
+                const limits = local.rateLimits?.[key] || {};
+                const learned = DV.ai.limiter.limitsFor(key);
+                const setLimit = (field, value) => updateLocal({ ...local, rateLimits: { ...(local.rateLimits || {}), [key]: { ...limits, [field]: Math.max(0, parseInt(value, 10) || 0) || undefined } } });
+                // Tell apart several keys for the same provider by their last characters
+                const shared = rows.filter(([, e]) => e.mode === entry.mode).length > 1;
+                const hint = shared ? (entry.apiKey ? `key …${String(entry.apiKey).slice(-4)}` : entry.baseUrl || 'no key') : '';
+                return (
+                  <div key={key} className="flex items-center gap-2">
+                    <div className="flex-1 min-w-0 text-[13px] text-slate-600 dark:text-slate-300 truncate">{DV.ai.providerLabel(entry.mode)}{hint && <span className="ml-1.5 text-[11px] text-slate-400 font-mono">{hint}</span>}</div>
+                    <input type="number" min="0" value={limits.rpm || ''} onChange={e => setLimit('rpm', e.target.value)} placeholder={learned.rpm && !limits.rpm ? String(learned.rpm) : 'No limit'} className={classNames(inputCls, 'w-28 h-9')} title="Requests per minute" />
+                    <span className="text-[11px] text-slate-400 w-8">RPM</span>
+                    <input type="number" min="0" value={limits.tpm || ''} onChange={e => setLimit('tpm', e.target.value)} placeholder={learned.tpm && !limits.tpm ? String(learned.tpm) : 'No limit'} className={classNames(inputCls, 'w-28 h-9')} title="Tokens per minute" />
+                    <span className="text-[11px] text-slate-400 w-8">TPM</span>
+                  </div>
+                );
+              })}
+              {!local.ai.mode && <div className="text-[12px] text-slate-400">Choose a provider first.</div>}
+            </div>
+          </div>
+          <div className="flex justify-between items-center mt-5 pt-4 border-t border-slate-100 dark:border-white/5">
+            <div>
+              <div className="text-[13px] font-medium text-slate-700 dark:text-slate-300">Live Preview</div>
+              <div className="text-[12px] text-slate-400 dark:text-slate-500 mt-0.5">Stream provider output into the viewer while an item distills</div>
+            </div>
+            <Toggle checked={local.ai.stream !== false} onChange={v => updateLocal({ ...local, ai: { ...local.ai, stream: v } })} />
+          </div>
+          <div className="flex justify-between items-center mt-4 pt-4 border-t border-slate-100 dark:border-white/5">
+            <div>
+              <div className="text-[13px] font-medium text-slate-700 dark:text-slate-300">Structured Output</div>
+              <div className="text-[12px] text-slate-400 dark:text-slate-500 mt-0.5">Extra JSON pass for key points, quotes, action items, entities and tags</div>
+            </div>
+            <Toggle checked={!!local.ai.structured} onChange={v => updateLocal({ ...local, ai: { ...local.ai, structured: v } })} />
+          </div>
+          <div className="flex justify-between items-center gap-4 mt-4 pt-4 border-t border-slate-100 dark:border-white/5">
+            <div>
+              <div className="text-[13px] font-medium text-slate-700 dark:text-slate-300">Continue Cut-off Output</div>
+              <div className="text-[12px] text-slate-400 dark:text-slate-500 mt-0.5">When a response stops at the model's output limit, ask for the rest up to this many times</div>
+            </div>
+            <select value={local.ai.maxContinuations ?? 3} onChange={e => updateLocal({ ...local, ai: { ...local.ai, maxContinuations: parseInt(e.target.value) } })} className={classNames(inputCls, 'w-44 h-9 shrink-0')}>
+              <option value={0}>Off</option>
+              {[1, 2, 3, 5].map(n => <option key={n} value={n}>{n} time{n === 1 ? '' : 's'}</option>)}
+            </select>
+          </div>
+          <div className="flex justify-between items-center gap-4 mt-4 pt-4 border-t border-slate-100 dark:border-white/5">
+            <div>
+              <div className="text-[13px] font-medium text-slate-700 dark:text-slate-300">Images & Scanned PDFs</div>
+              <div className="text-[12px] text-slate-400 dark:text-slate-500 mt-0.5">Read them with local OCR, or send page images to the selected model to transcribe text, tables, diagrams and handwriting</div>
+            </div>
+            <select value={local.ai.vision || ''} onChange={e => updateLocal({ ...local, ai: { ...local.ai, vision: e.target.value } })} className={classNames(inputCls, 'w-44 h-9 shrink-0')}>
+              <option value="">Local OCR</option>
+              <option value="scans">Vision model</option>
+              <option value="all">Vision model, every PDF</option>
+            </select>
+          </div>
+          <div className="flex justify-between items-center gap-4 mt-4 pt-4 border-t border-slate-100 dark:border-white/5">
+            <div>
+              <div className="text-[13px] font-medium text-slate-700 dark:text-slate-300">Output Language</div>
+              <div className="text-[12px] text-slate-400 dark:text-slate-500 mt-0.5">Language of distillations; items can override it from the selection bar</div>
+            </div>
+            <select value={local.ai.outputLanguage || ''} onChange={e => updateLocal({ ...local, ai: { ...local.ai, outputLanguage: e.target.value } })} className={classNames(inputCls, 'w-44 h-9 shrink-0')}>
+              <option value="">Model default</option>
+              {DV.language.LANGUAGES.map(l => <option key={l.code} value={l.code}>{l.name}</option>)}
+            </select>
+          </div>
         </div>
       </section>
 
+      {/* Semantic Search */}
+      <section className="mb-8">
+        <div className="text-[11px] uppercase font-semibold text-slate-400 dark:text-slate-500 tracking-wider mb-3">Semantic Search</div>
+        <div className="border border-slate-200 dark:border-white/5 rounded-xl p-4 bg-white dark:bg-zinc-900">
+          <div className="flex justify-between items-center gap-4">
+            <div>
+              <div className="text-[13px] font-medium text-slate-700 dark:text-slate-300">Embedding Provider</div>
+              <div className="text-[12px] text-slate-400 dark:text-slate-500 mt-0.5">Embeds completed distillations so the palette can search them by meaning (Tab in the palette)</div>
+            </div>
+            <select value={embeddings.mode || ''} onChange={e => setEmbeddings({ mode: e.target.value, model: '' })} className={classNames(inputCls, 'w-44 h-9 shrink-0')}>
+              <option value="">Off</option>
+              <option value="openai">OpenAI</option>
+              <option value="gemini">Google</option>
+              <option value="custom">Custom server</option>
+              <option value="mock">Mock (offline)</option>
+            </select>
+          </div>
+          {embeddings.mode && (
+            <div className="mt-4 pt-4 border-t border-slate-100 dark:border-white/5 space-y-3">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <label className="block">
+                  <div className="text-[12px] text-slate-500 dark:text-slate-400 mb-1">Model</div>
+                  <input value={embeddings.model || ''} onChange={e => setEmbeddings({ model: e.target.value })} placeholder={DV.embeddings.DEFAULT_MODELS[embeddings.mode] || 'e.g. nomic-embed-text'} className={classNames(inputCls, 'font-mono')} />
+                </label>
+                {embeddings.mode === 'custom' ? (
+                  <label className="block">
+                    <div className="text-[12px] text-slate-500 dark:text-slate-400 mb-1">Base URL</div>
+                    <input value={embeddings.baseUrl || ''} onChange={e => setEmbeddings({ baseUrl: e.target.value })} placeholder={local.ai.mode === 'custom' && local.ai.baseUrl ? `Same as AI provider (${local.ai.baseUrl})` : 'http://localhost:11434'} className={classNames(inputCls, 'font-mono')} />
+                  </label>
+                ) : embeddings.mode !== 'mock' && (
+                  <label className="block">
+                    <div className="text-[12px] text-slate-500 dark:text-slate-400 mb-1">API Key</div>
+                    <input type="password" value={embeddings.apiKey || ''} onChange={e => setEmbeddings({ apiKey: e.target.value })} placeholder="Same as AI provider" className={inputCls} />
+                  </label>
+                )}
+              </div>
+              <div className="flex items-center justify-between gap-4">
+                <div className="text-[12px] text-slate-400 dark:text-slate-500">
+                  {indexing ? `Indexing ${indexing.done} of ${indexing.total}…`
+                    : semanticStats ? `${semanticStats.indexed} of ${semanticStats.items} completed items indexed · ${semanticStats.passages} passages` : ''}
+                </div>
+                <button onClick={indexVault} disabled={!!indexing || dirty} title={dirty ? 'Save settings first' : undefined} className="h-8 px-3 rounded-lg border border-slate-200 dark:border-white/10 text-[13px] font-medium text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-white/5 transition-colors flex items-center gap-1.5 shrink-0 disabled:opacity-50">
+                  <Icon name={indexing ? 'loader' : 'sparkles'} size={14} className={indexing ? 'animate-spin' : undefined} />Index Vault
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </section>
+
+      <ProfilesSection config={profileConfig} />
+
+      <UsageSection items={items} />
+
       {/* Data Management */}
       <section className="mb-8">
         <div className="text-[11px] uppercase font-semibold text-slate-400 dark:text-slate-500 tracking-wider mb-3">Data Management</div>
@@ -565,7 +1455,7 @@ function SettingsView({ settings, setSettings, onExport, onImport, items }) {
           <div className="p-4 flex items-center justify-between">
             <div>
               <div className="text-[13px] font-medium text-slate-700 dark:text-slate-300">Vault Statistics</div>
-              <div className="text-[12px] text-slate-400 dark:text-slate-500 mt-0.5">{totalCount} items · {completedCount} completed</div>
+              <div className="text-[12px] text-slate-400 dark:text-slate-500 mt-0.5">{totalCount} items · {completedCount} completed · {DV.pricing.formatCost(totalCost)} estimated spend</div>
             </div>
           </div>
           <div className="p-4 flex items-center justify-between">
@@ -596,7 +1486,7 @@ function SettingsView({ settings, setSettings, onExport, onImport, items }) {
             </div>
             <button onClick={() => { 
               if (confirmDelete) { 
-                DV.db.clear('items').then(() => DV.db.clear('contents')).then(() => DV.db.clear('settings')).then(() => window.location.reload()); 
+                DV.queue.clearAll().then(() => DV.db.clear('settings')).then(() => window.location.reload()); 
               } else { 
                 setConfirmDelete(true); 
                 setTimeout(() => setConfirmDelete(false), 3000); 
@@ -638,12 +1528,20 @@ function App() {
 
   const [theme, setThemeState] = useState(localStorage.getItem('dv.theme') || 'system');
   const [viewItem, setViewItem] = useState(null);
+  const [viewFocus, setViewFocus] = useState(null);
   const [errorItem, setErrorItem] = useState(null);
   const [appView, setAppView] = useState('vault');
   const [sidebarCollapsed, setSidebarCollapsed] = useState(() => localStorage.getItem('dv.sidebar') === 'collapsed');
   const [settings, setSettings] = useState({ ai: { mode: '', model: '', apiKey: '' }, concurrency: 1 });
+  const [profileConfig, setProfileConfig] = useState(() => DV.profiles.getConfig());
+  const [tagConfig, setTagConfig] = useState(() => DV.tags.getConfig());
+  const [feedConfig, setFeedConfig] = useState(() => DV.feeds.getConfig());
+  const [modelCatalog, setModelCatalog] = useState(() => DV.ai.models.getCatalog());
+  const [queuePause, setQueuePause] = useState(() => DV.queue.getPaused());
+  const [rateWaits, setRateWaits] = useState({});
   const [tagFilter, setTagFilter] = useState('');
   const [tagEditorOpen, setTagEditorOpen] = useState(false);
+  const [flashcardsOpen, setFlashcardsOpen] = useState(false);
   const [expandedIds, setExpandedIds] = useState(new Set());
   const [cmdOpen, setCmdOpen] = useState(false);
   const [isDragging, setIsDragging] = useState(false);
@@ -658,6 +1556,9 @@ function App() {
     }
   }, [appView]);
 
+  // A passage focus only applies to the viewer it was opened with
+  useEffect(() => { if (!viewItem) setViewFocus(null); }, [viewItem]);
+
   const handleItemAdded = useCallback((record) => {
     setItems(prev => {
       if (prev.some(i => i.id === record.id)) return prev;
@@ -675,12 +1576,19 @@ function App() {
     const offUpd = DV.bus.on('items:updated', handleItemUpdated);
     const offLoad = DV.bus.on('items:loaded', (i) => setItems(i));
     const offErr = DV.bus.on('ui:openError', setErrorItem);
+    const offProfiles = DV.bus.on('profiles:update', setProfileConfig);
+    const offTags = DV.bus.on('tags:update', (c) => setTagConfig({ ...c }));
+    const offFeeds = DV.bus.on('feeds:update', (c) => setFeedConfig({ ...c }));
+    const offModels = DV.bus.on('models:update', (c) => setModelCatalog({ ...c }));
+    const offPause = DV.bus.on('queue:paused', setQueuePause);
+    const offLimiter = DV.bus.on('ai:limiter', (e) => setRateWaits(e.waits));
 
     DV.queue.loadSettings().then(() => setSettings(DV.queue.getSettings()));
-    DV.queue.loadQueue();
+    Promise.all([DV.profiles.load(), DV.pricing.load(), DV.tags.load(), DV.ai.models.load(), DV.feeds.load()]).finally(() => { DV.queue.loadQueue(); DV.feeds.start(); });
 
     return () => {
-      offAdd(); offUpd(); offLoad(); offErr();
+      offAdd(); offUpd(); offLoad(); offErr(); offProfiles(); offTags(); offFeeds(); offModels(); offPause(); offLimiter();
+      DV.feeds.stop();
     };
   }, [handleItemAdded, handleItemUpdated]);
 
@@ -697,7 +1605,7 @@ function App() {
         else if (viewItem) setViewItem(null);
         else if (errorItem) setErrorItem(null);
         else if (tagEditorOpen) setTagEditorOpen(false);
-        else if (appView === 'settings') setAppView('vault');
+        else if (appView !== 'vault') setAppView('vault');
         return;
       }
       if (inInput) return;
@@ -705,7 +1613,7 @@ function App() {
       if ((e.key === 'Delete' || e.key === 'Backspace') && selected.length > 0) {
         e.preventDefault();
         if (confirm('Delete ' + selected.length + ' item(s)?')) {
-          Promise.all(selected.map(id => DV.db.del('items', id))).then(() => { setSelected([]); DV.queue.loadQueue(); });
+          DV.queue.removeItems(selected).then(() => setSelected([]));
         }
       }
     }
@@ -734,8 +1642,8 @@ function App() {
   const displayItems = useMemo(() => {
     const q = search.toLowerCase();
     const filtered = items.filter(i => {
-      if (filter !== 'all' && i.kind !== filter && !(filter === 'youtube' && i.kind === 'playlist')) return false;
-      if (tagFilter && !(i.tags || []).includes(tagFilter)) return false;
+      if (filter !== 'all' && i.kind !== filter && !(FILTER_KINDS[filter] || []).includes(i.kind)) return false;
+      if (tagFilter && !(i.tags || []).some(t => DV.tags.matches(t, tagFilter))) return false;
       if (!q) return true;
       return i.title?.toLowerCase().includes(q) || i.url?.toLowerCase().includes(q);
     }).sort((a, b) => {
@@ -750,7 +1658,10 @@ function App() {
     const parents = filtered.filter(i => !i.parentId);
     parents.forEach(p => { out.push(p); if (expandedIds.has(p.id)) { filtered.filter(c => c.parentId === p.id).forEach(c => out.push(c)); } });
     return out;
-  }, [items, filter, tagFilter, search, sort, expandedIds]);
+  }, [items, filter, tagFilter, search, sort, expandedIds, tagConfig]);
+
+  // An EPUB becomes a book with one child item per chapter
+  const addFile = (f) => (DV.extractors.isEpub(f) ? DV.queue.addBook(f) : DV.queue.addItem({ kind: 'file', title: f.name, file: f }));
 
   const handleCapture = async (url, files) => {
     try {
@@ -766,14 +1677,41 @@ function App() {
           if (peek?.title) await DV.queue.updateItem(r.id, { title: peek.title });
         }
       }
-      await Promise.all(files.map(f => DV.queue.addItem({ kind: 'file', title: f.name, file: f })));
+      await Promise.all(files.map(addFile));
       if (url || files.length) DV.toast('Items processing');
     } catch (e) { DV.toast(e.message, { type: 'error' }); }
   };
 
   const handleFileDrop = async (files) => {
-    await Promise.all(Array.from(files).map(f => DV.queue.addItem({ kind: 'file', title: f.name, file: f })));
-    if (files.length) DV.toast('Files added');
+    try {
+      await Promise.all(Array.from(files).map(addFile));
+      if (files.length) DV.toast('Files added');
+    } catch (e) { DV.toast(e.message, { type: 'error' }); }
+  };
+
+  const handleRerunProfile = async (profileId) => {
+    const targets = items.filter(i => selected.includes(i.id) && !DV.queue.isGroup(i));
+    if (!targets.length) return;
+    await Promise.all(targets.map(i => DV.queue.rerunWithProfile(i.id, profileId)));
+    setSelected([]);
+    const name = profileId ? DV.profiles.get(profileId)?.name : 'automatic profile';
+    DV.toast(`Re-running ${targets.length} item${targets.length > 1 ? 's' : ''} with ${name}`);
+  };
+
+  const handleSetLanguage = async (code) => {
+    const ids = items.filter(i => selected.includes(i.id) && !DV.queue.isGroup(i)).map(i => i.id);
+    if (!ids.length) return;
+    await DV.queue.setOutputLanguage(ids, code);
+    DV.toast(code ? `${DV.language.name(code)} will be used the next time ${ids.length > 1 ? 'these items run' : 'this item runs'}` : 'Using the global output language');
+  };
+
+  const handleSynthesize = async () => {
+    const sources = items.filter(i => selected.includes(i.id) && i.status === STATUS.COMPLETED && !DV.queue.isGroup(i));
+    if (sources.length < 2) { DV.toast('Select at least two completed items to synthesize', { type: 'error' }); return; }
+    const title = `Synthesis: ${sources[0].title} + ${sources.length - 1} more`;
+    await DV.queue.addItem({ kind: 'synthesis', title, sourceIds: sources.map(i => i.id) });
+    setSelected([]);
+    DV.toast(`Synthesizing ${sources.length} items`);
   };
 
   const handleExport = async () => {
@@ -802,7 +1740,7 @@ function App() {
     try {
       for (const it of targets) {
         await yieldToBrowser();
-        const content = await DV.db.get('contents', it.id);
+        const [content, chat] = await Promise.all([DV.db.get('contents', it.id), DV.db.get('chats', it.id)]);
         if (!content || !content.html) continue;
 
         const helper = new DOMParser().parseFromString(content.html, 'text/html');
@@ -846,7 +1784,7 @@ function App() {
                 <div style="font-size: 14px; color: #64748b; margin-bottom: 8px;"><strong>Source:</strong> <a href="${escapeH(it.url || '')}" style="color: #2563eb; text-decoration: none;">${escapeH(sourceUrl)}</a></div>
                 <div style="font-size: 14px; color: #64748b;"><strong>Date:</strong> ${escapeH(fullDate)}</div>
               </div>
-              <div>${innerHtml}</div>
+              <div>${innerHtml}${DV.structured.renderHtml(content.structured)}${DV.chat.toHtml(chat)}</div>
             </div>
           </div>
         `;
@@ -936,11 +1874,16 @@ function App() {
           {appView === 'vault' ? (
             <>
               <ContentHeader openCmd={() => setCmdOpen(true)} theme={theme} setTheme={setTheme} />
-              <FilterBar filter={filter} setFilter={setFilter} tagFilter={tagFilter} setTagFilter={setTagFilter} allTags={allTags} search={search} setSearch={setSearch} />
-              <ItemList items={displayItems} allItems={items} selected={selected} setSelected={setSelected} expandedIds={expandedIds} setExpandedIds={setExpandedIds} onViewItem={item => setViewItem(item)} />
+              <FilterBar filter={filter} setFilter={setFilter} tagFilter={tagFilter} setTagFilter={setTagFilter} allTags={allTags} tagConfig={tagConfig} search={search} setSearch={setSearch} />
+              <QueuePausedBanner pause={queuePause} onOpenSettings={() => setAppView('settings')} />
+              <ItemList items={displayItems} allItems={items} rateWaits={rateWaits} selected={selected} setSelected={setSelected} expandedIds={expandedIds} setExpandedIds={setExpandedIds} onViewItem={item => setViewItem(item)} />
             </>
+          ) : appView === 'tags' ? (
+            <TagsView items={items} tagConfig={tagConfig} onFilterTag={(t) => { setTagFilter(t); setAppView('vault'); }} />
+          ) : appView === 'feeds' ? (
+            <FeedsView items={items} feedConfig={feedConfig} />
           ) : (
-            <SettingsView settings={settings} setSettings={s => { setSettings(s); DV.queue.setSettings(s); }} onExport={handleExport} onImport={() => importInputRef.current?.click()} items={items} />
+            <SettingsView settings={settings} setSettings={s => { setSettings(s); DV.queue.setSettings(s); }} onExport={handleExport} onImport={() => importInputRef.current?.click()} items={items} profileConfig={profileConfig} modelCatalog={modelCatalog} />
           )}
         </div>
       </div>
@@ -953,10 +1896,14 @@ function App() {
         onOpenSettings={() => { setAppView('settings'); setCmdOpen(false); }}
         onExport={handleExport}
         onImport={() => importInputRef.current?.click()}
-        onRetryFailed={async () => { await Promise.all(items.filter(x => x.status === STATUS.ERROR).map(i => DV.queue.resetItem(i.id))); DV.queue.loadQueue(); }}
+        onRetryFailed={async () => { await Promise.all(items.filter(x => x.status === STATUS.ERROR).map(i => DV.queue.resetItem(i.id))); DV.queue.resume(); DV.queue.loadQueue(); }}
         onDownloadAll={() => handleDownloadBulk(items.filter(i => i.status === STATUS.COMPLETED).map(i => i.id))}
-        onStopAll={() => items.forEach(i => DV.queue.requestStop(i.id))}
+        onStopAll={() => items.filter(i => [STATUS.PENDING, STATUS.EXTRACTING, STATUS.DISTILLING].includes(i.status)).forEach(i => DV.queue.requestStop(i.id))}
         items={items}
+        selectedItems={items.filter(i => selected.includes(i.id))}
+        profiles={profileConfig.profiles}
+        onRerunProfile={handleRerunProfile}
+        onOpenPassage={(id, text) => { const it = items.find(i => i.id === id); if (it) { setViewFocus({ itemId: id, text }); setViewItem(it); } }}
       />
 
       <SelectionDock
@@ -964,37 +1911,464 @@ function App() {
         selectedItems={items.filter(i => selected.includes(i.id))}
         itemsCount={displayItems.length}
         onView={() => setViewItem(items.find(i => i.id === selected[0]))}
-        onRetry={async () => { await Promise.all(selected.map(id => DV.queue.resetItem(id))); setSelected([]); DV.queue.loadQueue(); }}
+        onRetry={async () => { await Promise.all(selected.map(id => DV.queue.resetItem(id))); setSelected([]); DV.queue.resume(); DV.queue.loadQueue(); }}
         onDownload={() => handleDownloadBulk(selected)}
-        onDelete={async () => { if (confirm('Delete?')) { await Promise.all(selected.map(id => DV.db.del('items', id))); setSelected([]); DV.queue.loadQueue(); } }}
+        onDelete={async () => { if (confirm('Delete?')) { await DV.queue.removeItems(selected); setSelected([]); } }}
         onStop={() => selected.forEach(id => DV.queue.requestStop(id))}
         onSelectAll={() => setSelected(displayItems.map(i => i.id))}
         onUnselectAll={() => setSelected([])}
         onTag={() => setTagEditorOpen(true)}
+        onFlashcards={() => setFlashcardsOpen(true)}
+        profiles={profileConfig.profiles}
+        onRerunProfile={handleRerunProfile}
+        onSynthesize={handleSynthesize}
+        onSetLanguage={handleSetLanguage}
       />
 
+      <FlashcardsModal open={flashcardsOpen} onClose={() => setFlashcardsOpen(false)} items={items.filter(i => selected.includes(i.id) && i.status === STATUS.COMPLETED && !DV.queue.isGroup(i))} allItems={items} aiSettings={settings.ai} />
       <TagEditorModal open={tagEditorOpen} onClose={() => setTagEditorOpen(false)} selectedIds={selected} items={items} allTags={allTags} />
-      <ErrorModal item={errorItem} onClose={() => setErrorItem(null)} />
-      <ContentViewer item={viewItem} onClose={() => setViewItem(null)} onDownload={handleDownloadBulk} />
+      <ErrorModal
+        item={errorItem}
+        onClose={() => setErrorItem(null)}
+        onRetry={async () => { const id = errorItem.id; setErrorItem(null); await DV.queue.resetItem(id); DV.queue.resume(); DV.queue.loadQueue(); }}
+        onOpenSettings={() => { setErrorItem(null); setViewItem(null); setAppView('settings'); }}
+      />
+      <ContentViewer item={viewItem && (items.find(i => i.id === viewItem.id) || viewItem)} focusText={viewFocus && viewFocus.itemId === viewItem?.id ? viewFocus.text : null} onClose={() => setViewItem(null)} onDownload={handleDownloadBulk} aiSettings={settings.ai} onOpenItem={(id) => { const it = items.find(i => i.id === id); if (it) setViewItem(it); else DV.toast('Source item no longer exists', { type: 'error' }); }} />
     </div>
   );
 }
 
 
-function ErrorModal({ item, onClose }) {
+/** Generate, review and edit flashcards for completed items and export them for Anki. */
+function FlashcardsModal({ open, onClose, items, allItems, aiSettings }) {
+  const [decks, setDecks] = useState({});
+  const [activeId, setActiveId] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [generating, setGenerating] = useState([]);
+  const [exporting, setExporting] = useState(false);
+  const [waits, setWaits] = useState({});
+  const abortRef = useRef(null);
+  const ids = items.map(i => i.id).join(',');
+
+  // Generation runs only while the modal is open; closing it cancels pending requests
+  useEffect(() => {
+    if (!open) return;
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const off = DV.bus.on('ai:limiter', (e) => setWaits(e.waits || {}));
+    return () => { off(); controller.abort(); abortRef.current = null; setWaits({}); };
+  }, [open]);
+
+  useEffect(() => {
+    if (!open) return;
+    let alive = true;
+    Promise.all(items.map(i => DV.flashcards.load(i.id))).then(rows => {
+      if (!alive) return;
+      setDecks(Object.fromEntries(rows.map(r => [r.id, r])));
+      setActiveId(id => (items.some(i => i.id === id) ? id : items[0]?.id || null));
+    });
+    const off = DV.bus.on('flashcards:update', (rec) => { if (rec?.id) setDecks(d => (d[rec.id] || items.some(i => i.id === rec.id) ? { ...d, [rec.id]: rec } : d)); });
+    return () => { alive = false; off(); };
+  }, [open, ids]);
+
+  useEffect(() => { setDraft(null); }, [activeId]);
+
+  if (!open) return null;
+
+  const active = items.find(i => i.id === activeId);
+  const cards = draft || decks[activeId]?.cards || [];
+  const total = items.reduce((n, i) => n + (decks[i.id]?.cards?.length || 0), 0);
+  const fieldCls = 'w-full px-2.5 py-1.5 border border-slate-200 dark:border-white/10 bg-white dark:bg-zinc-950 rounded-md outline-none text-[13px] resize-y focus:ring-1 focus:ring-slate-300 dark:focus:ring-white/20';
+
+  const generate = async (targets) => {
+    const signal = abortRef.current?.signal;
+    setGenerating(g => [...g, ...targets.map(i => i.id)]);
+    for (const it of targets) {
+      try {
+        if (!signal?.aborted) await DV.flashcards.generate(it, aiSettings, { signal });
+      } catch (e) {
+        if (!signal?.aborted) DV.toast(`Flashcards failed for "${it.title}": ${e.message}`, { type: 'error' });
+      } finally {
+        setGenerating(g => g.filter(x => x !== it.id));
+      }
+    }
+  };
+
+  const editCard = (idx, patch) => setDraft(cards.map((c, i) => (i === idx ? { ...c, ...patch } : c)));
+  const saveDraft = async () => { await DV.flashcards.save(activeId, draft); setDraft(null); DV.toast('Flashcards saved'); };
+
+  const deckName = (it) => {
+    const clean = (t) => String(t || 'Untitled').replace(/::/g, ':');
+    const parent = it.parentId && allItems.find(p => p.id === it.parentId);
+    return ['DistyVault', parent && clean(parent.title), clean(it.title)].filter(Boolean).join('::');
+  };
+  const exportDecks = async (format) => {
+    const out = items.map(it => ({ name: deckName(it), cards: decks[it.id]?.cards || [], tags: it.tags || [] })).filter(d => d.cards.length);
+    if (!out.length) { DV.toast('Generate some flashcards first', { type: 'error' }); return; }
+    const base = sanitizeFilename(items.length === 1 ? items[0].title : `DistyVault_flashcards_${out.length}_decks`);
+    setExporting(true);
+    try {
+      if (format === 'apkg') await saveBlob(await DV.flashcards.toApkg(out), `${base}.apkg`);
+      else await saveBlob(DV.flashcards.toTsv(out), `${base}.txt`);
+    } catch (e) {
+      DV.toast(`Anki package failed (${e.message}); exporting TSV instead`, { type: 'error' });
+      await saveBlob(DV.flashcards.toTsv(out), `${base}.txt`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <Modal open={open} onClose={onClose} title="Flashcards">
+      <div className="space-y-4">
+        {items.length > 1 && (
+          <div className="flex flex-wrap gap-1">
+            {items.map(it => (
+              <button key={it.id} onClick={() => { if (!draft || confirm('Discard unsaved card edits?')) setActiveId(it.id); }} className={classNames('max-w-[220px] truncate px-2.5 py-1 text-[12px] rounded-md border transition-colors', it.id === activeId ? 'bg-slate-900 dark:bg-white text-white dark:text-zinc-900 border-transparent' : 'border-slate-200 dark:border-white/10 text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-white/5')}>
+                {it.title} <span className="opacity-60">{generating.includes(it.id) ? '…' : decks[it.id]?.cards?.length || 0}</span>
+              </button>
+            ))}
+          </div>
+        )}
+        {active && (
+          <div className="flex items-center justify-between gap-2">
+            <div className="text-[13px] text-slate-500 dark:text-slate-400 truncate">
+              {cards.length} card{cards.length === 1 ? '' : 's'} · {active.title}
+              {generating.includes(active.id) && waits[active.id] > Date.now() && <span className="text-amber-500" title="Waiting for capacity in the provider's rate limit"> · waiting for rate limit</span>}
+            </div>
+            <div className="flex gap-1.5 shrink-0">
+              {items.length > 1 && items.some(i => !decks[i.id]?.cards?.length && !generating.includes(i.id)) && (
+                <button onClick={() => generate(items.filter(i => !decks[i.id]?.cards?.length && !generating.includes(i.id)))} className="h-8 px-3 rounded-lg border border-slate-200 dark:border-white/10 text-[13px] font-medium text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-white/5">Generate missing</button>
+              )}
+              <button onClick={() => { if (!cards.length || confirm('Replace the current cards with newly generated ones?')) generate([active]); }} disabled={generating.includes(active.id)} className="h-8 px-3 rounded-lg border border-slate-200 dark:border-white/10 text-[13px] font-medium text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-white/5 flex items-center gap-1.5 disabled:opacity-60">
+                <Icon name={generating.includes(active.id) ? 'loader' : 'sparkles'} size={13} className={generating.includes(active.id) ? 'animate-spin' : undefined} />
+                {cards.length ? 'Regenerate' : 'Generate'}
+              </button>
+            </div>
+          </div>
+        )}
+        <div className="space-y-2">
+          {cards.map((c, idx) => (
+            <div key={c.id} className="p-3 rounded-lg border border-slate-200 dark:border-white/10 space-y-2">
+              <div className="flex items-center justify-between">
+                <select value={c.type} onChange={e => editCard(idx, { type: e.target.value })} className="h-7 px-2 rounded-md border border-slate-200 dark:border-white/10 bg-white dark:bg-zinc-900 text-[12px] text-slate-600 dark:text-slate-300 outline-none">
+                  <option value="basic">Question / answer</option>
+                  <option value="cloze">Cloze</option>
+                </select>
+                <button onClick={() => setDraft(cards.filter((_, i) => i !== idx))} title="Delete card" className="w-7 h-7 flex items-center justify-center text-slate-400 hover:text-red-500"><Icon name="trash-2" size={13} /></button>
+              </div>
+              <textarea value={c.front} onChange={e => editCard(idx, { front: e.target.value })} rows={2} placeholder={c.type === 'cloze' ? 'Sentence with {{c1::hidden}} text' : 'Question'} className={fieldCls} />
+              <textarea value={c.back} onChange={e => editCard(idx, { back: e.target.value })} rows={2} placeholder={c.type === 'cloze' ? 'Extra context (optional)' : 'Answer'} className={fieldCls} />
+            </div>
+          ))}
+          {active && !cards.length && !generating.includes(active.id) && <div className="py-8 text-center text-[13px] text-slate-400">No flashcards yet. Generate them from the distillation or add your own.</div>}
+        </div>
+        <div className="flex flex-wrap items-center justify-between gap-2 pt-1">
+          <div className="flex gap-1.5">
+            {active && <button onClick={() => setDraft([...cards, { id: DV.db.uid(), type: 'basic', front: '', back: '' }])} className="h-8 px-3 rounded-lg border border-slate-200 dark:border-white/10 text-[13px] font-medium text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-white/5 flex items-center gap-1.5"><Icon name="plus" size={13} />Add card</button>}
+            {draft && <button onClick={saveDraft} className="h-8 px-3 rounded-lg bg-slate-900 dark:bg-white text-white dark:text-zinc-900 text-[13px] font-medium">Save changes</button>}
+            {draft && <button onClick={() => setDraft(null)} className="h-8 px-3 rounded-lg text-[13px] font-medium text-slate-500 hover:text-slate-700 dark:hover:text-slate-300">Discard</button>}
+          </div>
+          <div className="flex gap-1.5">
+            <button onClick={() => exportDecks('tsv')} disabled={!total || exporting || !!draft} title="Tab-separated text for Anki's File → Import" className="h-8 px-3 rounded-lg border border-slate-200 dark:border-white/10 text-[13px] font-medium text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-white/5 disabled:opacity-50">Export TSV</button>
+            <button onClick={() => exportDecks('apkg')} disabled={!total || exporting || !!draft} className="h-8 px-3 rounded-lg bg-slate-900 dark:bg-white text-white dark:text-zinc-900 text-[13px] font-medium flex items-center gap-1.5 disabled:opacity-50">
+              <Icon name={exporting ? 'loader' : 'download'} size={13} className={exporting ? 'animate-spin' : undefined} />Export .apkg ({total})
+            </button>
+          </div>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+function ErrorModal({ item, onClose, onRetry, onOpenSettings }) {
+  const { KIND } = DV.ai.transport;
+  const kind = item?.errorKind || (item?.error ? DV.ai.transport.classify(0, item.error) : KIND.UNKNOWN);
+  const info = DV.ai.transport.describe(kind);
+  const wait = item?.retryAfter ? item.retryAfter - Date.now() : 0;
+  const needsSettings = [KIND.AUTH, KIND.QUOTA, KIND.CONTEXT, KIND.SAFETY].includes(kind);
   return (
     <Modal open={!!item} onClose={onClose} title="Error Detail">
-      <div className="p-4 bg-rose-50 dark:bg-rose-950/50 text-rose-700 dark:text-rose-200 rounded-lg whitespace-pre-wrap text-sm border border-rose-100 dark:border-rose-900/50">
-        {item?.error || 'Unknown error'}
+      <div className="space-y-4">
+        {info && (
+          <div>
+            <div className="text-sm font-medium text-slate-900 dark:text-white">{info.label}</div>
+            <p className="text-[13px] text-slate-500 dark:text-slate-400 mt-1">{info.hint}</p>
+            {wait > 0 && <p className="text-[13px] text-slate-500 dark:text-slate-400 mt-1">The provider asked to wait until {dayjs(item.retryAfter).format('HH:mm:ss')} ({formatDuration(wait)}).</p>}
+          </div>
+        )}
+        <div className="p-4 bg-rose-50 dark:bg-rose-950/50 text-rose-700 dark:text-rose-200 rounded-lg whitespace-pre-wrap text-sm border border-rose-100 dark:border-rose-900/50 max-h-64 overflow-y-auto">
+          {item?.error || 'Unknown error'}
+        </div>
+        {item && (
+          <div className="flex justify-end gap-2">
+            {needsSettings && <button onClick={onOpenSettings} className="h-9 px-4 rounded-lg border border-slate-200 dark:border-white/10 text-sm font-medium text-slate-700 dark:text-slate-200 hover:bg-slate-50 dark:hover:bg-white/5">Open Settings</button>}
+            <button onClick={onRetry} className="h-9 px-4 rounded-lg bg-slate-900 dark:bg-white text-white dark:text-zinc-900 text-sm font-medium">Retry</button>
+          </div>
+        )}
       </div>
     </Modal>
   );
 }
 
-function ContentViewer({ item, onClose, onDownload }) {
+/** Shown while the queue is paused after a failure every pending item would repeat. */
+function QueuePausedBanner({ pause, onOpenSettings }) {
+  if (!pause) return null;
+  const info = DV.ai.transport.describe(pause.kind);
+  return (
+    <div className="max-w-5xl mx-auto px-5 mb-3">
+      <div className="flex items-center gap-3 px-4 py-3 rounded-lg border border-amber-200 dark:border-amber-900/50 bg-amber-50 dark:bg-amber-950/30 text-[13px]">
+        <Icon name="circle-pause" size={16} className="text-amber-500 shrink-0" />
+        <div className="flex-1 min-w-0">
+          <span className="font-medium text-amber-800 dark:text-amber-200">Queue paused{pause.provider ? ` · ${DV.ai.providerLabel(pause.provider)}` : ''}: {info?.label || 'provider error'}.</span>
+          <span className="text-amber-700/80 dark:text-amber-300/70"> {info?.hint}</span>
+        </div>
+        <button onClick={onOpenSettings} className="h-8 px-3 rounded-lg text-amber-800 dark:text-amber-200 hover:bg-amber-100 dark:hover:bg-amber-900/40 font-medium shrink-0">Settings</button>
+        <button onClick={() => DV.queue.resume()} className="h-8 px-3 rounded-lg bg-amber-500 text-white font-medium hover:bg-amber-600 shrink-0">Resume</button>
+      </div>
+    </div>
+  );
+}
+
+/** Action items, quotes and open questions from the structured pass, shown above the document. */
+function StructuredPanels({ data }) {
+  const [open, setOpen] = useState(true);
+  if (!data || !(data.actionItems?.length || data.quotes?.length || data.openQuestions?.length)) return null;
+  const panelCls = 'rounded-xl border border-slate-200 dark:border-white/5 bg-slate-50/60 dark:bg-white/[0.02] p-4';
+  const headCls = 'flex items-center gap-1.5 text-[11px] uppercase font-semibold text-slate-400 dark:text-slate-500 tracking-wider mb-2';
+  return (
+    <div className="mb-8">
+      <button onClick={() => setOpen(o => !o)} className="flex items-center gap-1 text-[12px] font-medium text-slate-500 dark:text-slate-400 hover:text-slate-800 dark:hover:text-white mb-3">
+        <Icon name={open ? 'chevron-down' : 'chevron-right'} size={14} />Highlights
+      </button>
+      {open && (
+        <div className="grid gap-3 sm:grid-cols-2">
+          {data.actionItems?.length > 0 && (
+            <div className={panelCls}>
+              <div className={headCls}><Icon name="list-checks" size={13} />Action items</div>
+              <ul className="space-y-1.5">
+                {data.actionItems.map((a, i) => (
+                  <li key={i} className="flex gap-2 text-[13px] text-slate-700 dark:text-slate-300 leading-snug"><Icon name="square" size={13} className="shrink-0 mt-0.5 text-slate-400" />{a}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {data.quotes?.length > 0 && (
+            <div className={classNames(panelCls, !data.actionItems?.length && 'sm:col-span-2')}>
+              <div className={headCls}><Icon name="quote" size={13} />Quotes</div>
+              <div className="space-y-3">
+                {data.quotes.map((q, i) => (
+                  <figure key={i} className="border-l-2 border-slate-300 dark:border-white/15 pl-3">
+                    <blockquote className="text-[13px] italic text-slate-700 dark:text-slate-300 leading-snug">“{q.text}”</blockquote>
+                    {q.attribution && <figcaption className="text-[12px] text-slate-400 mt-1">— {q.attribution}</figcaption>}
+                  </figure>
+                ))}
+              </div>
+            </div>
+          )}
+          {data.openQuestions?.length > 0 && (
+            <div className={classNames(panelCls, 'sm:col-span-2')}>
+              <div className={headCls}><Icon name="circle-help" size={13} />Open questions</div>
+              <ul className="list-disc pl-5 space-y-1 text-[13px] text-slate-700 dark:text-slate-300">
+                {data.openQuestions.map((q, i) => <li key={i}>{q}</li>)}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/** Follow-up questions about an item, answered from its source text and saved per item. */
+function ChatPanel({ item, aiSettings, onClose }) {
+  const [chat, setChat] = useState({ messages: [] });
+  const [draft, setDraft] = useState('');
+  const [pending, setPending] = useState(null);
+  const [partial, setPartial] = useState('');
+  const [waitUntil, setWaitUntil] = useState(0);
+  const endRef = useRef(null);
+  const abortRef = useRef(null);
+
+  useEffect(() => {
+    let alive = true;
+    DV.chat.load(item.id).then(c => { if (alive) setChat(c); });
+    const off = DV.bus.on('chat:update', (c) => { if (c?.id === item.id) setChat(c); });
+    const offLimiter = DV.bus.on('ai:limiter', (e) => setWaitUntil(e.waits?.[item.id] || 0));
+    return () => { alive = false; off(); offLimiter(); abortRef.current?.abort(); };
+  }, [item.id]);
+
+  useEffect(() => { endRef.current?.scrollIntoView({ block: 'end' }); }, [chat.messages.length, pending, partial]);
+
+  const renderMd = (md) => {
+    const raw = typeof marked !== 'undefined' ? marked.parse(md || '') : '<p>' + DV.utils.escapeHtml(md || '').replace(/\n/g, '<br/>') + '</p>';
+    return typeof DOMPurify !== 'undefined' ? DOMPurify.sanitize(raw) : raw;
+  };
+
+  async function send() {
+    const q = draft.trim();
+    if (!q || pending) return;
+    setDraft(''); setPending(q); setPartial('');
+    const controller = new AbortController();
+    abortRef.current = controller;
+    try {
+      await DV.chat.ask(item, q, aiSettings, { onProgress: aiSettings?.stream !== false ? setPartial : undefined, signal: controller.signal });
+    } catch (e) {
+      setDraft(q);
+      if (!controller.signal.aborted) DV.toast(e.message || 'Chat request failed', { type: 'error' });
+    } finally {
+      if (abortRef.current === controller) abortRef.current = null;
+      setPending(null); setPartial(''); setWaitUntil(0);
+    }
+  }
+
+  function exportChat() {
+    const md = `# ${item.title || 'Untitled'}\n\n${item.url ? `Source: ${item.url}\n\n` : ''}${DV.chat.toMarkdown(chat)}\n`;
+    saveBlob(new Blob([md], { type: 'text/markdown' }), sanitizeFilename(item.title) + ' - chat.md');
+  }
+
+  const chatCost = chat.messages.reduce((sum, m) => sum + Number(m.cost || 0), 0);
+
+  return (
+    <aside className="w-full sm:w-[400px] shrink-0 border-l border-slate-200 dark:border-white/5 flex flex-col bg-slate-50/50 dark:bg-zinc-950">
+      <div className="h-11 shrink-0 px-4 flex items-center justify-between border-b border-slate-200 dark:border-white/5">
+        <div className="flex items-center gap-2 text-[13px] font-medium text-slate-700 dark:text-slate-300">
+          <Icon name="messages-square" size={15} />Ask about this item
+          {chatCost > 0 && <span className="text-[11px] text-slate-400 font-normal tabular-nums">{DV.pricing.formatCost(chatCost)}</span>}
+        </div>
+        <div className="flex items-center gap-0.5">
+          <button onClick={exportChat} disabled={!chat.messages.length} title="Export conversation" className="w-7 h-7 rounded-md flex items-center justify-center text-slate-400 hover:text-slate-700 dark:hover:text-white hover:bg-slate-100 dark:hover:bg-white/5 disabled:opacity-30"><Icon name="download" size={14} /></button>
+          <button onClick={() => { if (confirm('Clear this conversation?')) DV.chat.clear(item.id); }} disabled={!chat.messages.length || !!pending} title="Clear conversation" className="w-7 h-7 rounded-md flex items-center justify-center text-slate-400 hover:text-red-500 hover:bg-slate-100 dark:hover:bg-white/5 disabled:opacity-30"><Icon name="trash-2" size={14} /></button>
+          <button onClick={onClose} title="Close chat" className="w-7 h-7 rounded-md flex items-center justify-center text-slate-400 hover:text-slate-700 dark:hover:text-white hover:bg-slate-100 dark:hover:bg-white/5"><Icon name="x" size={14} /></button>
+        </div>
+      </div>
+      <div className="flex-1 overflow-auto px-4 py-4 space-y-4">
+        {!chat.messages.length && !pending && (
+          <div className="text-[13px] text-slate-400 dark:text-slate-500 text-center mt-10 px-6">Ask a follow-up question. Answers come from the extracted source and quote the passages they rely on.</div>
+        )}
+        {chat.messages.map((m, i) => m.role === 'user' ? (
+          <div key={i} className="flex justify-end"><div className="max-w-[85%] px-3 py-2 rounded-xl bg-slate-900 dark:bg-white text-white dark:text-zinc-900 text-[13px] whitespace-pre-wrap">{m.content}</div></div>
+        ) : (
+          <div key={i} className="prose prose-sm prose-slate dark:prose-invert max-w-none text-[13px]" dangerouslySetInnerHTML={{ __html: renderMd(m.content) }} />
+        ))}
+        {pending && (
+          <>
+            <div className="flex justify-end"><div className="max-w-[85%] px-3 py-2 rounded-xl bg-slate-900 dark:bg-white text-white dark:text-zinc-900 text-[13px] whitespace-pre-wrap">{pending}</div></div>
+            {partial
+              ? <div className="prose prose-sm prose-slate dark:prose-invert max-w-none text-[13px]" dangerouslySetInnerHTML={{ __html: renderMd(partial) }} />
+              : waitUntil > Date.now()
+                ? <div className="flex items-center gap-2 text-[12px] text-amber-500" title="Waiting for capacity in the provider's rate limit"><Icon name="loader" size={13} className="animate-spin" />Waiting for rate limit…</div>
+                : <div className="flex items-center gap-2 text-[12px] text-slate-400"><Icon name="loader" size={13} className="animate-spin" />Reading the source…</div>}
+          </>
+        )}
+        <div ref={endRef} />
+      </div>
+      <div className="shrink-0 p-3 border-t border-slate-200 dark:border-white/5">
+        <div className="flex items-end gap-2">
+          <textarea value={draft} onChange={e => setDraft(e.target.value)} onKeyDown={e => { if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); send(); } }} rows={2} placeholder={aiSettings?.mode ? 'Ask a question… (Enter to send)' : 'Configure an AI provider in Settings first'} disabled={!aiSettings?.mode} className="flex-1 resize-none px-3 py-2 border border-slate-200 dark:border-white/10 bg-white dark:bg-zinc-900 rounded-lg outline-none text-[13px] focus:ring-1 focus:ring-slate-300 dark:focus:ring-white/20" />
+          {pending
+            ? <button onClick={() => abortRef.current?.abort()} title="Stop" className="h-9 w-9 shrink-0 rounded-lg bg-slate-900 dark:bg-white text-white dark:text-zinc-900 flex items-center justify-center"><Icon name="square" size={13} /></button>
+            : <button onClick={send} disabled={!draft.trim() || !aiSettings?.mode} className="h-9 w-9 shrink-0 rounded-lg bg-slate-900 dark:bg-white text-white dark:text-zinc-900 flex items-center justify-center disabled:opacity-40"><Icon name="send" size={15} /></button>}
+        </div>
+      </div>
+    </aside>
+  );
+}
+
+/** Options for re-running only the format pass of an item on its cached analysis. */
+function ReformatModal({ item, aiSettings, onClose }) {
+  const [providerIndex, setProviderIndex] = useState('');
+  const [model, setModel] = useState('');
+  const [formatProfileId, setFormatProfileId] = useState('');
+  const [busy, setBusy] = useState(false);
+  useEffect(() => { setProviderIndex(''); setModel(''); setFormatProfileId(''); }, [item?.id]);
+  if (!item) return null;
+
+  const { fallbacks, ...shared } = aiSettings || {};
+  const chain = [shared, ...(fallbacks || []).map(f => ({ ...shared, ...f }))].map((e, idx) => ({ ...e, idx })).filter(e => e.mode);
+  const chosen = providerIndex === '' ? null : chain.find(e => e.idx === Number(providerIndex));
+  const fieldCls = 'w-full h-9 px-3 border border-slate-200 dark:border-white/10 bg-white dark:bg-zinc-950 rounded-lg outline-none text-sm focus:ring-1 focus:ring-slate-300 dark:focus:ring-white/20';
+  const labelCls = 'text-[12px] font-medium text-slate-500 dark:text-slate-400 mb-1.5';
+
+  const submit = async () => {
+    setBusy(true);
+    try {
+      await DV.queue.reformatItem(item.id, { providerIndex: chosen ? chosen.idx : null, model: model.trim(), formatProfileId: formatProfileId || null });
+      DV.toast('Reformatting from the cached analysis');
+      onClose();
+    } catch (e) {
+      DV.toast(`Reformat failed: ${e.message}`, { type: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Modal open={!!item} onClose={onClose} title="Reformat">
+      <div className="space-y-4">
+        <p className="text-[13px] text-slate-500 dark:text-slate-400">Writes the document again from the cached analysis. Extraction and analysis are not repeated, so only the format pass is billed.</p>
+        <div>
+          <div className={labelCls}>Provider</div>
+          <select value={providerIndex} onChange={e => { setProviderIndex(e.target.value); setModel(''); }} className={fieldCls}>
+            <option value="">Current settings (with fallbacks)</option>
+            {chain.map(e => <option key={e.idx} value={e.idx}>{e.idx === 0 ? 'Primary' : `Fallback ${e.idx}`}: {DV.ai.providerLabel(e.mode)}{e.model ? ` · ${e.model}` : ''}</option>)}
+          </select>
+        </div>
+        <div>
+          <div className={labelCls}>Model</div>
+          <input value={model} onChange={e => setModel(e.target.value)} placeholder={(chosen || shared).model || 'Provider default'} className={classNames(fieldCls, 'font-mono')} />
+        </div>
+        <div>
+          <div className={labelCls}>Style</div>
+          <select value={formatProfileId} onChange={e => setFormatProfileId(e.target.value)} className={fieldCls}>
+            <option value="">Same profile as the analysis</option>
+            {DV.profiles.list().map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+          </select>
+        </div>
+        <div className="flex justify-end gap-2 pt-1">
+          <button onClick={onClose} className="h-9 px-4 rounded-lg border border-slate-200 dark:border-white/10 text-sm font-medium text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-white/5">Cancel</button>
+          <button onClick={submit} disabled={busy} className="h-9 px-4 rounded-lg bg-slate-900 dark:bg-white text-white dark:text-zinc-900 text-sm font-medium disabled:opacity-60">Reformat</button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+function ContentViewer({ item, focusText, onClose, onDownload, aiSettings, onOpenItem }) {
+  const [chatOpen, setChatOpen] = useState(false);
   const [content, setContent] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [stream, setStream] = useState(null);
+  const [language, setLanguage] = useState('');
+  const [translateMenu, setTranslateMenu] = useState(false);
+  const [translating, setTranslating] = useState(null);
+  const [showFidelity, setShowFidelity] = useState(true);
+  const [reformatOpen, setReformatOpen] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [historyId, setHistoryId] = useState(null);
+  const [compareId, setCompareId] = useState('');
   const contentRef = useRef(null);
+  const isDistilling = item?.status === STATUS.DISTILLING;
+
+  useEffect(() => { setLanguage(''); setTranslateMenu(false); setHistoryId(null); setCompareId(''); }, [item?.id]);
+
+  // Version history of the item's distillation runs
+  useEffect(() => {
+    if (!item) return;
+    let alive = true;
+    const load = () => DV.versions.list(item.id).then(v => { if (alive) setHistory(v); });
+    load();
+    const off = DV.bus.on('versions:update', (p) => { if (p?.itemId === item.id) load(); });
+    return () => { alive = false; off(); };
+  }, [item?.id, item?.status]);
+
+  const activeVersionId = historyId || content?.versionId || history[0]?.id || null;
+  const diffView = useMemo(() => {
+    const from = compareId && history.find(v => v.id === compareId);
+    const to = history.find(v => v.id === activeVersionId);
+    if (!from || !to || from.id === to.id) return null;
+    return DV.versions.diff(DV.versions.text(from), DV.versions.text(to));
+  }, [compareId, activeVersionId, history]);
 
   useEffect(() => {
     if (!item) return;
@@ -1003,7 +2377,49 @@ function ContentViewer({ item, onClose, onDownload }) {
       setContent(c);
       setLoading(false);
     });
-  }, [item]);
+  }, [item?.id, item?.status]);
+
+  // Scroll to and briefly highlight a passage opened from semantic search
+  useEffect(() => {
+    if (!focusText || loading) return;
+    const body = contentRef.current?.querySelector('.dv-reader-body');
+    if (!body) return;
+    const norm = (t) => String(t || '').replace(/\s+/g, ' ').trim();
+    const blocks = Array.from(body.querySelectorAll('p,li,blockquote,pre'));
+    const lines = focusText.split('\n').map(line => norm(line.replace(/^[->]\s+/, '')).slice(0, 80)).filter(Boolean);
+    // Short lines (the section heading carried into the passage) match too loosely
+    const probes = lines.filter(l => l.length >= 20);
+    const found = (probes.length ? probes : lines)
+      .map(line => blocks.find(el => norm(el.textContent).includes(line)))
+      .filter(Boolean);
+    if (!found.length) return;
+    found.forEach(el => el.classList.add('dv-passage-focus'));
+    found[0].scrollIntoView({ block: 'center', behavior: 'smooth' });
+    const t = setTimeout(() => found.forEach(el => el.classList.remove('dv-passage-focus')), 2500);
+    return () => clearTimeout(t);
+  }, [focusText, loading, content]);
+
+  // Follow partial provider output while the item is distilling
+  useEffect(() => {
+    if (!item || !isDistilling) { setStream(null); return; }
+    setStream(DV.ai.peekStream?.(item.id) || null);
+    let frame = null, latest = null;
+    const off = DV.bus.on('ai:stream', (payload) => {
+      if (payload?.id !== item.id) return;
+      latest = payload.phase === 'done' ? null : payload;
+      if (frame) return;
+      frame = requestAnimationFrame(() => { frame = null; setStream(latest); });
+    });
+    return () => { off(); if (frame) cancelAnimationFrame(frame); };
+  }, [item?.id, isDistilling]);
+
+  const streamHtml = useMemo(() => {
+    if (!stream?.text) return '';
+    // Hide the "TAGS: a, b, c" line the format pass ends with
+    const md = stream.text.replace(/^[\s*_#]*tags?[\s*_]*:.*$/gmi, '');
+    const raw = typeof marked !== 'undefined' ? marked.parse(md) : '<p>' + DV.utils.escapeHtml(md).replace(/\n/g, '<br/>') + '</p>';
+    return typeof DOMPurify !== 'undefined' ? DOMPurify.sanitize(raw) : raw;
+  }, [stream]);
 
   if (!item) return null;
 
@@ -1024,7 +2440,44 @@ function ContentViewer({ item, onClose, onDownload }) {
     return html;
   };
 
-  const renderedHtml = content?.html ? renderMarkdown(content.html) : '';
+  const shownVersion = historyId && historyId !== content?.versionId ? history.find(v => v.id === historyId) || null : null;
+  const translation = language && !shownVersion ? content?.translations?.[language] : null;
+  const doc = shownVersion || content;
+  const fidelity = doc?.fidelity;
+  const flaggedQuotes = (fidelity?.quotes || []).filter(q => q.status !== 'matched').length;
+  const bodyHtml = translation ? renderMarkdown(translation.html)
+    : doc?.html ? (showFidelity ? DV.fidelity.annotate(renderMarkdown(doc.html), fidelity) : renderMarkdown(doc.html)) : '';
+  // [mm:ss] citations in video distillations open the video at that moment
+  const renderedHtml = item.kind === 'youtube' ? DV.extractors.linkTimestamps(bodyHtml, item.url) : bodyHtml;
+  const versionLabel = (v) => `v${history.length - history.indexOf(v)}`;
+  const pinnedHere = !!item.pinnedVersionId && item.pinnedVersionId === activeVersionId;
+
+  const handlePin = async () => {
+    try {
+      await DV.queue.pinVersion(item.id, pinnedHere ? null : activeVersionId);
+      setContent(await DV.db.get('contents', item.id));
+      setHistoryId(null);
+      DV.toast(pinnedHere ? 'Unpinned; the latest version is canonical again' : 'Pinned as the canonical version');
+    } catch (e) {
+      DV.toast(e.message, { type: 'error' });
+    }
+  };
+  const translatedLanguages = Object.keys(content?.translations || {});
+
+  const handleTranslate = async (code) => {
+    setTranslateMenu(false);
+    if (content?.translations?.[code]) { setLanguage(code); return; }
+    setTranslating(code);
+    try {
+      await DV.queue.translateItem(item.id, code);
+      setContent(await DV.db.get('contents', item.id));
+      setLanguage(code);
+    } catch (e) {
+      DV.toast(`Translation failed: ${e.message}`, { type: 'error' });
+    } finally {
+      setTranslating(null);
+    }
+  };
 
   return (
     <div className="fixed inset-0 z-50 flex flex-col bg-white dark:bg-zinc-950">
@@ -1040,50 +2493,186 @@ function ContentViewer({ item, onClose, onDownload }) {
           </div>
         </div>
         <div className="flex items-center gap-1 shrink-0">
-          {onDownload && (
+          {onDownload && item.status === STATUS.COMPLETED && (
             <button onClick={() => onDownload([item.id])} className="h-8 px-3 rounded-lg flex items-center gap-1.5 text-[13px] font-medium text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-white/5 transition-colors border border-slate-200 dark:border-white/10">
               <Icon name="download" size={14} />
               <span className="hidden sm:inline">Download PDF</span>
             </button>
           )}
+          {item.status === STATUS.COMPLETED && content?.rawAnalysis && (
+            <button onClick={() => setReformatOpen(true)} title="Re-run only the format pass on the cached analysis" className="h-8 px-3 rounded-lg flex items-center gap-1.5 text-[13px] font-medium text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-white/5 transition-colors border border-slate-200 dark:border-white/10">
+              <Icon name="wand-sparkles" size={14} />
+              <span className="hidden sm:inline">Reformat</span>
+            </button>
+          )}
+          {item.status === STATUS.COMPLETED && content?.rawAnalysis && (
+            <div className="relative">
+              <button onClick={() => setTranslateMenu(o => !o)} disabled={!!translating} className="h-8 px-3 rounded-lg flex items-center gap-1.5 text-[13px] font-medium text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-white/5 transition-colors border border-slate-200 dark:border-white/10 disabled:opacity-60">
+                <Icon name={translating ? 'loader' : 'languages'} size={14} className={translating ? 'animate-spin' : undefined} />
+                <span className="hidden sm:inline">{translating ? `Translating to ${DV.language.name(translating)}…` : 'Translate'}</span>
+              </button>
+              {translateMenu && (
+                <div className="absolute right-0 top-full mt-1 z-10 p-1 rounded-lg border border-slate-200 dark:border-white/10 bg-white dark:bg-zinc-900 shadow-lg flex flex-col min-w-[180px] max-h-72 overflow-y-auto no-scrollbar">
+                  {DV.language.LANGUAGES.filter(l => l.code !== item.language).map(l => (
+                    <button key={l.code} onClick={() => handleTranslate(l.code)} className="w-full px-3 py-2 text-left rounded-md text-[13px] flex items-center justify-between gap-2 hover:bg-slate-50 dark:hover:bg-white/5 text-slate-600 dark:text-slate-300">
+                      {l.name}{translatedLanguages.includes(l.code) && <Icon name="check" size={12} className="text-slate-400" />}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+          {item.status === STATUS.COMPLETED && (
+            <button onClick={() => setChatOpen(o => !o)} className={classNames('h-8 px-3 rounded-lg flex items-center gap-1.5 text-[13px] font-medium transition-colors border', chatOpen ? 'bg-slate-900 dark:bg-white text-white dark:text-zinc-900 border-transparent' : 'text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-white/5 border-slate-200 dark:border-white/10')}>
+              <Icon name="messages-square" size={14} />
+              <span className="hidden sm:inline">Chat</span>
+            </button>
+          )}
           <button onClick={onClose} className="w-8 h-8 rounded-lg flex items-center justify-center text-slate-400 hover:text-slate-700 dark:hover:text-white hover:bg-slate-100 dark:hover:bg-white/5 transition-colors">
             <Icon name="x" size={18} />
           </button>
         </div>
       </div>
 
-      {/* Content */}
-      <div className="flex-1 overflow-auto" ref={contentRef}>
-        {loading ? (
-          <div className="flex flex-col items-center justify-center h-full text-slate-400">
-            <Icon name="loader" size={24} className="animate-spin mb-3" />
-            <span className="text-sm">Loading content…</span>
-          </div>
-        ) : !renderedHtml ? (
-          <div className="flex flex-col items-center justify-center h-full text-slate-400">
-            <Icon name="file-x" size={32} className="mb-3 opacity-50" />
-            <span className="text-sm">No content available</span>
-          </div>
-        ) : (
-          <article className="max-w-3xl mx-auto px-6 sm:px-10 py-10 pb-24">
-            {/* Meta bar */}
-            <div className="mb-8 pb-6 border-b border-slate-200 dark:border-white/5">
-              <h1 className="text-3xl font-bold text-slate-900 dark:text-white tracking-tight leading-tight mb-3">{item.title}</h1>
-              <div className="flex flex-wrap items-center gap-3 text-[13px] text-slate-400 dark:text-slate-500">
-                {item.url && (
-                  <a href={item.url} target="_blank" rel="noopener noreferrer" className="flex items-center gap-1 hover:text-slate-600 dark:hover:text-slate-300 transition-colors truncate max-w-[300px]">
-                    <Icon name="external-link" size={13} />{new URL(item.url).hostname}
-                  </a>
-                )}
-                {item.tags?.length > 0 && item.tags.map(t => <span key={t} className="text-slate-400 dark:text-slate-500">#{t}</span>)}
-                {content?.meta?.dateText && <span>{content.meta.dateText}</span>}
+      <div className="flex-1 flex min-h-0">
+        {/* Content */}
+        <div className={classNames('flex-1 overflow-auto', chatOpen && 'hidden sm:block')} ref={contentRef}>
+          {isDistilling ? (
+            <article className="max-w-3xl mx-auto px-6 sm:px-10 py-10 pb-24">
+              <div className="mb-8 pb-6 border-b border-slate-200 dark:border-white/5">
+                <h1 className="text-3xl font-bold text-slate-900 dark:text-white tracking-tight leading-tight mb-3">{item.title}</h1>
+                <div className="flex items-center gap-2 text-[13px] text-slate-400 dark:text-slate-500">
+                  <div className="w-2 h-2 rounded-full bg-violet-400 animate-pulse" />
+                  <span>{!stream ? 'Waiting for the provider…' : stream.phase === 'format' ? 'Formatting the final document…' : 'Analyzing the source…'}</span>
+                </div>
               </div>
+              {streamHtml && <div className={classNames('dv-reader-body prose prose-slate dark:prose-invert max-w-none text-[15px] leading-relaxed', stream?.phase === 'analysis' && 'opacity-70')} dangerouslySetInnerHTML={{ __html: streamHtml }} />}
+            </article>
+          ) : loading ? (
+            <div className="flex flex-col items-center justify-center h-full text-slate-400">
+              <Icon name="loader" size={24} className="animate-spin mb-3" />
+              <span className="text-sm">Loading content…</span>
             </div>
-            {/* Rendered body */}
-            <div className="dv-reader-body prose prose-slate dark:prose-invert max-w-none text-[15px] leading-relaxed" dangerouslySetInnerHTML={{ __html: renderedHtml }} />
-          </article>
-        )}
+          ) : !renderedHtml ? (
+            <div className="flex flex-col items-center justify-center h-full text-slate-400">
+              <Icon name="file-x" size={32} className="mb-3 opacity-50" />
+              <span className="text-sm">No content available</span>
+            </div>
+          ) : (
+            <article className="max-w-3xl mx-auto px-6 sm:px-10 py-10 pb-24">
+              {/* Meta bar */}
+              <div className="mb-8 pb-6 border-b border-slate-200 dark:border-white/5">
+                <h1 className="text-3xl font-bold text-slate-900 dark:text-white tracking-tight leading-tight mb-3">{item.title}</h1>
+                <div className="flex flex-wrap items-center gap-3 text-[13px] text-slate-400 dark:text-slate-500">
+                  {item.url && (
+                    <a href={item.url} target="_blank" rel="noopener noreferrer" className="flex items-center gap-1 hover:text-slate-600 dark:hover:text-slate-300 transition-colors truncate max-w-[300px]">
+                      <Icon name="external-link" size={13} />{new URL(item.url).hostname}
+                    </a>
+                  )}
+                  {item.tags?.length > 0 && item.tags.map(t => <span key={t} className="text-slate-400 dark:text-slate-500">#{t}</span>)}
+                  {content?.meta?.dateText && <span>{content.meta.dateText}</span>}
+                  {item.appliedProfileId && DV.profiles.get(item.appliedProfileId) && <span className="flex items-center gap-1"><Icon name="sliders-horizontal" size={12} />{DV.profiles.get(item.appliedProfileId).name}{item.appliedFormatProfileId && DV.profiles.get(item.appliedFormatProfileId) ? ` → ${DV.profiles.get(item.appliedFormatProfileId).name} style` : ''}</span>}
+                  {item.provider && (
+                    <span className="flex items-center gap-1" title={item.failovers?.length ? `Fell back after: ${item.failovers.map(f => `${DV.ai.providerLabel(f.provider)} (${f.error})`).join('; ')}` : undefined}>
+                      <Icon name="cpu" size={12} />{DV.ai.providerLabel(item.provider)}{item.model ? ` · ${item.model}` : ''}
+                      {item.failovers?.length > 0 && <span className="ml-1 px-1.5 py-0.5 rounded bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-400 text-[11px] font-medium">fallback</span>}
+                    </span>
+                  )}
+                  {fidelity && (fidelity.quotes.length > 0 || fidelity.numbers.total > 0) && (
+                    <button
+                      onClick={() => setShowFidelity(v => !v)}
+                      title={[
+                        `${fidelity.quotes.length - flaggedQuotes}/${fidelity.quotes.length} quotes and ${fidelity.numbers.matched}/${fidelity.numbers.total} numbers found in the source`,
+                        fidelity.numbers.unmatched.length ? `Numbers not found: ${fidelity.numbers.unmatched.join(', ')}` : '',
+                        flaggedQuotes ? (showFidelity ? 'Click to hide highlights' : 'Click to highlight unverified quotes') : ''
+                      ].filter(Boolean).join('\n')}
+                      className={classNames('flex items-center gap-1 transition-colors', flaggedQuotes || fidelity.numbers.unmatched.length ? 'text-amber-600 dark:text-amber-400 hover:text-amber-700' : 'hover:text-slate-600 dark:hover:text-slate-300')}
+                    >
+                      <Icon name={flaggedQuotes || fidelity.numbers.unmatched.length ? 'shield-alert' : 'shield-check'} size={12} />
+                      {fidelity.score != null ? `${Math.round(fidelity.score * 100)}% verified` : 'Verified'}
+                      {flaggedQuotes > 0 && <span className="ml-1 px-1.5 py-0.5 rounded bg-amber-100 dark:bg-amber-900/30 text-[11px] font-medium">{flaggedQuotes} unverified quote{flaggedQuotes > 1 ? 's' : ''}</span>}
+                    </button>
+                  )}
+                  {item.sourceLanguage && <span className="flex items-center gap-1" title="Detected source language"><Icon name="languages" size={12} />{DV.language.name(item.sourceLanguage)}{item.language && item.language !== item.sourceLanguage ? ` → ${DV.language.name(item.language)}` : ''}</span>}
+                </div>
+                {translatedLanguages.length > 0 && !shownVersion && (
+                  <div className="mt-4 inline-flex items-center gap-0.5 p-0.5 rounded-lg bg-slate-100 dark:bg-white/5 text-[12px]">
+                    {['', ...translatedLanguages].map(v => (
+                      <button key={v || 'original'} onClick={() => setLanguage(v)} className={classNames('px-2.5 py-1 rounded-md font-medium transition-colors', language === v ? 'bg-white dark:bg-zinc-800 text-slate-900 dark:text-white shadow-sm' : 'text-slate-500 hover:text-slate-700 dark:hover:text-slate-300')}>
+                        {v ? DV.language.name(v) : `Original${item.language ? ` (${DV.language.name(item.language)})` : ''}`}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {history.length > 1 && (
+                  <div className="mt-4 flex flex-wrap items-center gap-2 text-[12px]">
+                    <Icon name="history" size={13} className="text-slate-400" />
+                    <select value={activeVersionId || ''} onChange={e => { setHistoryId(e.target.value); setLanguage(''); }} className="h-7 px-2 rounded-md border border-slate-200 dark:border-white/10 bg-white dark:bg-zinc-900 text-slate-600 dark:text-slate-300 outline-none">
+                      {history.map((v, i) => (
+                        <option key={v.id} value={v.id}>
+                          {versionLabel(v)} · {dayjs(v.createdAt).format('DD/MM/YYYY HH:mm')} · {DV.ai.providerLabel(v.provider)}{v.model ? ` ${v.model}` : ''}{v.profileId && DV.profiles.get(v.profileId) ? ` · ${DV.profiles.get(v.profileId).name}` : ''}{v.id === item.pinnedVersionId ? ' · pinned' : i === 0 ? ' · latest' : ''}
+                        </option>
+                      ))}
+                    </select>
+                    <select value={compareId} onChange={e => setCompareId(e.target.value)} className="h-7 px-2 rounded-md border border-slate-200 dark:border-white/10 bg-white dark:bg-zinc-900 text-slate-600 dark:text-slate-300 outline-none">
+                      <option value="">Compare with…</option>
+                      {history.filter(v => v.id !== activeVersionId).map(v => <option key={v.id} value={v.id}>{versionLabel(v)} · {dayjs(v.createdAt).format('DD/MM/YYYY HH:mm')}</option>)}
+                    </select>
+                    <button onClick={handlePin} title={pinnedHere ? 'Use the latest version again' : 'Use this version for the viewer, exports and search'} className={classNames('h-7 px-2.5 rounded-md flex items-center gap-1 font-medium border transition-colors', pinnedHere ? 'bg-slate-900 dark:bg-white text-white dark:text-zinc-900 border-transparent' : 'border-slate-200 dark:border-white/10 text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-white/5')}>
+                      <Icon name={pinnedHere ? 'pin-off' : 'pin'} size={12} />{pinnedHere ? 'Unpin' : 'Pin'}
+                    </button>
+                    {shownVersion && <span className="text-amber-600 dark:text-amber-400">Not the canonical version; exports use {item.pinnedVersionId ? 'the pinned' : 'the latest'} one</span>}
+                  </div>
+                )}
+              </div>
+              {content?.meta?.sources?.length > 0 && (
+                <div className="mb-8 flex flex-wrap items-center gap-1.5">
+                  <span className="text-[11px] uppercase font-semibold text-slate-400 dark:text-slate-500 tracking-wider mr-1">Sources</span>
+                  {content.meta.sources.map(src => (
+                    <button key={src.id} onClick={() => onOpenItem?.(src.id)} title={src.title} className="max-w-[240px] truncate px-2 py-1 rounded-md border border-slate-200 dark:border-white/10 text-[12px] text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-white/5">
+                      <span className="font-mono text-slate-400 mr-1">{src.label}</span>{src.title}
+                    </button>
+                  ))}
+                </div>
+              )}
+              {diffView ? (
+                <div>
+                  <div className="mb-3 flex items-center gap-3 text-[12px] text-slate-400 dark:text-slate-500">
+                    <span>Changes from {versionLabel(history.find(v => v.id === compareId))} to {versionLabel(history.find(v => v.id === activeVersionId))}</span>
+                    <span className="text-emerald-600 dark:text-emerald-400">+{diffView.added}</span>
+                    <span className="text-rose-600 dark:text-rose-400">−{diffView.removed} words</span>
+                    {diffView.byLine && <span>(compared line by line)</span>}
+                  </div>
+                  <div className="whitespace-pre-wrap text-[14px] leading-relaxed text-slate-700 dark:text-slate-300">
+                    {diffView.segments.map((seg, i) => seg.type === 'ins'
+                      ? <ins key={i} className="no-underline bg-emerald-100 dark:bg-emerald-900/30 text-emerald-800 dark:text-emerald-300 rounded-sm">{seg.text}</ins>
+                      : seg.type === 'del'
+                        ? <del key={i} className="bg-rose-100 dark:bg-rose-900/30 text-rose-700 dark:text-rose-300 rounded-sm">{seg.text}</del>
+                        : <span key={i}>{seg.text}</span>)}
+                  </div>
+                </div>
+              ) : (
+                <>
+                  {!translation && doc?.truncated && (
+                    <div className="not-prose flex items-start gap-2.5 mb-5 px-4 py-3 rounded-lg border border-amber-200 dark:border-amber-900/50 bg-amber-50 dark:bg-amber-950/30 text-[13px]">
+                      <Icon name="scissors" size={15} className="text-amber-500 shrink-0 mt-0.5" />
+                      <div>
+                        <span className="font-medium text-amber-800 dark:text-amber-200">Output may be incomplete.</span>
+                        <span className="text-amber-700/80 dark:text-amber-300/70"> The model was still at its output limit after being asked to continue. Retry with a model that allows longer output, allow more continuations in Settings, or use a shorter profile.</span>
+                      </div>
+                    </div>
+                  )}
+                  {!translation && <StructuredPanels data={doc?.structured} />}
+                  {/* Rendered body */}
+                  <div className="dv-reader-body prose prose-slate dark:prose-invert max-w-none text-[15px] leading-relaxed" dangerouslySetInnerHTML={{ __html: renderedHtml }} />
+                </>
+              )}
+            </article>
+          )}
+        </div>
+        {chatOpen && item.status === STATUS.COMPLETED && <ChatPanel item={item} aiSettings={aiSettings} onClose={() => setChatOpen(false)} />}
       </div>
+      {reformatOpen && <ReformatModal item={item} aiSettings={aiSettings} onClose={() => setReformatOpen(false)} />}
     </div>
   );
 }
@@ -0,0 +1,192 @@
+(function () {
+  /**
+   * Follow-up chat with a finished item. Questions are answered from the item's
+   * extracted source text: the source is split into numbered passages and the most
+   * relevant ones (all of them, when they fit) are sent as context. Conversations
+   * persist in the `chats` store keyed by item id and emit 'chat:update'.
+   */
+  const dedent = DV.utils.dedent;
+
+  const PASSAGE_SIZE = 1500;
+  const MAX_CONTEXT = 100000; // characters of source text sent per question at most
+  const HISTORY_TURNS = 6;
+
+  const SYSTEM_PROMPT = dedent`
+    SYSTEM DIRECTIVE: You answer follow-up questions about "{title}" using ONLY the numbered source passages provided.
+
+    ANSWER RULES:
+    1. Ground every claim in the passages. Quote the exact wording you rely on as a Markdown blockquote, followed by its passage number, e.g. "> exact words from the source (§12)".
+    2. Never invent quotes. Copy them verbatim, trimming with "…" if needed.
+    3. If the passages do not contain the answer, say so plainly instead of guessing.
+    4. Be concise. Use Markdown for structure when it helps.
+  `;
+
+  const STOPWORDS = new Set('the and for are but not you all any can had her was one our out has his how its may new now old see two who did get him let say she too use that with have this will your from they been more when were what which their there about would these other into than then them some could also only over such most very just does like'.split(' '));
+
+  /**
+   * Split source text into numbered passages of roughly PASSAGE_SIZE characters,
+   * breaking at paragraph boundaries where possible.
+   * @param {string} text
+   * @returns {Array<{n:number, text:string}>}
+   */
+  function splitPassages(text) {
+    const out = [];
+    let buf = '';
+    const push = () => { if (buf.trim()) out.push({ n: out.length + 1, text: buf.trim() }); buf = ''; };
+    for (const para of String(text || '').split(/\n{2,}/)) {
+      if (buf && buf.length + para.length > PASSAGE_SIZE) push();
+      if (para.length > PASSAGE_SIZE) {
+        for (let i = 0; i < para.length; i += PASSAGE_SIZE) { buf = para.slice(i, i + PASSAGE_SIZE); push(); }
+        continue;
+      }
+      buf += (buf ? '\n\n' : '') + para;
+    }
+    push();
+    return out;
+  }
+
+  /** Lower-cased content words of a string. */
+  function terms(s) {
+    return (String(s || '').toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []).filter(w => !STOPWORDS.has(w));
+  }
+
+  /**
+   * Characters of source text that fit the selected model's context window next to the
+   * answer and `reserved` characters of prompt and history, capped at MAX_CONTEXT.
+   * @param {object} aiSettings
+   * @param {number} [reserved]
+   * @returns {number}
+   */
+  function contextBudget(aiSettings, reserved = 0) {
+    const { contextWindow, maxOutput } = DV.ai.models.limits(String(aiSettings?.mode || '').toLowerCase(), aiSettings?.model);
+    if (!contextWindow) return Math.max(PASSAGE_SIZE, MAX_CONTEXT - reserved);
+    // ~3 characters per token, as for distillation chunks
+    const inputTokens = contextWindow - Math.min(maxOutput || 8192, 16384) - 1000;
+    return Math.max(PASSAGE_SIZE, Math.min(MAX_CONTEXT, inputTokens * 3) - reserved);
+  }
+
+  /**
+   * Choose the passages to send: everything when it fits the budget, otherwise the
+   * best keyword matches (rarer terms weigh more) kept in document order.
+   * @param {Array<{n:number, text:string}>} passages
+   * @param {string} query
+   * @param {number} [budget] Character budget
+   * @returns {Array<{n:number, text:string}>}
+   */
+  function selectPassages(passages, query, budget = MAX_CONTEXT) {
+    const total = passages.reduce((sum, p) => sum + p.text.length, 0);
+    if (total <= budget) return passages;
+    const q = Array.from(new Set(terms(query)));
+    const bags = passages.map(p => terms(p.text));
+    const df = new Map(q.map(t => [t, bags.filter(b => b.includes(t)).length]));
+    const scored = passages.map((p, i) => {
+      let score = 0;
+      for (const t of q) {
+        const tf = bags[i].filter(w => w === t).length;
+        if (tf) score += (1 + Math.log(tf)) * Math.log(1 + passages.length / (df.get(t) || 1));
+      }
+      return { p, score };
+    }).sort((a, b) => b.score - a.score || a.p.n - b.p.n);
+    const picked = [];
+    let used = 0;
+    for (const { p } of scored) {
+      if (used + p.text.length > budget) continue;
+      picked.push(p);
+      used += p.text.length;
+    }
+    return picked.sort((a, b) => a.n - b.n);
+  }
+
+  /**
+   * Load the stored conversation for an item.
+   * @param {string} id
+   * @returns {Promise<{id:string, messages:Array<object>, updatedAt?:number}>}
+   */
+  async function load(id) {
+    return (await DV.db.get('chats', id)) || { id, messages: [] };
+  }
+
+  /**
+   * Delete an item's conversation.
+   * @param {string} id
+   */
+  async function clear(id) {
+    await DV.db.del('chats', id);
+    DV.bus.emit('chat:update', { id, messages: [] });
+  }
+
+  /**
+   * Ask a question about an item and persist both the question and the answer.
+   * @param {{id:string, title?:string}} item
+   * @param {string} question
+   * @param {object} aiSettings
+   * @param {{onProgress?:(text:string)=>void, signal?:AbortSignal}} [opts]
+   * @returns {Promise<{id:string, messages:Array<object>, updatedAt:number}>}
+   */
+  async function ask(item, question, aiSettings, opts = {}) {
+    const q = String(question || '').trim();
+    if (!q) throw new Error('Question is empty.');
+    const content = await DV.db.get('contents', item.id);
+    const source = String(content?.rawExtracted?.text || content?.meta?.text || '').trim();
+    if (!source) throw new Error('No source text is stored for this item. Retry it to extract the source again.');
+
+    const chat = await load(item.id);
+    const history = chat.messages.slice(-HISTORY_TURNS * 2);
+    const title = item.title || 'Untitled';
+    const transcript = history.map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`).join('\n\n');
+    const system = DV.profiles.render(SYSTEM_PROMPT, { title });
+    const budget = contextBudget(aiSettings, system.length + transcript.length + q.length);
+    const passages = selectPassages(splitPassages(source), [q, ...history.filter(m => m.role === 'user').map(m => m.content)].join(' '), budget);
+    const context = passages.map(p => `[§${p.n}]\n${p.text}`).join('\n\n');
+
+    const user = `Source passages from "${title}":\n\n${context}\n\n${transcript ? `Conversation so far:\n\n${transcript}\n\n` : ''}Question: ${q}`;
+    const asked = { role: 'user', content: q, at: Date.now() };
+
+    const res = await DV.ai.complete({
+      title,
+      prompt: `${system}\n\n${user}`,
+      messages: [{ role: 'system', content: system }, { role: 'user', content: user }],
+      onProgress: opts.onProgress
+    }, aiSettings, { id: item.id, signal: opts.signal });
+
+    const answer = {
+      role: 'assistant',
+      content: String(res.text || '').trim(),
+      at: Date.now(),
+      provider: res.provider,
+      model: res.model,
+      usage: res.usage,
+      cost: DV.pricing.cost(res.model, res.usage)
+    };
+    // Re-read so a conversation cleared while waiting is not resurrected with stale turns
+    const latest = await load(item.id);
+    const next = { id: item.id, messages: [...latest.messages, asked, answer], updatedAt: Date.now() };
+    await DV.db.put('chats', next);
+    DV.bus.emit('chat:update', next);
+    return next;
+  }
+
+  /**
+   * Render a conversation as Markdown.
+   * @param {{messages:Array<object>}} chat
+   * @returns {string}
+   */
+  function toMarkdown(chat) {
+    return (chat?.messages || []).map(m => (m.role === 'user' ? `**You:** ${m.content}` : `**Assistant:**\n\n${m.content}`)).join('\n\n---\n\n');
+  }
+
+  /**
+   * Render a conversation as sanitized HTML for exporters, under a "Conversation" heading.
+   * @param {{messages:Array<object>}} chat
+   * @returns {string}
+   */
+  function toHtml(chat) {
+    if (!chat?.messages?.length) return '';
+    const md = `## Conversation\n\n${toMarkdown(chat)}`;
+    const raw = window.marked ? window.marked.parse(md) : '<pre>' + DV.utils.escapeHtml(md) + '</pre>';
+    return window.DOMPurify ? window.DOMPurify.sanitize(raw) : raw;
+  }
+
+  window.DV = window.DV || {};
+  window.DV.chat = { load, clear, ask, toMarkdown, toHtml, splitPassages, selectPassages, contextBudget };
+})();
@@ -0,0 +1,203 @@
+(function () {
+  /**
+   * Semantic search over the vault. Each completed item's distillation is split into
+   * passages, embedded through the provider chosen under Settings → Semantic Search
+   * (OpenAI, Gemini, a custom OpenAI-compatible server, or the offline mock) and stored
+   * in the `embeddings` store, one record per passage. Vectors are tagged with the
+   * provider and model that produced them; changing either re-indexes on the next run.
+   * Emits 'embeddings:update' with `{ itemId }` after an item is indexed or removed and
+   * 'embeddings:progress' with `{ done, total }` while indexing the whole vault.
+   */
+  const PASSAGE_CHARS = 1200;   // target passage length
+  const BATCH = 64;             // passages per embedding request
+  const DEFAULT_MODELS = { openai: 'text-embedding-3-small', gemini: 'gemini-embedding-001', mock: 'mock-hash-256' };
+
+  /**
+   * Embedding settings with the model default and, when no key of its own is set, the
+   * key of the same provider from the AI provider chain.
+   * @returns {{mode:string, model:string, apiKey:string, baseUrl:string, headers:string}|null}
+   */
+  function config() {
+    const settings = DV.queue.getSettings();
+    const conf = settings.embeddings || {};
+    if (!conf.mode) return null;
+    const chain = [settings.ai || {}, ...(settings.ai?.fallbacks || [])];
+    const peer = chain.find(e => e.mode === conf.mode) || {};
+    return {
+      mode: conf.mode,
+      model: conf.model || DEFAULT_MODELS[conf.mode] || '',
+      apiKey: conf.apiKey || peer.apiKey || '',
+      baseUrl: conf.baseUrl || peer.baseUrl || '',
+      headers: conf.headers || peer.headers || ''
+    };
+  }
+
+  /** Whether an embedding provider is configured. */
+  function enabled() {
+    return !!config();
+  }
+
+  /** Identifier stored with every vector, so vectors from different models never mix. */
+  const modelKey = (conf) => `${conf.mode}:${conf.model}`;
+
+  /**
+   * Split a distillation into passages along paragraphs, carrying the nearest heading
+   * into each passage for context.
+   * @param {string} text Plain text with Markdown-style headings (see synthesis.documentText)
+   * @returns {string[]}
+   */
+  function passages(text) {
+    const out = [];
+    let heading = '', cur = '';
+    const flush = () => { if (cur.trim()) out.push((heading && !cur.startsWith(heading) ? `${heading}\n` : '') + cur.trim()); cur = ''; };
+    for (const line of String(text || '').split('\n')) {
+      const l = line.trim();
+      if (!l) continue;
+      if (/^#{1,6}\s/.test(l)) { flush(); heading = l.replace(/^#+\s*/, ''); continue; }
+      if (cur.length + l.length > PASSAGE_CHARS) flush();
+      cur += (cur ? '\n' : '') + l;
+    }
+    flush();
+    return out;
+  }
+
+  /**
+   * Embed texts through the configured provider, in batches, waiting for rate-limit
+   * capacity like every other provider call.
+   * @param {string[]} texts
+   * @param {'document'|'query'} task
+   * @param {object} conf
+   * @returns {Promise<number[][]>}
+   */
+  async function embedTexts(texts, task, conf) {
+    const provider = window.DV.aiProviders[conf.mode];
+    if (!provider?.embed) throw new Error(`${DV.ai.providerLabel(conf.mode)} does not offer embeddings.`);
+    const limitKey = DV.ai.limiter.keyFor(conf);
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += BATCH) {
+      const part = texts.slice(i, i + BATCH);
+      const tokens = Math.ceil(part.reduce((n, t) => n + t.length, 0) / 4);
+      const ticket = await DV.ai.limiter.acquire(limitKey, tokens);
+      try {
+        const res = await provider.embed(part, { ...conf, task, __limitKey: limitKey });
+        ticket.settle(res.usage || null);
+        vectors.push(...res.vectors);
+      } catch (err) {
+        ticket.settle(null);
+        throw err;
+      }
+    }
+    return vectors;
+  }
+
+  /**
+   * Embed an item's current distillation. Items whose passages were already embedded
+   * from the same version with the same model are skipped.
+   * @param {string} itemId
+   * @returns {Promise<number>} Passages written
+   */
+  async function index(itemId) {
+    const conf = config();
+    if (!conf) return 0;
+    const [item, content, existing] = await Promise.all([DV.db.get('items', itemId), DV.db.get('contents', itemId), DV.db.getAllByIndex('embeddings', 'by_item', itemId)]);
+    if (!item || item.status !== DV.queue.STATUS.COMPLETED || !content?.html) return 0;
+    const versionId = content.versionId || null;
+    if (existing.length && existing.every(e => e.versionId === versionId && e.model === modelKey(conf))) return 0;
+
+    const texts = passages(DV.synthesis.documentText(content.html));
+    const vectors = texts.length ? await embedTexts(texts, 'document', conf) : [];
+    // The item may have been deleted or rerun while the provider answered
+    const [still, current] = await Promise.all([DV.db.get('items', itemId), DV.db.get('contents', itemId)]);
+    if (!still || (current?.versionId || null) !== versionId) return 0;
+    const now = Date.now();
+    const records = texts.map((text, i) => ({ id: `${itemId}:${i}`, itemId, versionId, index: i, text, vector: Float32Array.from(vectors[i] || []), model: modelKey(conf), createdAt: now }));
+    await Promise.all(existing.filter(e => e.index >= records.length).map(e => DV.db.del('embeddings', e.id)));
+    if (records.length) await DV.db.putBatch({ embeddings: records });
+    DV.bus.emit('embeddings:update', { itemId });
+    return records.length;
+  }
+
+  /**
+   * Index every completed item that is missing or stale, one at a time.
+   * @returns {Promise<{indexed:number, failed:number}>}
+   */
+  async function indexAll() {
+    if (!config()) throw new Error('Choose an embedding provider in Settings first.');
+    const items = (await DV.db.getAll('items')).filter(i => i.status === DV.queue.STATUS.COMPLETED && !DV.queue.isGroup(i));
+    let indexed = 0, failed = 0;
+    for (let i = 0; i < items.length; i++) {
+      DV.bus.emit('embeddings:progress', { done: i, total: items.length });
+      try {
+        if (await index(items[i].id)) indexed++;
+      } catch (err) {
+        // Provider-level failures will fail every item; stop instead of hammering it
+        const kind = DV.ai.transport.kindOf(err);
+        if (kind === DV.ai.transport.KIND.AUTH || kind === DV.ai.transport.KIND.QUOTA) throw err;
+        console.warn('Failed to index item', items[i].id, err);
+        failed++;
+      }
+    }
+    DV.bus.emit('embeddings:progress', { done: items.length, total: items.length });
+    return { indexed, failed };
+  }
+
+  /** Delete an item's passages. */
+  async function remove(itemId) {
+    const rows = await DV.db.getAllByIndex('embeddings', 'by_item', itemId);
+    await Promise.all(rows.map(r => DV.db.del('embeddings', r.id)));
+    if (rows.length) DV.bus.emit('embeddings:update', { itemId });
+  }
+
+  /**
+   * Indexing coverage for the configured model.
+   * @returns {Promise<{items:number, indexed:number, passages:number}>}
+   */
+  async function stats() {
+    const conf = config();
+    const [items, rows] = await Promise.all([DV.db.getAll('items'), DV.db.getAll('embeddings')]);
+    const current = conf ? rows.filter(r => r.model === modelKey(conf)) : [];
+    return {
+      items: items.filter(i => i.status === DV.queue.STATUS.COMPLETED && !DV.queue.isGroup(i)).length,
+      indexed: new Set(current.map(r => r.itemId)).size,
+      passages: current.length
+    };
+  }
+
+  function cosine(a, b) {
+    let dot = 0, na = 0, nb = 0;
+    const n = Math.min(a.length, b.length);
+    for (let i = 0; i < n; i++) { dot += a[i] * b[i]; na += a[i] * a[i]; nb += b[i] * b[i]; }
+    return na && nb ? dot / Math.sqrt(na * nb) : 0;
+  }
+
+  /**
+   * Most relevant passages across the vault for a query, at most `perItem` per item.
+   * @param {string} query
+   * @param {{limit?:number, perItem?:number}} [opts]
+   * @returns {Promise<Array<{itemId:string, index:number, text:string, score:number}>>}
+   */
+  async function search(query, { limit = 8, perItem = 2 } = {}) {
+    const conf = config();
+    if (!conf) throw new Error('Choose an embedding provider in Settings to use semantic search.');
+    const q = String(query || '').trim();
+    if (!q) return [];
+    const [[vector], rows] = await Promise.all([embedTexts([q], 'query', conf), DV.db.getAll('embeddings')]);
+    const scored = rows
+      .filter(r => r.model === modelKey(conf))
+      .map(r => ({ itemId: r.itemId, index: r.index, text: r.text, score: cosine(vector, r.vector) }))
+      .sort((a, b) => b.score - a.score);
+    const perItemCount = new Map();
+    const out = [];
+    for (const hit of scored) {
+      const n = perItemCount.get(hit.itemId) || 0;
+      if (n >= perItem) continue;
+      perItemCount.set(hit.itemId, n + 1);
+      out.push(hit);
+      if (out.length >= limit) break;
+    }
+    return out;
+  }
+
+  window.DV = window.DV || {};
+  window.DV.embeddings = { DEFAULT_MODELS, enabled, passages, index, indexAll, remove, stats, search };
+})();
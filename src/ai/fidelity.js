@@ -0,0 +1,205 @@
+(function () {
+  /**
+   * Fidelity check for finished distillations: every quoted passage and number in the
+   * final Markdown is looked up in the extracted source text. Quotes are matched on
+   * normalized word trigrams so small differences (punctuation, casing, "…" elisions)
+   * still count; numbers are matched by value. Purely local, no provider calls.
+   */
+  const MATCHED = 0.85;  // share of a quote's trigrams found in the source
+  const PARTIAL = 0.5;
+  const MIN_QUOTE_WORDS = 5;
+
+  /** Lower-case, unify quotes and dashes, drop punctuation, collapse whitespace. */
+  function normalize(s) {
+    return String(s || '')
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/[‘’‛`´]/g, "'")
+      .replace(/[^\p{L}\p{N}'\s]+/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  const words = (s) => normalize(s).split(' ').filter(Boolean);
+
+  function trigrams(tokens) {
+    const out = [];
+    for (let i = 0; i + 2 < tokens.length; i++) out.push(`${tokens[i]} ${tokens[i + 1]} ${tokens[i + 2]}`);
+    return out;
+  }
+
+  /** Strip inline Markdown so quote text reads like the rendered document. */
+  function plain(md) {
+    return String(md || '')
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/(\*\*|__|\*|_|`)/g, '')
+      .replace(/\s*\((?:§\d+[^)]*|S\d+)\)/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Quoted passages in a Markdown document: blockquotes and inline quotations of at
+   * least MIN_QUOTE_WORDS words (shorter quoted strings are usually terms, not quotes).
+   * @param {string} markdown
+   * @returns {string[]}
+   */
+  function findQuotes(markdown) {
+    const found = [];
+    const lines = String(markdown || '').replace(/```[\s\S]*?```/g, '').split('\n');
+    let block = [];
+    const flush = () => {
+      if (!block.length) return;
+      const text = plain(block.join(' '));
+      block = [];
+      const inner = text.match(/[“"]([^”"]+)[”"]/g);
+      if (inner) inner.forEach(q => found.push(q.slice(1, -1)));
+      else found.push(text.replace(/\s+[—–-]{1,2}\s*[^—–-]+$/, ''));
+    };
+    for (const line of lines) {
+      const m = line.match(/^\s*>+\s?(.*)$/);
+      if (m) { block.push(m[1]); continue; }
+      flush();
+      const body = plain(line);
+      for (const q of body.matchAll(/[“"]([^”"\n]+)[”"]/g)) found.push(q[1]);
+    }
+    flush();
+    const seen = new Set();
+    return found
+      .map(q => q.replace(/^["“”'\s]+|["“”'\s]+$/g, '').trim())
+      .filter(q => words(q).length >= MIN_QUOTE_WORDS && !seen.has(normalize(q)) && seen.add(normalize(q)));
+  }
+
+  /**
+   * Numbers in a Markdown document, ignoring list markers, citation labels and
+   * heading numbering.
+   * @param {string} markdown
+   * @returns {string[]}
+   */
+  function findNumbers(markdown) {
+    const out = new Set();
+    const text = String(markdown || '')
+      .replace(/```[\s\S]*?```/g, '')
+      .replace(/^\s*(?:#+\s*)?\d+[.)]\s/gm, ' ')
+      .replace(/\[S\d+\]|§\d+/g, ' ')
+      .replace(/^\s*\**tags?\**\s*:.*$/gim, ' ');
+    for (const m of text.matchAll(/(?<![\p{L}\d])\d[\d,.]*(?:\d)?%?/gu)) {
+      const raw = m[0].replace(/[.,]+$/, '');
+      if (/^\d$/.test(raw)) continue; // single digits are too common to verify
+      out.add(raw);
+    }
+    return Array.from(out);
+  }
+
+  /** Canonical value of a number as written ("1,250.5" → "1250.5", "12%" → "12"). */
+  function numberKey(raw) {
+    let s = String(raw).replace(/%$/, '');
+    if (/^\d{1,3}(,\d{3})+(\.\d+)?$/.test(s)) s = s.replace(/,/g, '');
+    else if (/^\d{1,3}(\.\d{3})+(,\d+)?$/.test(s)) s = s.replace(/\./g, '').replace(',', '.');
+    else s = s.replace(',', '.');
+    const n = Number(s);
+    return Number.isFinite(n) ? String(n) : s;
+  }
+
+  /**
+   * Score a quote against the source trigram set. Elisions ("…", "...", "[…]") split
+   * the quote into segments that are matched independently.
+   * @returns {number} 0..1
+   */
+  function scoreQuote(quote, sourceText, sourceGrams) {
+    if (sourceText.includes(normalize(quote))) return 1;
+    let hit = 0, total = 0;
+    for (const seg of quote.split(/\s*(?:…|\.{3}|\[[^\]]*\])\s*/)) {
+      const toks = words(seg);
+      if (toks.length < 3) {
+        if (toks.length && sourceText.includes(toks.join(' '))) { hit += toks.length; }
+        total += toks.length;
+        continue;
+      }
+      const grams = trigrams(toks);
+      total += grams.length;
+      for (const g of grams) if (sourceGrams.has(g)) hit++;
+    }
+    return total ? hit / total : 0;
+  }
+
+  /**
+   * Check a distillation against its source text.
+   * @param {string} markdown Final distillation Markdown
+   * @param {string} source Extracted source text
+   * @returns {{checkedAt:number, score:number|null, quotes:Array<{text:string, score:number, status:'matched'|'partial'|'unmatched'}>, numbers:{total:number, matched:number, unmatched:string[]}}|null}
+   */
+  function check(markdown, source) {
+    if (!markdown || !source) return null;
+    const sourceText = ` ${normalize(source)} `;
+    const sourceGrams = new Set(trigrams(sourceText.trim().split(' ')));
+    const sourceNumbers = new Set(findNumbers(source).map(numberKey));
+
+    const quotes = findQuotes(markdown).map(text => {
+      const score = Math.round(scoreQuote(text, sourceText, sourceGrams) * 100) / 100;
+      return { text, score, status: score >= MATCHED ? 'matched' : score >= PARTIAL ? 'partial' : 'unmatched' };
+    });
+    const nums = findNumbers(markdown);
+    const unmatched = nums.filter(n => !sourceNumbers.has(numberKey(n)) && !sourceText.includes(` ${normalize(n)} `));
+
+    const checked = quotes.length + nums.length;
+    const good = quotes.filter(q => q.status === 'matched').length + (nums.length - unmatched.length);
+    return {
+      checkedAt: Date.now(),
+      score: checked ? Math.round((good / checked) * 100) / 100 : null,
+      quotes,
+      numbers: { total: nums.length, matched: nums.length - unmatched.length, unmatched }
+    };
+  }
+
+  /**
+   * Mark quotes the report could not match in rendered (already sanitized) HTML:
+   * blockquotes get the `dv-unverified` class, inline quotations are wrapped in
+   * `<mark class="dv-unverified">`.
+   * @param {string} html
+   * @param {object|null} report Result of `check`
+   * @returns {string}
+   */
+  function annotate(html, report) {
+    const flagged = (report?.quotes || []).filter(q => q.status !== 'matched');
+    if (!html || !flagged.length) return html;
+    const doc = new DOMParser().parseFromString(`<div>${html}</div>`, 'text/html');
+    const root = doc.body.firstElementChild;
+    const title = (q) => (q.status === 'partial' ? `Only partly found in the source (${Math.round(q.score * 100)}% match)` : 'Not found in the source text — possible hallucination');
+
+    const pending = [];
+    for (const q of flagged) {
+      const key = normalize(q.text);
+      const bq = Array.from(root.querySelectorAll('blockquote')).find(el => normalize(el.textContent).includes(key));
+      if (bq) {
+        bq.classList.add('dv-unverified', `dv-unverified-${q.status}`);
+        bq.setAttribute('title', title(q));
+      } else {
+        pending.push(q);
+      }
+    }
+
+    // Inline quotations: wrap the first text-node occurrence of each remaining quote
+    for (const q of pending) {
+      const walker = doc.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+      let node;
+      while ((node = walker.nextNode())) {
+        const at = node.nodeValue.indexOf(q.text);
+        if (at === -1 || node.parentElement?.closest('mark')) continue;
+        const range = doc.createRange();
+        range.setStart(node, at);
+        range.setEnd(node, at + q.text.length);
+        const mark = doc.createElement('mark');
+        mark.className = `dv-unverified dv-unverified-${q.status}`;
+        mark.setAttribute('title', title(q));
+        range.surroundContents(mark);
+        break;
+      }
+    }
+    return root.innerHTML;
+  }
+
+  window.DV = window.DV || {};
+  window.DV.fidelity = { check, annotate, findQuotes, findNumbers };
+})();
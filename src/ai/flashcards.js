@@ -0,0 +1,299 @@
+(function () {
+  /**
+   * Study flashcards generated from an item's distillation. Cards are basic
+   * question/answer pairs or cloze deletions ({{c1::…}}), stored per item in the
+   * `flashcards` store (emitting 'flashcards:update'), editable by the user, and
+   * exported as an Anki package (.apkg, built locally with sql.js) or a TSV file for
+   * Anki's text import.
+   */
+  const dedent = DV.utils.dedent;
+
+  const SOURCE_BUDGET = 100000; // characters of distillation sent for generation
+  const SQLJS_BASE = 'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.8.0';
+
+  const SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['cards'],
+    properties: {
+      cards: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['type', 'front', 'back'],
+          properties: {
+            type: { type: 'string', enum: ['basic', 'cloze'] },
+            front: { type: 'string' },
+            back: { type: 'string' }
+          }
+        }
+      }
+    }
+  };
+
+  const DIRECTIVE = dedent`
+    SYSTEM DIRECTIVE: You are an expert teacher writing spaced-repetition flashcards from study notes on "{title}".
+    Write about {count} cards covering the most important facts, definitions, mechanisms, numbers and relationships in the notes.
+    - "basic" cards: a precise question in "front" and a short, complete answer in "back".
+    - "cloze" cards: one self-contained sentence in "front" with the key term hidden as {{c1::term}} (use c2, c3… for further deletions in the same sentence); "back" holds optional extra context or is empty.
+
+    RULES:
+    - Use ONLY information stated in the notes. One fact per card.
+    - No yes/no questions. Keep answers under 40 words.
+    - Write roughly two basic cards for every cloze card.
+    - Write the cards in the language of the notes.
+
+    Output ONLY a JSON object of the form {"cards": [{"type": "basic", "front": "...", "back": "..."}]}. No Markdown, no code fences.
+  `;
+
+  const CLOZE_RE = /\{\{c(\d+)::/g;
+
+  /**
+   * Load the stored cards of an item.
+   * @param {string} id
+   * @returns {Promise<{id:string, cards:Array<{id:string,type:'basic'|'cloze',front:string,back:string}>, updatedAt?:number}>}
+   */
+  async function load(id) {
+    return (await DV.db.get('flashcards', id)) || { id, cards: [] };
+  }
+
+  /**
+   * Replace the cards of an item, e.g. after editing in the review modal.
+   * @param {string} id
+   * @param {Array<object>} cards
+   * @returns {Promise<object>}
+   */
+  async function save(id, cards) {
+    const prev = await load(id);
+    const next = { ...prev, id, cards: normalize(cards), updatedAt: Date.now() };
+    await DV.db.put('flashcards', next);
+    DV.bus.emit('flashcards:update', next);
+    return next;
+  }
+
+  /**
+   * Delete the cards of an item.
+   * @param {string} id
+   */
+  async function remove(id) {
+    await DV.db.del('flashcards', id);
+    DV.bus.emit('flashcards:update', { id, cards: [] });
+  }
+
+  /** Drop empty cards and broken cloze cards; give every card an id. */
+  function normalize(cards) {
+    return (Array.isArray(cards) ? cards : [])
+      .map(c => ({
+        id: c?.id || DV.db.uid(),
+        type: c?.type === 'cloze' ? 'cloze' : 'basic',
+        front: String(c?.front || '').trim(),
+        back: String(c?.back || '').trim()
+      }))
+      .filter(c => c.front && (c.type === 'cloze' ? new RegExp(CLOZE_RE.source).test(c.front) : c.back));
+  }
+
+  /**
+   * The canonical distillation of an item as text: the Markdown of its current
+   * version when available, otherwise text recovered from the stored HTML.
+   * @param {string} id
+   * @returns {Promise<string>}
+   */
+  async function sourceText(id) {
+    const content = await DV.db.get('contents', id);
+    if (!content?.html) return '';
+    const version = content.versionId ? await DV.versions.get(content.versionId) : null;
+    return version ? DV.versions.text(version) : DV.synthesis.documentText(content.html);
+  }
+
+  /**
+   * Ask the provider for cards grounded in an item's distillation and store them,
+   * replacing any previous cards.
+   * @param {{id:string, title?:string}} item
+   * @param {object} aiSettings
+   * @param {{signal?:AbortSignal}} [opts] Cancels the request
+   * @returns {Promise<object>} The stored record
+   */
+  async function generate(item, aiSettings, opts = {}) {
+    const text = (await sourceText(item.id)).slice(0, SOURCE_BUDGET);
+    if (!text.trim()) throw new Error('This item has no distillation to study from yet.');
+    const title = item.title || 'Untitled';
+    const count = Math.max(8, Math.min(40, Math.round(text.length / 1500)));
+    const system = DV.profiles.render(DIRECTIVE, { title, count });
+    const user = `Study notes on "${title}":\n\n${text}`;
+    const res = await DV.ai.complete({
+      title,
+      prompt: `${system}\n\n${user}`,
+      messages: [{ role: 'system', content: system }, { role: 'user', content: user }],
+      schema: { name: 'flashcards', schema: SCHEMA }
+    }, aiSettings, { id: item.id, signal: opts.signal });
+
+    const parsed = DV.structured.parse(res.text);
+    const cards = normalize(Array.isArray(parsed) ? parsed : parsed?.cards);
+    if (!cards.length) throw new Error('The provider did not return any usable flashcards.');
+    const next = {
+      id: item.id,
+      cards,
+      generatedAt: Date.now(),
+      updatedAt: Date.now(),
+      provider: res.provider,
+      model: res.model,
+      usage: res.usage,
+      cost: DV.pricing.cost(res.model, res.usage)
+    };
+    await DV.db.put('flashcards', next);
+    DV.bus.emit('flashcards:update', next);
+    return next;
+  }
+
+  /** Card text as Anki field HTML. */
+  function fieldHtml(s) {
+    return DV.utils.escapeHtml(String(s || '')).replace(/\n/g, '<br>');
+  }
+
+  /** Anki tags are space separated, so spaces inside a tag become underscores. */
+  function ankiTags(tags) {
+    return (tags || []).map(t => String(t).trim().replace(/\s+/g, '_')).filter(Boolean).join(' ');
+  }
+
+  /**
+   * Build a TSV file for Anki's text import (File → Import), with header lines that
+   * map the columns to note type, deck, fields and tags.
+   * @param {Array<{name:string, cards:Array<object>, tags?:string[]}>} decks
+   * @returns {Blob}
+   */
+  function toTsv(decks) {
+    const cell = (s) => String(s || '').replace(/[\t\r\n]+/g, ' ');
+    const lines = ['#separator:tab', '#html:true', '#notetype column:1', '#deck column:2', '#tags column:5'];
+    for (const deck of decks) {
+      for (const c of deck.cards) {
+        lines.push([c.type === 'cloze' ? 'Cloze' : 'Basic', cell(deck.name), cell(fieldHtml(c.front)), cell(fieldHtml(c.back)), cell(ankiTags(deck.tags))].join('\t'));
+      }
+    }
+    return new Blob([lines.join('\n') + '\n'], { type: 'text/tab-separated-values;charset=utf-8' });
+  }
+
+  // Stable ids so repeated imports update the same note types instead of duplicating them
+  const BASIC_MODEL_ID = 1718023511001;
+  const CLOZE_MODEL_ID = 1718023511002;
+
+  const CARD_CSS = '.card { font-family: Inter, Arial, sans-serif; font-size: 20px; text-align: center; color: black; background-color: white; }\n.cloze { font-weight: bold; color: blue; }';
+
+  const ANKI_SCHEMA = dedent`
+    CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null);
+    CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null);
+    CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+    CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+    CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+    CREATE INDEX ix_notes_usn on notes (usn);
+    CREATE INDEX ix_cards_usn on cards (usn);
+    CREATE INDEX ix_revlog_usn on revlog (usn);
+    CREATE INDEX ix_cards_nid on cards (nid);
+    CREATE INDEX ix_cards_sched on cards (did, queue, due);
+    CREATE INDEX ix_revlog_cid on revlog (cid);
+    CREATE INDEX ix_notes_csum on notes (csum);
+  `;
+
+  const DECK_CONFIG = {
+    1: {
+      id: 1, name: 'Default', mod: 0, usn: 0, dyn: false, autoplay: true, replayq: true, timer: 0, maxTaken: 60,
+      new: { bury: true, delays: [1, 10], initialFactor: 2500, ints: [1, 4, 7], order: 1, perDay: 20, separate: true },
+      rev: { bury: true, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, minSpace: 1, perDay: 100 },
+      lapse: { delays: [10], leechAction: 0, leechFails: 8, minInt: 1, mult: 0 }
+    }
+  };
+
+  /** Anki note type definition. */
+  function noteModel(id, name, cloze, now) {
+    const fieldNames = cloze ? ['Text', 'Back Extra'] : ['Front', 'Back'];
+    return {
+      id, name, type: cloze ? 1 : 0, mod: now, usn: -1, sortf: 0, did: 1,
+      flds: fieldNames.map((f, ord) => ({ name: f, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] })),
+      tmpls: [cloze
+        ? { name: 'Cloze', ord: 0, qfmt: '{{cloze:Text}}', afmt: '{{cloze:Text}}<br>\n{{Back Extra}}', did: null, bqfmt: '', bafmt: '' }
+        : { name: 'Card 1', ord: 0, qfmt: '{{Front}}', afmt: '{{FrontSide}}\n\n<hr id=answer>\n\n{{Back}}', did: null, bqfmt: '', bafmt: '' }],
+      css: CARD_CSS,
+      latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+      latexPost: '\\end{document}',
+      latexsvg: false,
+      req: [[0, 'any', [0]]],
+      tags: [],
+      vers: []
+    };
+  }
+
+  /** Stable positive 32-bit-ish id derived from a string (deck names). */
+  function hashId(s) {
+    let h = 2166136261;
+    for (let i = 0; i < s.length; i++) { h ^= s.charCodeAt(i); h = Math.imul(h, 16777619); }
+    return 1000000000 + ((h >>> 0) % 1000000000);
+  }
+
+  /** Anki's note checksum: the first 8 hex digits of SHA-1 over the stripped sort field. */
+  async function checksum(s) {
+    const text = String(s || '').replace(/<[^>]+>/g, '');
+    const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text));
+    return parseInt(Array.from(new Uint8Array(digest).slice(0, 4)).map(b => b.toString(16).padStart(2, '0')).join(''), 16);
+  }
+
+  /**
+   * Build an Anki package (.apkg): a zip holding a `collection.anki2` SQLite database
+   * with one deck per entry and an empty media map. sql.js is loaded on first use.
+   * @param {Array<{name:string, cards:Array<object>, tags?:string[]}>} decks
+   * @returns {Promise<Blob>}
+   */
+  async function toApkg(decks) {
+    await DV.utils.loadScriptOnce(`${SQLJS_BASE}/sql-wasm.js`, () => typeof window.initSqlJs === 'function');
+    const SQL = await window.initSqlJs({ locateFile: (f) => `${SQLJS_BASE}/${f}` });
+    const db = new SQL.Database();
+    try {
+      db.run(ANKI_SCHEMA);
+      const now = Date.now();
+      const sec = Math.floor(now / 1000);
+      const deckMap = {
+        1: { id: 1, name: 'Default', desc: '', mod: sec, usn: -1, collapsed: false, newToday: [0, 0], revToday: [0, 0], lrnToday: [0, 0], timeToday: [0, 0], dyn: 0, extendNew: 10, extendRev: 50, conf: 1 }
+      };
+      decks.forEach(d => {
+        const id = hashId(d.name);
+        deckMap[id] = { ...deckMap[1], id, name: d.name };
+      });
+      const models = {
+        [BASIC_MODEL_ID]: noteModel(BASIC_MODEL_ID, 'DistyVault Basic', false, sec),
+        [CLOZE_MODEL_ID]: noteModel(CLOZE_MODEL_ID, 'DistyVault Cloze', true, sec)
+      };
+      const conf = { activeDecks: [1], curDeck: 1, newSpread: 0, collapseTime: 1200, timeLim: 0, estTimes: true, dueCounts: true, curModel: null, nextPos: 1, sortType: 'noteFld', sortBackwards: false, addToCur: true };
+      db.run('INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)', [sec, now, now, JSON.stringify(conf), JSON.stringify(models), JSON.stringify(deckMap), JSON.stringify(DECK_CONFIG), '{}']);
+
+      let nextId = now;
+      let due = 1;
+      for (const deck of decks) {
+        const did = hashId(deck.name);
+        const tags = ankiTags(deck.tags);
+        for (const c of deck.cards) {
+          const nid = nextId++;
+          const cloze = c.type === 'cloze';
+          const front = fieldHtml(c.front);
+          db.run('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')', [
+            nid, c.id, cloze ? CLOZE_MODEL_ID : BASIC_MODEL_ID, sec, tags ? ` ${tags} ` : '',
+            `${front}\x1f${fieldHtml(c.back)}`, front.replace(/<[^>]+>/g, ''), await checksum(front)
+          ]);
+          const ords = cloze ? Array.from(new Set(Array.from(c.front.matchAll(CLOZE_RE), m => Number(m[1]) - 1))).sort((a, b) => a - b) : [0];
+          for (const ord of ords) {
+            db.run('INSERT INTO cards VALUES (?, ?, ?, ?, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, \'\')', [nextId++, nid, did, ord, sec, due]);
+          }
+          due++;
+        }
+      }
+
+      const zip = new JSZip();
+      zip.file('collection.anki2', db.export());
+      zip.file('media', '{}');
+      return await zip.generateAsync({ type: 'blob', mimeType: 'application/octet-stream' });
+    } finally {
+      db.close();
+    }
+  }
+
+  window.DV = window.DV || {};
+  window.DV.flashcards = { load, save, remove, generate, toApkg, toTsv };
+})();
@@ -0,0 +1,197 @@
+(function () {
+  /**
+   * Per-provider-key request scheduler shared by the queue and DV.ai. Every provider
+   * call takes a ticket first; tickets are granted in arrival order once the key's
+   * requests-per-minute and tokens-per-minute budgets allow, over a sliding one-minute
+   * window. Limits come from Settings (configured by the queue), or else from the
+   * limits providers announce in their rate-limit headers. A 429 with a server-directed
+   * delay holds every call made with that key. Buckets are named by `keyFor`. Emits
+   * 'ai:limiter' with `{ waits: {itemId: until} }` whenever the set of waiting items
+   * changes.
+   */
+  const WINDOW_MS = 60000;
+  const OUTPUT_ALLOWANCE = 2000; // tokens reserved for the answer until real usage is known
+  const IMAGE_TOKENS = 1600;     // a page image at the resolution vision extraction sends
+
+  const buckets = new Map();
+  let configured = {};
+
+  /**
+   * Bucket name of a provider entry: its mode plus a short hash of its API key and base
+   * URL, so two keys for the same vendor keep separate budgets. The key itself is
+   * never stored. Entries without either share the mode's bucket.
+   * @param {{mode?:string, apiKey?:string, baseUrl?:string}} entry
+   * @returns {string}
+   */
+  function keyFor(entry) {
+    const mode = String(entry?.mode || '').toLowerCase();
+    const secret = [entry?.apiKey, entry?.baseUrl].filter(Boolean).join('\n');
+    if (!secret) return mode;
+    let h = 0x811c9dc5; // FNV-1a
+    for (let i = 0; i < secret.length; i++) h = Math.imul(h ^ secret.charCodeAt(i), 0x01000193);
+    return `${mode}:${(h >>> 0).toString(16).padStart(8, '0')}`;
+  }
+
+  function bucket(key) {
+    if (!buckets.has(key)) buckets.set(key, { log: [], queue: [], blockedUntil: 0, learned: {}, timer: null });
+    return buckets.get(key);
+  }
+
+  /**
+   * Set the configured limits. Empty or zero values fall back to learned limits.
+   * @param {Object<string,{rpm?:number, tpm?:number}>} limits Keyed by `keyFor`
+   */
+  function configure(limits) {
+    configured = limits && typeof limits === 'object' ? limits : {};
+    buckets.forEach((_, key) => pump(key));
+  }
+
+  /**
+   * Effective limits for a provider key: configured values win over learned ones.
+   * @param {string} key See `keyFor`
+   * @returns {{rpm:number, tpm:number}}
+   */
+  function limitsFor(key) {
+    const conf = configured[key] || {};
+    const learned = buckets.get(key)?.learned || {};
+    return {
+      rpm: Number(conf.rpm) > 0 ? Number(conf.rpm) : Number(learned.rpm) || 0,
+      tpm: Number(conf.tpm) > 0 ? Number(conf.tpm) : Number(learned.tpm) || 0
+    };
+  }
+
+  /**
+   * Rough token count of a prepared request: input at ~4 characters per token, a fixed
+   * amount per attached image, plus an allowance for the output.
+   * @param {{messages?:Array<{content:string}>, prompt?:string, images?:object[]}} prepared
+   * @returns {number}
+   */
+  function estimate(prepared) {
+    const chars = prepared?.messages?.length
+      ? prepared.messages.reduce((n, m) => n + String(m.content || '').length, 0)
+      : String(prepared?.prompt || '').length;
+    return Math.ceil(chars / 4) + (prepared?.images?.length || 0) * IMAGE_TOKENS + OUTPUT_ALLOWANCE;
+  }
+
+  /** Milliseconds until the head of the line fits the budgets. */
+  function waitFor(b, limits, tokens, now) {
+    b.log = b.log.filter(e => e.at > now - WINDOW_MS);
+    let wait = Math.max(0, b.blockedUntil - now);
+    if (limits.rpm && b.log.length >= limits.rpm) {
+      wait = Math.max(wait, b.log[b.log.length - limits.rpm].at + WINDOW_MS - now);
+    }
+    if (limits.tpm) {
+      // A request larger than the whole budget goes through once the window is empty
+      const need = Math.min(tokens, limits.tpm);
+      let used = b.log.reduce((n, e) => n + e.tokens, 0);
+      if (used + need > limits.tpm) {
+        for (const e of b.log) {
+          used -= e.tokens;
+          if (used + need <= limits.tpm) { wait = Math.max(wait, e.at + WINDOW_MS - now); break; }
+        }
+      }
+    }
+    return wait;
+  }
+
+  /** Grant tickets while the budgets allow, then schedule the next check. */
+  function pump(key) {
+    const b = bucket(key);
+    clearTimeout(b.timer);
+    b.timer = null;
+    const now = Date.now();
+    while (b.queue.length) {
+      const head = b.queue[0];
+      const wait = waitFor(b, limitsFor(key), head.tokens, now);
+      if (wait > 0) {
+        b.queue.forEach(w => { w.until = now + wait; });
+        b.timer = setTimeout(() => pump(key), wait);
+        break;
+      }
+      b.queue.shift();
+      const entry = { at: now, tokens: head.tokens };
+      b.log.push(entry);
+      // Settling replaces the estimate with the tokens the provider actually billed
+      head.resolve({ settle: (usage) => { if (usage) entry.tokens = Number(usage.inputTokens || 0) + Number(usage.outputTokens || 0); } });
+    }
+    emitWaits();
+  }
+
+  /**
+   * Wait for capacity on a provider key.
+   * @param {string} key See `keyFor`
+   * @param {number} tokens Estimated tokens, see `estimate`
+   * @param {{id?:string|null, signal?:AbortSignal}} [opts] Queue item the call belongs to, shown in its row
+   * @returns {Promise<{settle:(usage:{inputTokens?:number,outputTokens?:number}|null)=>void}>}
+   */
+  function acquire(key, tokens, opts = {}) {
+    return new Promise((resolve, reject) => {
+      const b = bucket(key);
+      const waiter = { tokens: Number(tokens) || 0, id: opts.id || null, until: 0, resolve, reject };
+      if (opts.signal) {
+        if (opts.signal.aborted) return reject(new DOMException('Aborted', 'AbortError'));
+        opts.signal.addEventListener('abort', () => {
+          const i = b.queue.indexOf(waiter);
+          if (i === -1) return;
+          b.queue.splice(i, 1);
+          reject(new DOMException('Aborted', 'AbortError'));
+          pump(key);
+        }, { once: true });
+      }
+      b.queue.push(waiter);
+      pump(key);
+    });
+  }
+
+  /**
+   * Hold every call made with a provider key for `ms`, e.g. after a 429 with Retry-After.
+   * @param {string} key See `keyFor`
+   * @param {number} ms
+   */
+  function block(key, ms) {
+    if (!key || !(ms > 0)) return;
+    const b = bucket(key);
+    b.blockedUntil = Math.max(b.blockedUntil, Date.now() + ms);
+    pump(key);
+  }
+
+  /**
+   * Learn the provider's own limits from response headers (OpenAI-style
+   * `x-ratelimit-limit-*`, Anthropic `anthropic-ratelimit-*-limit`), when exposed.
+   * @param {string} key See `keyFor`
+   * @param {Headers} headers
+   */
+  function observe(key, headers) {
+    if (!key || !headers?.get) return;
+    const rpm = Number(headers.get('x-ratelimit-limit-requests') || headers.get('anthropic-ratelimit-requests-limit')) || 0;
+    const tpm = Number(headers.get('x-ratelimit-limit-tokens') || headers.get('anthropic-ratelimit-input-tokens-limit') || headers.get('anthropic-ratelimit-tokens-limit')) || 0;
+    if (!rpm && !tpm) return;
+    const b = bucket(key);
+    b.learned = { rpm: rpm || b.learned.rpm || 0, tpm: tpm || b.learned.tpm || 0 };
+  }
+
+  /**
+   * Items currently waiting for capacity and when their next call may start.
+   * @returns {Object<string, number>}
+   */
+  function waits() {
+    const out = {};
+    buckets.forEach(b => b.queue.forEach(w => {
+      if (w.id && w.until > Date.now()) out[w.id] = Math.max(out[w.id] || 0, w.until);
+    }));
+    return out;
+  }
+
+  let lastWaits = '';
+  function emitWaits() {
+    const current = waits();
+    const sig = JSON.stringify(current);
+    if (sig === lastWaits) return;
+    lastWaits = sig;
+    DV.bus.emit('ai:limiter', { waits: current });
+  }
+
+  window.DV = window.DV || {};
+  window.DV.ai = window.DV.ai || {};
+  window.DV.ai.limiter = { keyFor, configure, limitsFor, estimate, acquire, block, observe, waits };
+})();
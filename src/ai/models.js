@@ -0,0 +1,154 @@
+(function () {
+  /**
+   * Model catalogue per provider: a built-in list of recommended models with known
+   * limits, extended by the models each provider reports from its `/models` endpoint
+   * when its key is verified. The live lists are persisted in the `settings` store under
+   * the 'models' key. Providers accept any catalogued model and fall back to their
+   * default only for names they have never seen. Emits 'models:update' with the catalogue.
+   */
+  const SETTINGS_KEY = 'models';
+
+  /** Recommended models; the first entry of each provider is its default. */
+  const BUILTIN = {
+    openai: [
+      { id: 'gpt-5.4', label: 'GPT-5.4', contextWindow: 400000, maxOutput: 128000 },
+      { id: 'gpt-5.4-mini', label: 'GPT-5.4 Mini', contextWindow: 400000, maxOutput: 128000 },
+      { id: 'gpt-5.4-nano', label: 'GPT-5.4 Nano', contextWindow: 400000, maxOutput: 128000 }
+    ],
+    anthropic: [
+      { id: 'claude-opus-4.7', label: 'Claude Opus 4.7', contextWindow: 200000, maxOutput: 32000 },
+      { id: 'claude-sonnet-4.6', label: 'Claude Sonnet 4.6', contextWindow: 200000, maxOutput: 64000 }
+    ],
+    gemini: [
+      { id: 'gemini-3.1-pro', apiId: 'gemini-3.1-pro-preview', label: 'Gemini 3.1 Pro', contextWindow: 1048576, maxOutput: 65536 },
+      { id: 'gemini-3.5-flash', label: 'Gemini 3.5 Flash', contextWindow: 1048576, maxOutput: 65536 },
+      { id: 'gemini-3.1-flash-lite', label: 'Gemini 3.1 Flash-Lite', contextWindow: 1048576, maxOutput: 65536 }
+    ],
+    deepseek: [
+      { id: 'deepseek-v4-flash', label: 'DeepSeek V4 Flash', contextWindow: 128000, maxOutput: 8192 },
+      { id: 'deepseek-v4-pro', label: 'DeepSeek V4 Pro', contextWindow: 128000, maxOutput: 64000 }
+    ],
+    grok: [
+      { id: 'grok-4.3-beta', label: 'Grok 4.3 Beta', contextWindow: 256000, maxOutput: 0 },
+      { id: 'grok-4.20', label: 'Grok 4.20', contextWindow: 256000, maxOutput: 0 },
+      { id: 'grok-4.20-reasoning', label: 'Grok 4.20 Reasoning', contextWindow: 256000, maxOutput: 0 }
+    ],
+    custom: []
+  };
+
+  let catalog = {};
+
+  /**
+   * Load the cached live lists from IndexedDB. Emits 'models:update'.
+   * @returns {Promise<Object<string,{fetchedAt:number, models:object[]}>>}
+   */
+  async function load() {
+    const rec = await DV.db.get('settings', SETTINGS_KEY);
+    catalog = rec?.value && typeof rec.value === 'object' ? rec.value : {};
+    DV.bus.emit('models:update', catalog);
+    return catalog;
+  }
+
+  /** Current live catalogue snapshot. */
+  function getCatalog() { return catalog; }
+
+  /**
+   * Store the models a provider reported. Emits 'models:update'.
+   * @param {string} mode Provider mode
+   * @param {Array<{id:string, label?:string, contextWindow?:number, maxOutput?:number}>} models
+   */
+  async function record(mode, models) {
+    const clean = (models || []).filter(m => m?.id).map(m => ({
+      id: String(m.id),
+      label: m.label || String(m.id),
+      contextWindow: Number(m.contextWindow) || 0,
+      maxOutput: Number(m.maxOutput) || 0
+    }));
+    catalog = { ...catalog, [mode]: { fetchedAt: Date.now(), models: clean } };
+    await DV.db.put('settings', { key: SETTINGS_KEY, value: catalog });
+    DV.bus.emit('models:update', catalog);
+    return catalog;
+  }
+
+  /**
+   * Normalize one entry of a `/models` response. Reads the limit fields of the APIs we
+   * talk to (Gemini `inputTokenLimit`, Anthropic `max_input_tokens`, vLLM
+   * `max_model_len`, LM Studio `max_context_length`, ...); missing limits are 0.
+   * @param {object|string} raw
+   * @returns {{id:string, label:string, contextWindow:number, maxOutput:number}|null}
+   */
+  function fromApi(raw) {
+    const id = String((typeof raw === 'string' ? raw : raw?.id || raw?.name || raw?.model) || '').replace(/^models\//, '');
+    if (!id) return null;
+    const num = (...vals) => vals.map(Number).find(n => n > 0) || 0;
+    return {
+      id,
+      label: raw?.display_name || raw?.displayName || id,
+      contextWindow: num(raw?.context_window, raw?.context_length, raw?.max_context_length, raw?.max_model_len, raw?.inputTokenLimit, raw?.max_input_tokens),
+      maxOutput: num(raw?.max_output_tokens, raw?.outputTokenLimit, raw?.max_completion_tokens, raw?.max_tokens)
+    };
+  }
+
+  /**
+   * Models offered for a provider: the built-in ones first (with live limits where the
+   * provider reported them), then every other model the provider listed.
+   * @param {string} mode
+   * @param {object} [from] Catalogue to read, defaults to the current one
+   * @returns {Array<{id:string, label:string, contextWindow:number, maxOutput:number, apiId?:string, builtin:boolean, live:boolean}>}
+   */
+  function list(mode, from = catalog) {
+    const live = from?.[mode]?.models || [];
+    const builtin = (BUILTIN[mode] || []).map(b => {
+      const seen = live.find(m => m.id === b.id || m.id === b.apiId);
+      return {
+        ...b,
+        contextWindow: seen?.contextWindow || b.contextWindow,
+        maxOutput: seen?.maxOutput || b.maxOutput,
+        builtin: true,
+        live: !!seen
+      };
+    });
+    const extra = live
+      .filter(m => !builtin.some(b => b.id === m.id || b.apiId === m.id))
+      .map(m => ({ ...m, builtin: false, live: true }))
+      .sort((a, b) => a.id.localeCompare(b.id));
+    return [...builtin, ...extra];
+  }
+
+  /**
+   * Catalogue entry of a model, or undefined when the provider never listed it.
+   * @param {string} mode
+   * @param {string} model
+   */
+  function get(mode, model) {
+    return list(mode).find(m => m.id === model);
+  }
+
+  /**
+   * Model to call: the requested one when it is catalogued, otherwise the provider's
+   * default. Providers without built-in models (custom) take the name as given.
+   * @param {string} mode
+   * @param {string} model
+   * @returns {string}
+   */
+  function resolve(mode, model) {
+    const id = String(model || '').trim();
+    if (id && get(mode, id)) return id;
+    return BUILTIN[mode]?.[0]?.id || id;
+  }
+
+  /**
+   * Context window and output limit of the model a request will use, 0 when unknown.
+   * @param {string} mode
+   * @param {string} model
+   * @returns {{contextWindow:number, maxOutput:number}}
+   */
+  function limits(mode, model) {
+    const entry = get(mode, resolve(mode, model));
+    return { contextWindow: entry?.contextWindow || 0, maxOutput: entry?.maxOutput || 0 };
+  }
+
+  window.DV = window.DV || {};
+  window.DV.ai = window.DV.ai || {};
+  window.DV.ai.models = { BUILTIN, load, getCatalog, record, fromApi, list, get, resolve, limits };
+})();
@@ -0,0 +1,97 @@
+(function () {
+  /**
+   * Per-model token prices used to turn provider usage into a cost estimate. Prices are
+   * USD per one million tokens and are user-editable; the table is persisted in the
+   * `settings` store under the 'pricing' key. Defaults are estimates, not invoices.
+   */
+  const SETTINGS_KEY = 'pricing';
+
+  const DEFAULT_PRICES = {
+    'gpt-5.4': { input: 1.25, output: 10 },
+    'gpt-5.4-mini': { input: 0.25, output: 2 },
+    'gpt-5.4-nano': { input: 0.05, output: 0.4 },
+    'claude-opus-4.7': { input: 5, output: 25 },
+    'claude-sonnet-4.6': { input: 3, output: 15 },
+    'gemini-3.1-pro': { input: 2, output: 12 },
+    'gemini-3.5-flash': { input: 0.3, output: 2.5 },
+    'gemini-3.1-flash-lite': { input: 0.1, output: 0.4 },
+    'deepseek-v4-flash': { input: 0.28, output: 0.42 },
+    'deepseek-v4-pro': { input: 0.55, output: 2.19 },
+    'grok-4.3-beta': { input: 3, output: 15 },
+    'grok-4.20': { input: 3, output: 15 },
+    'grok-4.20-reasoning': { input: 3, output: 15 }
+  };
+
+  let prices = { ...DEFAULT_PRICES };
+
+  /**
+   * Load the persisted price table, falling back to defaults for models never edited.
+   * Emits 'pricing:update'.
+   * @returns {Promise<Record<string,{input:number,output:number}>>}
+   */
+  async function load() {
+    const rec = await DV.db.get('settings', SETTINGS_KEY);
+    prices = { ...DEFAULT_PRICES, ...(rec?.value || {}) };
+    DV.bus.emit('pricing:update', prices);
+    return prices;
+  }
+
+  /**
+   * Persist a full price table. Non-numeric entries are coerced to 0.
+   * @param {Record<string,{input:number,output:number}>} next
+   * @returns {Promise<Record<string,{input:number,output:number}>>}
+   */
+  async function save(next) {
+    const clean = {};
+    for (const [model, p] of Object.entries(next || {})) {
+      const key = String(model).trim();
+      if (!key) continue;
+      clean[key] = { input: Math.max(0, Number(p?.input) || 0), output: Math.max(0, Number(p?.output) || 0) };
+    }
+    prices = clean;
+    await DV.db.put('settings', { key: SETTINGS_KEY, value: prices });
+    DV.bus.emit('pricing:update', prices);
+    return prices;
+  }
+
+  /** Current price table. */
+  function getPrices() { return prices; }
+
+  /**
+   * Estimate the USD cost of a usage block for a model. Unknown models cost 0.
+   * @param {string} model
+   * @param {{inputTokens?:number, outputTokens?:number}} usage
+   * @returns {number}
+   */
+  function cost(model, usage) {
+    const p = prices[model];
+    if (!p || !usage) return 0;
+    return ((usage.inputTokens || 0) * p.input + (usage.outputTokens || 0) * p.output) / 1e6;
+  }
+
+  /**
+   * Format a USD amount, keeping sub-cent precision for cheap runs.
+   * @param {number} n
+   * @returns {string}
+   */
+  function formatCost(n) {
+    const v = Number(n || 0);
+    if (v > 0 && v < 0.01) return '$' + v.toFixed(4);
+    return '$' + v.toFixed(2);
+  }
+
+  /**
+   * Format a token count compactly (e.g. 12.3k, 1.2M).
+   * @param {number} n
+   * @returns {string}
+   */
+  function formatTokens(n) {
+    const v = Number(n || 0);
+    if (v >= 1e6) return (v / 1e6).toFixed(1) + 'M';
+    if (v >= 1e3) return (v / 1e3).toFixed(1) + 'k';
+    return String(v);
+  }
+
+  window.DV = window.DV || {};
+  window.DV.pricing = { DEFAULT_PRICES, load, save, getPrices, cost, formatCost, formatTokens };
+})();
@@ -0,0 +1,203 @@
+(function () {
+  /**
+   * Distillation profiles: named pairs of analysis and format prompts, persisted in the
+   * `settings` store under the 'profiles' key together with the rules that pick a
+   * default profile per item kind or tag. Prompts may reference {title}, {url}, {kind},
+   * {tags} and {date}; unknown placeholders are left untouched.
+   */
+  const SETTINGS_KEY = 'profiles';
+  const dedent = DV.utils.dedent;
+
+  const BUILTIN_PROFILES = [
+    {
+      id: 'deep',
+      name: 'Deep Distillation',
+      builtin: true,
+      analysisPrompt: dedent`
+        SYSTEM DIRECTIVE: You are an elite, world-class knowledge extractor and research analyst.
+        Your singular objective is to perform a 100% EXHAUSTIVE, VERBOSE DEEP ANALYSIS of the provided source material.
+
+        EXTRACTION PROTOCOL:
+        1. ABSOLUTELY NO SUMMARIZATION: You are strictly forbidden from summarizing, condensing, or shortening the content. You must distill and extract EVERY SINGLE detail, nuance, example, core concept, argument, underlying mechanism, and actionable insight.
+        2. MAXIMUM VERBOSITY: Your output should be extremely detailed. Expand on the extracted ideas to ensure 100% of the original meaning and depth is preserved.
+        3. FULL CONTEXT: Strip away purely meaningless rhetorical filler, but keep every single piece of context, supporting evidence, anecdote, or data point that adds to the understanding.
+        4. STRUCTURAL FIDELITY: Capture the exact logical flow and hierarchy of ideas in painstaking detail.
+        5. GRANULARITY: Retain ALL exact numbers, ALL key terminology, ALL methodologies, and heavily quote critical passages.
+        6. WEB SEARCH & GAP FILLING: If you possess web search capabilities, aggressively use them! Search for tricky concepts, obscure terminology, or logical gaps present in the source text. Integrate this external context to build a completely comprehensive picture.
+        7. COMPREHENSIVE LIST COVERAGE: If the source material lists lessons, rules, steps, chapters, or numbered points (e.g., "31 lessons"), you MUST extract and analyze EVERY SINGLE one of them individually. Do not skip, combine, or omit any item. Each lesson/point must be explicitly named, numbered, and detailed.
+
+        OUTPUT RULES:
+        - Do NOT worry about creating a beautiful final document. This is a massive raw brain dump for a subsequent editor.
+        - Focus entirely on 100% retention of information, extreme depth, and sheer volume.
+        - Output ONLY your raw analysis. No conversational filler or meta-commentary.
+      `,
+      formatPrompt: dedent`
+        SYSTEM DIRECTIVE: You are an elite information architect and technical editor.
+        Your task is to take an incredibly dense, exhaustive raw knowledge dump and format it into a beautifully structured, highly readable Markdown document.
+
+        FORMATTING PROTOCOL:
+        1. ELEGANT STRUCTURE: Organize the massive volume of knowledge logically using a clear hierarchy (e.g., # Main Title, ## Core Concepts, ### Nuances). Use bullet points, numbered lists, and bold text extensively to make the dense content scannable.
+        2. ABSOLUTELY NO SUMMARIZATION OR REDACTION: You are strictly forbidden from summarizing, cutting, or shortening the content. You MUST retain 100% of the information, deep insights, critical nuances, and data points from the raw analysis. The final document should be extremely verbose and comprehensive.
+        3. READABILITY: Break up massive walls of text. Use blockquotes for critical insights or key takeaways. Ensure the flow of information builds logically from fundamental to complex.
+        4. COMPLETE ITEM RETENTION: You must preserve every single numbered item, rule, step, or lesson (e.g., all 31 lessons) present in the raw analysis. Do not group them into high-level categories if it means losing the individual numbered sections. Ensure the final document contains dedicated headings or bullet points for each point.
+
+        OUTPUT CONSTRAINTS:
+        - Use ONLY standard, elegant Markdown.
+        - Do NOT use HTML tags. Do NOT wrap your response in markdown code blocks.
+        - Output ONLY the formatted content. No conversational intro or outro.
+      `
+    },
+    {
+      id: 'tldr',
+      name: 'TL;DR',
+      builtin: true,
+      analysisPrompt: dedent`
+        SYSTEM DIRECTIVE: You are a sharp research analyst reading "{title}" ({kind}).
+        Identify the central thesis, the 5-10 most important claims or findings, the strongest supporting evidence for each, and any conclusions or recommendations.
+        Keep exact numbers and names. Ignore filler, anecdotes and repetition.
+        Output ONLY your raw notes. No conversational filler or meta-commentary.
+      `,
+      formatPrompt: dedent`
+        SYSTEM DIRECTIVE: You are a concise technical editor.
+        Turn the notes into a short Markdown brief titled "# {title}":
+        - One paragraph "## TL;DR" of at most 3 sentences.
+        - "## Key Points" as 5-10 bullets, one line each, bold the key term.
+        - "## Takeaways" with up to 3 actionable bullets, if any exist.
+
+        OUTPUT CONSTRAINTS:
+        - Use ONLY standard Markdown. Do NOT wrap your response in code blocks.
+        - Output ONLY the formatted content. No conversational intro or outro.
+      `
+    },
+    {
+      id: 'study',
+      name: 'Study Notes',
+      builtin: true,
+      analysisPrompt: dedent`
+        SYSTEM DIRECTIVE: You are an expert tutor preparing study material from "{title}".
+        Extract every concept a student must learn: definitions, formulas, processes step by step, worked examples, common mistakes and how concepts relate to each other.
+        Retain exact terminology, numbers and examples from the source.
+        Output ONLY your raw notes. No conversational filler or meta-commentary.
+      `,
+      formatPrompt: dedent`
+        SYSTEM DIRECTIVE: You are an instructional designer.
+        Format the notes into Markdown study notes titled "# {title}":
+        1. "## Learning Objectives" as a short bullet list.
+        2. One "##" section per concept with a plain-language explanation, a **Definition** line, and an example.
+        3. "## Key Terms" as a glossary list.
+        4. "## Self-Check Questions" with 5-10 questions, answers hidden under each as a blockquote.
+
+        OUTPUT CONSTRAINTS:
+        - Use ONLY standard Markdown. Do NOT wrap your response in code blocks.
+        - Output ONLY the formatted content. No conversational intro or outro.
+      `
+    }
+  ];
+
+  const DEFAULT_PROFILE_ID = 'deep';
+
+  /** In-memory mirror of the persisted profile configuration. */
+  let config = {
+    profiles: BUILTIN_PROFILES.map(p => ({ ...p })),
+    rules: [],
+    defaultId: DEFAULT_PROFILE_ID
+  };
+
+  /**
+   * Load the profile configuration from IndexedDB, seeding built-in profiles on first
+   * run. Emits 'profiles:update' with the loaded configuration.
+   * @returns {Promise<{profiles:Array<object>, rules:Array<object>, defaultId:string}>}
+   */
+  async function load() {
+    const rec = await DV.db.get('settings', SETTINGS_KEY);
+    if (rec && rec.value && Array.isArray(rec.value.profiles) && rec.value.profiles.length) {
+      config = {
+        profiles: rec.value.profiles,
+        rules: Array.isArray(rec.value.rules) ? rec.value.rules : [],
+        defaultId: rec.value.defaultId || rec.value.profiles[0].id
+      };
+    }
+    DV.bus.emit('profiles:update', config);
+    return config;
+  }
+
+  /**
+   * Persist a new profile configuration. Rules pointing at removed profiles are dropped
+   * and the default falls back to the first remaining profile.
+   * @param {{profiles:Array<object>, rules?:Array<object>, defaultId?:string}} next
+   * @returns {Promise<object>}
+   */
+  async function save(next) {
+    const profiles = (next.profiles || []).filter(p => p && p.id);
+    if (!profiles.length) throw new Error('At least one profile is required.');
+    const ids = new Set(profiles.map(p => p.id));
+    config = {
+      profiles,
+      rules: (next.rules || []).filter(r => r && r.value && ids.has(r.profileId)),
+      defaultId: ids.has(next.defaultId) ? next.defaultId : profiles[0].id
+    };
+    await DV.db.put('settings', { key: SETTINGS_KEY, value: config });
+    DV.bus.emit('profiles:update', config);
+    return config;
+  }
+
+  /** Current configuration snapshot. */
+  function getConfig() { return config; }
+
+  /** All profiles in display order. */
+  function list() { return config.profiles; }
+
+  /**
+   * Look up a profile by id.
+   * @param {string} id
+   * @returns {object|null}
+   */
+  function get(id) {
+    return config.profiles.find(p => p.id === id) || null;
+  }
+
+  /**
+   * Pick the profile for an item: an explicit per-item choice wins, then the first
+   * matching kind/tag rule, then the configured default.
+   * @param {{kind?:string, tags?:string[], profileId?:string}} item
+   * @returns {object}
+   */
+  function resolve(item) {
+    const explicit = item?.profileId && get(item.profileId);
+    if (explicit) return explicit;
+    const tags = item?.tags || [];
+    for (const rule of config.rules) {
+      const hit = rule.type === 'tag' ? tags.includes(String(rule.value).toLowerCase()) : item?.kind === rule.value;
+      if (hit && get(rule.profileId)) return get(rule.profileId);
+    }
+    return get(config.defaultId) || config.profiles[0] || BUILTIN_PROFILES[0];
+  }
+
+  /**
+   * Substitute {variable} placeholders in a prompt template.
+   * @param {string} template
+   * @param {Record<string,string>} vars
+   * @returns {string}
+   */
+  function render(template, vars = {}) {
+    return String(template || '').replace(/\{(\w+)\}/g, (m, name) => (vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : m));
+  }
+
+  /**
+   * Create a blank custom profile, optionally copying prompts from an existing one.
+   * @param {object} [from]
+   * @returns {object}
+   */
+  function createProfile(from) {
+    return {
+      id: 'profile_' + Math.random().toString(36).slice(2, 8) + Date.now().toString(36),
+      name: from ? `${from.name} (copy)` : 'New Profile',
+      builtin: false,
+      analysisPrompt: from?.analysisPrompt || '',
+      formatPrompt: from?.formatPrompt || ''
+    };
+  }
+
+  window.DV = window.DV || {};
+  window.DV.profiles = { BUILTIN_PROFILES, load, save, getConfig, list, get, resolve, render, createProfile };
+})();
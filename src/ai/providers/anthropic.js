@@ -1,84 +1,109 @@
 (function () {
   const API_URL = 'https://api.anthropic.com/v1/messages';
+  const MAX_TOKENS = 16384; // output cap, lowered for models that allow less
+
+  /** Request headers for direct browser access to the Messages API. */
+  function apiHeaders(apiKey) {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01',
+      'anthropic-dangerous-direct-browser-access': 'true'
+    };
+  }
+
+  /** Input tokens including prompt-cache reads and writes, which are billed too. */
+  function readInputTokens(u) {
+    return (u.input_tokens || 0) + (u.cache_creation_input_tokens || 0) + (u.cache_read_input_tokens || 0);
+  }
 
   function buildPayload(settings) {
     const prepared = settings?.__prepared || {};
-    return {
-      model: ['claude-opus-4.7', 'claude-sonnet-4.6'].includes(settings?.model) ? settings.model : 'claude-opus-4.7',
-      max_tokens: 16384,
+    const model = DV.ai.models.resolve('anthropic', settings?.model);
+    const payload = {
+      model,
+      max_tokens: Math.min(MAX_TOKENS, DV.ai.models.limits('anthropic', model).maxOutput || MAX_TOKENS),
       system: prepared.messages?.[0]?.content || '',
       messages: [
-        { role: 'user', content: [{ type: 'text', text: prepared.messages?.[1]?.content || prepared.prompt || 'Here is the text to distill.' }] }
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: prepared.messages?.[1]?.content || prepared.prompt || 'Here is the text to distill.' },
+            ...(prepared.images || []).map(img => ({ type: 'image', source: { type: 'base64', media_type: img.mediaType, data: img.data } }))
+          ]
+        },
+        // Later turns, e.g. the partial answer and the request to continue it
+        ...(prepared.messages || []).slice(2).map(m => ({ role: m.role, content: [{ type: 'text', text: m.content }] }))
       ],
-      temperature: 0.3
+      temperature: 0.3,
+      stream: typeof prepared.onProgress === 'function'
     };
+    // Structured output goes through a single forced tool call whose input is the JSON.
+    if (prepared.schema) {
+      payload.tools = [{ name: prepared.schema.name, description: 'Record the structured distillation.', input_schema: prepared.schema.schema }];
+      payload.tool_choice = { type: 'tool', name: prepared.schema.name };
+    }
+    return payload;
   }
 
   async function distillAnthropic(extracted, settings) {
     const apiKey = settings?.apiKey;
     if (!apiKey) throw new Error('Anthropic API key required');
     const payload = buildPayload(settings);
+    const onProgress = payload.stream ? settings.__prepared.onProgress : null;
 
-    let attempts = 0;
-    while (attempts < 3) {
-      attempts++;
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 300000); // 5 minute max per chunk
-
-      try {
-        const res = await fetch(API_URL, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': apiKey,
-            'anthropic-version': '2023-06-01',
-            'anthropic-dangerous-direct-browser-access': 'true'
-          },
-          body: JSON.stringify(payload),
-          signal: controller.signal
-        });
-
-        clearTimeout(timeoutId);
-
-        if (!res.ok) {
-          let msg = `${res.status} ${res.statusText}`;
-          try { const j = await res.json(); msg += ` - ${j.error?.message || ''}`; } catch { }
-          const err = new Error('Anthropic API error: ' + msg);
-          err.status = res.status;
-          throw err;
+    const transport = DV.ai.transport;
+    const refused = () => transport.error(transport.KIND.SAFETY, 'Anthropic API refused the request (refusal).', { provider: 'anthropic' });
+    return transport.request(API_URL, {
+      method: 'POST',
+      headers: apiHeaders(apiKey),
+      body: JSON.stringify(payload)
+    }, {
+      provider: 'anthropic',
+      label: 'Anthropic API',
+      signal: settings?.__prepared?.signal,
+      limitKey: settings?.__limitKey,
+      read: async (res) => {
+        if (onProgress) {
+          let text = '', stop = null;
+          const usage = { inputTokens: 0, outputTokens: 0 };
+          await DV.utils.readEventStream(res, (data, event) => {
+            if (event === 'error' || data.type === 'error') {
+              const kind = data.error?.type === 'overloaded_error' ? transport.KIND.SERVER : transport.classify(0, `${data.error?.type || ''} ${data.error?.message || ''}`);
+              throw transport.error(kind, 'Anthropic API error: ' + (data.error?.message || 'stream interrupted'), { provider: 'anthropic' });
+            }
+            if (data.type === 'message_start' && data.message?.usage) usage.inputTokens = readInputTokens(data.message.usage);
+            if (data.type === 'message_delta' && data.usage) usage.outputTokens = data.usage.output_tokens || 0;
+            if (data.type === 'message_delta' && data.delta?.stop_reason) stop = data.delta.stop_reason;
+            if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+              text += data.delta.text || '';
+              onProgress(text);
+            }
+          });
+          if (stop === 'refusal') throw refused();
+          return { text, usage, model: payload.model, stopReason: stop };
         }
 
         const data = await res.json();
-        const text = (data.content?.[0]?.text) || '';
-        return text;
-
-      } catch (err) {
-        clearTimeout(timeoutId);
-        const isRetryable = err.name === 'AbortError' || err.status === 503 || err.status === 429 || /503|429|Service Unavailable|Rate Limit|timeout/i.test(err.message);
-
-        if (isRetryable && attempts < 3) {
-          await new Promise(r => setTimeout(r, attempts * 2000));
-          continue;
-        }
-
-        if (err.name === 'AbortError') throw new Error('Anthropic API timed out after 5 minutes.');
-        throw err;
+        if (data.stop_reason === 'refusal') throw refused();
+        const toolUse = data.content?.find(b => b.type === 'tool_use');
+        const text = toolUse ? JSON.stringify(toolUse.input || {}) : (data.content?.find(b => b.type === 'text')?.text || '');
+        const usage = data.usage ? { inputTokens: readInputTokens(data.usage), outputTokens: data.usage.output_tokens || 0 } : null;
+        return { text, usage, model: payload.model, stopReason: data.stop_reason || null };
       }
-    }
+    });
   }
 
+  /**
+   * Verify the key and list the models it can use, with their limits when reported.
+   * @returns {Promise<{models:object[]}>}
+   */
   async function testAnthropic(settings) {
     const apiKey = settings?.apiKey;
     if (!apiKey) throw new Error('Anthropic API key required');
-    const res = await fetch('https://api.anthropic.com/v1/models', {
-      headers: {
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-        'anthropic-dangerous-direct-browser-access': 'true'
-      }
-    });
-    if (!res.ok) throw new Error('API key invalid or model not accessible');
-    return true;
+    const res = await DV.ai.transport.request('https://api.anthropic.com/v1/models?limit=1000', { headers: apiHeaders(apiKey) }, { provider: 'anthropic', label: 'Anthropic API', retries: 0, timeoutMs: 15000 });
+    const data = await res.json().catch(() => ({}));
+    return { models: (data.data || []).map(DV.ai.models.fromApi).filter(Boolean) };
   }
 
   window.DV = window.DV || {};
@@ -0,0 +1,150 @@
+(function () {
+  /**
+   * Generic provider for any server speaking the OpenAI `/v1/chat/completions` protocol
+   * (Ollama, LM Studio, vLLM, llama.cpp, self-hosted gateways). Settings:
+   * `baseUrl` (required), `model` (free text), `apiKey` (optional) and `headers`
+   * (optional, one "Name: value" pair per line).
+   */
+
+  /** Normalize an OpenAI-style usage block into { inputTokens, outputTokens }. */
+  function readUsage(u) {
+    return u ? { inputTokens: u.prompt_tokens || 0, outputTokens: u.completion_tokens || 0 } : null;
+  }
+
+  /**
+   * Resolve the API root from a user-entered base URL. "http://localhost:11434" and
+   * "http://localhost:11434/v1" both yield ".../v1".
+   * @param {string} baseUrl
+   * @returns {string}
+   */
+  function apiRoot(baseUrl) {
+    const base = String(baseUrl || '').trim().replace(/\/+$/, '').replace(/\/chat\/completions$/, '');
+    if (!base) throw new Error('Custom provider base URL required');
+    return /\/v\d+$/.test(base) ? base : `${base}/v1`;
+  }
+
+  /**
+   * Build request headers from the optional key and the free-form extra headers text.
+   * @param {{apiKey?:string, headers?:string}} settings
+   * @param {boolean} [json=true] Include a JSON content type
+   * @returns {Record<string,string>}
+   */
+  function buildHeaders(settings, json = true) {
+    const headers = json ? { 'Content-Type': 'application/json' } : {};
+    if (settings?.apiKey) headers['Authorization'] = `Bearer ${settings.apiKey}`;
+    for (const line of String(settings?.headers || '').split('\n')) {
+      const idx = line.indexOf(':');
+      if (idx <= 0) continue;
+      const name = line.slice(0, idx).trim();
+      const value = line.slice(idx + 1).trim();
+      if (name) headers[name] = value;
+    }
+    return headers;
+  }
+
+  /**
+   * Explain the usual cause when a local server cannot be reached from the browser.
+   * Other errors, including timeouts, pass through unchanged.
+   */
+  function unreachable(root, err) {
+    if (err?.kind !== DV.ai.transport.KIND.NETWORK || /timed out/i.test(err.message)) return err;
+    return DV.ai.transport.error(DV.ai.transport.KIND.NETWORK, `Could not reach ${root}. Make sure the server is running and accepts requests from this origin (CORS, e.g. OLLAMA_ORIGINS for Ollama).`, { provider: 'custom' });
+  }
+
+  async function distillCustom(extracted, settings) {
+    const root = apiRoot(settings?.baseUrl);
+    const model = String(settings?.model || '').trim();
+    if (!model) throw new Error('Custom provider model name required');
+
+    const prepared = settings?.__prepared;
+    const onProgress = typeof prepared?.onProgress === 'function' ? prepared.onProgress : null;
+
+    const transport = DV.ai.transport;
+    try {
+      return await transport.request(`${root}/chat/completions`, {
+        method: 'POST',
+        headers: buildHeaders(settings),
+        body: JSON.stringify({
+          model,
+          messages: DV.ai.chatMessages(prepared),
+          temperature: 0.3,
+          stream: !!onProgress,
+          ...(onProgress ? { stream_options: { include_usage: true } } : {}),
+          ...(prepared?.schema ? { response_format: { type: 'json_schema', json_schema: { name: prepared.schema.name, schema: prepared.schema.schema, strict: true } } } : {})
+        })
+      }, {
+        provider: 'custom',
+        label: 'Custom provider',
+        signal: settings?.__prepared?.signal,
+        limitKey: settings?.__limitKey,
+        timeoutMs: 600000, // local models can be slow; 10 minute max per chunk
+        read: async (res) => {
+          if (onProgress) {
+            let content = '', usage = null, finish = null;
+            await DV.utils.readEventStream(res, (data) => {
+              const delta = data.choices?.[0]?.delta?.content;
+              if (delta) { content += delta; onProgress(content); }
+              if (data.choices?.[0]?.finish_reason) finish = data.choices[0].finish_reason;
+              if (data.usage) usage = readUsage(data.usage);
+            });
+            return { text: content, usage, model, stopReason: finish };
+          }
+
+          const data = await res.json();
+          const content = data.choices?.[0]?.message?.content || '';
+          return { text: content, usage: readUsage(data.usage), model: data.model || model, stopReason: data.choices?.[0]?.finish_reason || null };
+        }
+      });
+    } catch (err) {
+      throw unreachable(root, err);
+    }
+  }
+
+  /**
+   * Verify the server answers and list the models it serves, with context lengths where
+   * the server reports them (vLLM, LM Studio).
+   * @returns {Promise<{models:object[]}>}
+   */
+  async function testCustom(settings) {
+    const root = apiRoot(settings?.baseUrl);
+    let res;
+    try {
+      res = await DV.ai.transport.request(`${root}/models`, { headers: buildHeaders(settings, false) }, { provider: 'custom', label: 'Custom provider', retries: 0, timeoutMs: 15000 });
+    } catch (err) {
+      throw unreachable(root, err);
+    }
+    const data = await res.json().catch(() => ({}));
+    const list = Array.isArray(data.data) ? data.data : Array.isArray(data.models) ? data.models : [];
+    const models = list.map(DV.ai.models.fromApi).filter(Boolean);
+    return { models };
+  }
+
+  /**
+   * Embed texts through the server's `/embeddings` endpoint (Ollama, LM Studio, vLLM).
+   * @param {string[]} texts
+   * @param {{baseUrl:string, model:string, apiKey?:string, headers?:string}} settings
+   * @returns {Promise<{vectors:number[][], usage:object|null, model:string}>}
+   */
+  async function embedCustom(texts, settings) {
+    const root = apiRoot(settings?.baseUrl);
+    const model = String(settings?.model || '').trim();
+    if (!model) throw new Error('Custom provider embedding model name required');
+    let res;
+    try {
+      res = await DV.ai.transport.request(`${root}/embeddings`, {
+        method: 'POST',
+        headers: buildHeaders(settings),
+        body: JSON.stringify({ model, input: texts })
+      }, { provider: 'custom', limitKey: settings?.__limitKey, label: 'Custom provider', timeoutMs: 600000 });
+    } catch (err) {
+      throw unreachable(root, err);
+    }
+    const data = await res.json();
+    const vectors = (data.data || []).sort((a, b) => a.index - b.index).map(d => d.embedding);
+    return { vectors, usage: readUsage(data.usage), model };
+  }
+
+  window.DV = window.DV || {};
+  window.DV.aiProviders = window.DV.aiProviders || {};
+  window.DV.aiProviders.custom = { distill: distillCustom, test: testCustom, embed: embedCustom };
+})();
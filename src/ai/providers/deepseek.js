@@ -1,6 +1,17 @@
 (function () {
   const API_URL = 'https://api.deepseek.com/chat/completions';
 
+  /** Normalize an OpenAI-style usage block into { inputTokens, outputTokens }. */
+  function readUsage(u) {
+    return u ? { inputTokens: u.prompt_tokens || 0, outputTokens: u.completion_tokens || 0 } : null;
+  }
+
+  /** DeepSeek is prepaid: point 402 errors at the top-up page. */
+  function insufficientBalance(err) {
+    if (err?.status !== 402) return err;
+    return DV.ai.transport.error(DV.ai.transport.KIND.QUOTA, 'DeepSeek API error: 402 Payment Required (Insufficient Balance). Please top up your prepaid balance at https://platform.deepseek.com/', { status: 402, provider: 'deepseek' });
+  }
+
   async function distillDeepseek(extracted, settings) {
     const apiKey = settings?.apiKey;
     if (!apiKey) throw new Error('Deepseek API key required');
@@ -9,15 +20,20 @@
     if (model === 'deepseek-chat') model = 'deepseek-v4-flash';
     if (model === 'deepseek-reasoner') model = 'deepseek-v4-pro';
 
-    if (!['deepseek-v4-flash', 'deepseek-v4-pro'].includes(model)) {
-      model = 'deepseek-v4-flash';
-    }
+    model = DV.ai.models.resolve('deepseek', model);
 
     const prepared = settings?.__prepared;
+    const onProgress = typeof prepared?.onProgress === 'function' ? prepared.onProgress : null;
     const reqBody = {
       model,
-      messages: prepared?.messages || []
+      messages: DV.ai.chatMessages(prepared)
     };
+    if (onProgress) {
+      reqBody.stream = true;
+      reqBody.stream_options = { include_usage: true };
+    }
+    // DeepSeek only offers a generic JSON mode; the schema itself travels in the prompt.
+    if (prepared?.schema) reqBody.response_format = { type: 'json_object' };
 
     if (model === 'deepseek-v4-pro') {
       reqBody.thinking = { type: 'enabled' };
@@ -25,67 +41,53 @@
       reqBody.temperature = 0.3;
     }
 
-    let attempts = 0;
-    while (attempts < 3) {
-      attempts++;
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 300000); // 5 minute max per chunk
-
-      try {
-        const res = await fetch(API_URL, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
-          body: JSON.stringify(reqBody),
-          signal: controller.signal
-        });
-
-        clearTimeout(timeoutId);
-
-        if (!res.ok) {
-          if (res.status === 402) {
-            const err402 = new Error('DeepSeek API error: 402 Payment Required (Insufficient Balance). Please top up your prepaid balance at https://platform.deepseek.com/');
-            err402.status = 402;
-            throw err402;
+    try {
+      return await DV.ai.transport.request(API_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
+        body: JSON.stringify(reqBody)
+      }, {
+        provider: 'deepseek',
+        label: 'Deepseek API',
+        signal: settings?.__prepared?.signal,
+        limitKey: settings?.__limitKey,
+        read: async (res) => {
+          if (onProgress) {
+            let content = '', usage = null, finish = null;
+            await DV.utils.readEventStream(res, (data) => {
+              const delta = data.choices?.[0]?.delta?.content;
+              if (delta) { content += delta; onProgress(content); }
+              if (data.choices?.[0]?.finish_reason) finish = data.choices[0].finish_reason;
+              if (data.usage) usage = readUsage(data.usage);
+            });
+            return { text: content, usage, model, stopReason: finish };
           }
-          let msg = `${res.status} ${res.statusText}`;
-          try { const j = await res.json(); msg += ` - ${j.error?.message || ''}`; } catch { }
-          const err = new Error('Deepseek API error: ' + msg);
-          err.status = res.status;
-          throw err;
-        }
-
-        const data = await res.json();
-        const content = data.choices?.[0]?.message?.content || '';
-        return content;
 
-      } catch (err) {
-        clearTimeout(timeoutId);
-        if (err.status === 402) throw err;
-
-        const isRetryable = err.name === 'AbortError' || err.status === 503 || err.status === 429 || /503|429|Service Unavailable|Rate Limit|timeout/i.test(err.message);
-
-        if (isRetryable && attempts < 3) {
-          await new Promise(r => setTimeout(r, attempts * 2000));
-          continue;
+          const data = await res.json();
+          const content = data.choices?.[0]?.message?.content || '';
+          return { text: content, usage: readUsage(data.usage), model, stopReason: data.choices?.[0]?.finish_reason || null };
         }
-
-        if (err.name === 'AbortError') throw new Error('Deepseek API timed out after 5 minutes.');
-        throw err;
-      }
+      });
+    } catch (err) {
+      throw insufficientBalance(err);
     }
   }
 
+  /**
+   * Verify the key and list the models it can use.
+   * @returns {Promise<{models:object[]}>}
+   */
   async function testDeepseek(settings) {
     const { apiKey } = settings || {};
     if (!apiKey) throw new Error('Deepseek API key required');
-    const res = await fetch('https://api.deepseek.com/models', { headers: { 'Authorization': `Bearer ${apiKey}` } });
-    if (!res.ok) {
-      if (res.status === 402) {
-        throw new Error('DeepSeek API error: 402 Payment Required (Insufficient Balance). Please top up your prepaid balance at https://platform.deepseek.com/');
-      }
-      throw new Error('API key invalid or model not accessible');
+    let res;
+    try {
+      res = await DV.ai.transport.request('https://api.deepseek.com/models', { headers: { 'Authorization': `Bearer ${apiKey}` } }, { provider: 'deepseek', label: 'Deepseek API', retries: 0, timeoutMs: 15000 });
+    } catch (err) {
+      throw insufficientBalance(err);
     }
-    return true;
+    const data = await res.json().catch(() => ({}));
+    return { models: (data.data || []).map(DV.ai.models.fromApi).filter(Boolean) };
   }
 
   window.DV = window.DV || {};
@@ -1,90 +1,150 @@
 (function () {
   /**
-   * Build the Gemini generateContent endpoint for a given model.
+   * Build the Gemini generateContent (or SSE streamGenerateContent) endpoint for a given
+   * model. Catalogue entries may name the API model separately (preview releases).
    */
-  function endpoint(model) {
-    const m = ['gemini-3.1-pro', 'gemini-3.5-flash', 'gemini-3.1-flash-lite'].includes(model) ? model : 'gemini-3.1-pro';
-    const apiModel = m === 'gemini-3.1-pro' ? 'gemini-3.1-pro-preview' : m;
-    return `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(apiModel)}:generateContent`;
+  function endpoint(model, stream = false) {
+    const apiModel = DV.ai.models.get('gemini', model)?.apiId || model;
+    const method = stream ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+    return `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(apiModel)}:${method}`;
   }
 
-  function buildInput(extracted, settings) {
+  /** Normalize usageMetadata; thinking tokens are billed as output. */
+  function readUsage(m) {
+    return m ? { inputTokens: m.promptTokenCount || 0, outputTokens: (m.candidatesTokenCount || 0) + (m.thoughtsTokenCount || 0) } : null;
+  }
+
+  /**
+   * Convert a JSON schema to Gemini's OpenAPI subset: upper-case types and no
+   * additionalProperties.
+   */
+  function toGeminiSchema(schema) {
+    if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+    if (!schema || typeof schema !== 'object') return schema;
+    const out = {};
+    for (const [k, v] of Object.entries(schema)) {
+      if (k === 'additionalProperties') continue;
+      if (k === 'type' && typeof v === 'string') out.type = v.toUpperCase();
+      else if (k === 'properties') out.properties = Object.fromEntries(Object.entries(v).map(([name, s]) => [name, toGeminiSchema(s)]));
+      else out[k] = toGeminiSchema(v);
+    }
+    return out;
+  }
+
+  /** Finish reasons that mean the candidate was withheld by a content filter. */
+  const SAFETY_FINISH = ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII'];
+
+  /**
+   * Conversation for generateContent: the combined prompt and any attached images as
+   * the first user turn, then any later turns of the prepared messages (a partial
+   * answer and the request to continue it).
+   */
+  function buildContents(extracted, settings) {
     const prepared = settings?.__prepared;
-    return prepared?.prompt || '';
+    const images = (prepared?.images || []).map(img => ({ inline_data: { mime_type: img.mediaType, data: img.data } }));
+    const turns = (prepared?.messages || []).slice(2).map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] }));
+    return [{ role: 'user', parts: [{ text: prepared?.prompt || '' }, ...images] }, ...turns];
   }
 
   async function distillGemini(extracted, settings) {
     const apiKey = settings?.apiKey;
-    const model = ['gemini-3.1-pro', 'gemini-3.5-flash', 'gemini-3.1-flash-lite'].includes(settings?.model) ? settings.model : 'gemini-3.1-pro';
+    const model = DV.ai.models.resolve('gemini', settings?.model);
     if (!apiKey) throw new Error('Gemini API key required');
+    const onProgress = typeof settings?.__prepared?.onProgress === 'function' ? settings.__prepared.onProgress : null;
+    const schema = settings?.__prepared?.schema;
+    const generationConfig = schema
+      ? { temperature: 0.3, responseMimeType: 'application/json', responseSchema: toGeminiSchema(schema.schema) }
+      : { temperature: 0.3 };
 
-    let attempts = 0;
-    while (attempts < 5) {
-      attempts++;
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 300000); // 5 minute max per chunk
-
-      try {
-        const res = await fetch(endpoint(model) + `?key=${encodeURIComponent(apiKey)}`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            contents: [{ role: 'user', parts: [{ text: buildInput(extracted, settings) }] }],
-            generationConfig: { temperature: 0.3 }
-          }),
-          signal: controller.signal
-        });
-
-        clearTimeout(timeoutId);
-
-        if (!res.ok) {
-          let msg = `${res.status} ${res.statusText}`;
-          try { const j = await res.json(); msg += ` - ${j.error?.message || ''}`; } catch { }
-          const err = new Error('Gemini API error: ' + msg);
-          err.status = res.status;
-          throw err;
+    const transport = DV.ai.transport;
+    // Gemini rate limits reset per minute, so start the backoff higher than the default.
+    try {
+      return await transport.request(endpoint(model, !!onProgress) + `key=${encodeURIComponent(apiKey)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          contents: buildContents(extracted, settings),
+          generationConfig
+        })
+      }, {
+        provider: 'gemini',
+        label: 'Gemini API',
+        signal: settings?.__prepared?.signal,
+        limitKey: settings?.__limitKey,
+        retries: 4,
+        baseDelayMs: 5000,
+        read: async (res) => {
+          let text = '', usage = null, blocked = null, finish = null;
+          const inspect = (data) => {
+            const candidate = data.candidates?.[0];
+            if (candidate?.finishReason) finish = candidate.finishReason;
+            blocked = data.promptFeedback?.blockReason || (SAFETY_FINISH.includes(candidate?.finishReason) ? candidate.finishReason : blocked);
+            if (data.usageMetadata) usage = readUsage(data.usageMetadata);
+            return candidate?.content?.parts?.map(p => p.text || '').join('') || '';
+          };
+          if (onProgress) {
+            await DV.utils.readEventStream(res, (data) => {
+              if (data.error) throw transport.error(transport.classify(Number(data.error.code) || 0, data.error.message), 'Gemini API error: ' + (data.error.message || 'stream interrupted'), { provider: 'gemini' });
+              const delta = inspect(data);
+              if (delta) { text += delta; onProgress(text); }
+            });
+          } else {
+            text = inspect(await res.json());
+          }
+          if (blocked) throw transport.error(transport.KIND.SAFETY, `Gemini API blocked the response (${blocked}).`, { provider: 'gemini' });
+          if (!text) throw transport.error(transport.KIND.SERVER, 'Gemini API returned an empty response.', { provider: 'gemini' });
+          return { text, usage, model, stopReason: finish };
         }
-
-        const data = await res.json();
-        const text = data.candidates?.[0]?.content?.parts?.map(p => p.text).join('') || '';
-        if (!text) throw new Error('Gemini API returned an empty response or was blocked by safety filters.');
-
-        return text;
-
-      } catch (err) {
-        clearTimeout(timeoutId);
-        
-        // Google's API Gateway drops CORS headers on 429 or 500 errors, causing a generic "Failed to fetch" TypeError.
-        const isNetworkOrCorsError = err.name === 'TypeError' && /Failed to fetch/i.test(err.message);
-        const isRetryable = isNetworkOrCorsError || err.name === 'AbortError' || err.status === 503 || err.status === 429 || /503|429|Service Unavailable|Rate Limit|timeout/i.test(err.message);
-
-        if (isRetryable && attempts < 5) {
-          // Robust backoff array: 5s, 15s, 30s, 60s
-          const delays = [5000, 15000, 30000, 60000];
-          const baseDelay = delays[attempts - 1] || 60000;
-          await new Promise(r => setTimeout(r, baseDelay + Math.random() * 2000));
-          continue;
-        }
-
-        if (err.name === 'AbortError') throw new Error('Gemini API timed out after 5 minutes.');
-        if (isNetworkOrCorsError) throw new Error('Gemini API unreachable or heavily rate-limited (CORS blocked the response).');
-        throw err;
+      });
+    } catch (err) {
+      // Google's API gateway drops CORS headers on 429 and 5xx responses, so those surface as network errors.
+      if (err.kind === transport.KIND.NETWORK && !/timed out/i.test(err.message)) {
+        throw transport.error(transport.KIND.NETWORK, 'Gemini API unreachable or heavily rate-limited (CORS blocked the response).', { provider: 'gemini' });
       }
+      throw err;
     }
   }
 
   window.DV = window.DV || {};
   window.DV.aiProviders = window.DV.aiProviders || {};
 
+  /**
+   * Verify the key and list the Gemini models that support generateContent, with their
+   * input and output token limits.
+   * @returns {Promise<{models:object[]}>}
+   */
   async function testGemini(settings) {
     const apiKey = settings?.apiKey;
-    const model = ['gemini-3.1-pro', 'gemini-3.5-flash', 'gemini-3.1-flash-lite'].includes(settings?.model) ? settings.model : 'gemini-3.1-pro';
-    const apiModel = model === 'gemini-3.1-pro' ? 'gemini-3.1-pro-preview' : model;
     if (!apiKey) throw new Error('Gemini API key required');
-    const res = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(apiModel)}?key=${encodeURIComponent(apiKey)}`);
-    if (!res.ok) throw new Error('API key invalid or model not accessible');
-    return true;
+    const res = await DV.ai.transport.request(`https://generativelanguage.googleapis.com/v1beta/models?pageSize=1000&key=${encodeURIComponent(apiKey)}`, {}, { provider: 'gemini', label: 'Gemini API', retries: 0, timeoutMs: 15000 });
+    const data = await res.json().catch(() => ({}));
+    const models = (data.models || [])
+      .filter(m => (m.supportedGenerationMethods || []).includes('generateContent'))
+      .map(DV.ai.models.fromApi)
+      .filter(m => m && /^gemini-/.test(m.id) && !/(embedding|image|tts)/.test(m.id));
+    return { models };
+  }
+
+  /**
+   * Embed texts for semantic search. `task` selects Gemini's retrieval task type so
+   * queries and passages are embedded for asymmetric search.
+   * @param {string[]} texts
+   * @param {{apiKey:string, model?:string, task?:'document'|'query'}} settings
+   * @returns {Promise<{vectors:number[][], usage:null, model:string}>}
+   */
+  async function embedGemini(texts, settings) {
+    const apiKey = settings?.apiKey;
+    const model = settings?.model || 'gemini-embedding-001';
+    if (!apiKey) throw new Error('Gemini API key required');
+    const taskType = settings?.task === 'query' ? 'RETRIEVAL_QUERY' : 'RETRIEVAL_DOCUMENT';
+    const res = await DV.ai.transport.request(`https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:batchEmbedContents?key=${encodeURIComponent(apiKey)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ requests: texts.map(text => ({ model: `models/${model}`, content: { parts: [{ text }] }, taskType })) })
+    }, { provider: 'gemini', limitKey: settings?.__limitKey, label: 'Gemini API' });
+    const data = await res.json();
+    return { vectors: (data.embeddings || []).map(e => e.values), usage: null, model };
   }
 
-  window.DV.aiProviders.gemini = { distill: distillGemini, test: testGemini };
+  window.DV.aiProviders.gemini = { distill: distillGemini, test: testGemini, embed: embedGemini };
 })();
\ No newline at end of file
@@ -1,61 +1,64 @@
 (function () {
   const API_URL = 'https://api.x.ai/v1/chat/completions';
 
+  /** Normalize an OpenAI-style usage block into { inputTokens, outputTokens }. */
+  function readUsage(u) {
+    return u ? { inputTokens: u.prompt_tokens || 0, outputTokens: u.completion_tokens || 0 } : null;
+  }
+
   async function distillGrok(extracted, settings) {
     const apiKey = settings?.apiKey;
-    const model = ['grok-4.3-beta', 'grok-4.20', 'grok-4.20-reasoning'].includes(settings?.model) ? settings.model : 'grok-4.3-beta';
+    const model = DV.ai.models.resolve('grok', settings?.model);
     if (!apiKey) throw new Error('Grok API key required');
     const prepared = settings?.__prepared;
+    const onProgress = typeof prepared?.onProgress === 'function' ? prepared.onProgress : null;
 
-    let attempts = 0;
-    while (attempts < 3) {
-      attempts++;
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 300000); // 5 minute max per chunk
-
-      try {
-        const res = await fetch(API_URL, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
-          body: JSON.stringify({ model, messages: prepared?.messages || [], temperature: 0.3 }),
-          signal: controller.signal
-        });
-
-        clearTimeout(timeoutId);
-
-        if (!res.ok) {
-          let msg = `${res.status} ${res.statusText}`;
-          try { const j = await res.json(); msg += ` - ${j.error?.message || ''}`; } catch { }
-          const err = new Error('Grok API error: ' + msg);
-          err.status = res.status;
-          throw err;
+    return DV.ai.transport.request(API_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
+      body: JSON.stringify({
+        model,
+        messages: DV.ai.chatMessages(prepared),
+        temperature: 0.3,
+        stream: !!onProgress,
+        ...(onProgress ? { stream_options: { include_usage: true } } : {}),
+        ...(prepared?.schema ? { response_format: { type: 'json_schema', json_schema: { name: prepared.schema.name, schema: prepared.schema.schema, strict: true } } } : {})
+      })
+    }, {
+      provider: 'grok',
+      label: 'Grok API',
+      signal: settings?.__prepared?.signal,
+      limitKey: settings?.__limitKey,
+      read: async (res) => {
+        if (onProgress) {
+          let content = '', usage = null, finish = null;
+          await DV.utils.readEventStream(res, (data) => {
+            const delta = data.choices?.[0]?.delta?.content;
+            if (delta) { content += delta; onProgress(content); }
+            if (data.choices?.[0]?.finish_reason) finish = data.choices[0].finish_reason;
+            if (data.usage) usage = readUsage(data.usage);
+          });
+          return { text: content, usage, model, stopReason: finish };
         }
 
         const data = await res.json();
         const content = data.choices?.[0]?.message?.content || '';
-        return content;
-
-      } catch (err) {
-        clearTimeout(timeoutId);
-        const isRetryable = err.name === 'AbortError' || err.status === 503 || err.status === 429 || /503|429|Service Unavailable|Rate Limit|timeout/i.test(err.message);
-
-        if (isRetryable && attempts < 3) {
-          await new Promise(r => setTimeout(r, attempts * 2000));
-          continue;
-        }
-
-        if (err.name === 'AbortError') throw new Error('Grok API timed out after 5 minutes.');
-        throw err;
+        return { text: content, usage: readUsage(data.usage), model, stopReason: data.choices?.[0]?.finish_reason || null };
       }
-    }
+    });
   }
 
+  /**
+   * Verify the key and list its text models (image and video models are left out).
+   * @returns {Promise<{models:object[]}>}
+   */
   async function testGrok(settings) {
     const { apiKey } = settings || {};
     if (!apiKey) throw new Error('Grok API key required');
-    const res = await fetch('https://api.x.ai/v1/models', { headers: { 'Authorization': `Bearer ${apiKey}` } });
-    if (!res.ok) throw new Error('API key invalid or model not accessible');
-    return true;
+    const res = await DV.ai.transport.request('https://api.x.ai/v1/models', { headers: { 'Authorization': `Bearer ${apiKey}` } }, { provider: 'grok', label: 'Grok API', retries: 0, timeoutMs: 15000 });
+    const data = await res.json().catch(() => ({}));
+    const models = (data.data || []).map(DV.ai.models.fromApi).filter(m => m && !/(image|imagine|video|embed)/.test(m.id));
+    return { models };
   }
 
   window.DV = window.DV || {};
@@ -0,0 +1,246 @@
+(function () {
+  /**
+   * Offline provider for demos, bug reproduction and exercising the queue without API
+   * credit. Settings live under `ai.mock`:
+   * - `mode: 'record'` forwards every request to the real provider `target` (using the
+   *   model and API key of the entry) and stores the response in the `recordings` store,
+   *   keyed by a hash of the prompt.
+   * - `mode: 'replay'` answers from those recordings, or with deterministic synthetic
+   *   Markdown built from `template` when nothing was recorded. Replies take `latencyMs`
+   *   and can be made to fail: `failure` ('rate-limit' → 429 with Retry-After, 'quota' →
+   *   402, 'server' → 503, 'timeout') on the first `failAttempts` attempts of every
+   *   request (0 = every attempt). Replies travel through the shared transport, so
+   *   retries, typed errors and rate-limit holds behave as with a real provider.
+   */
+  const DEFAULTS = {
+    mode: 'replay',
+    target: '',
+    latencyMs: 800,
+    failure: '',
+    failAttempts: 1,
+    timeoutMs: 5000,
+    template: ''
+  };
+
+  const DEFAULT_TEMPLATE = [
+    '# {title}',
+    '',
+    '> Synthetic distillation from the mock provider (request {hash}).',
+    '',
+    '## Key Points',
+    '',
+    '{points}',
+    '',
+    '## Excerpt',
+    '',
+    '{excerpt}',
+    '',
+    'TAGS: mock, offline'
+  ].join('\n');
+
+  const FAILURES = {
+    'rate-limit': { status: 429, statusText: 'Too Many Requests', headers: { 'Retry-After': '2' }, message: 'Rate limit exceeded (simulated).' },
+    quota: { status: 402, statusText: 'Payment Required', headers: {}, message: 'Insufficient balance (simulated).' },
+    server: { status: 503, statusText: 'Service Unavailable', headers: {}, message: 'The server is overloaded (simulated).' }
+  };
+
+  function config(settings) {
+    return { ...DEFAULTS, ...(settings?.mock || {}) };
+  }
+
+  /**
+   * Recording key of a prepared request: SHA-256 over the messages (or prompt), the
+   * schema name and any attached images. Model and provider are left out so a
+   * recording replays anywhere.
+   * @param {object} prepared
+   * @returns {Promise<string>}
+   */
+  async function hashOf(prepared) {
+    const input = JSON.stringify([prepared?.messages?.length ? prepared.messages.map(m => [m.role, m.content]) : prepared?.prompt || '', prepared?.schema?.name || '', ...(prepared?.images || []).map(img => img.data)]);
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(input));
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /** Wait for `ms`, rejecting with an AbortError when `signal` fires. */
+  function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(new DOMException('Aborted', 'AbortError'));
+      const t = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+      function onAbort() { clearTimeout(t); reject(new DOMException('Aborted', 'AbortError')); }
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /** Minimal JSON value satisfying a JSON schema, for structured passes. */
+  function sampleFor(schema) {
+    if (!schema || typeof schema !== 'object') return null;
+    const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+    if (schema.enum?.length) return schema.enum[0];
+    if (type === 'object') return Object.fromEntries(Object.entries(schema.properties || {}).map(([k, s]) => [k, sampleFor(s)]));
+    if (type === 'array') return [];
+    if (type === 'number' || type === 'integer') return 0;
+    if (type === 'boolean') return false;
+    if (type === 'null') return null;
+    return '';
+  }
+
+  /**
+   * Deterministic reply for a request nobody recorded: the template filled with the
+   * title, a hash prefix, the first sentences of the input and an excerpt.
+   * @param {object} prepared
+   * @param {string} hash
+   * @param {string} template
+   * @returns {string}
+   */
+  function synthesize(prepared, hash, template) {
+    if (prepared?.schema) return JSON.stringify(sampleFor(prepared.schema.schema));
+    const input = String(prepared?.messages?.[prepared.messages.length - 1]?.content || prepared?.prompt || '');
+    const body = input.replace(/^[\s\S]*?\nContent:\n/, '').replace(/^Here is [^\n]*:\n/, '').replace(/\s+/g, ' ').trim();
+    const sentences = (body.match(/[^.!?]{40,}?[.!?](?=\s|$)/g) || []).slice(0, 5).map(s => `- ${s.trim()}`);
+    const values = {
+      title: prepared?.title || 'Untitled',
+      hash: hash.slice(0, 12),
+      points: sentences.length ? sentences.join('\n') : '- No sentences found in the input.',
+      excerpt: body.slice(0, 400) + (body.length > 400 ? '…' : '')
+    };
+    return String(template || DEFAULT_TEMPLATE).replace(/\{(title|hash|points|excerpt)\}/g, (_, k) => values[k]);
+  }
+
+  /**
+   * Forward a request to the target provider and store the response.
+   */
+  async function record(extracted, settings, cfg, hash) {
+    const target = window.DV.aiProviders[cfg.target];
+    if (!target || cfg.target === 'mock') throw new Error('Mock provider: choose a provider to record from in Settings.');
+    const out = await target.distill(extracted, { ...settings, mode: cfg.target });
+    const res = typeof out === 'string' ? { text: out } : (out || {});
+    const prepared = settings.__prepared || {};
+    await DV.db.put('recordings', {
+      id: hash,
+      createdAt: Date.now(),
+      provider: cfg.target,
+      model: res.model || settings.model || '',
+      title: prepared.title || '',
+      request: { messages: prepared.messages || null, prompt: prepared.messages?.length ? null : prepared.prompt || '', schema: prepared.schema?.name || null, images: prepared.images?.length || 0 },
+      text: res.text || '',
+      usage: res.usage || null,
+      stopReason: res.stopReason || null
+    });
+    DV.bus.emit('mock:recordings');
+    return res;
+  }
+
+  /**
+   * Answer from a recording or synthetic Markdown through the shared transport, with
+   * the configured latency and failures.
+   */
+  async function replay(settings, cfg, hash) {
+    const prepared = settings.__prepared || {};
+    const onProgress = typeof prepared.onProgress === 'function' ? prepared.onProgress : null;
+    const recording = await DV.db.get('recordings', hash);
+    const text = recording ? recording.text : synthesize(prepared, hash, cfg.template);
+    const usage = recording?.usage || { inputTokens: Math.ceil(String(prepared.prompt || '').length / 4), outputTokens: Math.ceil(text.length / 4) };
+    const model = recording ? `mock:${recording.model || recording.provider}` : 'mock';
+    const stopReason = recording ? recording.stopReason || null : 'stop';
+    const latency = Math.max(0, Number(cfg.latencyMs) || 0);
+    const failAttempts = Math.max(0, Number(cfg.failAttempts) || 0);
+
+    let attempt = 0;
+    const simulate = async (url, init) => {
+      attempt++;
+      const failing = cfg.failure && (failAttempts === 0 || attempt <= failAttempts);
+      if (failing && cfg.failure === 'timeout') {
+        // Never answer; the transport's per-attempt timeout ends the wait
+        await sleep(2147483647, init.signal);
+      }
+      await sleep(onProgress ? latency / 2 : latency, init.signal);
+      const f = failing && FAILURES[cfg.failure];
+      if (f) return new Response(JSON.stringify({ error: { message: f.message } }), { status: f.status, statusText: f.statusText, headers: f.headers });
+      return new Response(JSON.stringify({ text, usage, model, stopReason }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+    };
+
+    return DV.ai.transport.request(`mock://replay/${hash}`, {}, {
+      provider: 'mock',
+      limitKey: settings.__limitKey,
+      label: 'Mock provider',
+      signal: prepared.signal,
+      timeoutMs: Math.max(1000, Number(cfg.timeoutMs) || DEFAULTS.timeoutMs),
+      fetch: simulate,
+      read: async (res) => {
+        const data = await res.json();
+        if (onProgress) {
+          // Stream the reply in a few steps over the second half of the latency
+          const steps = 8;
+          for (let i = 1; i <= steps; i++) {
+            await sleep(latency / 2 / steps, prepared.signal);
+            onProgress(data.text.slice(0, Math.ceil(data.text.length * i / steps)));
+          }
+        }
+        return data;
+      }
+    });
+  }
+
+  async function distillMock(extracted, settings) {
+    const cfg = config(settings);
+    const hash = await hashOf(settings?.__prepared);
+    if (cfg.mode === 'record') return record(extracted, settings, cfg, hash);
+    return replay(settings, cfg, hash);
+  }
+
+  /**
+   * Replay needs nothing; recording verifies the target provider's settings.
+   */
+  async function testMock(settings) {
+    const cfg = config(settings);
+    if (cfg.mode !== 'record') return true;
+    const target = window.DV.aiProviders[cfg.target];
+    if (!target || cfg.target === 'mock') throw new Error('Mock provider: choose a provider to record from.');
+    if (typeof target.test === 'function') await target.test({ ...settings, mode: cfg.target });
+    return true;
+  }
+
+  /**
+   * Offline embeddings: words and word pairs feature-hashed into 256 dimensions. Crude,
+   * but texts sharing vocabulary land close together, which is enough to exercise
+   * semantic search without a provider.
+   * @param {string[]} texts
+   * @returns {Promise<{vectors:number[][], usage:null, model:string}>}
+   */
+  async function embedMock(texts) {
+    const DIM = 256;
+    const bucket = (s) => {
+      let h = 2166136261;
+      for (let i = 0; i < s.length; i++) h = Math.imul(h ^ s.charCodeAt(i), 16777619);
+      return (h >>> 0) % DIM;
+    };
+    const vectors = texts.map(text => {
+      const v = new Array(DIM).fill(0);
+      const words = String(text).toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || [];
+      words.forEach((w, i) => {
+        v[bucket(w)] += 1;
+        if (i) v[bucket(`${words[i - 1]} ${w}`)] += 0.5;
+      });
+      return v;
+    });
+    return { vectors, usage: null, model: 'mock-hash-256' };
+  }
+
+  /**
+   * Number of stored recordings.
+   * @returns {Promise<number>}
+   */
+  async function count() {
+    return (await DV.db.getAll('recordings')).length;
+  }
+
+  /** Delete every recording. */
+  async function clear() {
+    await DV.db.clear('recordings');
+    DV.bus.emit('mock:recordings');
+  }
+
+  window.DV = window.DV || {};
+  window.DV.aiProviders = window.DV.aiProviders || {};
+  window.DV.aiProviders.mock = { DEFAULTS, DEFAULT_TEMPLATE, distill: distillMock, test: testMock, embed: embedMock, count, clear };
+})();
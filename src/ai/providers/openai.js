@@ -1,73 +1,99 @@
 (function () {
   const API_URL = 'https://api.openai.com/v1/chat/completions';
 
+  /** Normalize an OpenAI-style usage block into { inputTokens, outputTokens }. */
+  function readUsage(u) {
+    return u ? { inputTokens: u.prompt_tokens || 0, outputTokens: u.completion_tokens || 0 } : null;
+  }
+
   async function distillOpenAI(extracted, settings) {
     const { apiKey } = settings || {};
-    const model = ['gpt-5.4', 'gpt-5.4-mini', 'gpt-5.4-nano'].includes(settings?.model) ? settings.model : 'gpt-5.4';
+    const model = DV.ai.models.resolve('openai', settings?.model);
     if (!apiKey) throw new Error('OpenAI API key required');
 
     const prepared = settings?.__prepared;
-    const title = extracted.title || extracted.fileName || extracted.url || 'Untitled';
-
-    let attempts = 0;
-    while (attempts < 3) {
-      attempts++;
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 300000); // 5 minute max per chunk
-
-      try {
-        const res = await fetch(API_URL, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${apiKey}`
-          },
-          body: JSON.stringify({
-            model,
-            messages: prepared?.messages || [],
-            temperature: 0.3
-          }),
-          signal: controller.signal
-        });
+    const onProgress = typeof prepared?.onProgress === 'function' ? prepared.onProgress : null;
 
-        clearTimeout(timeoutId);
-
-        if (!res.ok) {
-          let msg = `${res.status} ${res.statusText}`;
-          try { const j = await res.json(); msg += ` - ${j.error?.message || ''}`; } catch { }
-          const err = new Error('OpenAI API error: ' + msg);
-          err.status = res.status;
-          throw err;
+    const transport = DV.ai.transport;
+    return transport.request(API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`
+      },
+      body: JSON.stringify({
+        model,
+        messages: DV.ai.chatMessages(prepared),
+        temperature: 0.3,
+        stream: !!onProgress,
+        ...(onProgress ? { stream_options: { include_usage: true } } : {}),
+        ...(prepared?.schema ? { response_format: { type: 'json_schema', json_schema: { name: prepared.schema.name, schema: prepared.schema.schema, strict: true } } } : {})
+      })
+    }, {
+      provider: 'openai',
+      label: 'OpenAI API',
+      signal: settings?.__prepared?.signal,
+      limitKey: settings?.__limitKey,
+      read: async (res) => {
+        if (onProgress) {
+          let content = '', usage = null, finish = null;
+          await DV.utils.readEventStream(res, (data) => {
+            const delta = data.choices?.[0]?.delta?.content;
+            if (delta) { content += delta; onProgress(content); }
+            if (data.choices?.[0]?.finish_reason) finish = data.choices[0].finish_reason;
+            if (data.usage) usage = readUsage(data.usage);
+          });
+          if (finish === 'content_filter') throw transport.error(transport.KIND.SAFETY, 'OpenAI API stopped the response: content filter.', { provider: 'openai' });
+          return { text: content, usage, model, stopReason: finish };
         }
 
         const data = await res.json();
-        const content = data.choices?.[0]?.message?.content || '';
-        return content;
-
-      } catch (err) {
-        clearTimeout(timeoutId);
-        const isRetryable = err.name === 'AbortError' || err.status === 503 || err.status === 429 || /503|429|Service Unavailable|Rate Limit|timeout/i.test(err.message);
-
-        if (isRetryable && attempts < 3) {
-          await new Promise(r => setTimeout(r, attempts * 2000));
-          continue;
+        const choice = data.choices?.[0];
+        if (choice?.finish_reason === 'content_filter' || choice?.message?.refusal) {
+          throw transport.error(transport.KIND.SAFETY, `OpenAI API refused the request${choice?.message?.refusal ? `: ${choice.message.refusal}` : ': content filter.'}`, { provider: 'openai' });
         }
-
-        if (err.name === 'AbortError') throw new Error('OpenAI API timed out after 5 minutes.');
-        throw err;
+        return { text: choice?.message?.content || '', usage: readUsage(data.usage), model, stopReason: choice?.finish_reason || null };
       }
-    }
+    });
   }
 
   window.DV = window.DV || {};
   window.DV.aiProviders = window.DV.aiProviders || {};
 
+  /** Chat models in a `/v1/models` listing, which also holds embedding, audio and image models. */
+  const isChatModel = (id) => /^(gpt-|chatgpt-|o\d)/.test(id) && !/(embedding|tts|whisper|dall-e|image|audio|realtime|transcribe|search|moderation|instruct)/.test(id);
+
+  /**
+   * Verify the key and list the chat models it can use. The listing carries no limits.
+   * @returns {Promise<{models:object[]}>}
+   */
   async function testOpenAI(settings) {
     const { apiKey } = settings || {};
     if (!apiKey) throw new Error('OpenAI API key required');
-    const res = await fetch('https://api.openai.com/v1/models', { headers: { 'Authorization': `Bearer ${apiKey}` } });
-    if (!res.ok) throw new Error('API key invalid or model not accessible');
-    return true;
+    const res = await DV.ai.transport.request('https://api.openai.com/v1/models', { headers: { 'Authorization': `Bearer ${apiKey}` } }, { provider: 'openai', label: 'OpenAI API', retries: 0, timeoutMs: 15000 });
+    const data = await res.json().catch(() => ({}));
+    const models = (data.data || []).map(DV.ai.models.fromApi).filter(m => m && isChatModel(m.id));
+    return { models };
+  }
+
+  /**
+   * Embed texts for semantic search.
+   * @param {string[]} texts
+   * @param {{apiKey:string, model?:string}} settings
+   * @returns {Promise<{vectors:number[][], usage:object|null, model:string}>}
+   */
+  async function embedOpenAI(texts, settings) {
+    const { apiKey } = settings || {};
+    const model = settings?.model || 'text-embedding-3-small';
+    if (!apiKey) throw new Error('OpenAI API key required');
+    const res = await DV.ai.transport.request('https://api.openai.com/v1/embeddings', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
+      body: JSON.stringify({ model, input: texts })
+    }, { provider: 'openai', limitKey: settings?.__limitKey, label: 'OpenAI API' });
+    const data = await res.json();
+    const vectors = (data.data || []).sort((a, b) => a.index - b.index).map(d => d.embedding);
+    return { vectors, usage: data.usage ? { inputTokens: data.usage.prompt_tokens || 0, outputTokens: 0 } : null, model };
   }
-  window.DV.aiProviders.openai = { distill: distillOpenAI, test: testOpenAI };
+  window.DV.aiProviders.openai = { distill: distillOpenAI, test: testOpenAI, embed: embedOpenAI };
 })();
\ No newline at end of file
@@ -1,24 +1,284 @@
 (function () {
-  function dedent(strings, ...values) {
-    const raw = typeof strings === 'string' ? [strings] : strings.raw || strings;
-    let result = '';
-    for (let i = 0; i < raw.length; i++) {
-      result += raw[i].replace(/\\\n/g, '\n');
-      if (i < values.length) result += values[i];
+  /** Latest partial output per item id, so a viewer opened mid-run can catch up at once. */
+  const liveStreams = new Map();
+  const STREAM_EMIT_MS = 150;
+
+  /**
+   * Create a throttled reporter that publishes partial markdown for one phase of an
+   * item's distillation over DV.bus ('ai:stream'). Returns null when streaming is off.
+   * @param {string|null} id
+   * @param {'analysis'|'format'} phase
+   */
+  function streamReporter(id, phase) {
+    if (!id) return null;
+    let last = 0;
+    const publish = (text) => {
+      const payload = { id, phase, text };
+      liveStreams.set(id, payload);
+      DV.bus.emit('ai:stream', payload);
+    };
+    return {
+      update(text) {
+        const now = Date.now();
+        if (now - last < STREAM_EMIT_MS) return;
+        last = now;
+        publish(text);
+      },
+      flush: publish
+    };
+  }
+
+  /** Clear an item's live stream and tell listeners the final result is on its way. */
+  function endStream(id) {
+    if (!id || !liveStreams.has(id)) return;
+    liveStreams.delete(id);
+    DV.bus.emit('ai:stream', { id, phase: 'done', text: '' });
+  }
+
+  /**
+   * Return the most recent partial output for an item that is currently distilling.
+   * @param {string} id
+   * @returns {{id:string, phase:'analysis'|'format', text:string}|null}
+   */
+  function peekStream(id) {
+    return liveStreams.get(id) || null;
+  }
+
+  /** Analyses cached before profiles existed were produced by the built-in deep profile. */
+  const DEFAULT_PROFILE = 'deep';
+
+  /** Appended to every format prompt so AI tagging survives custom profiles. */
+  const TAGS_REQUIREMENT = DV.utils.dedent`
+    TAGS REQUIREMENT:
+    At the very end of your response, you MUST append a section exactly like this (generate 3-6 highly relevant, specific tags):
+    TAGS: tag1, tag2, tag3
+  `;
+
+  /** Appended to the analysis prompt of timestamped video transcripts. */
+  const TIMESTAMPS_ANALYSIS = DV.utils.dedent`
+    TIMESTAMPS:
+    Each transcript paragraph starts with a [mm:ss] marker ([h:mm:ss] past the first hour) giving the moment it is spoken. After every point, claim, example and quote, cite the marker of the paragraph it comes from, e.g. "... [12:34]". Copy markers exactly as they appear; never invent or round one.
+  `;
+
+  /** Added when the transcript is split into the video's chapters. */
+  const CHAPTERS_ANALYSIS = 'The transcript is divided into the video\'s own chapters ("## Chapter" headings). Use them as the section boundaries of your analysis, in order, keeping each chapter\'s marker in its heading.';
+
+  /** Appended to the format prompt of timestamped video transcripts. */
+  const TIMESTAMPS_FORMAT = DV.utils.dedent`
+    TIMESTAMPS:
+    The analysis cites [mm:ss] markers from the video. Keep every marker next to the point it supports, exactly as written, and keep chapter markers in the section headings.
+  `;
+
+  /**
+   * Distill extracted content through the selected provider: an analysis pass (chunked
+   * for long sources) followed by a formatting pass, both driven by a profile, and an
+   * optional structured JSON pass over the same analysis. Output cut at the token limit
+   * is continued up to `maxContinuations` times; `truncated` reports output still cut.
+   * @param {object} extracted Extractor output; `id` enables caching and streaming
+   * @param {object} aiSettings Provider settings (mode, model, apiKey, stream, structured, maxContinuations, fallbacks)
+   * @param {{profile?:object, formatProfile?:object, item?:object, language?:string, signal?:AbortSignal}} [opts] Profile override, a separate profile for the format pass, the queue item, output language and a signal that cancels every call
+   * @returns {Promise<{html:string, markdown:string, structured:object|null, tags:string[], profileId:string, formatProfileId:string, language:string, usage:{inputTokens:number,outputTokens:number,calls:number}, provider:string, model:string, truncated:boolean, failures:Array<{provider:string,model:string,error:string,usage:object|null}>}>}
+   */
+  async function distill(extracted, aiSettings, opts = {}) {
+    const streamId = extracted?.id && aiSettings?.stream !== false ? extracted.id : null;
+    try {
+      const { res, failures } = await withFallbacks(aiSettings, extracted?.id,
+        (entry, hasFallback) => runDistill(extracted, entry, { ...opts, hasFallback }, streamId));
+      return { ...res, failures };
+    } finally {
+      endStream(streamId);
     }
-    result = result.replace(/^\n/, '').replace(/\n$/, '');
-    const lines = result.split('\n');
-    let min = Infinity;
-    for (const l of lines) {
-      if (!l.trim()) continue;
-      const m = l.match(/^\s*/)[0].length;
-      if (m < min) min = m;
+  }
+
+  /**
+   * Send a single prepared prompt (system + user messages) to the configured provider,
+   * honouring the fallback chain and continuing output cut at the token limit. Used for
+   * follow-up work on finished items.
+   * @param {{title?:string, prompt:string, messages:Array<{role:string,content:string}>, onProgress?:(text:string)=>void}} prepared
+   * @param {object} aiSettings
+   * @param {{id?:string, signal?:AbortSignal}} [opts] Queue item the work belongs to, for rate-limit waits in its row, and a cancel signal
+   * @returns {Promise<{text:string, usage:{inputTokens:number,outputTokens:number}|null, provider:string, model:string, truncated:boolean}>}
+   */
+  async function complete(prepared, aiSettings, opts = {}) {
+    const { res } = await withFallbacks(aiSettings, opts.id || null, async (entry) => {
+      const key = entry.mode.toLowerCase();
+      let usage = null;
+      const send = async (p) => {
+        const out = await invoke(key, { title: prepared.title || '' }, entry, p, opts.id, opts.signal);
+        const r = typeof out === 'string' ? { text: out } : (out || {});
+        if (r.usage) usage = addUsage(usage || { inputTokens: 0, outputTokens: 0, calls: 0 }, r.usage);
+        return r;
+      };
+      const out = await generate(send, prepared, entry.maxContinuations);
+      return { text: out.text, usage: usage && { inputTokens: usage.inputTokens, outputTokens: usage.outputTokens }, provider: key, model: out.model || entry.model || '', truncated: out.truncated };
+    });
+    return res;
+  }
+
+  /**
+   * Run `task` against each provider in the chain until one succeeds. Failover-worthy
+   * errors move on to the next entry with a toast; anything else is rethrown at once.
+   * @template T
+   * @param {object} aiSettings
+   * @param {string|null} id Item id reported on 'ai:failover'
+   * @param {(entry:object, hasFallback:boolean)=>Promise<T>} task
+   * @returns {Promise<{res:T, failures:Array<{provider:string,model:string,error:string,usage:object|null}>}>}
+   *   `usage` is what the failed attempt had already spent, when the task reports it as `err.spent`
+   */
+  async function withFallbacks(aiSettings, id, task) {
+    const chain = providerChain(aiSettings);
+    if (!chain.length) throw new Error('No AI provider selected. Open Settings and choose a provider.');
+    const failures = [];
+    for (let i = 0; i < chain.length; i++) {
+      const entry = chain[i];
+      const next = chain[i + 1];
+      try {
+        return { res: await task(entry, !!next), failures };
+      } catch (err) {
+        if (err?.name === 'AbortError') throw err;
+        if (!next || !isFailoverError(err)) {
+          if (failures.length) {
+            const trail = failures.map(f => `${providerLabel(f.provider)}: ${f.error}`).join('\n');
+            throw DV.ai.transport.error(DV.ai.transport.kindOf(err), `All providers failed.\n${trail}\n${providerLabel(entry.mode)}: ${String(err?.message || err)}`, { status: err?.status, provider: entry.mode, retryAfterMs: err?.retryAfterMs ?? null });
+          }
+          throw err;
+        }
+        failures.push({ provider: entry.mode, model: err?.spent?.model || entry.model || '', error: String(err?.message || err), usage: err?.spent?.usage || null });
+        DV.toast(`${providerLabel(entry.mode)} failed (${failoverReason(err)}). Falling back to ${providerLabel(next.mode)}…`, { ttl: 6000 });
+        DV.bus.emit('ai:failover', { id, from: entry.mode, to: next.mode, error: String(err?.message || err) });
+      }
     }
-    if (!isFinite(min)) return result;
-    return lines.map(l => l.slice(Math.min(min, l.length))).join('\n');
   }
 
-  async function distill(extracted, aiSettings) {
+  /**
+   * Provider-independent options every fallback inherits from the primary settings.
+   * Connection fields (model, key, base URL, headers, mock config) stay with the entry
+   * they were configured for, so one server's credentials never reach another.
+   */
+  const SHARED_OPTIONS = ['stream', 'structured', 'maxContinuations', 'vision', 'outputLanguage'];
+
+  /**
+   * Expand settings into the ordered provider chain: the primary provider followed by
+   * any configured fallbacks. Each fallback inherits the SHARED_OPTIONS.
+   * @param {object} aiSettings
+   * @returns {Array<{mode:string, model:string, apiKey:string}>}
+   */
+  function providerChain(aiSettings) {
+    const { fallbacks, ...primary } = aiSettings || {};
+    const shared = Object.fromEntries(SHARED_OPTIONS.filter(k => primary[k] !== undefined).map(k => [k, primary[k]]));
+    return [primary, ...(Array.isArray(fallbacks) ? fallbacks : []).map(f => ({ ...shared, ...f }))]
+      .filter(e => e && e.mode);
+  }
+
+  /**
+   * Whether an error means this provider cannot serve the request right now, so the
+   * next provider in the chain should be tried: any typed provider failure (auth,
+   * quota, exhausted rate-limit retries, context window, safety block, outage or
+   * network). Unclassified errors such as malformed requests are rethrown.
+   * @param {any} err
+   * @returns {boolean}
+   */
+  function isFailoverError(err) {
+    return DV.ai.transport.kindOf(err) !== DV.ai.transport.KIND.UNKNOWN;
+  }
+
+  /** Short human-readable failure reason for toasts. */
+  function failoverReason(err) {
+    const info = DV.ai.transport.describe(DV.ai.transport.kindOf(err));
+    if (info) return info.label.toLowerCase();
+    const status = Number(err?.status || 0);
+    return status ? `HTTP ${status}` : 'unavailable';
+  }
+
+  /**
+   * Call a provider once, after waiting for capacity in its API key's rate-limit budget. Chunk
+   * passes fired together line up here instead of hitting the API at once.
+   * @param {string} key Provider mode
+   * @param {object} extracted
+   * @param {object} settings Provider chain entry
+   * @param {object} prepared
+   * @param {string|null} [id] Queue item, shown as waiting in its row
+   * @param {AbortSignal} [signal] Cancels the wait and the request
+   */
+  async function invoke(key, extracted, settings, prepared, id, signal) {
+    const provider = window.DV?.aiProviders?.[key];
+    if (!provider) throw new Error('AI provider not available: ' + key);
+    const limitKey = DV.ai.limiter.keyFor({ ...settings, mode: key });
+    const ticket = await DV.ai.limiter.acquire(limitKey, DV.ai.limiter.estimate(prepared), { id, signal });
+    try {
+      const out = await provider.distill(extracted, { ...settings, __limitKey: limitKey, __prepared: { ...prepared, signal } });
+      ticket.settle(out?.usage || null);
+      return out;
+    } catch (err) {
+      ticket.settle(null);
+      throw err;
+    }
+  }
+
+  /**
+   * Prepared messages in the OpenAI chat format, with any `prepared.images` attached to
+   * the first user turn as image_url parts. Shared by the OpenAI-compatible providers.
+   * @param {{messages?:Array<{role:string, content:string}>, images?:Array<{mediaType:string, data:string}>}} prepared
+   * @returns {object[]}
+   */
+  function chatMessages(prepared) {
+    const messages = prepared?.messages || [];
+    if (!prepared?.images?.length) return messages;
+    const first = messages.findIndex(m => m.role === 'user');
+    return messages.map((m, i) => i !== first ? m : {
+      role: 'user',
+      content: [
+        { type: 'text', text: m.content },
+        ...prepared.images.map(img => ({ type: 'image_url', image_url: { url: `data:${img.mediaType};base64,${img.data}` } }))
+      ]
+    });
+  }
+
+  /** Display name for a provider key. */
+  function providerLabel(key) {
+    const names = { openai: 'OpenAI', anthropic: 'Anthropic', gemini: 'Gemini', deepseek: 'DeepSeek', grok: 'Grok', custom: 'Custom', mock: 'Mock' };
+    return names[key] || key || 'Provider';
+  }
+
+  /**
+   * Characters per analysis chunk for a model: 100k characters, or less when the model's
+   * context window cannot hold that plus the prompt and the reserved output.
+   * @param {string} key Provider mode
+   * @param {string} model
+   * @returns {number}
+   */
+  function chunkSize(key, model) {
+    const MAX_CHARS = 100000;
+    const { contextWindow, maxOutput } = DV.ai.models.limits(key, model);
+    if (!contextWindow) return MAX_CHARS;
+    // ~3 characters per token keeps dense or non-English text inside the window
+    const inputTokens = contextWindow - Math.min(maxOutput || 8192, 16384) - 4000;
+    return Math.max(4000, Math.min(MAX_CHARS, inputTokens * 3));
+  }
+
+  /**
+   * One attempt at distilling with a single chain entry. Parallel chunk calls share one
+   * controller, so when one of them fails the others are cancelled instead of running
+   * on unaccounted. A failed attempt reports what it already spent as `err.spent`.
+   */
+  async function runDistill(extracted, aiSettings, opts, streamId) {
+    const controller = new AbortController();
+    const stop = () => controller.abort();
+    if (opts.signal?.aborted) stop();
+    else opts.signal?.addEventListener('abort', stop, { once: true });
+    const spent = { usage: { inputTokens: 0, outputTokens: 0, calls: 0 }, model: aiSettings?.model || '' };
+    try {
+      return await distillWith(extracted, aiSettings, { ...opts, signal: controller.signal }, streamId, spent);
+    } catch (err) {
+      controller.abort();
+      if (err && typeof err === 'object') err.spent = spent;
+      throw err;
+    } finally {
+      opts.signal?.removeEventListener('abort', stop);
+    }
+  }
+
+  async function distillWith(extracted, aiSettings, opts, streamId, spent) {
     const key = (aiSettings?.mode || '').toLowerCase();
     if (!key) throw new Error('No AI provider selected. Open Settings and choose a provider.');
     const provider = window.DV?.aiProviders?.[key];
@@ -27,46 +287,14 @@
     const fullText = (extracted?.text || '').trim();
     if (!fullText) throw new Error('No text content available to distill.');
 
-    const analysisDirective = dedent`
-      SYSTEM DIRECTIVE: You are an elite, world-class knowledge extractor and research analyst.
-      Your singular objective is to perform a 100% EXHAUSTIVE, VERBOSE DEEP ANALYSIS of the provided source material.
-
-      EXTRACTION PROTOCOL:
-      1. ABSOLUTELY NO SUMMARIZATION: You are strictly forbidden from summarizing, condensing, or shortening the content. You must distill and extract EVERY SINGLE detail, nuance, example, core concept, argument, underlying mechanism, and actionable insight.
-      2. MAXIMUM VERBOSITY: Your output should be extremely detailed. Expand on the extracted ideas to ensure 100% of the original meaning and depth is preserved.
-      3. FULL CONTEXT: Strip away purely meaningless rhetorical filler, but keep every single piece of context, supporting evidence, anecdote, or data point that adds to the understanding.
-      4. STRUCTURAL FIDELITY: Capture the exact logical flow and hierarchy of ideas in painstaking detail.
-      5. GRANULARITY: Retain ALL exact numbers, ALL key terminology, ALL methodologies, and heavily quote critical passages.
-      6. WEB SEARCH & GAP FILLING: If you possess web search capabilities, aggressively use them! Search for tricky concepts, obscure terminology, or logical gaps present in the source text. Integrate this external context to build a completely comprehensive picture.
-      7. COMPREHENSIVE LIST COVERAGE: If the source material lists lessons, rules, steps, chapters, or numbered points (e.g., "31 lessons"), you MUST extract and analyze EVERY SINGLE one of them individually. Do not skip, combine, or omit any item. Each lesson/point must be explicitly named, numbered, and detailed.
-      
-      OUTPUT RULES:
-      - Do NOT worry about creating a beautiful final document. This is a massive raw brain dump for a subsequent editor.
-      - Focus entirely on 100% retention of information, extreme depth, and sheer volume.
-      - Output ONLY your raw analysis. No conversational filler or meta-commentary.
-    `;
-
-    const formatDirective = dedent`
-      SYSTEM DIRECTIVE: You are an elite information architect and technical editor.
-      Your task is to take an incredibly dense, exhaustive raw knowledge dump and format it into a beautifully structured, highly readable Markdown document.
-
-      FORMATTING PROTOCOL:
-      1. ELEGANT STRUCTURE: Organize the massive volume of knowledge logically using a clear hierarchy (e.g., # Main Title, ## Core Concepts, ### Nuances). Use bullet points, numbered lists, and bold text extensively to make the dense content scannable.
-      2. ABSOLUTELY NO SUMMARIZATION OR REDACTION: You are strictly forbidden from summarizing, cutting, or shortening the content. You MUST retain 100% of the information, deep insights, critical nuances, and data points from the raw analysis. The final document should be extremely verbose and comprehensive.
-      3. READABILITY: Break up massive walls of text. Use blockquotes for critical insights or key takeaways. Ensure the flow of information builds logically from fundamental to complex.
-      4. COMPLETE ITEM RETENTION: You must preserve every single numbered item, rule, step, or lesson (e.g., all 31 lessons) present in the raw analysis. Do not group them into high-level categories if it means losing the individual numbered sections. Ensure the final document contains dedicated headings or bullet points for each point.
-      
-      OUTPUT CONSTRAINTS:
-      - Use ONLY standard, elegant Markdown.
-      - Do NOT use HTML tags. Do NOT wrap your response in markdown code blocks.
-      - Output ONLY the formatted content. No conversational intro or outro.
-      
-      TAGS REQUIREMENT:
-      At the very end of your response, you MUST append a section exactly like this (generate 3-6 highly relevant, specific tags):
-      TAGS: tag1, tag2, tag3
-    `;
-
-    const CHUNK_SIZE = 100000;
+    const profile = opts.profile || DV.profiles.resolve(opts.item || extracted);
+    const language = opts.language || '';
+    const vars = promptVars(extracted, opts.item, title);
+    const analysisDirective = withTimestamps(withLanguage(DV.profiles.render(profile.analysisPrompt, vars), language), extracted, 'analysis');
+    const formatProfile = opts.formatProfile || profile;
+    const formatDirective = formatDirectiveFor(formatProfile, vars, language, extracted);
+
+    const CHUNK_SIZE = chunkSize(key, aiSettings?.model);
     const CHUNK_OVERLAP = 500;
 
     function chunkText(text) {
@@ -92,73 +320,268 @@
       return chunks;
     }
 
+    const usage = spent.usage;
+    let truncated = false;
+    const send = async (prepared) => {
+      const out = await invoke(key, extracted, aiSettings, prepared, extracted?.id, opts.signal);
+      const res = typeof out === 'string' ? { text: out } : (out || {});
+      addUsage(usage, res.usage);
+      if (res.model) spent.model = res.model;
+      return res;
+    };
+    const call = async (prepared) => {
+      const out = await generate(send, prepared, aiSettings?.maxContinuations);
+      if (out.truncated) truncated = true;
+      return out.text;
+    };
+
     let rawAnalysis = '';
     const cached = extracted?.id ? await DV.db.get('contents', extracted.id).catch(() => null) : null;
-    if (cached && cached.rawAnalysis) {
+    if (cached && cached.rawAnalysis && (cached.analysisProfileId || DEFAULT_PROFILE) === profile.id && (cached.analysisLanguage || '') === (language || '')) {
       rawAnalysis = cached.rawAnalysis;
     } else {
       const chunks = chunkText(fullText);
+      const analysisStream = streamReporter(streamId, 'analysis');
       if (chunks.length === 1) {
         const content = `Here is the text to analyze:\n\nTitle: ${title}\nURL: ${extracted.url || ''}\n\nContent:\n${chunks[0]}`;
         const prepared = {
           title,
           prompt: `${analysisDirective}\n\n${content}`,
-          messages: [{ role: 'system', content: analysisDirective }, { role: 'user', content: content }]
+          messages: [{ role: 'system', content: analysisDirective }, { role: 'user', content: content }],
+          onProgress: analysisStream ? analysisStream.update : undefined
         };
-        rawAnalysis = await provider.distill(extracted, { ...aiSettings, __prepared: prepared });
+        rawAnalysis = await call(prepared);
       } else {
+        const joinParts = (parts) => parts.map((part, i) => `--- Part ${i + 1} Analysis ---\n${part}`).join('\n\n');
+        const partial = chunks.map(() => '');
         const analysisParts = await Promise.all(chunks.map(async (chunk, i) => {
           const partNote = `[This is part ${i + 1} of ${chunks.length} of a longer document. Analyze this part thoroughly.]\n\n`;
           const content = `${partNote}Here is the text to analyze:\n\nTitle: ${title}\nURL: ${extracted.url || ''}\n\nContent:\n${chunk}`;
           const prepared = {
             title,
             prompt: `${analysisDirective}\n\n${content}`,
-            messages: [{ role: 'system', content: analysisDirective }, { role: 'user', content: content }]
+            messages: [{ role: 'system', content: analysisDirective }, { role: 'user', content: content }],
+            onProgress: analysisStream ? (text) => { partial[i] = text; analysisStream.update(joinParts(partial)); } : undefined
           };
-          return provider.distill(extracted, { ...aiSettings, __prepared: prepared });
+          return call(prepared);
         }));
-        rawAnalysis = analysisParts.map((part, i) => `--- Part ${i + 1} Analysis ---\n${part}`).join('\n\n');
+        rawAnalysis = joinParts(analysisParts);
       }
+      if (analysisStream) analysisStream.flush(rawAnalysis);
 
       if (extracted?.id) {
-        await DV.db.put('contents', { id: extracted.id, rawExtracted: extracted, rawAnalysis }).catch(e => console.warn('Failed to cache analysis', e));
+        await DV.db.put('contents', { id: extracted.id, rawExtracted: extracted, rawAnalysis, analysisProfileId: profile.id, analysisLanguage: language }).catch(e => console.warn('Failed to cache analysis', e));
       }
     }
 
     let finalMarkdown = '';
     try {
-      const formatContent = `Here is the raw analysis to format into a beautiful Markdown document:\n\n${rawAnalysis}`;
-      const formatPrepared = {
-        title,
-        prompt: `${formatDirective}\n\n${formatContent}`,
-        messages: [{ role: 'system', content: formatDirective }, { role: 'user', content: formatContent }]
-      };
-      finalMarkdown = await provider.distill(extracted, { ...aiSettings, __prepared: formatPrepared });
+      const formatStream = streamReporter(streamId, 'format');
+      finalMarkdown = await call(formatPrepared(formatDirective, rawAnalysis, title, formatStream ? formatStream.update : undefined));
     } catch (err) {
+      if (err?.name === 'AbortError') throw err;
+      // With a fallback provider configured, let the chain retry the format pass there;
+      // the analysis is already cached, so it will not be paid for twice.
+      if (opts.hasFallback && isFailoverError(err)) throw err;
       console.warn('Formatting pass failed, falling back to raw analysis:', err);
       finalMarkdown = rawAnalysis;
     }
 
-    const tags = parseTags(finalMarkdown);
+    let structured = null;
+    if (aiSettings?.structured) {
+      try {
+        const directive = withLanguage(DV.profiles.render(DV.structured.DIRECTIVE, vars), language);
+        const content = `Here is the analysis to structure:\n\n${rawAnalysis}`;
+        // JSON cannot be continued; a cut-off record fails to parse and is dropped below
+        const res = await send({
+          title,
+          prompt: `${directive}\n\n${content}`,
+          messages: [{ role: 'system', content: directive }, { role: 'user', content }],
+          schema: { name: DV.structured.SCHEMA_NAME, schema: DV.structured.SCHEMA }
+        });
+        structured = DV.structured.validate(DV.structured.parse(res.text || ''));
+      } catch (err) {
+        if (err?.name === 'AbortError') throw err;
+        // The document is already complete; a failed structured pass only drops the panels.
+        console.warn('Structured pass failed, keeping the document without it:', err);
+      }
+    }
+
+    const tags = structured?.tags?.length ? structured.tags : parseTags(finalMarkdown);
+    const formatted = reformatDistilled(finalMarkdown, documentMeta(extracted, title));
+    return { html: formatted, markdown: finalMarkdown, structured, tags, profileId: profile.id, formatProfileId: formatProfile.id, language, usage, provider: key, model: spent.model, truncated };
+  }
+
+  /**
+   * Re-run only the format pass over an item's cached analysis, writing the document in
+   * another language. The stored distillation is left untouched; the caller decides
+   * where to keep the translation.
+   * @param {string} id Item id
+   * @param {string} language ISO 639-1 code
+   * @param {object} aiSettings
+   * @returns {Promise<{html:string, markdown:string, tags:string[], language:string, usage:object|null, provider:string, model:string}>}
+   */
+  async function translate(id, language, aiSettings) {
+    if (!language) throw new Error('Choose a language to translate into.');
+    const [item, content] = await Promise.all([DV.db.get('items', id), DV.db.get('contents', id)]);
+    if (!content?.rawAnalysis) throw new Error('No cached analysis for this item. Retry it to distill it again.');
+    const extracted = content.rawExtracted || content.meta || {};
+    const title = item?.title || extracted.title || 'Untitled';
+    const applied = item?.appliedFormatProfileId || item?.appliedProfileId;
+    const profile = (applied && DV.profiles.get(applied)) || DV.profiles.resolve(item || extracted);
+    const directive = formatDirectiveFor(profile, promptVars(extracted, item, title), language, extracted);
+    const res = await complete(formatPrepared(directive, content.rawAnalysis, title), aiSettings, { id });
+    const markdown = res.text || '';
+    if (!markdown.trim()) throw new Error('The provider returned an empty translation.');
+    return {
+      html: reformatDistilled(markdown, documentMeta(extracted, title)),
+      markdown,
+      tags: parseTags(markdown),
+      language,
+      usage: res.usage,
+      provider: res.provider,
+      model: res.model
+    };
+  }
+
+  /** Template variables available to profile prompts. */
+  function promptVars(extracted, item, title) {
+    return {
+      title,
+      url: extracted?.url || item?.url || '',
+      kind: item?.kind || extracted?.kind || '',
+      tags: (item?.tags || []).join(', '),
+      date: typeof dayjs === 'function' ? dayjs().format('YYYY-MM-DD') : new Date().toISOString().slice(0, 10)
+    };
+  }
+
+  /**
+   * Append the output-language instruction to a directive when a language is chosen.
+   * @param {string} directive
+   * @param {string} [language] ISO 639-1 code; empty keeps the model's choice
+   * @returns {string}
+   */
+  function withLanguage(directive, language) {
+    if (!language) return directive;
+    const name = DV.language.name(language);
+    return `${directive}\n\nOUTPUT LANGUAGE:\nWrite your ENTIRE response in ${name}, regardless of the language of the source material. Keep verbatim quotes in their original language, followed by a ${name} translation in parentheses when the languages differ. Write any TAGS line in English.`;
+  }
+
+  /**
+   * Append the timestamp-citation instructions when the source is a timestamped video
+   * transcript; other sources keep the directive as is.
+   * @param {string} directive
+   * @param {object} extracted
+   * @param {'analysis'|'format'} pass
+   * @returns {string}
+   */
+  function withTimestamps(directive, extracted, pass) {
+    if (!extracted?.timestamped) return directive;
+    if (pass === 'format') return `${directive}\n\n${TIMESTAMPS_FORMAT}`;
+    return `${directive}\n\n${TIMESTAMPS_ANALYSIS}${extracted.chapters?.length ? `\n${CHAPTERS_ANALYSIS}` : ''}`;
+  }
+
+  /** Full format-pass directive for a profile: style, language, timestamps and the tags requirement. */
+  function formatDirectiveFor(profile, vars, language, extracted) {
+    return `${withTimestamps(withLanguage(DV.profiles.render(profile.formatPrompt, vars), language), extracted, 'format')}\n\n${TAGS_REQUIREMENT}`;
+  }
+
+  /** Prepared request for the format pass over a raw analysis. */
+  function formatPrepared(directive, rawAnalysis, title, onProgress) {
+    const content = `Here is the raw analysis to format into a beautiful Markdown document:\n\n${rawAnalysis}`;
+    return {
+      title,
+      prompt: `${directive}\n\n${content}`,
+      messages: [{ role: 'system', content: directive }, { role: 'user', content }],
+      onProgress
+    };
+  }
+
+  /** Header metadata for the rendered distillation document. */
+  function documentMeta(extracted, title) {
     const now = new Date();
-    const meta = {
+    return {
       title,
-      sourceUrl: extracted.url || '',
-      sourceName: extracted.fileName || extracted.url || title,
+      sourceUrl: extracted?.url || '',
+      sourceName: extracted?.fileName || extracted?.url || title,
       dateText: (typeof dayjs === 'function' ? dayjs(now).format('DD/MM/YYYY HH:mm') : now.toLocaleString())
     };
-    const formatted = reformatDistilled(finalMarkdown, meta);
-    return { html: formatted, tags };
   }
 
+  /** Stop reasons meaning the output hit the token limit (OpenAI-style, Anthropic, Gemini). */
+  const LENGTH_STOPS = ['length', 'max_tokens', 'MAX_TOKENS'];
+  const DEFAULT_CONTINUATIONS = 3;
+  const CONTINUE_PROMPT = 'Your previous response was cut off by the output limit. Continue exactly where it stopped, mid-sentence if need be. Do not repeat anything already written and do not add any preamble.';
+
+  /**
+   * Send a prepared request and, while the provider reports that the output was cut at
+   * its token limit, ask it to continue and stitch the parts together. JSON (schema)
+   * requests are never continued.
+   * @param {(prepared:object)=>Promise<{text?:string, model?:string, stopReason?:string|null}>} send
+   * @param {object} prepared
+   * @param {number} [limit] Continuation requests at most; defaults to 3, 0 disables
+   * @returns {Promise<{text:string, model:string, truncated:boolean, continuations:number}>}
+   */
+  async function generate(send, prepared, limit) {
+    const max = prepared.schema ? 0 : Math.max(0, Number(limit ?? DEFAULT_CONTINUATIONS) || 0);
+    let res = await send(prepared);
+    let text = res.text || '';
+    let round = 0;
+    for (; LENGTH_STOPS.includes(res.stopReason) && round < max; round++) {
+      const base = text;
+      res = await send({
+        ...prepared,
+        messages: [...(prepared.messages || []), { role: 'assistant', content: base }, { role: 'user', content: CONTINUE_PROMPT }],
+        onProgress: prepared.onProgress ? (part) => prepared.onProgress(stitch(base, part)) : undefined
+      });
+      text = stitch(base, res.text || '');
+    }
+    return { text, model: res.model || '', truncated: LENGTH_STOPS.includes(res.stopReason), continuations: round };
+  }
+
+  /**
+   * Append a continuation, dropping any text it repeats from the end of the first part.
+   * @param {string} before
+   * @param {string} after
+   * @returns {string}
+   */
+  function stitch(before, after) {
+    for (let k = Math.min(300, before.length, after.length); k >= 20; k--) {
+      if (before.endsWith(after.slice(0, k))) return before + after.slice(k);
+    }
+    return before + after;
+  }
+
+  /**
+   * Accumulate a provider usage block ({ inputTokens, outputTokens }) into a running total.
+   * @param {{inputTokens:number, outputTokens:number, calls:number}} total
+   * @param {{inputTokens?:number, outputTokens?:number}|null} part
+   */
+  function addUsage(total, part) {
+    total.calls++;
+    if (!part) return total;
+    total.inputTokens += Number(part.inputTokens || 0);
+    total.outputTokens += Number(part.outputTokens || 0);
+    return total;
+  }
+
+  /**
+   * Verify provider settings. The models a provider lists are stored in the catalogue.
+   * @param {object} aiSettings
+   * @returns {Promise<true|{models:object[]}>}
+   */
   async function test(aiSettings) {
     const key = (aiSettings?.mode || '').toLowerCase();
     if (!key) throw new Error('No AI provider selected.');
     const provider = window.DV?.aiProviders?.[key];
     if (!provider) throw new Error('AI provider not available: ' + key);
-    if (typeof provider.test === 'function') return await provider.test(aiSettings);
-    await provider.distill({ title: 'Test', text: 'ping' }, aiSettings);
-    return true;
+    if (typeof provider.test !== 'function') {
+      await provider.distill({ title: 'Test', text: 'ping' }, aiSettings);
+      return true;
+    }
+    const out = await provider.test(aiSettings);
+    if (Array.isArray(out?.models)) await DV.ai.models.record(key, out.models);
+    return out;
   }
 
   function parseTags(text = '') {
@@ -178,7 +601,7 @@
   }
 
   window.DV = window.DV || {};
-  window.DV.ai = { distill, test };
+  window.DV.ai = { ...window.DV.ai, distill, translate, complete, test, peekStream, providerLabel, chatMessages, renderDocument: reformatDistilled };
 
   function reformatDistilled(markdown = '', meta) {
     try {
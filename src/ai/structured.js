@@ -0,0 +1,128 @@
+(function () {
+  /**
+   * Structured distillation output: a JSON schema for key points, quotes, action items,
+   * named entities, open questions and tags, the directive that asks a provider to fill
+   * it, and validation that turns whatever came back into a clean record stored in
+   * `contents.structured` next to `html`.
+   */
+  const dedent = DV.utils.dedent;
+
+  const SCHEMA_NAME = 'distillation';
+
+  const ENTITY_TYPES = ['person', 'organization', 'place', 'product', 'concept', 'event', 'work', 'other'];
+
+  /** Strict-mode compatible JSON schema (every property required, no extras). */
+  const SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['keyPoints', 'quotes', 'actionItems', 'entities', 'openQuestions', 'tags'],
+    properties: {
+      keyPoints: { type: 'array', items: { type: 'string' } },
+      quotes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['text', 'attribution'],
+          properties: { text: { type: 'string' }, attribution: { type: 'string' } }
+        }
+      },
+      actionItems: { type: 'array', items: { type: 'string' } },
+      entities: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['name', 'type'],
+          properties: { name: { type: 'string' }, type: { type: 'string', enum: ENTITY_TYPES } }
+        }
+      },
+      openQuestions: { type: 'array', items: { type: 'string' } },
+      tags: { type: 'array', items: { type: 'string' } }
+    }
+  };
+
+  const DIRECTIVE = dedent`
+    SYSTEM DIRECTIVE: You are a meticulous research librarian. Read the analysis of "{title}" and return a single JSON object with these fields:
+    - keyPoints: the 5-15 most important claims, findings or ideas, one sentence each.
+    - quotes: notable passages quoted VERBATIM from the source, with "attribution" naming the speaker or author (empty string if unknown). Never paraphrase a quote.
+    - actionItems: concrete, actionable recommendations or next steps the reader could take. Empty if there are none.
+    - entities: people, organizations, places, products, works and key concepts mentioned, each with a "type" of ${ENTITY_TYPES.join(', ')}.
+    - openQuestions: unresolved questions, gaps or points the source leaves open.
+    - tags: 3-5 short, lowercase topic tags.
+
+    Output ONLY valid JSON matching this schema. No Markdown, no code fences, no commentary.
+  `;
+
+  /**
+   * Parse provider output into an object, tolerating code fences and surrounding prose.
+   * @param {string} text
+   * @returns {object}
+   */
+  function parse(text) {
+    const raw = String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/```\s*$/, '').trim();
+    try { return JSON.parse(raw); } catch { }
+    const start = raw.indexOf('{');
+    const end = raw.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      try { return JSON.parse(raw.slice(start, end + 1)); } catch { }
+    }
+    throw new Error('Structured output is not valid JSON.');
+  }
+
+  const str = (v) => (typeof v === 'string' ? v : v == null ? '' : String(v)).replace(/\s+/g, ' ').trim();
+  const strings = (v) => Array.from(new Set((Array.isArray(v) ? v : []).map(str).filter(Boolean)));
+
+  /**
+   * Validate and normalize a structured record. Missing lists become empty, loose shapes
+   * (plain-string quotes or entities) are coerced, tags follow the same normalization as
+   * the Markdown tag line. Throws when nothing usable remains.
+   * @param {any} obj
+   * @returns {{keyPoints:string[], quotes:Array<{text:string,attribution:string}>, actionItems:string[], entities:Array<{name:string,type:string}>, openQuestions:string[], tags:string[]}}
+   */
+  function validate(obj) {
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) throw new Error('Structured output must be a JSON object.');
+    const quotes = (Array.isArray(obj.quotes) ? obj.quotes : [])
+      .map(q => (typeof q === 'string' ? { text: str(q), attribution: '' } : { text: str(q?.text), attribution: str(q?.attribution) }))
+      .map(q => ({ ...q, text: q.text.replace(/^["“”']+|["“”']+$/g, '').trim() }))
+      .filter(q => q.text);
+    const seen = new Set();
+    const entities = (Array.isArray(obj.entities) ? obj.entities : [])
+      .map(e => (typeof e === 'string' ? { name: str(e), type: 'other' } : { name: str(e?.name), type: ENTITY_TYPES.includes(str(e?.type).toLowerCase()) ? str(e.type).toLowerCase() : 'other' }))
+      .filter(e => e.name && !seen.has(e.name.toLowerCase()) && seen.add(e.name.toLowerCase()));
+    const tags = Array.from(new Set(strings(obj.tags)
+      .map(t => t.toLowerCase().replace(/^#/, '').replace(/[^a-z0-9\s-]/g, '').trim())
+      .filter(t => t.length >= 2 && t.length < 30)));
+    const out = {
+      keyPoints: strings(obj.keyPoints),
+      quotes,
+      actionItems: strings(obj.actionItems),
+      entities,
+      openQuestions: strings(obj.openQuestions),
+      tags
+    };
+    if (!Object.values(out).some(v => v.length)) throw new Error('Structured output was empty.');
+    return out;
+  }
+
+  /**
+   * Render the action items and quotes as HTML sections for exporters.
+   * @param {object} structured
+   * @returns {string}
+   */
+  function renderHtml(structured) {
+    if (!structured) return '';
+    const esc = DV.utils.escapeHtml;
+    let html = '';
+    if (structured.actionItems?.length) {
+      html += `<h2>Action Items</h2><ul>${structured.actionItems.map(a => `<li>${esc(a)}</li>`).join('')}</ul>`;
+    }
+    if (structured.quotes?.length) {
+      html += `<h2>Notable Quotes</h2>${structured.quotes.map(q => `<blockquote><p>“${esc(q.text)}”${q.attribution ? `<br/>— ${esc(q.attribution)}` : ''}</p></blockquote>`).join('')}`;
+    }
+    return html;
+  }
+
+  window.DV = window.DV || {};
+  window.DV.structured = { SCHEMA_NAME, SCHEMA, ENTITY_TYPES, DIRECTIVE, parse, validate, renderHtml };
+})();
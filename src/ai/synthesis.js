@@ -0,0 +1,253 @@
+(function () {
+  /**
+   * Cross-item synthesis: a map-reduce over the stored distillations of completed items.
+   * Each source is condensed into notes labelled [S1], [S2]…; notes are merged in batches
+   * while they exceed the reduce budget, and a final pass writes a report on where the
+   * sources agree, contradict each other, or leave gaps. A `book` item runs the same
+   * pipeline over its chapters, labelled [Ch1], [Ch2]…, and ends in a book-level overview.
+   */
+  const dedent = DV.utils.dedent;
+
+  const MAP_CHUNK = 100000;
+  const REDUCE_BUDGET = 120000;
+
+  /** Tags every item of a kind gets automatically; not meaningful as shared topics. */
+  const KIND_TAGS = new Set(['web', 'youtube', 'file', 'substack', 'synthesis', 'book']);
+
+  const MAP_PROMPT = dedent`
+    SYSTEM DIRECTIVE: You are preparing research notes for a synthesis across several sources.
+    From the distillation of source {label} ("{source}"), extract:
+    - The central thesis or purpose.
+    - Every significant claim, with its supporting evidence and exact numbers.
+    - Recommendations or conclusions.
+    - Stated limitations, assumptions and uncertainties.
+    Prefix EVERY line with {label} so claims stay attributable. Output ONLY the notes.
+  `;
+
+  const MERGE_PROMPT = dedent`
+    SYSTEM DIRECTIVE: You are consolidating research notes from several sources.
+    Merge the notes below into one list grouped by topic. Keep every source label ({labels}) attached to the claims it supports, combine labels when sources make the same claim (e.g. {combined}), and keep conflicting claims side by side. Never drop a label or a number.
+    Output ONLY the merged notes.
+  `;
+
+  const REDUCE_PROMPT = dedent`
+    SYSTEM DIRECTIVE: You are a senior research synthesist. Using notes from {count} sources labelled [S1]…[S{count}], write a Markdown synthesis report titled "# {title}" with these sections:
+    1. "## Overview": the combined picture in one or two paragraphs.
+    2. "## Where Sources Agree": claims supported by more than one source, each with its citations.
+    3. "## Where Sources Contradict": each disagreement with the positions side by side, citations, and the most likely reasons (scope, data, date, assumptions).
+    4. "## Gaps and Open Questions": what none of the sources address, claims resting on a single source, and weakly supported conclusions.
+    5. "## Source Contributions": one bullet per source describing what it uniquely adds.
+
+    RULES:
+    - Cite sources inline as [S1], [S2]… after every claim.
+    - Do not invent agreements or contradictions that the notes do not support.
+    - Use ONLY standard Markdown. Do NOT wrap your response in code blocks. No conversational intro or outro.
+  `;
+
+  const BOOK_MAP_PROMPT = dedent`
+    SYSTEM DIRECTIVE: You are preparing reading notes for an overview of the book "{book}".
+    From the distillation of chapter {label} ("{source}"), extract:
+    - The chapter's main argument, or its key events for narrative works.
+    - Every concept it introduces, with its definition.
+    - The most important evidence, examples and numbers.
+    - Links the chapter draws to other chapters or earlier ideas.
+    Prefix EVERY line with {label} so points stay attributable. Output ONLY the notes.
+  `;
+
+  const BOOK_REDUCE_PROMPT = dedent`
+    SYSTEM DIRECTIVE: You are an expert reader writing a book-level overview. Using notes from {count} chapters labelled [Ch1], [Ch2]…, write a Markdown overview titled "# {title}" with these sections:
+    1. "## Overview": what the book is about, its central thesis or story, and who it is for.
+    2. "## Chapter by Chapter": one short paragraph per chapter, in order, starting with its label.
+    3. "## Key Ideas": the ideas that run through several chapters, each with the chapters that develop it.
+    4. "## Takeaways": the practical conclusions a reader should remember.
+
+    RULES:
+    - Cite chapters inline as [Ch1], [Ch2]… after every point.
+    - Only describe what the notes support; do not fill gaps from outside knowledge of the book.
+    - Use ONLY standard Markdown. Do NOT wrap your response in code blocks. No conversational intro or outro.
+  `;
+
+  /** Prompts and labels of the two kinds of item built on other items. */
+  const PASSES = {
+    synthesis: {
+      map: MAP_PROMPT,
+      reduce: REDUCE_PROMPT,
+      min: 2,
+      tooFew: 'A synthesis needs at least two completed source items.',
+      label: (_, n) => `[S${n}]`,
+      labels: { labels: '[S1], [S2]…', combined: '[S1][S3]' },
+      listHeading: 'Sources',
+      sourceName: (n) => `${n} vault items`
+    },
+    book: {
+      map: BOOK_MAP_PROMPT,
+      reduce: BOOK_REDUCE_PROMPT,
+      min: 1,
+      tooFew: 'A book overview needs at least one completed chapter.',
+      label: (item, n) => `[Ch${(item.chapterIndex ?? n - 1) + 1}]`,
+      labels: { labels: '[Ch1], [Ch2]…', combined: '[Ch1][Ch3]' },
+      listHeading: 'Chapters',
+      sourceName: (n) => `${n} chapter${n === 1 ? '' : 's'}`
+    }
+  };
+
+  /**
+   * Flatten a stored distillation document into Markdown-ish plain text.
+   * @param {string} html
+   * @returns {string}
+   */
+  function documentText(html) {
+    const doc = new DOMParser().parseFromString(String(html || ''), 'text/html');
+    const root = doc.querySelector('main') || doc.body;
+    if (!root) return '';
+    const lines = [];
+    root.querySelectorAll('h1,h2,h3,h4,p,li,blockquote,pre').forEach(el => {
+      if (el.closest('li') && el.tagName !== 'LI') return;
+      if (el.tagName === 'P' && el.closest('blockquote')) return;
+      const text = (el.textContent || '').replace(/\s+/g, ' ').trim();
+      if (!text) return;
+      const tag = el.tagName;
+      if (/^H\d$/.test(tag)) lines.push('\n' + '#'.repeat(Number(tag[1]) + 1) + ' ' + text);
+      else if (tag === 'LI') lines.push('- ' + text);
+      else if (tag === 'BLOCKQUOTE') lines.push('> ' + text);
+      else lines.push(text);
+    });
+    return lines.join('\n').trim();
+  }
+
+  /**
+   * Load the completed sources of a synthesis, labelled in selection order.
+   * @param {string[]} ids
+   * @param {(item:object, n:number) => string} label Label of the nth completed source
+   * @returns {Promise<Array<{id:string, label:string, title:string, url:string|null, tags:string[], text:string}>>}
+   */
+  async function loadSources(ids, label) {
+    const out = [];
+    for (const id of ids || []) {
+      const [item, content] = await Promise.all([DV.db.get('items', id), DV.db.get('contents', id)]);
+      if (!item || item.status !== DV.queue.STATUS.COMPLETED || !content?.html) continue;
+      const text = documentText(content.html);
+      if (!text) continue;
+      out.push({ id, label: label(item, out.length + 1), title: item.title || 'Untitled', url: item.url || null, tags: item.tags || [], text });
+    }
+    return out;
+  }
+
+  /**
+   * Split text into pieces of at most `size` characters at paragraph boundaries.
+   * @param {string} text
+   * @param {number} size
+   * @returns {string[]}
+   */
+  function split(text, size) {
+    if (text.length <= size) return [text];
+    const parts = [];
+    let start = 0;
+    while (start < text.length) {
+      let end = Math.min(text.length, start + size);
+      if (end < text.length) {
+        const br = text.lastIndexOf('\n\n', end);
+        if (br > start + size / 2) end = br;
+      }
+      parts.push(text.slice(start, end));
+      start = end;
+    }
+    return parts;
+  }
+
+  /**
+   * Group note blocks into batches whose joined length stays under `budget`.
+   * @param {string[]} notes
+   * @param {number} budget
+   * @returns {string[][]}
+   */
+  function batch(notes, budget) {
+    const groups = [];
+    let cur = [], len = 0;
+    for (const n of notes) {
+      if (cur.length && len + n.length > budget) { groups.push(cur); cur = []; len = 0; }
+      cur.push(n);
+      len += n.length;
+    }
+    if (cur.length) groups.push(cur);
+    return groups;
+  }
+
+  /**
+   * Run a synthesis for a `synthesis` item, or the overview of a `book` item, over its
+   * `sourceIds`.
+   * @param {{id:string, kind:string, title:string, sourceIds:string[]}} item
+   * @param {object} aiSettings
+   * @param {{signal?:AbortSignal}} [opts]
+   * @returns {Promise<{html:string, markdown:string, text:string, tags:string[], sources:Array<{id:string,label:string,title:string}>, usage:{inputTokens:number,outputTokens:number,calls:number}, provider:string, model:string, truncated:boolean}>}
+   */
+  async function run(item, aiSettings, opts = {}) {
+    const pass = PASSES[item.kind] || PASSES.synthesis;
+    const sources = await loadSources(item.sourceIds, pass.label);
+    if (sources.length < pass.min) throw new Error(pass.tooFew);
+    const title = item.title || 'Synthesis';
+
+    const usage = { inputTokens: 0, outputTokens: 0, calls: 0 };
+    let provider = '', model = '', truncated = false;
+    const call = async (system, user) => {
+      const res = await DV.ai.complete({
+        title,
+        prompt: `${system}\n\n${user}`,
+        messages: [{ role: 'system', content: system }, { role: 'user', content: user }]
+      }, aiSettings, { id: item.id, signal: opts.signal });
+      usage.calls++;
+      usage.inputTokens += Number(res.usage?.inputTokens || 0);
+      usage.outputTokens += Number(res.usage?.outputTokens || 0);
+      provider = res.provider; model = res.model;
+      if (res.truncated) truncated = true;
+      return String(res.text || '').trim();
+    };
+
+    // Map: condense each source into labelled notes
+    let notes = await Promise.all(sources.map(async (s) => {
+      const system = DV.profiles.render(pass.map, { label: s.label, source: s.title, book: title });
+      const parts = await Promise.all(split(s.text, MAP_CHUNK).map(part => call(system, `Distillation of ${s.label} "${s.title}":\n\n${part}`)));
+      return `### ${s.label} ${s.title}\n${parts.join('\n')}`;
+    }));
+
+    // Reduce: merge batches until everything fits one final pass
+    const merge = DV.profiles.render(MERGE_PROMPT, pass.labels);
+    while (notes.length > 1 && notes.join('\n\n').length > REDUCE_BUDGET) {
+      const groups = batch(notes, REDUCE_BUDGET);
+      if (groups.length === notes.length) break; // every block is already at the budget; merging would not shrink
+      notes = await Promise.all(groups.map(g => (g.length === 1 ? g[0] : call(merge, g.join('\n\n')))));
+    }
+
+    const system = DV.profiles.render(pass.reduce, { count: sources.length, title });
+    const report = await call(system, `Source notes:\n\n${notes.join('\n\n')}`);
+    const sourceList = sources.map(s => `- **${s.label}** ${s.url ? `[${s.title}](${s.url})` : s.title}`).join('\n');
+    const markdown = `${report}\n\n## ${pass.listHeading}\n\n${sourceList}`;
+
+    const now = new Date();
+    const html = DV.ai.renderDocument(markdown, {
+      title,
+      sourceName: pass.sourceName(sources.length),
+      dateText: typeof dayjs === 'function' ? dayjs(now).format('DD/MM/YYYY HH:mm') : now.toLocaleString()
+    });
+
+    // Topics shared by at least two sources carry over to the synthesis
+    const counts = new Map();
+    sources.forEach(s => new Set(s.tags).forEach(t => counts.set(t, (counts.get(t) || 0) + 1)));
+    const tags = Array.from(counts).filter(([t, n]) => n >= 2 && !KIND_TAGS.has(t)).sort((a, b) => b[1] - a[1]).slice(0, 6).map(([t]) => t);
+
+    return {
+      html,
+      markdown,
+      text: sources.map(s => `${s.label} ${s.title}\n\n${s.text}`).join('\n\n'),
+      tags,
+      sources: sources.map(({ id, label, title }) => ({ id, label, title })),
+      usage,
+      provider,
+      model,
+      truncated
+    };
+  }
+
+  window.DV = window.DV || {};
+  window.DV.synthesis = { run, documentText };
+})();
@@ -0,0 +1,289 @@
+(function () {
+  /**
+   * Shared HTTP transport for AI providers. Providers build the request and parse the
+   * response; this module gets it across the wire: a timeout per attempt, retries with
+   * exponential backoff and jitter, server-directed delays (`Retry-After`,
+   * `x-ratelimit-*` and `anthropic-ratelimit-*` reset headers, Google RetryInfo) and
+   * typed errors the queue and UI can act on. Emits 'ai:retry' before every retry.
+   */
+  const KIND = {
+    AUTH: 'auth',
+    QUOTA: 'quota',
+    RATE_LIMIT: 'rate-limit',
+    CONTEXT: 'context-too-long',
+    SAFETY: 'safety-blocked',
+    NETWORK: 'network',
+    SERVER: 'server',
+    UNKNOWN: 'unknown'
+  };
+
+  /** Kinds worth retrying against the same provider. */
+  const RETRYABLE = [KIND.RATE_LIMIT, KIND.NETWORK, KIND.SERVER];
+
+  const DEFAULTS = {
+    retries: 3,           // extra attempts after the first
+    timeoutMs: 300000,    // per attempt, covering the response body read by `read`
+    baseDelayMs: 2000,    // first backoff step; doubles per attempt
+    maxDelayMs: 60000     // longest wait before giving up instead of retrying
+  };
+
+  const DESCRIPTIONS = {
+    [KIND.AUTH]: { label: 'Authentication failed', hint: 'The provider rejected the API key. Check the key for this provider in Settings.' },
+    [KIND.QUOTA]: { label: 'Quota exhausted', hint: 'The account is out of credit or over its usage limit. Top up or raise the limit with the provider, or add a fallback provider in Settings.' },
+    [KIND.RATE_LIMIT]: { label: 'Rate limited', hint: 'The provider is throttling requests. Retry later, or lower concurrency in Settings.' },
+    [KIND.CONTEXT]: { label: 'Input too long', hint: 'The source does not fit the model\'s context window. Choose a model with a larger context window and retry.' },
+    [KIND.SAFETY]: { label: 'Blocked by safety filters', hint: 'The provider refused to process this content. Try a different provider or model.' },
+    [KIND.NETWORK]: { label: 'Network error', hint: 'The provider could not be reached or did not answer in time. Check the connection and retry.' },
+    [KIND.SERVER]: { label: 'Provider unavailable', hint: 'The provider returned a server error. Retrying later usually helps.' }
+  };
+
+  /** Provider failure with a machine-readable `kind` alongside the HTTP `status`. */
+  class AIError extends Error {
+    /**
+     * @param {string} message
+     * @param {{kind?:string, status?:number, provider?:string, retryAfterMs?:number|null}} [info]
+     */
+    constructor(message, { kind = KIND.UNKNOWN, status = 0, provider = '', retryAfterMs = null } = {}) {
+      super(message);
+      this.name = 'AIError';
+      this.kind = kind;
+      this.status = status;
+      this.provider = provider;
+      this.retryAfterMs = retryAfterMs;
+    }
+  }
+
+  /**
+   * Create a typed error. Providers use this for failures found in a response body,
+   * such as safety blocks or mid-stream error events.
+   * @param {string} kind One of KIND
+   * @param {string} message
+   * @param {{status?:number, provider?:string, retryAfterMs?:number|null}} [info]
+   * @returns {AIError}
+   */
+  function error(kind, message, info = {}) {
+    return new AIError(message, { ...info, kind });
+  }
+
+  /**
+   * Classify a failure from its HTTP status and message text.
+   * @param {number} status
+   * @param {string} [text]
+   * @param {{retryAfterMs?:number|null}} [hints]
+   * @returns {string} One of KIND
+   */
+  function classify(status, text = '', hints = {}) {
+    const s = String(text || '');
+    if (status === 401 || status === 403 || /api.?key (?:not valid|invalid|required)|invalid.{0,20}api.?key|incorrect api key|unauthori[sz]ed|authentication/i.test(s)) return KIND.AUTH;
+    if (status === 402 || /insufficient.?(?:quota|balance|funds)|credit balance|billing|top up|payment required/i.test(s)) {
+      // Gemini words per-minute limits as "exceeded your current quota … billing details" but sends a retry delay
+      if (status === 429 && hints.retryAfterMs != null) return KIND.RATE_LIMIT;
+      return KIND.QUOTA;
+    }
+    if (status === 413 || /context.?(?:length|window)|prompt is too long|input is too long|too many (?:input )?tokens|maximum.{0,40}tokens|token limit|reduce the length/i.test(s)) return KIND.CONTEXT;
+    if (status === 429 || /rate.?limit|too many requests|resource.?exhausted|overloaded/i.test(s)) return status >= 500 ? KIND.SERVER : KIND.RATE_LIMIT;
+    if (/safety|content.?(?:policy|filter|management)|blocked by|prohibited.?content|recitation|\brefusal\b/i.test(s)) return KIND.SAFETY;
+    if (status === 408 || /timed out|timeout|failed to fetch|networkerror|network error|load failed|unreachable|could not reach/i.test(s)) return KIND.NETWORK;
+    if (status >= 500) return KIND.SERVER;
+    return KIND.UNKNOWN;
+  }
+
+  /**
+   * Kind of any error: typed errors report their own, others are classified from
+   * `status` and message.
+   * @param {any} err
+   * @returns {string}
+   */
+  function kindOf(err) {
+    if (err?.kind && Object.values(KIND).includes(err.kind)) return err.kind;
+    if (err?.name === 'AbortError') return KIND.UNKNOWN;
+    return classify(Number(err?.status || 0), String(err?.message || err || ''));
+  }
+
+  /**
+   * Label and remedy for an error kind, for the UI.
+   * @param {string} kind
+   * @returns {{label:string, hint:string}|null}
+   */
+  function describe(kind) {
+    return DESCRIPTIONS[kind] || null;
+  }
+
+  /**
+   * Parse a delay given as seconds ("12", "1.5"), a Go-style duration ("6m0s", "20ms",
+   * "34s") or an absolute HTTP / RFC 3339 date.
+   * @param {string|null} value
+   * @returns {number|null} Milliseconds from now
+   */
+  function parseDelay(value) {
+    const v = String(value ?? '').trim();
+    if (!v) return null;
+    if (/^\d+(?:\.\d+)?$/.test(v)) return Math.round(parseFloat(v) * 1000);
+    const parts = v.match(/\d+(?:\.\d+)?(?:ms|h|m|s)/g);
+    if (parts && parts.join('') === v) {
+      const unit = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+      return Math.round(parts.reduce((sum, p) => {
+        const [, n, u] = p.match(/^([\d.]+)(ms|h|m|s)$/);
+        return sum + parseFloat(n) * unit[u];
+      }, 0));
+    }
+    const at = Date.parse(v);
+    return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+  }
+
+  /**
+   * Server-directed wait from response headers. `Retry-After` wins; otherwise the reset
+   * time of whichever rate-limit bucket is exhausted (or, on a 429 without that
+   * information, the soonest reset). Headers the provider does not expose through CORS
+   * are simply absent.
+   * @param {Headers} headers
+   * @param {number} status
+   * @returns {number|null}
+   */
+  function headerDelay(headers, status) {
+    if (!headers) return null;
+    const ms = Number(headers.get('retry-after-ms'));
+    if (ms > 0) return ms;
+    const direct = parseDelay(headers.get('retry-after'));
+    if (direct != null) return direct;
+
+    const buckets = [
+      ['x-ratelimit-remaining-requests', 'x-ratelimit-reset-requests'],
+      ['x-ratelimit-remaining-tokens', 'x-ratelimit-reset-tokens'],
+      ['anthropic-ratelimit-requests-remaining', 'anthropic-ratelimit-requests-reset'],
+      ['anthropic-ratelimit-tokens-remaining', 'anthropic-ratelimit-tokens-reset'],
+      ['anthropic-ratelimit-input-tokens-remaining', 'anthropic-ratelimit-input-tokens-reset'],
+      ['anthropic-ratelimit-output-tokens-remaining', 'anthropic-ratelimit-output-tokens-reset']
+    ];
+    const exhausted = [], any = [];
+    for (const [remaining, reset] of buckets) {
+      const delay = parseDelay(headers.get(reset));
+      if (delay == null) continue;
+      any.push(delay);
+      if (headers.get(remaining) === '0') exhausted.push(delay);
+    }
+    if (exhausted.length) return Math.max(...exhausted);
+    if (status === 429 && any.length) return Math.min(...any);
+    return null;
+  }
+
+  /**
+   * Read the error body of a failed response: message, code and any retry delay the
+   * body carries (Google RetryInfo).
+   * @param {Response} res
+   * @returns {Promise<{detail:string, code:string, retryAfterMs:number|null}>}
+   */
+  async function readErrorBody(res) {
+    let detail = '', code = '', retryAfterMs = null;
+    let text = '';
+    try { text = await res.text(); } catch { }
+    try {
+      const json = JSON.parse(text);
+      const body = Array.isArray(json) ? json[0] : json;
+      const e = body?.error;
+      detail = (typeof e === 'string' ? e : e?.message) || body?.message || '';
+      code = (e && typeof e === 'object' && (e.code || e.type || e.status)) || '';
+      const info = (e?.details || []).find(d => String(d?.['@type'] || '').endsWith('RetryInfo'));
+      if (info?.retryDelay) retryAfterMs = parseDelay(info.retryDelay);
+    } catch {
+      detail = text.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 300);
+    }
+    return { detail: String(detail), code: String(code || ''), retryAfterMs };
+  }
+
+  /** Wait for `ms`, resolving early with an AbortError if `signal` fires. */
+  function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(new DOMException('Aborted', 'AbortError'));
+      const t = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+      function onAbort() { clearTimeout(t); reject(new DOMException('Aborted', 'AbortError')); }
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /** Exponential backoff with jitter: a random wait between half and all of the step. */
+  function backoff(attempt, opts) {
+    const step = Math.min(opts.maxDelayMs, opts.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(step * (0.5 + Math.random() * 0.5));
+  }
+
+  /** Human-readable duration for error messages. */
+  function formatWait(ms) {
+    const s = Math.ceil(ms / 1000);
+    return s < 120 ? `${s}s` : `${Math.round(s / 60)} min`;
+  }
+
+  /**
+   * Send a request to a provider with retries, then hand the response to `read`.
+   * Failures from `read` (empty completions, stream errors) go through the same retry
+   * policy, so providers can throw typed errors from there.
+   * @template T
+   * @param {string} url
+   * @param {RequestInit} init
+   * @param {{provider?:string, limitKey?:string, label?:string, retries?:number, timeoutMs?:number, baseDelayMs?:number, maxDelayMs?:number, signal?:AbortSignal, read?:(res:Response)=>Promise<T>, fetch?:typeof fetch}} [options]
+   *   `limitKey` is the limiter bucket the call was admitted by (defaults to the provider);
+   *   `label` prefixes error messages, e.g. "OpenAI API"; `signal` cancels the request
+   *   and any pending wait without retrying; `fetch` replaces the network call, as the
+   *   mock provider does to simulate responses.
+   * @returns {Promise<T>} The value returned by `read`, or the Response
+   */
+  async function request(url, init = {}, options = {}) {
+    const opts = { ...DEFAULTS, ...Object.fromEntries(Object.entries(options).filter(([, v]) => v !== undefined)) };
+    const label = opts.label || 'Provider';
+    const provider = opts.provider || '';
+    const limitKey = opts.limitKey || provider;
+    const read = opts.read || (async (res) => res);
+    const send = opts.fetch || fetch;
+
+    for (let attempt = 1; ; attempt++) {
+      const controller = new AbortController();
+      let timedOut = false;
+      const timeoutId = setTimeout(() => { timedOut = true; controller.abort(); }, opts.timeoutMs);
+      const onAbort = () => controller.abort();
+      opts.signal?.addEventListener('abort', onAbort, { once: true });
+
+      let err;
+      try {
+        if (opts.signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+        // The timeout stays armed while `read` consumes the body, so a stalled stream fails too
+        const res = await send(url, { ...init, signal: controller.signal });
+        DV.ai.limiter?.observe(limitKey, res.headers);
+        if (!res.ok) {
+          const body = await readErrorBody(res);
+          const retryAfterMs = headerDelay(res.headers, res.status) ?? body.retryAfterMs;
+          const kind = classify(res.status, `${body.code} ${body.detail}`, { retryAfterMs });
+          throw new AIError(`${label} error: ${res.status} ${res.statusText}${body.detail ? ` - ${body.detail}` : ''}`, { kind, status: res.status, provider, retryAfterMs });
+        }
+        return await read(res);
+      } catch (e) {
+        err = e;
+      } finally {
+        clearTimeout(timeoutId);
+        opts.signal?.removeEventListener('abort', onAbort);
+      }
+
+      if (err?.name === 'AbortError' && !timedOut) throw err;
+      if (!(err instanceof AIError)) {
+        if (timedOut) err = new AIError(`${label} timed out after ${formatWait(opts.timeoutMs).replace('min', 'minutes')}.`, { kind: KIND.NETWORK, provider });
+        else if (err?.name === 'TypeError') err = new AIError(`${label} unreachable: ${err.message}`, { kind: KIND.NETWORK, provider });
+        else throw err;
+      }
+      if (!err.provider) err.provider = provider;
+
+      const wait = err.retryAfterMs != null ? err.retryAfterMs + Math.round(Math.random() * 1000) : backoff(attempt, opts);
+      if (!RETRYABLE.includes(err.kind) || attempt > opts.retries) throw err;
+      if (wait > opts.maxDelayMs) {
+        err.message += ` (the provider asked to wait ${formatWait(wait)})`;
+        throw err;
+      }
+      // Hold the provider's other calls too while the server asked for a pause
+      if (err.kind === KIND.RATE_LIMIT && err.retryAfterMs != null) DV.ai.limiter?.block(limitKey, wait);
+      DV.bus.emit('ai:retry', { provider, attempt, delayMs: wait, kind: err.kind, error: err.message });
+      await sleep(wait, opts.signal);
+    }
+  }
+
+  window.DV = window.DV || {};
+  window.DV.ai = window.DV.ai || {};
+  window.DV.ai.transport = { KIND, DEFAULTS, AIError, error, classify, kindOf, describe, parseDelay, request };
+})();
@@ -0,0 +1,113 @@
+(function () {
+  /**
+   * Vision extraction: images and rendered PDF pages are read by the selected multimodal
+   * model instead of local OCR. Pages go out in batches as image parts
+   * (`prepared.images`, attached to the first user turn by each provider); the model
+   * transcribes the text and describes diagrams, tables, charts and handwriting. The
+   * joined transcript becomes the item's extracted text and is distilled as usual.
+   *
+   * The `ai.vision` setting selects when it is used: '' keeps Tesseract OCR, 'scans'
+   * sends images and PDFs without an embedded text layer, 'all' renders every PDF.
+   */
+  const dedent = DV.utils.dedent;
+
+  const PAGES_PER_BATCH = 6;
+  const MAX_PAGES = 300;
+  const MAX_SIDE = 1568; // longer side in pixels; providers downscale anything larger
+  const JPEG_QUALITY = 0.85;
+
+  const DIRECTIVE = dedent`
+    SYSTEM DIRECTIVE: You are a meticulous transcriber turning page images of "{title}" into text for later analysis.
+    For every image, in order:
+    - Start with a line "[Page N]", where N is the page number given for that image.
+    - Transcribe all readable text verbatim in reading order, keeping headings, lists and paragraphs. Do not summarize, translate or correct it.
+    - Render tables as Markdown tables.
+    - Describe every diagram, chart, figure, photo or slide graphic in a short "[Figure: …]" paragraph: what it shows, its labels, axes, values and the relationships it conveys.
+    - Transcribe handwriting as well as you can and mark illegible words as [illegible].
+    - Skip page furniture that repeats on every page (running headers, footers, page numbers).
+    Output only the transcription.
+  `;
+
+  /** Vision mode from the current settings: '' (local OCR), 'scans' or 'all'. */
+  function mode() {
+    return DV.queue.getSettings().ai?.vision || '';
+  }
+
+  /**
+   * Encode a canvas as a JPEG image part.
+   * @param {HTMLCanvasElement} canvas
+   * @returns {{mediaType:string, data:string}} Base64 data without the data-URL prefix
+   */
+  function encode(canvas) {
+    const url = canvas.toDataURL('image/jpeg', JPEG_QUALITY);
+    return { mediaType: 'image/jpeg', data: url.slice(url.indexOf(',') + 1) };
+  }
+
+  /**
+   * Draw an image file onto a white canvas no larger than MAX_SIDE and encode it.
+   * @param {Blob} file
+   * @returns {Promise<{mediaType:string, data:string}>}
+   */
+  async function imagePart(file) {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, MAX_SIDE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    const ctx = canvas.getContext('2d');
+    // Transparent areas would turn black in JPEG
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close?.();
+    try {
+      return encode(canvas);
+    } finally {
+      canvas.width = canvas.height = 0;
+    }
+  }
+
+  /**
+   * Transcribe `count` pages with the configured provider chain. Pages are rendered on
+   * demand batch by batch, so long documents never sit in memory as images at once.
+   * Emits 'ocr:progress' with `{ status: 'vision', progress, page, file }`.
+   * @param {{count:number, render:(index:number)=>Promise<{mediaType:string, data:string}>, title:string, id?:string, signal?:AbortSignal}} opts
+   *   `render` receives the zero-based page index; `id` is the queue item, for rate-limit waits in its row
+   * @returns {Promise<{text:string, usage:{inputTokens:number,outputTokens:number}, cost:number, provider:string, model:string}>}
+   *   `cost` is priced batch by batch, so a batch a fallback answered with another model
+   *   bills at that model's rates
+   */
+  async function transcribe({ count, render, title, id, signal }) {
+    const aiSettings = DV.queue.getSettings().ai;
+    const system = DV.profiles.render(DIRECTIVE, { title: title || 'Untitled' });
+    const parts = [];
+    const usage = { inputTokens: 0, outputTokens: 0 };
+    let provider = '', model = '', cost = 0;
+    for (let start = 0; start < count; start += PAGES_PER_BATCH) {
+      signal?.throwIfAborted();
+      const pages = [];
+      for (let i = start; i < Math.min(count, start + PAGES_PER_BATCH); i++) pages.push(i);
+      const images = [];
+      for (const i of pages) images.push(await render(i));
+      const range = pages.length === 1 ? `page ${pages[0] + 1}` : `pages ${pages[0] + 1}–${pages[pages.length - 1] + 1}`;
+      const user = `Transcribe ${range} of ${count}. The ${images.length === 1 ? 'image is' : `${images.length} images are`} attached in page order (${pages.map(i => `page ${i + 1}`).join(', ')}).`;
+      const res = await DV.ai.complete({
+        title,
+        prompt: `${system}\n\n${user}`,
+        messages: [{ role: 'system', content: system }, { role: 'user', content: user }],
+        images
+      }, aiSettings, { id, signal });
+      parts.push(String(res.text || '').trim());
+      usage.inputTokens += res.usage?.inputTokens || 0;
+      usage.outputTokens += res.usage?.outputTokens || 0;
+      cost += DV.pricing.cost(res.model, res.usage);
+      provider = res.provider;
+      model = res.model;
+      DV.bus.emit('ocr:progress', { status: 'vision', progress: Math.min(count, start + PAGES_PER_BATCH) / count, page: pages[pages.length - 1] + 1, file: title });
+    }
+    return { text: DV.utils.normalizeText(parts.join('\n\n')), usage, cost, provider, model };
+  }
+
+  window.DV = window.DV || {};
+  window.DV.vision = { PAGES_PER_BATCH, MAX_PAGES, MAX_SIDE, mode, encode, imagePart, transcribe };
+})();
@@ -6,7 +6,7 @@
    * the main thread. Includes defensive transaction error handling and null checks.
    */
   const DB_NAME = 'distyvault';
-  const DB_VER = 10;
+  const DB_VER = 15;
 
   let dbPromise;
 
@@ -18,6 +18,14 @@
    * - items: primary entity list, keyPath 'id'; indexes by status, createdAt, title.
    * - contents: HTML/files associated with items, keyPath 'id'.
    * - settings: application settings, keyPath 'key'.
+   * - chats: follow-up conversations per item, keyPath 'id' (the item id).
+   * - versions: every completed distillation run, keyPath 'id'; index by itemId.
+   * - flashcards: study cards per item, keyPath 'id' (the item id).
+   * - recordings: provider responses captured by the mock provider, keyPath 'id' (the
+   *   prompt hash). Not part of vault backups.
+   * - embeddings: semantic-search passages with their vectors, keyPath 'id'
+   *   (`${itemId}:${index}`); index by itemId. Not part of vault backups; rebuilt by
+   *   indexing the vault.
    *
    * @returns {Promise<IDBDatabase>}
    */
@@ -39,6 +47,23 @@
           if (!db.objectStoreNames.contains('settings')) {
             db.createObjectStore('settings', { keyPath: 'key' });
           }
+          if (!db.objectStoreNames.contains('chats')) {
+            db.createObjectStore('chats', { keyPath: 'id' });
+          }
+          if (!db.objectStoreNames.contains('versions')) {
+            const s = db.createObjectStore('versions', { keyPath: 'id' });
+            s.createIndex('by_item', 'itemId', { unique: false });
+          }
+          if (!db.objectStoreNames.contains('flashcards')) {
+            db.createObjectStore('flashcards', { keyPath: 'id' });
+          }
+          if (!db.objectStoreNames.contains('recordings')) {
+            db.createObjectStore('recordings', { keyPath: 'id' });
+          }
+          if (!db.objectStoreNames.contains('embeddings')) {
+            const s = db.createObjectStore('embeddings', { keyPath: 'id' });
+            s.createIndex('by_item', 'itemId', { unique: false });
+          }
         };
         req.onsuccess = () => resolve(req.result);
         req.onerror = () => reject(req.error);
@@ -85,6 +110,24 @@
     }
   }
 
+  /**
+   * Upsert records into one or more stores in a single readwrite transaction, so either
+   * every write lands or none does.
+   * @param {Object<string, any[]>} batches Store name → values
+   * @returns {Promise<void>}
+   */
+  async function putBatch(batches) {
+    const stores = Object.keys(batches || {}).filter(s => batches[s]?.length);
+    if (!stores.length) return;
+    const t = await tx(stores, 'readwrite');
+    stores.forEach(s => batches[s].forEach(v => t.objectStore(s).put(v)));
+    await new Promise((res, rej) => {
+      t.oncomplete = res;
+      t.onerror = () => rej(t.error);
+      t.onabort = () => rej(t.error || new Error('Transaction aborted'));
+    });
+  }
+
   /**
    * Retrieve a single value by key from a store.
    * @param {string} store
@@ -175,6 +218,27 @@
     }
   }
 
+  /**
+   * Retrieve all records of a store whose index matches a key.
+   * @param {string} store
+   * @param {string} index
+   * @param {IDBValidKey} key
+   * @returns {Promise<any[]>}
+   */
+  async function getAllByIndex(store, index, key) {
+    try {
+      const t = await tx([store]);
+      return await new Promise((res, rej) => {
+        const r = t.objectStore(store).index(index).getAll(key);
+        r.onsuccess = () => res(r.result || []);
+        r.onerror = () => rej(r.error);
+      });
+    } catch (err) {
+      console.error(`IndexedDB getAllByIndex error in store ${store}:`, err);
+      return [];
+    }
+  }
+
   /**
    * Export all stores into a ZIP archive. Large binary blobs from 'contents' are written
    * as separate files under blobs/ and referenced in contents.json via blobPath; the
@@ -183,8 +247,8 @@
    */
   async function exportAllToZip() {
     const zip = new JSZip();
-    const [items, contents, settings] = await Promise.all([
-      getAll('items'), getAll('contents'), getAll('settings')
+    const [items, contents, settings, chats, versions, flashcards] = await Promise.all([
+      getAll('items'), getAll('contents'), getAll('settings'), getAll('chats'), getAll('versions'), getAll('flashcards')
     ]);
     zip.file('items.json', JSON.stringify(items, null, 2));
     const manifest = [];
@@ -200,12 +264,15 @@
     }
     zip.file('contents.json', JSON.stringify(manifest, null, 2));
     zip.file('settings.json', JSON.stringify(settings, null, 2));
+    zip.file('chats.json', JSON.stringify(chats, null, 2));
+    zip.file('versions.json', JSON.stringify(versions, null, 2));
+    zip.file('flashcards.json', JSON.stringify(flashcards, null, 2));
     return await zip.generateAsync({ type: 'blob' });
   }
 
   /**
    * Import a ZIP previously exported by exportAllToZip(). Recreates records across
-   * items/contents/settings and reattaches Blob data from blobs/ entries.
+   * items/contents/settings/chats/versions/flashcards and reattaches Blob data from blobs/ entries.
    * The import is executed in a single readwrite transaction to maintain consistency.
    * @param {Blob|ArrayBuffer} file ZIP archive
    * @returns {Promise<void>}
@@ -213,8 +280,8 @@
   async function importFromZip(file) {
     const zip = await JSZip.loadAsync(file);
     const parse = async (name) => zip.file(name) ? JSON.parse(await zip.file(name).async('string')) : [];
-    const [items, contentsManifest, settings] = await Promise.all([
-      parse('items.json'), parse('contents.json'), parse('settings.json')
+    const [items, contentsManifest, settings, chats, versions, flashcards] = await Promise.all([
+      parse('items.json'), parse('contents.json'), parse('settings.json'), parse('chats.json'), parse('versions.json'), parse('flashcards.json')
     ]);
 
     const contents = [];
@@ -227,7 +294,7 @@
       }
     }
 
-    const t = await tx(['items', 'contents', 'settings'], 'readwrite');
+    const t = await tx(['items', 'contents', 'settings', 'chats', 'versions', 'flashcards'], 'readwrite');
     const promises = [];
     const putAll = (store, arr) => arr.forEach(v => promises.push(new Promise((res, rej) => {
       const r = t.objectStore(store).put(v);
@@ -237,6 +304,9 @@
     putAll('items', items);
     putAll('contents', contents);
     putAll('settings', settings);
+    putAll('chats', chats);
+    putAll('versions', versions);
+    putAll('flashcards', flashcards);
     await Promise.all(promises);
     await new Promise((res, rej) => {
       t.oncomplete = res;
@@ -255,5 +325,5 @@
   }
 
   window.DV = window.DV || {};
-  window.DV.db = { open, put, get, del, clear, getAll, exportAllToZip, importFromZip, uid };
+  window.DV.db = { open, put, putBatch, get, del, clear, getAll, getAllByIndex, exportAllToZip, importFromZip, uid };
 })();
\ No newline at end of file
@@ -0,0 +1,304 @@
+(function () {
+  /**
+   * Feed subscriptions: RSS, Atom and JSON Feed URLs, fetched through `/api/fetch` and
+   * polled while the app is open. Every unseen entry whose title passes the feed's
+   * filter becomes a `url` item under the feed's group item, carrying the feed's tags.
+   * Subscriptions persist in the `settings` store under the 'feeds' key; entry ids seen
+   * so far are kept per feed so nothing is queued twice. Emits 'feeds:update' with the
+   * config.
+   */
+  const SETTINGS_KEY = 'feeds';
+  const INTERVALS = [15, 30, 60, 180, 360, 720, 1440]; // minutes
+  const DEFAULT_INTERVAL = 60;
+  const TICK_MS = 60 * 1000;
+  const MAX_NEW = 20;      // entries queued per check; the rest wait for the next one
+  const SEEN_LIMIT = 1000; // entry ids remembered per feed
+  const FETCH_TIMEOUT = 20000;
+
+  let config = { feeds: [] };
+  let timer = null;
+  const checking = new Set();
+
+  /**
+   * Load subscriptions from IndexedDB. Emits 'feeds:update'.
+   * @returns {Promise<{feeds:Array<object>}>}
+   */
+  async function load() {
+    const rec = await DV.db.get('settings', SETTINGS_KEY);
+    config = { feeds: Array.isArray(rec?.value?.feeds) ? rec.value.feeds : [] };
+    DV.bus.emit('feeds:update', config);
+    return config;
+  }
+
+  /** Current configuration snapshot. */
+  function getConfig() { return config; }
+
+  async function save(next) {
+    config = next;
+    await DV.db.put('settings', { key: SETTINGS_KEY, value: config });
+    DV.bus.emit('feeds:update', config);
+    return config;
+  }
+
+  /** Apply a patch to one feed against the latest config, so concurrent checks don't clobber each other. */
+  function patchFeed(id, patch) {
+    return save({ feeds: config.feeds.map(f => (f.id === id ? { ...f, ...patch } : f)) });
+  }
+
+  /** First direct child of an XML element with one of the given local names. */
+  function child(el, ...names) {
+    return Array.from(el.children).find(c => names.includes(c.localName)) || null;
+  }
+
+  const textOf = (el) => (el?.textContent || '').replace(/\s+/g, ' ').trim();
+
+  function absolute(href, base) {
+    if (!href) return '';
+    try { return new URL(href, base).href; } catch { return ''; }
+  }
+
+  function toTime(s) {
+    const t = Date.parse(s || '');
+    return Number.isFinite(t) ? t : 0;
+  }
+
+  /**
+   * Parse an RSS 0.9x/1.0/2.0, Atom or JSON Feed document.
+   * @param {string} body
+   * @param {string} baseUrl Used to resolve relative entry links
+   * @returns {{title:string, siteUrl:string, entries:Array<{id:string, url:string, title:string, publishedAt:number}>}|null}
+   *   null when the body is not a feed
+   */
+  function parse(body, baseUrl) {
+    const src = String(body || '').trim();
+    if (src.startsWith('{')) {
+      let data;
+      try { data = JSON.parse(src); } catch { return null; }
+      if (!Array.isArray(data?.items) || !/jsonfeed/.test(String(data.version || ''))) return null;
+      return {
+        title: String(data.title || ''),
+        siteUrl: absolute(data.home_page_url || '', baseUrl),
+        entries: data.items.map(it => {
+          const url = absolute(it.url || it.external_url || '', baseUrl);
+          return { id: String(it.id || url), url, title: String(it.title || '').trim(), publishedAt: toTime(it.date_published || it.date_modified) };
+        })
+      };
+    }
+
+    const doc = new DOMParser().parseFromString(src, 'application/xml');
+    const root = doc.documentElement;
+    if (!root || doc.getElementsByTagName('parsererror').length) return null;
+
+    if (root.localName === 'feed') {
+      const linkOf = (el) => {
+        const links = Array.from(el.children).filter(c => c.localName === 'link');
+        const alt = links.find(l => (l.getAttribute('rel') || 'alternate') === 'alternate') || links[0];
+        return alt ? absolute(alt.getAttribute('href') || '', baseUrl) : '';
+      };
+      return {
+        title: textOf(child(root, 'title')),
+        siteUrl: linkOf(root),
+        entries: Array.from(root.children).filter(c => c.localName === 'entry').map(e => {
+          const url = linkOf(e);
+          return { id: textOf(child(e, 'id')) || url, url, title: textOf(child(e, 'title')), publishedAt: toTime(textOf(child(e, 'published', 'updated'))) };
+        })
+      };
+    }
+
+    if (root.localName === 'rss' || root.localName === 'RDF') {
+      const channel = child(root, 'channel') || root;
+      // RSS 2.0 nests items in the channel, RSS 1.0 places them next to it
+      const items = Array.from(root.getElementsByTagName('*')).filter(c => c.localName === 'item');
+      return {
+        title: textOf(child(channel, 'title')),
+        siteUrl: absolute(Array.from(channel.children).filter(c => c.localName === 'link').map(textOf).find(Boolean) || '', baseUrl),
+        entries: items.map(it => {
+          const guid = child(it, 'guid');
+          const link = Array.from(it.children).filter(c => c.localName === 'link').map(textOf).find(Boolean)
+            || (guid && guid.getAttribute('isPermaLink') !== 'false' ? textOf(guid) : '');
+          const url = absolute(link, baseUrl);
+          return { id: textOf(guid) || it.getAttribute('rdf:about') || url, url, title: textOf(child(it, 'title')), publishedAt: toTime(textOf(child(it, 'pubDate', 'date'))) };
+        })
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Feed URL advertised by an HTML page through `<link rel="alternate">`, if any.
+   * @param {string} html
+   * @param {string} baseUrl
+   * @returns {string}
+   */
+  function discover(html, baseUrl) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const link = doc.querySelector('link[rel~="alternate"][type*="rss"], link[rel~="alternate"][type*="atom"], link[rel~="alternate"][type*="feed+json"]');
+    return link ? absolute(link.getAttribute('href') || '', baseUrl) : '';
+  }
+
+  async function fetchText(url) {
+    const res = await DV.utils.fetchWithTimeout('/api/fetch?url=' + encodeURIComponent(url), { redirect: 'follow' }, FETCH_TIMEOUT);
+    if (!res.ok) throw new Error(`Fetching the feed failed (HTTP ${res.status}).`);
+    return { body: await res.text(), finalUrl: res.headers.get('x-final-url') || url };
+  }
+
+  /**
+   * Fetch and parse a feed. A web page URL is followed to the feed it advertises.
+   * @param {string} url
+   * @returns {Promise<{url:string, title:string, siteUrl:string, entries:Array<object>}>} `url` is the feed's own address
+   */
+  async function fetchFeed(url) {
+    let { body, finalUrl } = await fetchText(url);
+    let feed = parse(body, finalUrl);
+    if (!feed) {
+      const found = discover(body, finalUrl);
+      if (!found) throw new Error('No RSS, Atom or JSON feed found at this address.');
+      url = found;
+      ({ body, finalUrl } = await fetchText(found));
+      feed = parse(body, finalUrl);
+      if (!feed) throw new Error('The feed advertised by this page could not be read.');
+    }
+    return { ...feed, url, entries: feed.entries.filter(e => e.url && e.id) };
+  }
+
+  /**
+   * Whether an entry title passes a feed filter. The filter is a case-insensitive
+   * regular expression, or plain text to look for when it isn't valid as one.
+   * @param {string} title
+   * @param {string} filter
+   * @returns {boolean}
+   */
+  function matchesFilter(title, filter) {
+    const f = String(filter || '').trim();
+    if (!f) return true;
+    try { return new RegExp(f, 'i').test(title || ''); }
+    catch { return String(title || '').toLowerCase().includes(f.toLowerCase()); }
+  }
+
+  /**
+   * Subscribe to a feed. Entries already in the feed are marked as seen unless
+   * `backfill` is set, in which case they are queued right away.
+   * @param {string} url Feed URL, or a page that advertises one
+   * @param {{tags?:string[], filter?:string, intervalMin?:number, backfill?:boolean}} [opts]
+   * @returns {Promise<object>} The new feed
+   */
+  async function subscribe(url, { tags = [], filter = '', intervalMin = DEFAULT_INTERVAL, backfill = false } = {}) {
+    let input = String(url || '').trim();
+    if (!input) throw new Error('Enter a feed URL.');
+    if (!/^[a-z]+:\/\//i.test(input)) input = 'https://' + input;
+    const fetched = await fetchFeed(input);
+    if (config.feeds.some(f => f.url === fetched.url)) throw new Error(`Already subscribed to ${fetched.title || fetched.url}.`);
+    const feed = {
+      id: DV.db.uid(),
+      url: fetched.url,
+      title: fetched.title || new URL(fetched.url).hostname,
+      siteUrl: fetched.siteUrl || '',
+      tags: DV.tags.canonicalize(tags),
+      filter: String(filter || '').trim(),
+      intervalMin: Number(intervalMin) || DEFAULT_INTERVAL,
+      seen: backfill ? [] : fetched.entries.map(e => e.id).slice(0, SEEN_LIMIT),
+      parentId: null,
+      lastChecked: Date.now(),
+      error: null,
+      createdAt: Date.now()
+    };
+    await save({ feeds: [...config.feeds, feed] });
+    if (backfill) await check(feed.id, fetched);
+    return feed;
+  }
+
+  /**
+   * Change a feed's title, tags, filter or interval. New tags and filters apply to
+   * entries queued from now on.
+   * @param {string} id
+   * @param {{title?:string, tags?:string[], filter?:string, intervalMin?:number}} patch
+   */
+  async function update(id, patch) {
+    const next = { ...patch };
+    if (next.tags) next.tags = DV.tags.canonicalize(next.tags);
+    if (next.filter !== undefined) next.filter = String(next.filter || '').trim();
+    if (next.intervalMin !== undefined) next.intervalMin = Number(next.intervalMin) || DEFAULT_INTERVAL;
+    return patchFeed(id, next);
+  }
+
+  /** Stop following a feed. Items already queued from it stay in the vault. */
+  async function unsubscribe(id) {
+    return save({ feeds: config.feeds.filter(f => f.id !== id) });
+  }
+
+  /** The feed's group item, recreated when the user deleted it. */
+  async function groupFor(feed) {
+    const existing = feed.parentId ? await DV.db.get('items', feed.parentId) : null;
+    if (existing) return existing.id;
+    const group = await DV.queue.addItem({ kind: 'feed', url: feed.siteUrl || feed.url, title: feed.title, tags: feed.tags });
+    await patchFeed(feed.id, { parentId: group.id });
+    return group.id;
+  }
+
+  /**
+   * Fetch a feed and queue its unseen entries, oldest first. At most MAX_NEW entries
+   * are queued per check; the rest stay unseen for the next one.
+   * @param {string} id
+   * @param {object} [prefetched] Result of fetchFeed, to avoid fetching twice
+   * @returns {Promise<number>} Entries queued
+   */
+  async function check(id, prefetched) {
+    if (checking.has(id)) return 0;
+    const feed = config.feeds.find(f => f.id === id);
+    if (!feed) return 0;
+    checking.add(id);
+    try {
+      let fetched;
+      try {
+        fetched = prefetched || await fetchFeed(feed.url);
+      } catch (err) {
+        await patchFeed(id, { lastChecked: Date.now(), error: err.message || String(err) });
+        throw err;
+      }
+      const seen = new Set(feed.seen || []);
+      const known = new Set((await DV.db.getAll('items')).map(i => i.url).filter(Boolean));
+      const unseen = fetched.entries.filter(e => !seen.has(e.id));
+      const passing = unseen.filter(e => matchesFilter(e.title, feed.filter) && !known.has(e.url));
+      // Feeds list newest first; queue in publication order
+      const toAdd = passing.slice(0, MAX_NEW).reverse();
+      const held = new Set(passing.slice(MAX_NEW).map(e => e.id));
+
+      if (toAdd.length) {
+        const parentId = await groupFor(feed);
+        for (const e of toAdd) await DV.queue.addItem({ kind: 'url', url: e.url, title: e.title || e.url, tags: feed.tags, parentId });
+      }
+
+      const current = fetched.entries.map(e => e.id).filter(x => !held.has(x));
+      const nextSeen = Array.from(new Set([...current, ...(feed.seen || [])])).slice(0, SEEN_LIMIT);
+      await patchFeed(id, { seen: nextSeen, lastChecked: Date.now(), error: null, ...(fetched.title && !feed.title ? { title: fetched.title } : {}) });
+      return toAdd.length;
+    } finally {
+      checking.delete(id);
+    }
+  }
+
+  /** Check every feed whose interval has elapsed. Failures are recorded on the feed. */
+  async function checkDue() {
+    if (navigator.onLine === false) return;
+    const now = Date.now();
+    const due = config.feeds.filter(f => now - (f.lastChecked || 0) >= (f.intervalMin || DEFAULT_INTERVAL) * 60000);
+    for (const f of due) {
+      try { await check(f.id); } catch (err) { console.warn('Feed check failed', f.url, err); }
+    }
+  }
+
+  /** Start polling while the app is open. Checks anything already due right away. */
+  function start() {
+    if (timer) return;
+    timer = setInterval(checkDue, TICK_MS);
+    checkDue();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  window.DV = window.DV || {};
+  window.DV.feeds = { INTERVALS, DEFAULT_INTERVAL, load, getConfig, parse, matchesFilter, subscribe, update, unsubscribe, check, checkDue, start, stop };
+})();
@@ -0,0 +1,98 @@
+(function () {
+  /**
+   * Output-language catalogue and a lightweight, offline source-language detector.
+   * Detection looks at the dominant script first (CJK, Cyrillic, Arabic…) and falls back
+   * to stopword frequencies for Latin-script languages. Codes are ISO 639-1.
+   */
+  const LANGUAGES = [
+    { code: 'en', name: 'English' }, { code: 'es', name: 'Spanish' }, { code: 'pt', name: 'Portuguese' },
+    { code: 'fr', name: 'French' }, { code: 'de', name: 'German' }, { code: 'it', name: 'Italian' },
+    { code: 'nl', name: 'Dutch' }, { code: 'sv', name: 'Swedish' }, { code: 'da', name: 'Danish' },
+    { code: 'no', name: 'Norwegian' }, { code: 'fi', name: 'Finnish' }, { code: 'pl', name: 'Polish' },
+    { code: 'cs', name: 'Czech' }, { code: 'ro', name: 'Romanian' }, { code: 'hu', name: 'Hungarian' },
+    { code: 'tr', name: 'Turkish' }, { code: 'el', name: 'Greek' }, { code: 'ru', name: 'Russian' },
+    { code: 'uk', name: 'Ukrainian' }, { code: 'ar', name: 'Arabic' }, { code: 'he', name: 'Hebrew' },
+    { code: 'hi', name: 'Hindi' }, { code: 'bn', name: 'Bengali' }, { code: 'th', name: 'Thai' },
+    { code: 'vi', name: 'Vietnamese' }, { code: 'id', name: 'Indonesian' }, { code: 'zh', name: 'Chinese' },
+    { code: 'ja', name: 'Japanese' }, { code: 'ko', name: 'Korean' }
+  ];
+
+  const SCRIPTS = [
+    { code: 'ko', re: /[가-힯]/g },
+    { code: 'ja', re: /[぀-ヿ]/g },
+    { code: 'zh', re: /[一-鿿]/g },
+    { code: 'ru', re: /[Ѐ-ӿ]/g },
+    { code: 'ar', re: /[؀-ۿ]/g },
+    { code: 'he', re: /[֐-׿]/g },
+    { code: 'el', re: /[Ͱ-Ͽ]/g },
+    { code: 'hi', re: /[ऀ-ॿ]/g },
+    { code: 'bn', re: /[ঀ-৿]/g },
+    { code: 'th', re: /[฀-๿]/g }
+  ];
+
+  const STOPWORDS = {
+    en: 'the and of to is in that it for was with as on are this be by not have from',
+    es: 'el la los las de que y en un una es por con para del se no lo como más pero',
+    pt: 'o os as de que e em um uma é do da dos das para com não por se mais mas',
+    fr: 'le la les de des et est un une que en du pour dans pas qui sur au avec ce',
+    de: 'der die das und ist nicht ein eine zu den von mit sich des auf für im dem auch',
+    it: 'il lo la gli le di che è un una per non con del della sono nel ma anche',
+    nl: 'de het een en van is dat op te in niet zijn met voor er aan die ook',
+    sv: 'och att det som en är på för med av inte till den har om jag',
+    da: 'og at det som en er på for med af ikke til den har de jeg',
+    no: 'og at det som en er på for med av ikke til den har jeg ikkje',
+    fi: 'ja on ei että se hän oli ovat mutta kun tai myös kuin',
+    pl: 'i w na nie że się z do jest to jak co po ale',
+    cs: 'a v se na je že to s z do jako ale pro',
+    ro: 'și de la în că nu cu o un pe este care',
+    hu: 'a az és hogy nem egy is van meg de',
+    tr: 've bir bu da de ile için çok ne gibi daha',
+    id: 'dan yang di itu ini dengan untuk tidak dari dalam akan pada',
+    vi: 'và của là có không được cho những với này một các'
+  };
+  const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([k, v]) => [k, new Set(v.split(' '))]));
+
+  /**
+   * Display name for a language code.
+   * @param {string} code
+   * @returns {string}
+   */
+  function name(code) {
+    return LANGUAGES.find(l => l.code === code)?.name || (code ? code.toUpperCase() : '');
+  }
+
+  /**
+   * Guess the language of a text sample. Returns '' when the sample is too short or
+   * ambiguous.
+   * @param {string} text
+   * @returns {string}
+   */
+  function detect(text) {
+    const sample = String(text || '').slice(0, 20000);
+    const letters = (sample.match(/\p{L}/gu) || []).length;
+    if (letters < 40) return '';
+
+    for (const { code, re } of SCRIPTS) {
+      const n = (sample.match(re) || []).length;
+      if (n / letters > 0.3) {
+        if (code === 'ru' && (sample.match(/[іїєґ]/gi) || []).length / n > 0.01) return 'uk';
+        return code;
+      }
+    }
+    // Japanese text mixes kana with a majority of Han characters
+    if ((sample.match(/[぀-ヿ]/g) || []).length / letters > 0.05) return 'ja';
+
+    const words = sample.toLowerCase().match(/[\p{L}']+/gu) || [];
+    if (words.length < 20) return '';
+    let best = '', bestHits = 0;
+    for (const [code, set] of Object.entries(STOPWORD_SETS)) {
+      let hits = 0;
+      for (const w of words) if (set.has(w)) hits++;
+      if (hits > bestHits) { best = code; bestHits = hits; }
+    }
+    return bestHits / words.length >= 0.05 ? best : '';
+  }
+
+  window.DV = window.DV || {};
+  window.DV.language = { LANGUAGES, name, detect };
+})();
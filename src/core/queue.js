@@ -1,6 +1,6 @@
 (function () {
   /**
-   * Queue status codes for items. Only non-playlist items progress through these states.
+   * Queue status codes for items. Group items (playlists, feeds) have no status.
    */
   const STATUS = {
     PENDING: 'pending',
@@ -11,6 +11,12 @@
     STOPPED: 'stopped'
   };
 
+  /** Item kinds that only group child items and never run through the queue. */
+  const GROUP_KINDS = ['playlist', 'feed'];
+
+  /** Whether an item is a playlist or feed group rather than a source to distill. */
+  const isGroup = (item) => GROUP_KINDS.includes(item?.kind);
+
   /**
    * Default application settings persisted to IndexedDB and mirrored in memory.
    */
@@ -18,21 +24,41 @@
     ai: {
       mode: '',
       model: '',
-      apiKey: ''
+      apiKey: '',
+      baseUrl: '',
+      headers: '',
+      stream: true,
+      structured: false,
+      maxContinuations: 3,
+      vision: '',
+      outputLanguage: '',
+      fallbacks: []
+    },
+    embeddings: {
+      mode: '',
+      model: '',
+      apiKey: '',
+      baseUrl: '',
+      headers: ''
     },
     concurrency: 1,
+    rateLimits: {},
     theme: localStorage.getItem('dv.theme') || 'system'
   };
 
   /**
    * In-memory queue and runtime state. `processing` tracks currently active item IDs to
-   * avoid duplicate work; `stopRequested` is an advisory set to abort politely.
+   * avoid duplicate work; `stopRequested` marks items the user stopped; `controllers`
+   * holds the AbortController of each running item; `paused` holds the failure that
+   * stopped the scheduler, if any.
    */
   const state = {
     concurrency: 1,
     queue: [],
     processing: new Set(),
     stopRequested: new Set(),
+    controllers: new Map(),
+    paused: null,
     settings: defaultSettings
   };
 
@@ -40,7 +66,7 @@
 
   /**
    * Compute aggregate counts for UI summary and quick metrics.
-   * Playlists are counted separately and excluded from progress states.
+   * Group items are counted as playlists and excluded from progress states.
    * @param {Array<any>} items
    * @returns {{total:number,completed:number,inProgress:number,pending:number,extracting:number,distilling:number,errors:number,stopped:number,playlists:number}}
    */
@@ -48,7 +74,7 @@
     const c = { total: 0, completed: 0, inProgress: 0, pending: 0, extracting: 0, distilling: 0, errors: 0, stopped: 0, playlists: 0 };
     for (const it of items) {
       c.total++;
-      if (it.kind === 'playlist') { c.playlists++; continue; }
+      if (isGroup(it)) { c.playlists++; continue; }
       switch (it.status) {
         case STATUS.COMPLETED: c.completed++; break;
         case STATUS.PENDING: c.pending++; c.inProgress++; break;
@@ -79,13 +105,40 @@
     }
   }
 
-  /** Update settings both in memory and durable storage, and notify listeners. */
+  /**
+   * Update settings both in memory and durable storage, and notify listeners. Changing
+   * the provider settings resumes a queue paused by an auth or quota failure.
+   */
   function setSettings(newSettings) {
+    const aiChanged = newSettings?.ai && JSON.stringify(newSettings.ai) !== JSON.stringify(state.settings.ai);
     state.settings = { ...state.settings, ...newSettings };
     DV.db.put('settings', { key: 'app', value: state.settings });
+    DV.ai.limiter.configure(state.settings.rateLimits);
     DV.bus.emit('settings:update', state.settings);
+    if (aiChanged && state.paused) resume();
+  }
+
+  /**
+   * Stop starting new items after a failure every other item would repeat (rejected
+   * key, exhausted quota). Running items finish; emits 'queue:paused'.
+   * @param {{kind:string, provider:string, error:string}} reason
+   */
+  function pause(reason) {
+    state.paused = { ...reason, at: Date.now() };
+    DV.bus.emit('queue:paused', state.paused);
+  }
+
+  /** Clear a pause and let the scheduler pick up pending items again. */
+  function resume() {
+    if (!state.paused) return;
+    state.paused = null;
+    DV.bus.emit('queue:paused', null);
+    tick();
   }
 
+  /** The active pause reason, or null. */
+  function getPaused() { return state.paused; }
+
   /** Get the current effective settings. */
   function getSettings() { return state.settings; }
 
@@ -98,26 +151,39 @@
       state.settings = { ...defaultSettings, ...s.value };
     }
     state.concurrency = Number(state.settings.concurrency || 1);
+    DV.ai.limiter.configure(state.settings.rateLimits);
     DV.bus.emit('settings:update', state.settings);
   }
 
+  /**
+   * Tags an item gets without the AI: the tags it is added with (a feed's tags, for
+   * example) plus one for its kind, lower-cased and de-duplicated.
+   * @param {{kind:string, url?:string, tags?:string[]}} item
+   * @returns {string[]}
+   */
+  function autoTagsFor(item) {
+    const tags = (item.tags || []).slice();
+    if (item.kind === 'youtube') tags.push('youtube');
+    else if (item.kind === 'file') tags.push('file');
+    else if (item.kind === 'synthesis') tags.push('synthesis');
+    else if (item.kind === 'book' || item.kind === 'chapter') tags.push('book');
+    else if (item.kind === 'url' && item.url) {
+      if (item.url.includes('substack.com')) tags.push('substack');
+      else tags.push('web');
+    }
+    return Array.from(new Set(tags.map(t => String(t).toLowerCase().trim()))).filter(Boolean);
+  }
+
   /**
    * Enqueue a new item and persist it. For file-backed items, stores the Blob under
    * contents with an id-suffixed key. Emits items:added and kicks the scheduler.
-   * @param {{id?:string,kind:string,parentId?:string,title?:string,name?:string,url?:string,file?:File,fileName?:string,fileType?:string,size?:number}} item
+   * @param {{id?:string,kind:string,parentId?:string,title?:string,name?:string,url?:string,tags?:string[],file?:File,fileName?:string,fileType?:string,size?:number,profileId?:string,outputLanguage?:string,sourceIds?:string[],chapterIndex?:number}} item
    * @returns {Promise<any>}
    */
   async function addItem(item) {
     const now = Date.now();
     const id = item.id || DV.db.uid();
-    const autoTags = (item.tags || []).slice();
-    if (item.kind === 'youtube') autoTags.push('youtube');
-    else if (item.kind === 'file') autoTags.push('file');
-    else if (item.kind === 'url' && item.url) {
-      if (item.url.includes('substack.com')) autoTags.push('substack');
-      else autoTags.push('web');
-    }
-    const tags = Array.from(new Set(autoTags.map(t => t.toLowerCase().trim()))).filter(Boolean);
+    const tags = autoTagsFor(item);
 
     const record = {
       id,
@@ -128,11 +194,16 @@
       fileName: item.fileName || null,
       fileType: item.fileType || null,
       size: item.size || 0,
-      hasFile: !!item.file,
+      hasFile: !!(item.file || item.hasFile),
       tags,
+      autoTags: tags, // restored by resetItem, which drops the AI-generated tags
+      profileId: item.profileId || null,
+      outputLanguage: item.outputLanguage || null,
+      ...(item.sourceIds ? { sourceIds: item.sourceIds.slice() } : {}),
+      ...(item.chapterIndex !== undefined ? { chapterIndex: item.chapterIndex } : {}),
       createdAt: now,
       updatedAt: now,
-      status: item.kind === 'playlist' ? null : STATUS.PENDING,
+      status: isGroup(item) ? null : STATUS.PENDING,
       error: null,
       durationMs: 0,
       queueIndex: ++queueCounter,
@@ -150,6 +221,25 @@
     return record;
   }
 
+  /**
+   * Add an EPUB as a `book` item with one `chapter` child per chapter. The EPUB is
+   * stored once, on the book, and each chapter is extracted from it when it runs; the
+   * book's own run writes the overview once none of its chapters is queued or running.
+   * @param {File} file
+   * @returns {Promise<any>} The book record
+   */
+  async function addBook(file) {
+    const book = await DV.extractors.readEpub(file);
+    const bookId = DV.db.uid();
+    const chapterIds = book.chapters.map(() => DV.db.uid());
+    // The first chapter can start as soon as it is added, so the blob goes in first
+    await DV.db.put('contents', { id: bookId + ':file', blob: file, name: file.name, type: file.type, size: file.size });
+    for (const [i, c] of book.chapters.entries()) {
+      await addItem({ id: chapterIds[i], kind: 'chapter', parentId: bookId, chapterIndex: i, title: `${book.title}: ${c.title}` });
+    }
+    return addItem({ id: bookId, kind: 'book', title: book.title, fileName: file.name, fileType: file.type, size: file.size, hasFile: true, sourceIds: chapterIds });
+  }
+
   /**
    * Update tags for an existing item.
    * @param {string} id
@@ -177,16 +267,25 @@
   }
 
   /**
-   * Request graceful stop for a specific item. The request is honored at safe points
-   * in the pipeline (between extract/distill).
+   * Stop a specific item: in-flight downloads, OCR and provider requests are aborted at
+   * once, and a pending item is never started.
    * @param {string} id
    */
   function requestStop(id) {
-    state.stopRequested.add(id);
+    abort(id);
     updateItem(id, { status: STATUS.STOPPED });
     DV.bus.emit('queue:progress');
   }
 
+  /**
+   * Abort an item's running work without touching its record, e.g. before deleting it.
+   * @param {string} id
+   */
+  function abort(id) {
+    state.stopRequested.add(id);
+    state.controllers.get(id)?.abort();
+  }
+
   /**
    * Adjust concurrency (1..10), persist the new value, and prompt the scheduler.
    * @param {number} n
@@ -200,7 +299,9 @@
 
   /**
    * Process a single item through extract → distill, handling user stop requests and
-   * error capture. Always emits progress and schedules the next tick on completion.
+   * error capture. Every phase shares one AbortSignal, so a stop cancels whatever is
+   * running; caches are only written from completed phases. Always emits progress and
+   * schedules the next tick on completion.
    * @param {string} id
    */
   async function processOne(id) {
@@ -212,20 +313,28 @@
     const start = Date.now();
     let item = await DV.db.get('items', id);
     if (!item) { state.processing.delete(id); return; }
+    // Registered once the item exists, so the `finally` below always removes it
+    const controller = new AbortController();
+    const { signal } = controller;
+    state.controllers.set(id, controller);
 
     try {
       if (state.stopRequested.has(id)) throw new Error('Stopped by user');
+      if (item.kind === 'synthesis' || item.kind === 'book') return await processSynthesis(id, start, signal);
 
       let extracted;
+      let extractionCost = 0; // vision transcription, billed once per extraction
       const cached = await DV.db.get('contents', id);
       if (cached && cached.rawExtracted) {
         extracted = cached.rawExtracted;
       } else {
-        item = await updateItem(id, { status: STATUS.EXTRACTING, error: null, startedAt: start });
+        item = await updateItem(id, { status: STATUS.EXTRACTING, error: null, errorKind: null, startedAt: start });
         if (!item) throw new Error('Item was deleted before extraction could begin');
 
-        extracted = await DV.extractors.extract(item);
+        extracted = await DV.extractors.extract(item, { signal, id });
+        signal.throwIfAborted();
         extracted.id = id;
+        if (extracted.vision) extractionCost = extracted.vision.cost ?? DV.pricing.cost(extracted.vision.model, extracted.vision.usage);
 
         if (item.kind === 'url' && (!extracted?.text || extracted.text.length < 200)) {
           throw new Error('Insufficient content extracted. The source might be blocking extraction or requires JavaScript.');
@@ -241,16 +350,28 @@
           }
         } catch (_) { /* non-blocking */ }
 
+        extracted.language = DV.language.detect(extracted.text);
         await DV.db.put('contents', { id, rawExtracted: extracted });
       }
 
+      const sourceLanguage = extracted.language || DV.language.detect(extracted.text);
+      if (sourceLanguage && sourceLanguage !== item.sourceLanguage) {
+        item = await updateItem(id, { sourceLanguage }) || item;
+      }
+
       if (state.stopRequested.has(id)) throw new Error('Stopped by user');
       item = await updateItem(id, { status: STATUS.DISTILLING });
       if (!item) throw new Error('Item was deleted mid-process');
 
-      const res = await DV.ai.distill(extracted, state.settings.ai);
+      // A reformat keeps the profile the cached analysis was written with
+      const reformat = item.reformat || null;
+      const profile = (reformat && cached?.analysisProfileId && DV.profiles.get(cached.analysisProfileId)) || DV.profiles.resolve(item);
+      const formatProfile = (reformat?.formatProfileId && DV.profiles.get(reformat.formatProfileId)) || profile;
+      const language = item.outputLanguage || state.settings.ai?.outputLanguage || '';
+      const res = await DV.ai.distill(extracted, runSettings(reformat), { profile, formatProfile, item, language, signal });
+      signal.throwIfAborted();
       const html = res.html;
-      const aiTags = res.tags;
+      const aiTags = DV.tags.canonicalize(res.tags);
 
       const durationMs = Date.now() - (item.startedAt || start);
 
@@ -262,31 +383,161 @@
         ...(aiTags || [])
       ])).map(t => t.trim().toLowerCase()).filter(Boolean);
 
-      await DV.db.put('contents', { id, html, meta: { ...extracted, durationMs } });
+      // Keep the extraction and analysis caches alongside the final document
+      const cachedContent = await DV.db.get('contents', id);
+      // Attempts that failed over were billed too
+      const failedCost = (res.failures || []).reduce((n, f) => n + DV.pricing.cost(f.model, f.usage), 0);
+      const cost = DV.pricing.cost(res.model, res.usage) + extractionCost + failedCost;
+      const fidelity = DV.fidelity.check(res.markdown, extracted.text);
+      const canonical = await recordVersion(current, { ...res, html, fidelity, cost });
+      await DV.db.put('contents', { ...(cachedContent || {}), id, ...canonical, meta: { ...extracted, durationMs } });
       await updateItem(id, {
         status: STATUS.COMPLETED,
         durationMs,
-        tags: combinedTags
+        tags: combinedTags,
+        appliedProfileId: res.profileId,
+        appliedFormatProfileId: res.formatProfileId !== res.profileId ? res.formatProfileId : null,
+        reformat: null,
+        language: res.language || null,
+        provider: res.provider || null,
+        model: res.model || null,
+        usage: res.usage || null,
+        cost,
+        failovers: res.failures || [],
+        completedAt: Date.now()
       });
+      requeueSyntheses(id).catch(e => console.warn('Failed to re-queue dependent syntheses', e));
+      indexEmbeddings(id);
     } catch (err) {
       const current = await DV.db.get('items', id);
       if (current) {
         const durationMs = Date.now() - (current?.startedAt || start);
-        await updateItem(id, { status: state.stopRequested.has(id) ? STATUS.STOPPED : STATUS.ERROR, error: String(err?.message || err), durationMs });
+        const stopped = state.stopRequested.has(id) || err?.name === 'AbortError';
+        const kind = stopped ? null : DV.ai.transport.kindOf(err);
+        await updateItem(id, {
+          status: stopped ? STATUS.STOPPED : STATUS.ERROR,
+          error: stopped ? 'Stopped by user' : String(err?.message || err),
+          errorKind: kind,
+          retryAfter: !stopped && err?.retryAfterMs ? Date.now() + err.retryAfterMs : null,
+          durationMs
+        });
+        const { KIND } = DV.ai.transport;
+        if (kind === KIND.AUTH || kind === KIND.QUOTA) pause({ kind, provider: err?.provider || state.settings.ai?.mode || '', error: String(err?.message || err) });
       }
     } finally {
       state.processing.delete(id);
       state.stopRequested.delete(id);
+      state.controllers.delete(id);
       DV.bus.emit('queue:progress');
       tick();
     }
   }
 
+  /**
+   * Run a `synthesis` item, or the overview of a `book` item: map-reduce over the
+   * distillations of its source items or chapters.
+   * Errors propagate to processOne, which records them on the item.
+   * @param {string} id
+   * @param {number} start
+   * @param {AbortSignal} signal
+   */
+  async function processSynthesis(id, start, signal) {
+    const item = await updateItem(id, { status: STATUS.DISTILLING, error: null, errorKind: null, startedAt: start });
+    if (!item) throw new Error('Item was deleted mid-process');
+
+    const res = await DV.synthesis.run(item, state.settings.ai, { signal });
+    signal.throwIfAborted();
+
+    const current = await DV.db.get('items', id);
+    if (!current) throw new Error('Item was deleted before completion');
+    const durationMs = Date.now() - start;
+
+    const cost = DV.pricing.cost(res.model, res.usage);
+    const fidelity = DV.fidelity.check(res.markdown, res.text);
+    const canonical = await recordVersion(current, { ...res, fidelity, cost });
+    await DV.db.put('contents', { id, ...canonical, meta: { title: item.title, text: res.text, sources: res.sources, durationMs } });
+    await updateItem(id, {
+      status: STATUS.COMPLETED,
+      durationMs,
+      tags: Array.from(new Set([...(current.tags || []), ...DV.tags.canonicalize(res.tags)])),
+      // A book keeps every chapter, so chapters that failed join the overview once they complete
+      sourceIds: item.kind === 'book' ? item.sourceIds : res.sources.map(s => s.id),
+      provider: res.provider || null,
+      model: res.model || null,
+      usage: res.usage,
+      cost,
+      completedAt: Date.now()
+    });
+    indexEmbeddings(id);
+  }
+
+  /**
+   * Embed an item's canonical document for semantic search in the background, when an
+   * embedding provider is configured. Failures only cost the item its search passages.
+   * @param {string} id
+   */
+  function indexEmbeddings(id) {
+    if (!DV.embeddings.enabled()) return;
+    DV.embeddings.index(id).catch(e => console.warn('Failed to index item for semantic search', e));
+  }
+
+  /**
+   * Store a finished run in the version history and pick the document that becomes the
+   * item's canonical content: the pinned version when one is set, otherwise this run.
+   * @param {object} item Current item record
+   * @param {object} run Distillation result with `html`, `fidelity` and `cost`
+   * @returns {Promise<{html:string, structured:object|null, fidelity:object|null, truncated:boolean, versionId:string}>}
+   */
+  async function recordVersion(item, run) {
+    const version = await DV.versions.record(item.id, run);
+    const pinned = item.pinnedVersionId ? await DV.versions.get(item.pinnedVersionId) : null;
+    const canonical = pinned || version;
+    return { html: canonical.html, structured: canonical.structured, fidelity: canonical.fidelity, truncated: !!canonical.truncated, versionId: canonical.id };
+  }
+
+  /**
+   * Pin a version as the item's canonical document, used by the viewer, exports and
+   * search; a falsy versionId unpins and restores the latest version.
+   * @param {string} id
+   * @param {string|null} versionId
+   * @returns {Promise<any|undefined>}
+   */
+  async function pinVersion(id, versionId) {
+    const [item, content, versions] = await Promise.all([DV.db.get('items', id), DV.db.get('contents', id), DV.versions.list(id)]);
+    if (!item) return;
+    const target = versionId ? versions.find(v => v.id === versionId) : versions[0];
+    if (versionId && !target) throw new Error('Version not found');
+    if (target && content) {
+      await DV.db.put('contents', { ...content, html: target.html, structured: target.structured, fidelity: target.fidelity, truncated: !!target.truncated, versionId: target.id });
+      indexEmbeddings(id);
+    }
+    return await updateItem(id, { pinnedVersionId: versionId || null });
+  }
+
+  /**
+   * Queue syntheses and book overviews built on a source item again after that source
+   * was re-distilled.
+   * When several sources of one synthesis are being retried, the last one to finish
+   * triggers the re-run so the report is only regenerated once.
+   * @param {string} sourceId
+   */
+  async function requeueSyntheses(sourceId) {
+    const items = await DV.db.getAll('items');
+    const busy = (i) => [STATUS.PENDING, STATUS.EXTRACTING, STATUS.DISTILLING].includes(i?.status);
+    const dependents = items.filter(i => (i.kind === 'synthesis' || i.kind === 'book') && (i.sourceIds || []).includes(sourceId) && !busy(i));
+    for (const syn of dependents) {
+      const others = syn.sourceIds.filter(x => x !== sourceId).map(x => items.find(i => i.id === x));
+      if (others.some(busy)) continue;
+      await resetItem(syn.id);
+    }
+    if (dependents.length) tick();
+  }
+
   /**
    * Scheduler: fills available concurrency slots with oldest pending items.
    */
   async function tick() {
-    if (state.isTicking) return;
+    if (state.isTicking || state.paused) return;
     state.isTicking = true;
 
     try {
@@ -295,8 +546,10 @@
       if (want <= 0) return;
 
       const items = await DV.db.getAll('items');
+      // Items built on others (a book's overview) wait until none of their sources is still queued or running
+      const busy = new Set(items.filter(i => [STATUS.PENDING, STATUS.EXTRACTING, STATUS.DISTILLING].includes(i.status)).map(i => i.id));
       const pending = items
-        .filter(i => i.status === STATUS.PENDING && i.kind !== 'playlist')
+        .filter(i => i.status === STATUS.PENDING && !isGroup(i) && !(i.sourceIds || []).some(x => busy.has(x)))
         .sort((a, b) => (a.queueIndex ?? 0) - (b.queueIndex ?? 0));
 
       for (const itm of pending.slice(0, want)) {
@@ -345,7 +598,8 @@
    * Clear all items and contents from storage, reset local summary, and notify listeners.
    */
   async function clearAll() {
-    await Promise.all([DV.db.clear('items'), DV.db.clear('contents')]);
+    state.controllers.forEach((_, id) => abort(id));
+    await Promise.all([DV.db.clear('items'), DV.db.clear('contents'), DV.db.clear('chats'), DV.db.clear('versions'), DV.db.clear('flashcards'), DV.db.clear('embeddings')]);
     state.queue = [];
     DV.bus.emit('items:loaded', []);
     try {
@@ -356,30 +610,147 @@
   }
 
   /**
-   * Fully reset an item's processed data and set back to PENDING.
-   * Clears duration, tags, contents, and errors.
+   * Delete items and everything stored for them: contents (and a book's stored file),
+   * chats, flashcards, versions and embeddings. Running work is aborted first; the
+   * queue is reloaded afterwards.
+   * @param {string[]} ids
    */
-  async function resetItem(id) {
+  async function removeItems(ids) {
+    await Promise.all(ids.map(id => {
+      abort(id);
+      return Promise.all([
+        DV.db.del('items', id),
+        DV.db.del('contents', id),
+        DV.db.del('contents', id + ':file'),
+        DV.db.del('chats', id),
+        DV.db.del('flashcards', id),
+        DV.versions.removeAll(id),
+        DV.embeddings.remove(id)
+      ]);
+    }));
+    await loadQueue();
+  }
+
+  /**
+   * Reset an item's processed data and set back to PENDING.
+   * Clears duration, tags, errors and contents. With `{ mode: 'format' }` the extraction
+   * and analysis caches are kept and only the finished document (HTML, structured data,
+   * fidelity report, translations) is discarded, so the next run repeats just the format pass.
+   * @param {string} id
+   * @param {{mode?:'full'|'format'}} [opts]
+   */
+  async function resetItem(id, { mode = 'full' } = {}) {
     const item = await DV.db.get('items', id);
     if (!item) return;
-    await DV.db.del('contents', id);
-    const autoTags = [];
-    if (item.kind === 'youtube') autoTags.push('youtube');
-    else if (item.kind === 'file') autoTags.push('file');
-    else if (item.kind === 'url' && item.url) {
-      if (item.url.includes('substack.com')) autoTags.push('substack');
-      else autoTags.push('web');
+    const content = mode === 'format' ? await DV.db.get('contents', id) : null;
+    if (content?.rawAnalysis) {
+      const { rawExtracted, rawAnalysis, analysisProfileId, analysisLanguage } = content;
+      await DV.db.put('contents', { id, rawExtracted, rawAnalysis, analysisProfileId, analysisLanguage });
+    } else {
+      await DV.db.del('contents', id);
     }
     return await updateItem(id, {
       status: STATUS.PENDING,
       error: null,
+      errorKind: null,
+      retryAfter: null,
       durationMs: 0,
       startedAt: null,
       queueIndex: ++queueCounter,
-      tags: Array.from(new Set(autoTags)).filter(Boolean)
+      translations: null,
+      reformat: null,
+      // The tags it was added with, as the taxonomy spells them now; items stored
+      // before `autoTags` existed get their kind tag back
+      tags: item.autoTags ? DV.tags.canonicalize(item.autoTags) : autoTagsFor({ ...item, tags: [] })
+    });
+  }
+
+  /**
+   * Reset an item and queue it again with an explicit distillation profile. Passing a
+   * falsy profileId returns the item to automatic (rule-based) profile selection.
+   * @param {string} id
+   * @param {string|null} profileId
+   * @returns {Promise<any|undefined>}
+   */
+  async function rerunWithProfile(id, profileId) {
+    const reset = await resetItem(id);
+    if (!reset) return;
+    const updated = await updateItem(id, { profileId: profileId || null });
+    tick();
+    return updated;
+  }
+
+  /**
+   * Re-run only the format pass of a completed item on its cached analysis, optionally
+   * with another configured provider (`providerIndex` into the primary + fallbacks
+   * chain), model or format profile. Without a cached analysis the item is fully re-run.
+   * @param {string} id
+   * @param {{providerIndex?:number|null, model?:string, formatProfileId?:string|null}} [opts]
+   * @returns {Promise<any|undefined>}
+   */
+  async function reformatItem(id, opts = {}) {
+    const reset = await resetItem(id, { mode: 'format' });
+    if (!reset) return;
+    const updated = await updateItem(id, {
+      reformat: {
+        providerIndex: Number.isInteger(opts.providerIndex) ? opts.providerIndex : null,
+        model: opts.model || '',
+        formatProfileId: opts.formatProfileId || null
+      }
+    });
+    tick();
+    return updated;
+  }
+
+  /**
+   * Provider settings for an item run. A reformat that names a provider from the chain
+   * uses exactly that provider (and optional model), without fallbacks.
+   * @param {object|null} reformat
+   * @returns {object}
+   */
+  function runSettings(reformat) {
+    const ai = state.settings.ai || {};
+    if (!Number.isInteger(reformat?.providerIndex)) return reformat?.model ? { ...ai, model: reformat.model } : ai;
+    const { fallbacks, ...shared } = ai;
+    const entry = reformat.providerIndex === 0 ? shared : { ...shared, ...((fallbacks || [])[reformat.providerIndex - 1] || {}) };
+    return { ...entry, model: reformat.model || entry.model, fallbacks: [] };
+  }
+
+  /**
+   * Set (or clear, with a falsy code) the per-item output language override. It
+   * applies to the next distillation run of each item.
+   * @param {string[]} ids
+   * @param {string|null} language
+   */
+  async function setOutputLanguage(ids, language) {
+    await Promise.all((ids || []).map(id => updateItem(id, { outputLanguage: language || null })));
+  }
+
+  /**
+   * Translate a completed distillation by re-running only the format pass on its
+   * cached analysis. The original document stays in `contents.html`; translations are
+   * kept per language under `contents.translations`.
+   * @param {string} id
+   * @param {string} language ISO 639-1 code
+   * @returns {Promise<any|undefined>}
+   */
+  async function translateItem(id, language) {
+    const item = await DV.db.get('items', id);
+    if (!item || item.status !== STATUS.COMPLETED) throw new Error('Only completed items can be translated.');
+    const res = await DV.ai.translate(id, language, state.settings.ai);
+    const content = await DV.db.get('contents', id);
+    if (!content) throw new Error('Item content was removed during translation');
+    const translations = {
+      ...(content.translations || {}),
+      [language]: { html: res.html, markdown: res.markdown, provider: res.provider, model: res.model, usage: res.usage, createdAt: Date.now() }
+    };
+    await DV.db.put('contents', { ...content, translations });
+    return await updateItem(id, {
+      translations: Object.keys(translations),
+      cost: Number(item.cost || 0) + DV.pricing.cost(res.model, res.usage)
     });
   }
 
   window.DV = window.DV || {};
-  window.DV.queue = { STATUS, addItem, updateItem, resetItem, updateTags, requestStop, setConcurrency, loadQueue, clearAll, setSettings, loadSettings, getSettings, syncLocalSummary };
+  window.DV.queue = { STATUS, isGroup, addItem, addBook, updateItem, resetItem, rerunWithProfile, reformatItem, pinVersion, setOutputLanguage, translateItem, updateTags, requestStop, abort, setConcurrency, pause, resume, getPaused, loadQueue, clearAll, removeItems, setSettings, loadSettings, getSettings, syncLocalSummary };
 })();
\ No newline at end of file
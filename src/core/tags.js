@@ -0,0 +1,237 @@
+(function () {
+  /**
+   * Tag taxonomy: colours and parent tags per tag plus a synonym map, persisted in the
+   * `settings` store under the 'tags' key. Synonyms fold new AI tags into their
+   * canonical form; rename, merge and delete rewrite every affected item together
+   * with the taxonomy in a single transaction. Emits 'tags:update' with the config.
+   */
+  const SETTINGS_KEY = 'tags';
+
+  const COLORS = [
+    { id: 'red', hex: '#ef4444' }, { id: 'orange', hex: '#f97316' }, { id: 'amber', hex: '#f59e0b' },
+    { id: 'green', hex: '#22c55e' }, { id: 'teal', hex: '#14b8a6' }, { id: 'sky', hex: '#0ea5e9' },
+    { id: 'indigo', hex: '#6366f1' }, { id: 'violet', hex: '#8b5cf6' }, { id: 'pink', hex: '#ec4899' },
+    { id: 'slate', hex: '#64748b' }
+  ];
+
+  let config = { meta: {}, synonyms: {} };
+
+  /** Tag spelling used everywhere: trimmed, lower-case, no leading '#'. */
+  function normalize(tag) {
+    return String(tag || '').trim().toLowerCase().replace(/^#+/, '').trim();
+  }
+
+  /** Spelling-insensitive key: 'machine-learning', 'machine learning' and 'machine_learning' agree. */
+  const squash = (tag) => normalize(tag).replace(/[\s_-]+/g, '');
+
+  /**
+   * Load the taxonomy from IndexedDB. Emits 'tags:update'.
+   * @returns {Promise<{meta:Object<string,{color?:string,parent?:string}>, synonyms:Object<string,string>}>}
+   */
+  async function load() {
+    const rec = await DV.db.get('settings', SETTINGS_KEY);
+    config = {
+      meta: rec?.value?.meta && typeof rec.value.meta === 'object' ? rec.value.meta : {},
+      synonyms: rec?.value?.synonyms && typeof rec.value.synonyms === 'object' ? rec.value.synonyms : {}
+    };
+    DV.bus.emit('tags:update', config);
+    return config;
+  }
+
+  /** Current configuration snapshot. */
+  function getConfig() { return config; }
+
+  async function save(next) {
+    config = next;
+    await DV.db.put('settings', { key: SETTINGS_KEY, value: config });
+    DV.bus.emit('tags:update', config);
+    return config;
+  }
+
+  /**
+   * Canonical form of a tag: a synonym resolves to its target, and a spelling variant
+   * of a tag the taxonomy already knows resolves to that tag.
+   * @param {string} tag
+   * @returns {string}
+   */
+  function canonical(tag) {
+    const t = normalize(tag);
+    if (!t) return '';
+    if (config.synonyms[t]) return config.synonyms[t];
+    const key = squash(t);
+    const known = [...Object.keys(config.meta), ...Object.values(config.synonyms)].find(k => squash(k) === key);
+    if (known) return known;
+    const alias = Object.keys(config.synonyms).find(a => squash(a) === key);
+    return alias ? config.synonyms[alias] : t;
+  }
+
+  /**
+   * Map a list of tags to their canonical forms, without duplicates.
+   * @param {string[]} tags
+   * @returns {string[]}
+   */
+  function canonicalize(tags) {
+    return Array.from(new Set((tags || []).map(canonical).filter(Boolean)));
+  }
+
+  /** Colour hex of a tag, or null. */
+  function colorOf(tag) {
+    const id = config.meta[normalize(tag)]?.color;
+    return COLORS.find(c => c.id === id)?.hex || null;
+  }
+
+  /**
+   * Parent chain of a tag, nearest first. Stops at cycles.
+   * @param {string} tag
+   * @returns {string[]}
+   */
+  function ancestors(tag) {
+    const out = [];
+    let cur = config.meta[normalize(tag)]?.parent;
+    while (cur && !out.includes(cur) && cur !== normalize(tag)) {
+      out.push(cur);
+      cur = config.meta[cur]?.parent;
+    }
+    return out;
+  }
+
+  /**
+   * Whether an item tag satisfies a tag filter: the tag itself or any of its descendants.
+   * @param {string} tag
+   * @param {string} filter
+   * @returns {boolean}
+   */
+  function matches(tag, filter) {
+    return tag === filter || ancestors(tag).includes(filter);
+  }
+
+  /**
+   * Set the colour and/or parent of a tag. A parent that would create a cycle is rejected.
+   * @param {string} tag
+   * @param {{color?:string|null, parent?:string|null}} patch
+   */
+  async function setMeta(tag, patch) {
+    const t = normalize(tag);
+    if (!t) return config;
+    const parent = patch.parent === undefined ? undefined : normalize(patch.parent) || null;
+    if (parent && (parent === t || ancestors(parent).includes(t))) throw new Error(`"${parent}" is already nested under "${t}".`);
+    const entry = { ...(config.meta[t] || {}), ...patch, ...(parent !== undefined ? { parent } : {}) };
+    Object.keys(entry).forEach(k => { if (!entry[k]) delete entry[k]; });
+    const meta = { ...config.meta };
+    if (Object.keys(entry).length) meta[t] = entry; else delete meta[t];
+    return save({ ...config, meta });
+  }
+
+  /**
+   * Map an alias to a canonical tag for future AI tags. Existing items are not changed;
+   * use `merge` for that.
+   * @param {string} alias
+   * @param {string} tag
+   */
+  async function setSynonym(alias, tag) {
+    const a = normalize(alias), t = canonical(tag);
+    if (!a || !t) throw new Error('Both the synonym and the tag are required.');
+    if (a === t) throw new Error('A tag cannot be a synonym of itself.');
+    const synonyms = { ...config.synonyms, [a]: t };
+    // Aliases that pointed at the new alias now point at its target
+    Object.keys(synonyms).forEach(k => { if (synonyms[k] === a) synonyms[k] = t; });
+    return save({ ...config, synonyms });
+  }
+
+  /** Remove a synonym mapping. */
+  async function removeSynonym(alias) {
+    const synonyms = { ...config.synonyms };
+    delete synonyms[normalize(alias)];
+    return save({ ...config, synonyms });
+  }
+
+  /**
+   * Rewrite tags on every item and persist the taxonomy in one transaction. The tags an
+   * item was added with (`autoTags`, restored when it is reset) get the same rewrite.
+   * @param {(tags:string[]) => string[]} rewrite
+   * @param {object} nextConfig
+   * @returns {Promise<number>} Number of items changed
+   */
+  async function apply(rewrite, nextConfig) {
+    const items = await DV.db.getAll('items');
+    const now = Date.now();
+    const changed = [];
+    const differs = (a, b) => a.length !== b.length || a.some((t, i) => t !== b[i]);
+    for (const item of items) {
+      const before = item.tags || [];
+      const after = Array.from(new Set(rewrite(before).filter(Boolean)));
+      const autoBefore = item.autoTags || null;
+      const autoAfter = autoBefore && Array.from(new Set(rewrite(autoBefore).filter(Boolean)));
+      if (differs(after, before) || (autoBefore && differs(autoAfter, autoBefore))) {
+        changed.push({ ...item, tags: after, ...(autoBefore ? { autoTags: autoAfter } : {}), updatedAt: now });
+      }
+    }
+    await DV.db.putBatch({ items: changed, settings: [{ key: SETTINGS_KEY, value: nextConfig }] });
+    config = nextConfig;
+    DV.bus.emit('tags:update', config);
+    changed.forEach(item => DV.bus.emit('items:updated', item));
+    return changed.length;
+  }
+
+  /**
+   * Merge tags into a target across all items. The merged tags become synonyms of the
+   * target, their children move under it, and the target keeps its own colour and
+   * parent (inheriting the first source's when it has none).
+   * @param {string[]} sources
+   * @param {string} target
+   * @returns {Promise<number>} Number of items changed
+   */
+  async function merge(sources, target) {
+    const to = normalize(target);
+    const from = Array.from(new Set((sources || []).map(normalize))).filter(t => t && t !== to);
+    if (!to) throw new Error('Choose a tag to merge into.');
+    if (!from.length) return 0;
+
+    const meta = { ...config.meta };
+    const inherited = from.map(t => meta[t]).find(Boolean) || {};
+    meta[to] = { ...inherited, ...(meta[to] || {}) };
+    from.forEach(t => delete meta[t]);
+    Object.keys(meta).forEach(k => { if (from.includes(meta[k].parent)) meta[k] = { ...meta[k], parent: to }; });
+    if (meta[to].parent && (meta[to].parent === to || from.includes(meta[to].parent))) delete meta[to].parent;
+    if (!Object.keys(meta[to]).length) delete meta[to];
+
+    const synonyms = {};
+    Object.entries(config.synonyms).forEach(([a, t]) => { if (a !== to) synonyms[a] = from.includes(t) ? to : t; });
+    from.forEach(t => { synonyms[t] = to; });
+
+    return apply(tags => tags.map(t => (from.includes(t) ? to : t)), { meta, synonyms });
+  }
+
+  /**
+   * Rename a tag across all items. The old name is kept as a synonym.
+   * @param {string} from
+   * @param {string} to
+   * @returns {Promise<number>}
+   */
+  async function rename(from, to) {
+    return merge([from], to);
+  }
+
+  /**
+   * Delete a tag from every item and the taxonomy. Its children move up to its parent.
+   * @param {string} tag
+   * @returns {Promise<number>}
+   */
+  async function remove(tag) {
+    const t = normalize(tag);
+    const meta = { ...config.meta };
+    const parent = meta[t]?.parent || null;
+    delete meta[t];
+    Object.keys(meta).forEach(k => {
+      if (meta[k].parent !== t) return;
+      meta[k] = { ...meta[k], parent };
+      if (!parent) delete meta[k].parent;
+    });
+    const synonyms = {};
+    Object.entries(config.synonyms).forEach(([a, target]) => { if (target !== t) synonyms[a] = target; });
+    return apply(tags => tags.filter(x => x !== t), { meta, synonyms });
+  }
+
+  window.DV = window.DV || {};
+  window.DV.tags = { COLORS, load, getConfig, normalize, canonical, canonicalize, colorOf, ancestors, matches, setMeta, setSynonym, removeSynonym, merge, rename, remove };
+})();
@@ -5,6 +5,56 @@
    * fetch with timeout, provider HTML wrapping).
    */
 
+  const _once = {};
+  /**
+   * Load an external script at most once, with an optional readiness check.
+   * Resolves when the script loads, or immediately if `check()` returns true.
+   * Features automatic timeout and 3-attempt retry logic for spotty network connections.
+   * @param {string} url
+   * @param {() => boolean} [check]
+   * @returns {Promise<void>}
+   */
+  function loadScriptOnce(url, check) {
+    if (check && check()) return Promise.resolve();
+    if (_once[url]) return _once[url];
+
+    _once[url] = new Promise((resolve, reject) => {
+      let attempt = 0;
+      function tryLoad() {
+        attempt++;
+        const s = document.createElement('script');
+        s.src = url;
+        s.async = true;
+        const timeoutId = setTimeout(() => {
+          s.remove();
+          if (attempt < 3) {
+            console.warn(`Timeout loading ${url}, retrying attempt ${attempt + 1}...`);
+            tryLoad();
+          } else {
+            delete _once[url];
+            reject(new Error('Timed out loading script after 3 attempts: ' + url));
+          }
+        }, 15000);
+
+        s.onload = () => { clearTimeout(timeoutId); resolve(); };
+        s.onerror = () => {
+          clearTimeout(timeoutId);
+          s.remove();
+          if (attempt < 3) {
+            console.warn(`Error loading ${url}, retrying attempt ${attempt + 1}...`);
+            tryLoad();
+          } else {
+            delete _once[url];
+            reject(new Error('Failed to load script after 3 attempts: ' + url));
+          }
+        };
+        document.head.appendChild(s);
+      }
+      tryLoad();
+    });
+    return _once[url];
+  }
+
   /**
    * Escape a string for safe inclusion in HTML text nodes or attributes.
    * @param {string} [s]
@@ -24,6 +74,32 @@
     return `<!doctype html><html><head><meta charset="utf-8"/><title>${escapeHtml(title)}</title><style>body{font-family:Inter,system-ui,sans-serif;line-height:1.6;padding:20px;color:#0f172a}h1,h2,h3{margin:16px 0 8px}p{margin:10px 0;}pre{background:#f1f5f9;padding:12px;border-radius:8px;overflow:auto}</style></head><body>${inner}</body></html>`;
   }
 
+  /**
+   * Template tag (or plain function) that strips the common leading indentation from a
+   * multi-line string, so prompts can be written indented alongside the code.
+   * @param {TemplateStringsArray|string} strings
+   * @param {...any} values
+   * @returns {string}
+   */
+  function dedent(strings, ...values) {
+    const raw = typeof strings === 'string' ? [strings] : strings.raw || strings;
+    let result = '';
+    for (let i = 0; i < raw.length; i++) {
+      result += raw[i].replace(/\\\n/g, '\n');
+      if (i < values.length) result += values[i];
+    }
+    result = result.replace(/^\n/, '').replace(/\n$/, '');
+    const lines = result.split('\n');
+    let min = Infinity;
+    for (const l of lines) {
+      if (!l.trim()) continue;
+      const m = l.match(/^\s*/)[0].length;
+      if (m < min) min = m;
+    }
+    if (!isFinite(min)) return result;
+    return lines.map(l => l.slice(Math.min(min, l.length))).join('\n');
+  }
+
   /**
    * Normalize whitespace, remove non-printable characters, and collapse multiple spaces.
    * @param {string} [s]
@@ -104,7 +180,8 @@
   }
 
   /**
-   * Fetch with an abort timeout; returns precise diagnostic messages on timeout.
+   * Fetch with an abort timeout; returns precise diagnostic messages on timeout. An
+   * `opts.signal` cancels the request too, rejecting with its AbortError.
    * @param {string} url
    * @param {object} [opts]
    * @param {number} [ms=15000]
@@ -113,16 +190,97 @@
   async function fetchWithTimeout(url, opts = {}, ms = 15000) {
     const controller = new AbortController();
     const t = setTimeout(() => controller.abort(), ms);
+    const outer = opts.signal;
+    const onAbort = () => controller.abort();
+    if (outer?.aborted) controller.abort();
+    outer?.addEventListener('abort', onAbort, { once: true });
     try {
       const res = await fetch(url, { ...opts, signal: controller.signal });
       return res;
     } catch (err) {
-      if (err.name === 'AbortError') {
+      if (err.name === 'AbortError' && !outer?.aborted) {
         throw new Error(`Request timed out after ${Math.round(ms / 1000)} seconds (${url}).`);
       }
       throw err;
     } finally {
       clearTimeout(t);
+      outer?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Settle with `promise`, or reject with an AbortError as soon as `signal` fires. For
+   * work that cannot be cancelled itself; the caller stops waiting for it.
+   * @template T
+   * @param {Promise<T>} promise
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<T>}
+   */
+  function abortable(promise, signal) {
+    if (!signal) return promise;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(new DOMException('Aborted', 'AbortError'));
+      if (signal.aborted) return onAbort();
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise.then(
+        (v) => { signal.removeEventListener('abort', onAbort); resolve(v); },
+        (e) => { signal.removeEventListener('abort', onAbort); reject(e); }
+      );
+    });
+  }
+
+  /**
+   * Read a Server-Sent Events response body, invoking `onEvent` for every `data:` payload
+   * parsed as JSON. Stops at the OpenAI-style `[DONE]` sentinel or the end of the stream.
+   * Exceptions thrown by `onEvent` abort the read and propagate to the caller.
+   * @param {Response} res
+   * @param {(data:any, event:string)=>void} onEvent
+   * @returns {Promise<void>}
+   */
+  async function readEventStream(res, onEvent) {
+    if (!res.body || typeof res.body.getReader !== 'function') throw new Error('Streaming responses are not supported in this browser.');
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buf = '', event = '', data = [], finished = false;
+
+    const dispatch = () => {
+      if (!data.length) { event = ''; return; }
+      const raw = data.join('\n');
+      const name = event || 'message';
+      data = []; event = '';
+      if (raw === '[DONE]') { finished = true; return; }
+      let parsed;
+      try { parsed = JSON.parse(raw); } catch { return; }
+      onEvent(parsed, name);
+    };
+    const feed = (line) => {
+      if (!line) return dispatch();
+      if (line.startsWith(':')) return;
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+    };
+
+    try {
+      while (!finished) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buf += decoder.decode(value, { stream: true });
+        let nl;
+        while (!finished && (nl = buf.indexOf('\n')) !== -1) {
+          feed(buf.slice(0, nl).replace(/\r$/, ''));
+          buf = buf.slice(nl + 1);
+        }
+      }
+      if (!finished) {
+        buf += decoder.decode();
+        if (buf) feed(buf.replace(/\r$/, ''));
+        dispatch();
+      }
+    } catch (err) {
+      try { await reader.cancel(); } catch { }
+      throw err;
+    } finally {
+      try { reader.releaseLock(); } catch { }
     }
   }
 
@@ -211,7 +369,7 @@
 
   window.DV = window.DV || {};
   window.DV.utils = {
-    escapeHtml, wrapHtml, normalizeText, decodeEntities, cleanHtml, pickMainNode,
-    fetchWithTimeout, classNames, yieldToBrowser, saveBlob, formatDuration, sanitizeFilename
+    escapeHtml, wrapHtml, dedent, normalizeText, decodeEntities, cleanHtml, pickMainNode,
+    fetchWithTimeout, abortable, readEventStream, loadScriptOnce, classNames, yieldToBrowser, saveBlob, formatDuration, sanitizeFilename
   };
 })();
@@ -0,0 +1,193 @@
+(function () {
+  /**
+   * Version history of distillations. Every completed run of an item is stored in the
+   * `versions` store with the provider, model, profile, usage and the resulting
+   * HTML/Markdown, so a retry never destroys an earlier result. Also provides a
+   * word-level diff between two versions.
+   */
+  const MAX_EDIT_DISTANCE = 4000; // word edits before the diff falls back to whole lines
+
+  /**
+   * All versions of an item, newest first.
+   * @param {string} itemId
+   * @returns {Promise<object[]>}
+   */
+  async function list(itemId) {
+    const rows = await DV.db.getAllByIndex('versions', 'by_item', itemId);
+    return rows.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Look up a single version.
+   * @param {string} id
+   * @returns {Promise<object|undefined>}
+   */
+  async function get(id) {
+    return id ? DV.db.get('versions', id) : undefined;
+  }
+
+  /**
+   * Store a completed run as a new version.
+   * @param {string} itemId
+   * @param {{html:string, markdown?:string, structured?:object|null, fidelity?:object|null, truncated?:boolean, provider?:string, model?:string, profileId?:string|null, formatProfileId?:string|null, language?:string|null, usage?:object|null, cost?:number}} run
+   * @returns {Promise<object>} The stored version
+   */
+  async function record(itemId, run) {
+    const version = {
+      id: DV.db.uid(),
+      itemId,
+      createdAt: Date.now(),
+      html: run.html,
+      markdown: run.markdown || '',
+      structured: run.structured || null,
+      fidelity: run.fidelity || null,
+      truncated: !!run.truncated,
+      provider: run.provider || null,
+      model: run.model || null,
+      profileId: run.profileId || null,
+      formatProfileId: run.formatProfileId || null,
+      language: run.language || null,
+      usage: run.usage || null,
+      cost: Number(run.cost || 0)
+    };
+    await DV.db.put('versions', version);
+    DV.bus.emit('versions:update', { itemId });
+    return version;
+  }
+
+  /**
+   * Delete every version of an item.
+   * @param {string} itemId
+   */
+  async function removeAll(itemId) {
+    const rows = await DV.db.getAllByIndex('versions', 'by_item', itemId);
+    await Promise.all(rows.map(v => DV.db.del('versions', v.id)));
+    if (rows.length) DV.bus.emit('versions:update', { itemId });
+  }
+
+  /**
+   * Plain text of a version for diffing: the stored Markdown, or text recovered from
+   * the HTML for versions that have none.
+   * @param {object} version
+   * @returns {string}
+   */
+  function text(version) {
+    if (version?.markdown) return version.markdown;
+    return DV.synthesis?.documentText ? DV.synthesis.documentText(version?.html) : '';
+  }
+
+  /**
+   * Shortest edit script between two token arrays (Myers). Returns null when the edit
+   * distance exceeds `maxD`.
+   * @param {string[]} a
+   * @param {string[]} b
+   * @param {number} maxD
+   * @returns {Array<['eq'|'ins'|'del', string]>|null}
+   */
+  function myers(a, b, maxD) {
+    const n = a.length, m = b.length;
+    const trace = [];
+    let prev = null;
+    for (let d = 0; d <= Math.min(maxD, n + m); d++) {
+      const cur = new Int32Array(2 * d + 1);
+      for (let k = -d; k <= d; k += 2) {
+        let x;
+        if (d === 0) x = 0;
+        else if (k === -d || (k !== d && prev[k - 1 + d - 1] < prev[k + 1 + d - 1])) x = prev[k + 1 + d - 1];
+        else x = prev[k - 1 + d - 1] + 1;
+        let y = x - k;
+        while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+        cur[k + d] = x;
+        if (x >= n && y >= m) {
+          trace.push(cur);
+          return backtrack(trace, a, b);
+        }
+      }
+      trace.push(cur);
+      prev = cur;
+    }
+    return null;
+  }
+
+  function backtrack(trace, a, b) {
+    const ops = [];
+    let x = a.length, y = b.length;
+    for (let d = trace.length - 1; d > 0; d--) {
+      const prev = trace[d - 1];
+      const k = x - y;
+      const prevK = (k === -d || (k !== d && prev[k - 1 + d - 1] < prev[k + 1 + d - 1])) ? k + 1 : k - 1;
+      const prevX = prev[prevK + d - 1];
+      const prevY = prevX - prevK;
+      while (x > prevX && y > prevY) { ops.push(['eq', a[x - 1]]); x--; y--; }
+      if (x === prevX) ops.push(['ins', b[y - 1]]);
+      else ops.push(['del', a[x - 1]]);
+      x = prevX; y = prevY;
+    }
+    while (x > 0 && y > 0) { ops.push(['eq', a[x - 1]]); x--; y--; }
+    return ops.reverse();
+  }
+
+  /** Diff two token arrays after trimming their common prefix and suffix. */
+  function diffTokens(a, b, maxD) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length, endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+    const mid = myers(a.slice(start, endA), b.slice(start, endB), maxD);
+    if (!mid) return null;
+    return [
+      ...a.slice(0, start).map(t => ['eq', t]),
+      ...mid,
+      ...a.slice(endA).map(t => ['eq', t])
+    ];
+  }
+
+  /**
+   * Word-level diff between two texts. Line breaks are kept as their own tokens so the
+   * result can be rendered with the original paragraph structure. Very different
+   * texts are compared line by line instead.
+   * @param {string} before
+   * @param {string} after
+   * @returns {{segments:Array<{type:'eq'|'ins'|'del', text:string}>, added:number, removed:number, byLine:boolean}}
+   */
+  function diff(before, after) {
+    const words = (s) => String(s || '').match(/\n|[^\s]+/g) || [];
+    let byLine = false;
+    let ops = diffTokens(words(before), words(after), MAX_EDIT_DISTANCE);
+    if (!ops) {
+      byLine = true;
+      const lines = (s) => String(s || '').split('\n').flatMap(l => [l, '\n']);
+      ops = diffTokens(lines(before), lines(after), Infinity);
+    }
+    const segments = [];
+    let added = 0, removed = 0;
+    const emit = (type, text) => {
+      const last = segments[segments.length - 1];
+      if (last && last.type === type) last.text += text;
+      else segments.push({ type, text });
+    };
+    // A word is separated from the last token on its own side (before = eq + del,
+    // after = eq + ins), whatever the other side emitted in between. When only one side
+    // of a shared word needs the space, the space goes into that side's segment.
+    let lastBefore = null, lastAfter = null;
+    const isWord = (t) => t !== null && t !== '\n';
+    for (const [type, tok] of ops) {
+      if (tok !== '\n' && type === 'ins') added++;
+      if (tok !== '\n' && type === 'del') removed++;
+      if (tok !== '\n' && !byLine) {
+        const before = type !== 'ins' && isWord(lastBefore);
+        const after = type !== 'del' && isWord(lastAfter);
+        if (type !== 'eq' || before === after) emit(type, before || after ? ' ' + tok : tok);
+        else { emit(before ? 'del' : 'ins', ' '); emit(type, tok); }
+      } else {
+        emit(type, tok);
+      }
+      if (type !== 'ins') lastBefore = tok;
+      if (type !== 'del') lastAfter = tok;
+    }
+    return { segments, added, removed, byLine };
+  }
+
+  window.DV = window.DV || {};
+  window.DV.versions = { list, get, record, removeAll, text, diff };
+})();
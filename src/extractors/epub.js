@@ -0,0 +1,198 @@
+(function () {
+  /**
+   * EPUB extraction. The archive is opened with JSZip, the OPF package named by
+   * META-INF/container.xml supplies the metadata, manifest and reading order (spine),
+   * and the table of contents (EPUB 3 nav document or EPUB 2 NCX) splits the spine into
+   * chapters. Spine documents without a TOC entry of their own are appended to the
+   * chapter before them; front matter ahead of the first entry is kept only when it has
+   * real content. Without a usable TOC, every spine document with real content becomes
+   * a chapter and short ones join the chapter before them.
+   */
+  const MIN_CHAPTER_CHARS = 200; // shorter sections (cover, copyright, dedication) are dropped
+
+  const BLOCK = /^(p|div|section|article|header|footer|h[1-6]|li|blockquote|pre|tr|dt|dd|figcaption|hr|table)$/;
+  const SKIP = /^(script|style|head|title)$/;
+
+  let cache = null; // { key, book }: the last book parsed for its chapters, which are usually extracted in a row
+
+  function isEpub(file) {
+    return /\.epub$/i.test(file?.name || '') || (file?.type || '').toLowerCase() === 'application/epub+zip';
+  }
+
+  /** Resolve an href relative to a path inside the archive. */
+  function resolvePath(base, href) {
+    try {
+      return decodeURIComponent(new URL(href, 'epub:/' + base).pathname.replace(/^\/+/, ''));
+    } catch {
+      return href;
+    }
+  }
+
+  const withoutFragment = (href) => String(href || '').split('#')[0];
+  const byLocalName = (root, name) => Array.from(root.getElementsByTagName('*')).filter(el => el.localName === name);
+
+  async function readXml(zip, path) {
+    const entry = zip.file(path);
+    if (!entry) throw new Error(`EPUB is missing ${path}`);
+    const src = await entry.async('string');
+    let doc = new DOMParser().parseFromString(src, 'application/xhtml+xml');
+    // Plenty of EPUBs ship XHTML that is not well-formed; the HTML parser copes
+    if (doc.getElementsByTagName('parsererror').length) doc = new DOMParser().parseFromString(src, 'text/html');
+    return doc;
+  }
+
+  /**
+   * Plain text of an XHTML document with paragraph breaks, Markdown headings and list
+   * bullets preserved.
+   * @param {Document} doc
+   * @returns {string}
+   */
+  function xhtmlText(doc) {
+    let out = '';
+    const walk = (node) => {
+      if (node.nodeType === 3) { out += node.nodeValue.replace(/\s+/g, ' '); return; }
+      if (node.nodeType !== 1) return;
+      const tag = node.localName;
+      if (SKIP.test(tag)) return;
+      if (tag === 'br') { out += '\n'; return; }
+      const block = BLOCK.test(tag);
+      if (block) out += '\n\n';
+      if (/^h[1-6]$/.test(tag)) out += '#'.repeat(Number(tag[1])) + ' ';
+      else if (tag === 'li') out += '- ';
+      node.childNodes.forEach(walk);
+      if (block) out += '\n\n';
+    };
+    const body = doc.body || byLocalName(doc, 'body')[0] || doc.documentElement;
+    if (body) walk(body);
+    return DV.utils.normalizeText(out.replace(/\n[ ]+/g, '\n'));
+  }
+
+  /** Top-level TOC entries as `{ title, path }`, from the nav document or the NCX. */
+  async function readToc(zip, manifest, spineToc) {
+    const nav = manifest.find(m => /\bnav\b/.test(m.properties));
+    if (nav) {
+      try {
+        const doc = await readXml(zip, nav.path);
+        const navs = byLocalName(doc, 'nav');
+        const toc = navs.find(n => (n.getAttribute('epub:type') || n.getAttributeNS('http://www.idpf.org/2007/ops', 'type') || '') === 'toc') || navs[0];
+        const list = toc && Array.from(toc.children).find(c => c.localName === 'ol');
+        const entries = list ? Array.from(list.children).filter(li => li.localName === 'li').map(li => {
+          const a = Array.from(li.children).find(c => c.localName === 'a' || c.localName === 'span');
+          return { title: (a?.textContent || '').replace(/\s+/g, ' ').trim(), path: a?.getAttribute('href') ? resolvePath(nav.path, withoutFragment(a.getAttribute('href'))) : '' };
+        }) : [];
+        if (entries.some(e => e.path)) return entries.filter(e => e.path);
+      } catch (e) { console.warn('Failed to read EPUB nav document', e); }
+    }
+    const ncx = manifest.find(m => m.id === spineToc) || manifest.find(m => m.mediaType === 'application/x-dtbncx+xml');
+    if (!ncx) return [];
+    try {
+      const doc = await readXml(zip, ncx.path);
+      const map = byLocalName(doc, 'navMap')[0];
+      if (!map) return [];
+      return Array.from(map.children).filter(c => c.localName === 'navPoint').map(p => {
+        const label = Array.from(p.children).find(c => c.localName === 'navLabel');
+        const content = Array.from(p.children).find(c => c.localName === 'content');
+        return { title: (label?.textContent || '').replace(/\s+/g, ' ').trim(), path: resolvePath(ncx.path, withoutFragment(content?.getAttribute('src'))) };
+      }).filter(e => e.path);
+    } catch (e) {
+      console.warn('Failed to read EPUB NCX', e);
+      return [];
+    }
+  }
+
+  /**
+   * Parse an EPUB into its metadata and chapters.
+   * @param {Blob} file
+   * @param {string} [key] Cache key; a repeated key returns the book parsed last time
+   * @returns {Promise<{title:string, author:string, chapters:Array<{title:string, text:string}>}>}
+   */
+  async function readEpub(file, key) {
+    if (key && cache?.key === key) return cache.book;
+    if (!window.JSZip) throw new Error('JSZip is not loaded');
+    const zip = await window.JSZip.loadAsync(file);
+
+    const container = await readXml(zip, 'META-INF/container.xml');
+    const opfPath = byLocalName(container, 'rootfile')[0]?.getAttribute('full-path');
+    if (!opfPath) throw new Error('EPUB container does not name a package document');
+    const opf = await readXml(zip, opfPath);
+
+    const meta = (name) => (byLocalName(opf, name)[0]?.textContent || '').replace(/\s+/g, ' ').trim();
+    const manifest = byLocalName(opf, 'item').map(el => ({
+      id: el.getAttribute('id'),
+      path: resolvePath(opfPath, el.getAttribute('href') || ''),
+      mediaType: el.getAttribute('media-type') || '',
+      properties: el.getAttribute('properties') || ''
+    }));
+    const spineEl = byLocalName(opf, 'spine')[0];
+    const spine = byLocalName(opf, 'itemref')
+      .filter(ref => ref.getAttribute('linear') !== 'no')
+      .map(ref => manifest.find(m => m.id === ref.getAttribute('idref')))
+      .filter(m => m && /html/.test(m.mediaType));
+    if (!spine.length) throw new Error('EPUB has no readable content in its spine');
+
+    const toc = await readToc(zip, manifest, spineEl?.getAttribute('toc'));
+    const titleOf = new Map();
+    toc.forEach(e => { if (!titleOf.has(e.path)) titleOf.set(e.path, e.title); });
+    const useToc = spine.some(s => titleOf.has(s.path));
+
+    const chapters = [];
+    let current = null;
+    for (const [i, doc] of spine.entries()) {
+      const text = xhtmlText(await readXml(zip, doc.path));
+      const starts = useToc ? titleOf.has(doc.path) : text.length >= MIN_CHAPTER_CHARS;
+      if (starts || !current) {
+        const heading = (text.match(/^#{1,6} (.+)$/m) || [])[1];
+        const title = (useToc && titleOf.get(doc.path)) || heading || (useToc ? 'Front Matter' : `Section ${i + 1}`);
+        current = { title, text };
+        chapters.push(current);
+      } else {
+        current.text = `${current.text}\n\n${text}`.trim();
+      }
+    }
+
+    const book = {
+      title: meta('title') || String(file.name || 'Untitled').replace(/\.epub$/i, ''),
+      author: meta('creator'),
+      chapters: chapters.filter(c => c.text.length >= MIN_CHAPTER_CHARS)
+    };
+    if (!book.chapters.length) throw new Error('No chapter text found in this EPUB');
+    if (key) cache = { key, book };
+    return book;
+  }
+
+  /**
+   * Whole book as one text with a heading per chapter, for EPUBs added as a plain file.
+   * @param {Blob} file
+   * @returns {Promise<string>}
+   */
+  async function readEpubText(file) {
+    const book = await readEpub(file);
+    return book.chapters.map(c => `## ${c.title}\n\n${c.text.replace(/^#{1,6} .+\n+/, '')}`).join('\n\n');
+  }
+
+  /**
+   * Extract one chapter of a book item. The EPUB is stored once, on the parent book.
+   * @param {{id:string, parentId:string, chapterIndex:number, title?:string}} item
+   * @returns {Promise<{kind:'file', title:string, text:string, book:string, author:string, chapter:number}>}
+   */
+  async function extractChapter(item) {
+    const saved = await DV.db.get('contents', item.parentId + ':file');
+    if (!saved?.blob) throw new Error('The book this chapter belongs to was deleted');
+    const book = await readEpub(saved.blob, item.parentId);
+    const chapter = book.chapters[item.chapterIndex];
+    if (!chapter) throw new Error('Chapter not found in the book');
+    return {
+      kind: 'file',
+      title: item.title || chapter.title,
+      fileName: saved.name || '',
+      text: chapter.text,
+      book: book.title,
+      author: book.author,
+      chapter: item.chapterIndex + 1
+    };
+  }
+
+  window.DV = window.DV || {};
+  window.DV.extractors = window.DV.extractors || {};
+  Object.assign(window.DV.extractors, { isEpub, readEpub, readEpubText, extractChapter });
+})();
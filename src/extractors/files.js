@@ -1,62 +1,14 @@
 (function () {
   /**
-   * Utility extractors for local files. Supports OCR for images and PDFs,
-   * textual extraction for common document types, and HTML main-content stripping.
-   * External libraries are loaded lazily once per page to minimize startup cost.
+   * Utility extractors for local files. Supports OCR for images and PDFs (Tesseract, or
+   * the selected multimodal model in vision mode, see DV.vision), textual extraction
+   * for common document types, and HTML main-content stripping. External libraries are
+   * loaded lazily once per page to minimize startup cost.
    */
   function extOf(name = '') { return (String(name).split('.').pop() || '').toLowerCase(); }
   function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 
-
-  const _once = {};
-  /**
-   * Load an external script at most once, with an optional readiness check.
-   * Resolves when the script loads, or immediately if `check()` returns true.
-   * Features automatic timeout and 3-attempt retry logic for spotty network connections.
-   * @param {string} url
-   * @param {() => boolean} [check]
-   * @returns {Promise<void>}
-   */
-  function loadScriptOnce(url, check) {
-    if (check && check()) return Promise.resolve();
-    if (_once[url]) return _once[url];
-
-    _once[url] = new Promise((resolve, reject) => {
-      let attempt = 0;
-      function tryLoad() {
-        attempt++;
-        const s = document.createElement('script');
-        s.src = url;
-        s.async = true;
-        const timeoutId = setTimeout(() => {
-          s.remove();
-          if (attempt < 3) {
-            console.warn(`Timeout loading ${url}, retrying attempt ${attempt + 1}...`);
-            tryLoad();
-          } else {
-            delete _once[url];
-            reject(new Error('Timed out loading script after 3 attempts: ' + url));
-          }
-        }, 15000);
-
-        s.onload = () => { clearTimeout(timeoutId); resolve(); };
-        s.onerror = () => {
-          clearTimeout(timeoutId);
-          s.remove();
-          if (attempt < 3) {
-            console.warn(`Error loading ${url}, retrying attempt ${attempt + 1}...`);
-            tryLoad();
-          } else {
-            delete _once[url];
-            reject(new Error('Failed to load script after 3 attempts: ' + url));
-          }
-        };
-        document.head.appendChild(s);
-      }
-      tryLoad();
-    });
-    return _once[url];
-  }
+  const loadScriptOnce = DV.utils.loadScriptOnce;
 
   const OCR_MAX_PAGES = 50;
 
@@ -127,73 +79,188 @@
     }
   }
 
-  /** OCR an image to text using Tesseract.js and report progress via DV.bus. */
-  async function readImageWithOCR(file) {
+  /**
+   * Start a Tesseract worker for one extraction. Aborting `signal` terminates it, so a
+   * page being recognized stops at once instead of running to the end.
+   * @param {(m:object)=>void} logger
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<{recognize:(image:any)=>Promise<any>, done:()=>void}>}
+   */
+  async function startOcr(logger, signal) {
     await ensureTesseract();
+    signal?.throwIfAborted();
+    const worker = await window.Tesseract.createWorker({ logger });
+    const stop = () => { worker.terminate().catch(() => { }); };
+    signal?.addEventListener('abort', stop, { once: true });
+    try {
+      await DV.utils.abortable(worker.loadLanguage('eng').then(() => worker.initialize('eng')), signal);
+    } catch (e) {
+      signal?.removeEventListener('abort', stop);
+      stop();
+      throw e;
+    }
+    return {
+      recognize: (image) => DV.utils.abortable(worker.recognize(image), signal),
+      done: () => { signal?.removeEventListener('abort', stop); stop(); }
+    };
+  }
+
+  /** OCR an image to text using Tesseract.js and report progress via DV.bus. */
+  async function readImageWithOCR(file, signal) {
+    const ocr = await startOcr(m => DV.bus && DV.bus.emit && DV.bus.emit('ocr:progress', { ...m, file: file.name }), signal);
     const blobUrl = URL.createObjectURL(file);
     try {
-      const { data } = await window.Tesseract.recognize(blobUrl, undefined, { logger: m => DV.bus && DV.bus.emit && DV.bus.emit('ocr:progress', { ...m, file: file.name }) });
+      const { data } = await ocr.recognize(blobUrl);
       return DV.utils.normalizeText(data?.text || '');
     } finally {
+      ocr.done();
       setTimeout(() => URL.revokeObjectURL(blobUrl), 3000);
     }
   }
 
   /** Extract embedded text from PDF with pdf.js, yielding between pages. */
-  async function readPdfWithText(pdfFile) {
+  async function readPdfWithText(pdfFile, signal) {
     await ensurePdfJs();
     const buf = await pdfFile.arrayBuffer();
     const pdf = await window.pdfjsLib.getDocument({ data: buf }).promise;
-    let out = [];
-    for (let i = 1; i <= pdf.numPages; i++) {
-      const page = await pdf.getPage(i);
-      const content = await page.getTextContent();
-      const pageText = content.items.map(it => it.str || '').join(' ');
-      out.push(pageText);
-      if (i % 3 === 0) await sleep(0);
+    try {
+      let out = [];
+      for (let i = 1; i <= pdf.numPages; i++) {
+        signal?.throwIfAborted();
+        const page = await pdf.getPage(i);
+        const content = await page.getTextContent();
+        const pageText = content.items.map(it => it.str || '').join(' ');
+        out.push(pageText);
+        if (i % 3 === 0) await sleep(0);
+      }
+      return DV.utils.normalizeText(out.join('\n\n'));
+    } finally {
+      if (signal?.aborted) pdf.destroy();
     }
-    return DV.utils.normalizeText(out.join('\n\n'));
+  }
+
+  /**
+   * Render a PDF page onto a new canvas at twice its size, or smaller so its longer side
+   * stays within `maxSide`.
+   * @param {object} pdf pdf.js document
+   * @param {number} n One-based page number
+   * @param {AbortSignal} [signal]
+   * @param {number} [maxSide]
+   * @returns {Promise<HTMLCanvasElement>}
+   */
+  async function renderPdfPage(pdf, n, signal, maxSide) {
+    const pdfPage = await pdf.getPage(n);
+    const base = pdfPage.getViewport({ scale: 1 });
+    const scale = maxSide ? Math.min(2, maxSide / Math.max(base.width, base.height)) : 2;
+    const viewport = pdfPage.getViewport({ scale });
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+    await DV.utils.abortable(pdfPage.render({ canvasContext: ctx, viewport }).promise, signal);
+    return canvas;
   }
 
   /** Render pages to canvas and OCR them; limited to OCR_MAX_PAGES for cost. */
-  async function readPdfWithOCR(pdfFile) {
+  async function readPdfWithOCR(pdfFile, signal) {
     await ensurePdfJs();
-    await ensureTesseract();
+    let page = 0;
+    const ocr = await startOcr(m => DV.bus && DV.bus.emit && DV.bus.emit('ocr:progress', { ...m, page, file: pdfFile.name }), signal);
     const buf = await pdfFile.arrayBuffer();
     const pdf = await window.pdfjsLib.getDocument({ data: buf }).promise;
-    const texts = [];
-    const pages = Math.min(pdf.numPages, OCR_MAX_PAGES);
-    for (let i = 1; i <= pages; i++) {
-      const page = await pdf.getPage(i);
-      const viewport = page.getViewport({ scale: 2 });
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d');
-      canvas.width = Math.ceil(viewport.width);
-      canvas.height = Math.ceil(viewport.height);
-      await page.render({ canvasContext: ctx, viewport }).promise;
-      const { data } = await window.Tesseract.recognize(canvas, undefined, { logger: m => DV.bus && DV.bus.emit && DV.bus.emit('ocr:progress', { ...m, page: i, file: pdfFile.name }) });
-      texts.push(data?.text || '');
-      canvas.width = canvas.height = 0;
-      await sleep(0);
+    try {
+      const texts = [];
+      const pages = Math.min(pdf.numPages, OCR_MAX_PAGES);
+      for (let i = 1; i <= pages; i++) {
+        signal?.throwIfAborted();
+        page = i;
+        const canvas = await renderPdfPage(pdf, i, signal);
+        const { data } = await ocr.recognize(canvas);
+        texts.push(data?.text || '');
+        canvas.width = canvas.height = 0;
+        await sleep(0);
+      }
+      if (pdf.numPages > OCR_MAX_PAGES) texts.push(`\n[Truncated OCR at ${OCR_MAX_PAGES} pages of ${pdf.numPages}]`);
+      return DV.utils.normalizeText(texts.join('\n\n'));
+    } finally {
+      ocr.done();
+      if (signal?.aborted) pdf.destroy();
+    }
+  }
+
+  /**
+   * Transcribe an image with the selected multimodal model.
+   * @param {File} file
+   * @param {{signal?:AbortSignal, id?:string, vision?:object}} ctx Receives `vision` with the provider, model, usage and cost
+   */
+  async function readImageWithVision(file, ctx) {
+    let image;
+    try {
+      image = await DV.vision.imagePart(file);
+    } catch {
+      // Formats the browser cannot decode (TIFF) still go through OCR
+      return await readImageWithOCR(file, ctx.signal);
     }
-    if (pdf.numPages > OCR_MAX_PAGES) texts.push(`\n[Truncated OCR at ${OCR_MAX_PAGES} pages of ${pdf.numPages}]`);
-    return DV.utils.normalizeText(texts.join('\n\n'));
+    const res = await DV.vision.transcribe({ count: 1, render: async () => image, title: file.name, id: ctx.id, signal: ctx.signal });
+    ctx.vision = { provider: res.provider, model: res.model, usage: res.usage, cost: res.cost, pages: 1 };
+    return res.text;
   }
 
   /**
-   * Read a PDF by preferring embedded text, falling back to OCR on low-density text
-   * or failure paths. Returns diagnostic messages when both strategies fail.
+   * Render PDF pages and transcribe them with the selected multimodal model; limited
+   * to DV.vision.MAX_PAGES.
+   * @param {File} pdfFile
+   * @param {{signal?:AbortSignal, id?:string, vision?:object}} ctx Receives `vision` with the provider, model, usage and cost
+   */
+  async function readPdfWithVision(pdfFile, ctx) {
+    await ensurePdfJs();
+    const buf = await pdfFile.arrayBuffer();
+    const pdf = await window.pdfjsLib.getDocument({ data: buf }).promise;
+    try {
+      const pages = Math.min(pdf.numPages, DV.vision.MAX_PAGES);
+      const res = await DV.vision.transcribe({
+        count: pages,
+        title: pdfFile.name,
+        id: ctx.id,
+        signal: ctx.signal,
+        render: async (i) => {
+          const canvas = await renderPdfPage(pdf, i + 1, ctx.signal, DV.vision.MAX_SIDE);
+          try { return DV.vision.encode(canvas); }
+          finally { canvas.width = canvas.height = 0; }
+        }
+      });
+      ctx.vision = { provider: res.provider, model: res.model, usage: res.usage, cost: res.cost, pages };
+      const note = pdf.numPages > pages ? `\n\n[Truncated transcription at ${pages} pages of ${pdf.numPages}]` : '';
+      return res.text + note;
+    } finally {
+      if (ctx.signal?.aborted) pdf.destroy();
+    }
+  }
+
+  /** Errors that must reach the queue instead of becoming diagnostic text. */
+  const fatal = (e) => e?.name === 'AbortError' || e instanceof DV.ai.transport.AIError;
+
+  /**
+   * Read a PDF by preferring embedded text, falling back to OCR (or the vision model)
+   * on low-density text or failure paths. In 'all' vision mode every page goes to the
+   * model. Returns diagnostic messages when both strategies fail.
    */
-  async function readPdf(file) {
+  async function readPdf(file, ctx) {
+    const { signal } = ctx;
+    const vision = DV.vision.mode();
+    if (vision === 'all') return await readPdfWithVision(file, ctx);
+    const readScanned = () => vision ? readPdfWithVision(file, ctx) : readPdfWithOCR(file, signal);
     try {
-      const text = await readPdfWithText(file);
+      const text = await readPdfWithText(file, signal);
       if (text && text.replace(/\s+/g, '').length > 100) return text;
-      const ocr = await readPdfWithOCR(file);
+      const ocr = await readScanned();
       return ocr || text || '[Empty PDF]';
     } catch (e) {
+      if (fatal(e)) throw e;
       try {
-        return await readPdfWithOCR(file);
+        return await readScanned();
       } catch (e2) {
+        if (fatal(e2)) throw e2;
         return '[PDF extraction failed: ' + (e2 && (e2.message || e2)) + ']';
       }
     }
@@ -202,20 +269,26 @@
   /**
    * Entrypoint for file extraction, dispatching by mime/extension, with helpful
    * diagnostics for unsupported formats. Returns a normalized item object.
+   * Vision transcriptions report the provider, model, token usage and page count
+   * under `vision`.
    * @param {File} file
-   * @returns {Promise<{kind:'file', title:string, fileName:string, fileType:string, size:number, text:string}>}
+   * @param {{signal?:AbortSignal, id?:string}} [opts] Aborting stops OCR and page reading at once; `id` is the queue item
+   * @returns {Promise<{kind:'file', title:string, fileName:string, fileType:string, size:number, text:string, vision?:object}>}
    */
-  async function extractFromFile(file) {
+  async function extractFromFile(file, { signal, id } = {}) {
     const ext = extOf(file.name);
     const type = (file.type || '').toLowerCase();
+    const ctx = { signal, id, vision: null };
     let text = '';
     try {
       if (type.startsWith('image/') || ['png', 'jpg', 'jpeg', 'webp', 'bmp', 'gif', 'tif', 'tiff'].includes(ext)) {
-        text = await readImageWithOCR(file);
+        text = DV.vision.mode() ? await readImageWithVision(file, ctx) : await readImageWithOCR(file, signal);
       } else if (ext === 'pdf' || type === 'application/pdf') {
-        text = await readPdf(file);
+        text = await readPdf(file, ctx);
       } else if (ext === 'docx' || type === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
         text = await readDocx(file);
+      } else if (DV.extractors.isEpub(file)) {
+        text = await DV.extractors.readEpubText(file);
       } else if (ext === 'rtf' || type === 'application/rtf' || type === 'text/rtf') {
         text = await readRtf(file);
       } else if (ext === 'html' || ext === 'htm' || type === 'text/html') {
@@ -229,6 +302,7 @@
         if (!text) text = `[Unsupported file type: ${ext || type || 'unknown'}]`;
       }
     } catch (e) {
+      if (fatal(e)) throw e;
       text = '[Extraction failed: ' + (e && (e.message || e)) + ']';
     }
 
@@ -238,7 +312,8 @@
       fileName: file.name,
       fileType: file.type,
       size: file.size,
-      text
+      text,
+      ...(ctx.vision ? { vision: ctx.vision } : {})
     };
   }
 
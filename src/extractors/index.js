@@ -1,11 +1,12 @@
 (function(){
   /**
-   * Main extraction dispatcher. Routes items to file, URL, or YouTube extractors.
-   * For file items, attempts to load the saved blob from IndexedDB when missing.
-   * @param {{id:string,kind:'file'|'url'|'youtube',file?:File,fileName?:string,fileType?:string,title?:string,url?:string}} item
+   * Main extraction dispatcher. Routes items to file, URL, YouTube or EPUB chapter
+   * extractors. For file items, attempts to load the saved blob from IndexedDB when missing.
+   * @param {{id:string,kind:'file'|'url'|'youtube'|'chapter',file?:File,fileName?:string,fileType?:string,title?:string,url?:string}} item
+   * @param {{signal?:AbortSignal, id?:string}} [opts] Aborting cancels downloads, OCR and vision transcription; `id` is the queue item
    * @returns {Promise<{title:string,text:string,[k:string]:any}>}
    */
-  async function extract(item){
+  async function extract(item, opts = {}){
     if (item.kind === 'file') {
       let file = item.file;
       if (!file) {
@@ -16,11 +17,12 @@
         }
       }
       if (!file) throw new Error('Missing file blob');
-      const res = await DV.extractors.extractFile(file);
+      const res = await DV.extractors.extractFile(file, opts);
       return { ...res, title: item.title || res.title };
     }
-    if (item.kind === 'url') return await DV.extractors.extractUrl(item);
-    if (item.kind === 'youtube') return await DV.extractors.extractYouTube(item);
+    if (item.kind === 'url') return await DV.extractors.extractUrl(item, opts);
+    if (item.kind === 'youtube') return await DV.extractors.extractYouTube(item, opts);
+    if (item.kind === 'chapter') return await DV.extractors.extractChapter(item);
     throw new Error('Unknown item kind: ' + item.kind);
   }
 
@@ -24,7 +24,7 @@
    * falls back to server-side proxy at /api/fetch. Returns plain text when content-type
    * is non-HTML.
    */
-  async function extractFromUrl(itemOrUrl) {
+  async function extractFromUrl(itemOrUrl, { signal } = {}) {
     let url = typeof itemOrUrl === 'string' ? itemOrUrl : (itemOrUrl?.url || '');
     url = normalizeUrl(url);
     if (!url) throw new Error('No URL');
@@ -41,21 +41,24 @@
 
     // Attempt 1: Local API Proxy (Our most powerful steering, universally applied to prevent browser CORS errors)
     try {
-      res = await DV.utils.fetchWithTimeout('/api/fetch?url=' + encodeURIComponent(url), { redirect: 'follow' }, timeout);
+      res = await DV.utils.fetchWithTimeout('/api/fetch?url=' + encodeURIComponent(url), { redirect: 'follow', signal }, timeout);
     } catch (e) { res = null; }
+    signal?.throwIfAborted();
 
     // Attempt 2: Public Proxy (Last resort)
     if (!res || !res.ok) {
       try {
-        res = await DV.utils.fetchWithTimeout('https://corsproxy.io/?' + encodeURIComponent(url), { redirect: 'follow' }, timeout);
+        res = await DV.utils.fetchWithTimeout('https://corsproxy.io/?' + encodeURIComponent(url), { redirect: 'follow', signal }, timeout);
       } catch (e) { res = null; }
+      signal?.throwIfAborted();
     }
 
     if (!res || !res.ok) {
       const ao = `https://api.allorigins.win/raw?url=${encodeURIComponent(url)}`;
       try {
-        res = await DV.utils.fetchWithTimeout(ao, { redirect: 'follow' }, timeout);
+        res = await DV.utils.fetchWithTimeout(ao, { redirect: 'follow', signal }, timeout);
       } catch (e) { res = null; }
+      signal?.throwIfAborted();
     }
 
     if (!res || !res.ok) {
@@ -112,12 +112,60 @@
 
 
 
-  /** Convert YouTube timed text XML to plain text. */
+  /** Seconds as a transcript marker: mm:ss, or h:mm:ss from the first hour on. */
+  function formatTimestamp(seconds) {
+    const t = Math.max(0, Math.floor(seconds || 0));
+    const h = Math.floor(t / 3600), m = Math.floor((t % 3600) / 60), sec = t % 60;
+    const pad = (n) => String(n).padStart(2, '0');
+    return h ? `${h}:${pad(m)}:${pad(sec)}` : `${pad(m)}:${pad(sec)}`;
+  }
+
+  /** Parse "mm:ss" or "h:mm:ss" into seconds, or null. */
+  function parseTimestamp(value = '') {
+    const parts = String(value).trim().split(':').map(Number);
+    if (parts.length < 2 || parts.length > 3 || parts.some(n => !Number.isFinite(n))) return null;
+    return parts.reduce((total, n) => total * 60 + n, 0);
+  }
+
+  /** A description line starting (or ending) with a timestamp, as `{ start, title }`. */
+  function chapterLine(line) {
+    let m, stamp, title;
+    if ((m = line.match(/^\s*[\[(]?((?:\d{1,2}:)?\d{1,2}:\d{2})[\])]?\s*[-–—:|.]?\s*(.+?)\s*$/))) [, stamp, title] = m;
+    else if ((m = line.match(/^\s*(.+?)\s*[-–—:|]?\s*[\[(]?((?:\d{1,2}:)?\d{1,2}:\d{2})[\])]?\s*$/))) [, title, stamp] = m;
+    else return null;
+    const start = parseTimestamp(stamp);
+    return start != null && title ? { start, title } : null;
+  }
+
+  /**
+   * Chapters from a video description: the block of consecutive timestamped lines that
+   * starts at 0:00. Timestamps elsewhere in the text ("Livestream starts at 18:00") are
+   * ignored. Like YouTube itself, a list only counts when it has at least two entries
+   * in ascending order.
+   * @param {string} description
+   * @returns {Array<{start:number, title:string}>}
+   */
+  function parseChapters(description = '') {
+    const chapters = [];
+    for (const line of String(description).split('\n')) {
+      const chapter = chapterLine(line);
+      if (!chapters.length) {
+        if (chapter?.start === 0) chapters.push(chapter);
+        continue;
+      }
+      if (!chapter) break;
+      chapters.push(chapter);
+    }
+    if (chapters.length < 2) return [];
+    return chapters.every((c, i) => i === 0 || c.start > chapters[i - 1].start) ? chapters : [];
+  }
+
+  /** Timed segments from YouTube timed text XML. */
   function parseTimedTextXml(xmlString) {
     try {
       const xml = new DOMParser().parseFromString(xmlString, 'text/xml');
       const texts = Array.from(xml.getElementsByTagName('text'));
-      const segs = texts.map(node => {
+      return texts.map(node => {
         const start = parseFloat(node.getAttribute('start') || '0');
         const dur = parseFloat(node.getAttribute('dur') || '0');
         let html = node.textContent || '';
@@ -125,58 +173,132 @@
         const text = DV.utils.normalizeText(DV.utils.decodeEntities(html));
         return { start, dur, text };
       }).filter(s => s.text);
+    } catch { return []; }
+  }
 
-      const out = [];
-      let buf = '', lastEnd = 0;
-      for (const s of segs) {
-        const gap = s.start - lastEnd;
-        if (gap > 2.5 && buf) { out.push(buf.trim()); buf = ''; }
-        else if (buf && /[\.!?]$/.test(buf.trim())) { buf += '\n'; }
-        else if (buf) { buf += ' '; }
-        buf += s.text.trim();
-        lastEnd = s.start + s.dur;
+  /** Timed segments from a json3 caption response. */
+  function parseJson3Events(events = []) {
+    return events
+      .filter(ev => Array.isArray(ev.segs))
+      .map(ev => ({
+        start: Number(ev.tStartMs || 0) / 1000,
+        dur: Number(ev.dDurationMs || 0) / 1000,
+        text: DV.utils.normalizeText(ev.segs.map(s => s.utf8 || '').join(''))
+      }))
+      .filter(s => s.text);
+  }
+
+  /**
+   * Group timed segments into paragraphs, each opening with its [mm:ss] marker. A
+   * paragraph ends at a pause of more than 2.5s, or at a sentence end once it is long
+   * enough. With chapters, every chapter starts a "## Chapter" section headed by its
+   * own marker, and paragraphs never cross a chapter boundary.
+   * @param {Array<{start:number, dur:number, text:string}>} segs
+   * @param {Array<{start:number, title:string}>} [chapters]
+   * @returns {string}
+   */
+  function formatTranscript(segs, chapters = []) {
+    const out = [];
+    let buf = '', bufStart = 0, lastEnd = 0, chapter = -1;
+    const flush = () => { if (buf.trim()) out.push(`[${formatTimestamp(bufStart)}] ${buf.trim()}`); buf = ''; };
+    for (const s of segs) {
+      while (chapter + 1 < chapters.length && s.start >= chapters[chapter + 1].start) {
+        flush();
+        chapter++;
+        out.push(`\n## Chapter ${chapter + 1}: ${chapters[chapter].title} [${formatTimestamp(chapters[chapter].start)}]\n`);
       }
-      if (buf.trim()) out.push(buf.trim());
-      return DV.utils.normalizeText(out.join('\n'));
-    } catch { return ''; }
+      const gap = s.start - lastEnd;
+      if (buf && (gap > 2.5 || (buf.length > 400 && /[\.!?]$/.test(buf.trim())) || buf.length > 1200)) flush();
+      if (!buf) bufStart = s.start;
+      buf += (buf ? ' ' : '') + s.text.trim();
+      lastEnd = s.start + s.dur;
+    }
+    flush();
+    return DV.utils.normalizeText(out.join('\n'));
   }
 
-  /** Fetch captions from a track; optionally request English translation via tlang. */
-  async function fetchTranscriptFromTrack(baseUrl, forceEnIfTranslatable = false) {
+  /**
+   * Fetch captions from a track; optionally request English translation via tlang.
+   * Timed formats become a timestamped transcript split at `chapters`.
+   * @returns {Promise<{text:string, timestamped:boolean}>}
+   */
+  async function fetchTranscriptFromTrack(baseUrl, forceEnIfTranslatable = false, signal, chapters = []) {
     let url = baseUrl;
     if (forceEnIfTranslatable && !/[?&]tlang=/.test(url)) url = addQueryParam(url, 'tlang', 'en');
     const proxied = '/api/fetch?url=' + encodeURIComponent(url);
-    const res = await DV.utils.fetchWithTimeout(proxied, {}, 12000).catch(() => null);
-    if (!res || !res.ok) return '';
+    const res = await DV.utils.fetchWithTimeout(proxied, { signal }, 12000).catch(() => null);
+    signal?.throwIfAborted();
+    if (!res || !res.ok) return { text: '', timestamped: false };
     const ctype = (res.headers.get('content-type') || '').toLowerCase();
     const body = await res.text();
-    if (ctype.includes('xml') || body.startsWith('<?xml')) return parseTimedTextXml(body);
-    try {
-      const j = JSON.parse(body);
-      if (j && Array.isArray(j.events)) {
-        const parts = [];
-        for (const ev of j.events) {
-          if (Array.isArray(ev.segs)) parts.push(ev.segs.map(s => s.utf8 || '').join(''));
-        }
-        return DV.utils.normalizeText(parts.join('\n'));
-      }
-    } catch { }
-    return DV.utils.normalizeText(DV.utils.decodeEntities(body));
+    let segs = null;
+    if (ctype.includes('xml') || body.startsWith('<?xml')) segs = parseTimedTextXml(body);
+    else {
+      try {
+        const j = JSON.parse(body);
+        if (j && Array.isArray(j.events)) segs = parseJson3Events(j.events);
+      } catch { }
+    }
+    if (segs) return { text: formatTranscript(segs, chapters), timestamped: segs.length > 0 };
+    return { text: DV.utils.normalizeText(DV.utils.decodeEntities(body)), timestamped: false };
+  }
+
+  /** Watch URL of a video at a given second. */
+  function timestampUrl(videoId, seconds) {
+    return `https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}&t=${Math.floor(seconds)}s`;
+  }
+
+  /**
+   * Turn [mm:ss] / [h:mm:ss] markers in rendered HTML into links that open the video at
+   * that moment. Text inside links and code is left alone.
+   * @param {string} html
+   * @param {string} videoUrl Any URL shape parseVideoId understands
+   * @returns {string}
+   */
+  function linkTimestamps(html, videoUrl) {
+    const videoId = parseVideoId(videoUrl);
+    if (!html || !videoId || !/\[(?:\d{1,2}:)?\d{1,2}:\d{2}\]/.test(html)) return html;
+    const root = document.createElement('div');
+    root.innerHTML = html;
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      if (!node.parentElement?.closest('a,code,pre') && /\[(?:\d{1,2}:)?\d{1,2}:\d{2}\]/.test(node.nodeValue)) nodes.push(node);
+    }
+    for (const node of nodes) {
+      const frag = document.createDocumentFragment();
+      const parts = node.nodeValue.split(/(\[(?:\d{1,2}:)?\d{1,2}:\d{2}\])/);
+      parts.forEach((part, i) => {
+        if (i % 2 === 0) { if (part) frag.appendChild(document.createTextNode(part)); return; }
+        const a = document.createElement('a');
+        a.href = timestampUrl(videoId, parseTimestamp(part.slice(1, -1)));
+        a.target = '_blank';
+        a.rel = 'noopener';
+        a.className = 'dv-timestamp';
+        a.textContent = part;
+        frag.appendChild(a);
+      });
+      node.parentNode.replaceChild(frag, node);
+    }
+    return root.innerHTML;
   }
 
   /**
    * Extract text from a single YouTube video: fetch watch page via proxy, parse player
    * response, select captions track, fetch transcript (optionally translated), and
-   * return normalized text with metadata.
+   * return normalized text with metadata. Timed captions yield a transcript with
+   * [mm:ss] markers (`timestamped`), split into the chapters listed in the description.
    */
-  async function extractYouTube(itemOrUrl) {
+  async function extractYouTube(itemOrUrl, { signal } = {}) {
     const inputUrl = typeof itemOrUrl === 'string' ? itemOrUrl : (itemOrUrl.url || '');
     if (!isYouTube(inputUrl)) throw new Error('Not a valid YouTube URL');
     const id = parseVideoId(inputUrl);
     if (!id) throw new Error('Could not parse YouTube video id');
 
     const watchUrl = 'https://www.youtube.com/watch?v=' + encodeURIComponent(id) + '&hl=en';
-    let res = await DV.utils.fetchWithTimeout('/api/fetch?url=' + encodeURIComponent(watchUrl), {}, 15000).catch(() => null);
+    let res = await DV.utils.fetchWithTimeout('/api/fetch?url=' + encodeURIComponent(watchUrl), { signal }, 15000).catch(() => null);
+    signal?.throwIfAborted();
     if (!res || !res.ok) throw new Error('Failed to load YouTube page');
     const html = await res.text();
 
@@ -194,13 +316,14 @@
       return { kind: 'youtube', url: inputUrl, title, text: '[No captions available for this video]', videoId: id };
     }
 
+    const chapters = parseChapters(player?.videoDetails?.shortDescription || '');
     const track = pickBestCaptionTrack(tracks);
     const wantEnglish = !/^en(-|$)/i.test(track?.languageCode || '') && (track?.isTranslatable);
-    const text = await fetchTranscriptFromTrack(track.baseUrl, wantEnglish);
+    const { text, timestamped } = await fetchTranscriptFromTrack(track.baseUrl, wantEnglish, signal, chapters);
     const language = wantEnglish ? 'en' : (track?.languageCode || '');
     const textOut = text || '[Failed to fetch or parse captions]';
 
-    return { kind: 'youtube', url: inputUrl, title, text: textOut, videoId: id, language };
+    return { kind: 'youtube', url: inputUrl, title, text: textOut, videoId: id, language, timestamped: !!text && timestamped, chapters };
   }
 
   /** Extract `ytInitialData` JSON from playlist page. */
@@ -274,4 +397,5 @@
   window.DV.extractors.isYouTubePlaylist = isYouTubePlaylist;
   window.DV.extractors.extractYouTubePlaylist = extractYouTubePlaylist;
   window.DV.extractors.peekYouTubeTitle = peekYouTubeTitle;
+  window.DV.extractors.linkTimestamps = linkTimestamps;
 })();
\ No newline at end of file